@@ -0,0 +1,155 @@
+// src/annotationSource/RestAnnotationSource.js
+'use strict';
+
+/**
+ * @fileoverview Annotation source backed by the Ensembl REST API.
+ * This is the default source and simply forwards each request to fetchApi, using the
+ * endpoints and connection settings of its API profile.
+ * @module annotationSource/RestAnnotationSource
+ */
+
+const debug = require('debug')('variant-linker:annotation-source');
+const { fetchApi } = require('../apiHelper');
+const { resolveApiProfile } = require('../apiProfiles');
+const { resolveRequestSettings } = require('../utils/requestOptions');
+
+/**
+ * Annotation source that queries the Ensembl REST endpoints (VEP and Variant Recoder).
+ */
+class RestAnnotationSource {
+  /**
+   * Create a new RestAnnotationSource instance.
+   * @param {Object} [config={}] - Source configuration.
+   * @param {string|Object} [config.apiProfile] - API profile name or settings; without one, the
+   *   default profile is resolved for every request (so ENSEMBL_BASE_URL changes apply).
+   */
+  constructor(config = {}) {
+    this.name = 'rest';
+    this.config = config;
+    this._apiProfile = config.apiProfile ? resolveApiProfile(config.apiProfile) : null;
+    // Provenance by base URL, so the info endpoints are queried once per process
+    this._provenance = new Map();
+    debug(
+      `REST annotation source initialized` +
+        (this._apiProfile ? ` for API profile "${this._apiProfile.name}"` : '')
+    );
+  }
+
+  /**
+   * The API profile requests are sent with.
+   * @type {Object}
+   */
+  get apiProfile() {
+    return this._apiProfile || resolveApiProfile();
+  }
+
+  /**
+   * Annotates variants in VEP POST region format via the VEP region endpoint.
+   * @param {Array<string>} variants - Variants formatted as "CHROM POS ID REF ALT . . .".
+   * @param {Object} [options={}] - VEP query parameters.
+   * @param {Object} [request={}] - Request settings ({ cache, proxyConfig }).
+   * @returns {Promise<Array<Object>>} VEP annotation records.
+   */
+  async annotateRegions(variants, options = {}, request = {}) {
+    const profile = this.apiProfile;
+    const endpoint = profile.endpoints.vepRegions;
+    return fetchApi(endpoint, options, this._request(request, 'POST', { variants }));
+  }
+
+  /**
+   * Annotates a single HGVS notation via the VEP HGVS endpoint.
+   * @param {string} hgvs - The HGVS notation.
+   * @param {Object} [options={}] - VEP query parameters.
+   * @param {Object} [request={}] - Request settings ({ cache, proxyConfig }).
+   * @returns {Promise<Array<Object>>} VEP annotation records.
+   */
+  async annotateHgvs(hgvs, options = {}, request = {}) {
+    const endpoint = `${this.apiProfile.endpoints.vepHgvs}/${hgvs}`;
+    return fetchApi(endpoint, options, this._request(request, 'GET'));
+  }
+
+  /**
+   * Recodes a single variant via the Variant Recoder GET endpoint.
+   * @param {string} variant - The variant to recode.
+   * @param {Object} [options={}] - Variant Recoder query parameters.
+   * @param {Object} [request={}] - Request settings ({ cache, proxyConfig }).
+   * @returns {Promise<Array<Object>>} Variant Recoder response.
+   */
+  async recodeVariant(variant, options = {}, request = {}) {
+    const endpoint = `${this.apiProfile.endpoints.variantRecoder}/${variant}`;
+    return fetchApi(endpoint, options, this._request(request, 'GET'));
+  }
+
+  /**
+   * Recodes a batch of variants via the Variant Recoder POST endpoint.
+   * @param {Array<string>} ids - The variants to recode.
+   * @param {Object} [options={}] - Variant Recoder query parameters.
+   * @param {Object} [request={}] - Request settings ({ cache, proxyConfig, species }); species
+   *   is the species name used in the endpoint path (default 'homo_sapiens').
+   * @returns {Promise<Array<Object>>} Variant Recoder response.
+   */
+  async recodeVariants(ids, options = {}, request = {}) {
+    const species = request.species || 'homo_sapiens';
+    const endpoint = `${this.apiProfile.endpoints.variantRecoderBase}/${species}`;
+    return fetchApi(endpoint, options, this._request(request, 'POST', { ids }));
+  }
+
+  /**
+   * Builds the fetchApi request settings of a call.
+   * @param {Object} request - Request settings of the call ({ cache, proxyConfig })
+   * @param {string} method - HTTP method
+   * @param {Object|null} [body=null] - JSON body of a POST request
+   * @returns {Object} fetchApi request settings with this source's API profile
+   * @private
+   */
+  _request(request, method, body = null) {
+    const { cache, proxyConfig } = resolveRequestSettings(request);
+    return { cache, proxyConfig, method, body, apiProfile: this.apiProfile };
+  }
+
+  /**
+   * Reports the Ensembl release, VEP version, database (VEP cache) releases, REST API version
+   * and assembly of the server. The info endpoints are queried once per base URL and process;
+   * they are not taken from the response cache, so a server upgrade is noticed on the next run.
+   * @param {Object} [proxyConfig=null] - Optional proxy configuration object.
+   * @returns {Promise<Object>} Provenance record.
+   * @throws {Error} If an info endpoint cannot be queried.
+   */
+  async getProvenance(proxyConfig = null) {
+    const profile = this.apiProfile;
+    if (!this._provenance.has(profile.baseUrl)) {
+      const query = (endpoint) =>
+        fetchApi(endpoint, {}, { method: 'GET', proxyConfig, apiProfile: profile });
+      // Wait for every query to settle so no request is left queued behind a failed one
+      const pending = Promise.allSettled([
+        query(profile.endpoints.infoSoftware),
+        query(profile.endpoints.infoData),
+        query(profile.endpoints.infoRest),
+        query(profile.endpoints.infoAssembly),
+      ])
+        .then((results) => {
+          const failed = results.find((result) => result.status === 'rejected');
+          if (failed) throw failed.reason;
+          return results.map((result) => result.value);
+        })
+        .then(([software, data, rest, assembly]) => ({
+          annotationSource: this.name,
+          apiProfile: profile.name,
+          baseUrl: profile.baseUrl,
+          ensemblRelease: software.release,
+          dataReleases: data.releases,
+          restApiVersion: rest.release,
+          assembly: assembly.assembly_name,
+          retrievedAt: new Date().toISOString(),
+        }));
+      // Failed queries are not kept, so a later run can retry them
+      pending.catch(() => this._provenance.delete(profile.baseUrl));
+      this._provenance.set(profile.baseUrl, pending);
+    }
+    const provenance = await this._provenance.get(profile.baseUrl);
+    debug(`Provenance of ${provenance.baseUrl}: Ensembl release ${provenance.ensemblRelease}`);
+    return provenance;
+  }
+}
+
+module.exports = RestAnnotationSource;
@@ -0,0 +1,287 @@
+// src/annotationSource/VepJsonAnnotationSource.js
+'use strict';
+
+/**
+ * @fileoverview Offline annotation source that replays precomputed VEP JSON from disk.
+ * Accepts the output of `vep --json` (one JSON record per line) or a JSON array, optionally
+ * gzip-compressed. Records are indexed by CHROM-POS-REF-ALT and by their original input string.
+ * @module annotationSource/VepJsonAnnotationSource
+ */
+
+// Browser environment detection and graceful fallbacks
+let fs;
+let path;
+let readline;
+let zlib;
+try {
+  fs = require('fs');
+  path = require('path');
+  readline = require('readline');
+  zlib = require('zlib');
+} catch (e) {
+  // Browser environment - modules will be null/undefined
+}
+const debug = require('debug')('variant-linker:annotation-source');
+const debugDetailed = require('debug')('variant-linker:detailed');
+
+const VEP_JSON_EXTENSIONS = ['.json', '.jsonl', '.json.gz', '.jsonl.gz'];
+
+/**
+ * Builds the lookup key used for precomputed records.
+ * @param {string} chrom - Chromosome name (a leading "chr" is ignored).
+ * @param {string|number} pos - 1-based position.
+ * @param {string} ref - Reference allele.
+ * @param {string} alt - Alternate allele.
+ * @returns {string} Key in CHROM-POS-REF-ALT format.
+ */
+function buildVariantKey(chrom, pos, ref, alt) {
+  return `${String(chrom).replace(/^chr/i, '')}-${pos}-${ref.toUpperCase()}-${alt.toUpperCase()}`;
+}
+
+/**
+ * Derives CHROM-POS-REF-ALT keys from a VEP input string.
+ * Supports VCF-like input ("1 100 . A G,T . . .") and dash format ("1-100-A-G").
+ * @param {string} input - The input string as passed to (or echoed by) VEP.
+ * @returns {Array<string>} Zero or more keys, one per ALT allele.
+ */
+function keysFromInput(input) {
+  if (typeof input !== 'string') {
+    return [];
+  }
+  const trimmed = input.trim();
+  const dashParts = trimmed.split('-');
+  if (dashParts.length === 4 && /^\d+$/.test(dashParts[1])) {
+    const [chrom, pos, ref, alt] = dashParts;
+    return [buildVariantKey(chrom, pos, ref, alt)];
+  }
+  const fields = trimmed.split(/\s+/);
+  if (fields.length >= 5 && /^\d+$/.test(fields[1]) && /^[A-Za-z*]+$/.test(fields[3])) {
+    const [chrom, pos, , ref, altField] = fields;
+    return altField
+      .split(',')
+      .filter((alt) => alt && alt !== '.')
+      .map((alt) => buildVariantKey(chrom, pos, ref, alt));
+  }
+  return [];
+}
+
+/**
+ * Annotation source that serves VEP records from precomputed `vep --json` output.
+ */
+class VepJsonAnnotationSource {
+  /**
+   * Create a new VepJsonAnnotationSource instance.
+   * @param {Object} config - Source configuration
+   * @param {string} config.path - Path to a VEP JSON file or a directory of such files
+   */
+  constructor(config = {}) {
+    if (!fs) {
+      throw new Error('The vep-json annotation source requires a Node.js environment.');
+    }
+    if (!config.path) {
+      throw new Error('The vep-json annotation source requires a path to precomputed VEP JSON.');
+    }
+    this.name = 'vep-json';
+    this.path = config.path;
+    this.recordsByKey = new Map();
+    this.recordsByInput = new Map();
+    this._loadPromise = null;
+  }
+
+  /**
+   * Lists the VEP JSON files to load from the configured path.
+   * @returns {Array<string>} File paths
+   * @private
+   */
+  _listFiles() {
+    if (!fs.existsSync(this.path)) {
+      throw new Error(`VEP JSON path not found: ${this.path}`);
+    }
+    if (!fs.statSync(this.path).isDirectory()) {
+      return [this.path];
+    }
+    return fs
+      .readdirSync(this.path)
+      .filter((file) => VEP_JSON_EXTENSIONS.some((ext) => file.endsWith(ext)))
+      .sort()
+      .map((file) => path.join(this.path, file));
+  }
+
+  /**
+   * Adds a single VEP record to the lookup indexes.
+   * @param {Object} record - A VEP JSON record
+   * @private
+   */
+  _indexRecord(record) {
+    if (!record || typeof record !== 'object') {
+      return;
+    }
+    if (typeof record.input === 'string') {
+      this.recordsByInput.set(record.input.trim(), record);
+    }
+    for (const key of keysFromInput(record.input)) {
+      this.recordsByKey.set(key, record);
+    }
+  }
+
+  /**
+   * Reads one VEP JSON file into the indexes.
+   * @param {string} filePath - File to read
+   * @returns {Promise<void>} Resolves when the file is indexed
+   * @private
+   */
+  async _loadFile(filePath) {
+    let stream = fs.createReadStream(filePath);
+    if (filePath.endsWith('.gz')) {
+      stream = stream.pipe(zlib.createGunzip());
+    }
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+    // VEP writes one JSON object per line; a JSON array is buffered and parsed at the end.
+    const arrayBuffer = [];
+    let isArray = null;
+    let lineNumber = 0;
+    for await (const line of rl) {
+      lineNumber++;
+      const trimmed = line.trim();
+      if (!trimmed) continue;
+      if (isArray === null) {
+        isArray = trimmed.startsWith('[');
+      }
+      if (isArray) {
+        arrayBuffer.push(line);
+        continue;
+      }
+      try {
+        this._indexRecord(JSON.parse(trimmed));
+      } catch (error) {
+        throw new Error(`Invalid VEP JSON in ${filePath} at line ${lineNumber}: ${error.message}`);
+      }
+    }
+
+    if (isArray) {
+      let records;
+      try {
+        records = JSON.parse(arrayBuffer.join('\n'));
+      } catch (error) {
+        throw new Error(`Invalid VEP JSON array in ${filePath}: ${error.message}`);
+      }
+      records.forEach((record) => this._indexRecord(record));
+    }
+  }
+
+  /**
+   * Loads all configured files once; subsequent calls reuse the same promise.
+   * @returns {Promise<void>} Resolves when all files are indexed
+   */
+  load() {
+    if (!this._loadPromise) {
+      this._loadPromise = (async () => {
+        const files = this._listFiles();
+        debug(`Loading precomputed VEP JSON from ${files.length} file(s) under ${this.path}`);
+        for (const file of files) {
+          await this._loadFile(file);
+        }
+        debug(
+          `Indexed ${this.recordsByKey.size} variant keys and ` +
+            `${this.recordsByInput.size} input strings from precomputed VEP JSON`
+        );
+      })();
+    }
+    return this._loadPromise;
+  }
+
+  /**
+   * Looks up the precomputed record for a single VEP input string.
+   * @param {string} input - VEP input (POST region format, dash format or HGVS)
+   * @returns {Object|null} The matching record or null
+   * @private
+   */
+  _lookup(input) {
+    const trimmed = input.trim();
+    if (this.recordsByInput.has(trimmed)) {
+      return this.recordsByInput.get(trimmed);
+    }
+    for (const key of keysFromInput(trimmed)) {
+      if (this.recordsByKey.has(key)) {
+        return this.recordsByKey.get(key);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Returns precomputed VEP records for variants in VEP POST region format.
+   * The VEP options and caching flags are accepted for interface compatibility only; the
+   * records reflect whatever options were used when the JSON was generated.
+   * Like the VEP REST endpoint, the source returns no record for a variant it cannot annotate;
+   * every record echoes its variant as `input`, which callers match the records on.
+   * @param {Array<string>} variants - Variants formatted as "CHROM POS ID REF ALT . . .".
+   * @returns {Promise<Array<Object>>} Records in input order; variants without a record are omitted.
+   */
+  async annotateRegions(variants) {
+    await this.load();
+    const results = [];
+    let missing = 0;
+    for (const variant of variants) {
+      const record = this._lookup(variant);
+      if (record) {
+        debugDetailed(`Local VEP JSON hit for '${variant}'`);
+        results.push({ ...record, input: variant });
+      } else {
+        debugDetailed(`No precomputed VEP record for '${variant}'`);
+        missing++;
+      }
+    }
+    if (missing > 0) {
+      debug(`${missing} of ${variants.length} variant(s) not found in precomputed VEP JSON`);
+    }
+    return results;
+  }
+
+  /**
+   * Returns the precomputed VEP record for an HGVS notation, matched on the VEP input string.
+   * @param {string} hgvs - The HGVS notation.
+   * @returns {Promise<Array<Object>>} Zero or one records.
+   */
+  async annotateHgvs(hgvs) {
+    await this.load();
+    const record = this._lookup(hgvs);
+    return record ? [record] : [];
+  }
+
+  /**
+   * Reports where the records come from. Precomputed `vep --json` output does not record the
+   * VEP or Ensembl release it was generated with, so only the path is known.
+   * @returns {Promise<Object>} Provenance record.
+   */
+  async getProvenance() {
+    return { annotationSource: this.name, path: this.path };
+  }
+
+  /**
+   * Variant Recoder is not available offline.
+   * @param {string} variant - The variant that would have been recoded.
+   * @throws {Error} Always.
+   */
+  async recodeVariant(variant) {
+    throw new Error(
+      `Cannot recode "${variant}": Variant Recoder is not available with the vep-json ` +
+        'annotation source. Provide CHROM-POS-REF-ALT input or a VCF file.'
+    );
+  }
+
+  /**
+   * Variant Recoder is not available offline.
+   * @param {Array<string>} ids - The variants that would have been recoded.
+   * @throws {Error} Always.
+   */
+  async recodeVariants(ids) {
+    throw new Error(
+      `Cannot recode ${ids.length} variant(s): Variant Recoder is not available with the ` +
+        'vep-json annotation source. Provide CHROM-POS-REF-ALT input or a VCF file.'
+    );
+  }
+}
+
+module.exports = VepJsonAnnotationSource;
@@ -0,0 +1,90 @@
+// src/annotationSource/index.js
+'use strict';
+
+/**
+ * @fileoverview Pluggable annotation sources used underneath vepRegionsAnnotation,
+ * vepHgvsAnnotation, variantRecoder and variantRecoderPost.
+ * Every source implements annotateRegions, annotateHgvs, recodeVariant and recodeVariants
+ * and returns records in the shape of the corresponding Ensembl REST response, and
+ * getProvenance, which describes the release the records come from. The query methods take
+ * the query options and the request settings ({ cache, proxyConfig, ... }) as separate objects.
+ * @module annotationSource
+ */
+
+const debug = require('debug')('variant-linker:annotation-source');
+const RestAnnotationSource = require('./RestAnnotationSource');
+const VepJsonAnnotationSource = require('./VepJsonAnnotationSource');
+const apiConfig = require('../../config/apiConfig.json');
+
+const ANNOTATION_SOURCES = {
+  rest: RestAnnotationSource,
+  'vep-json': VepJsonAnnotationSource,
+};
+
+// Sources are reused per type and path so local files are only indexed once per process.
+const sourceInstances = new Map();
+
+/**
+ * Creates a new annotation source of the given type.
+ *
+ * @param {string} [type='rest'] - Source type ('rest' or 'vep-json').
+ * @param {Object} [config={}] - Source-specific configuration (e.g. { path } for 'vep-json').
+ * @returns {Object} The annotation source instance.
+ * @throws {Error} If the type is unknown.
+ */
+function createAnnotationSource(type = 'rest', config = {}) {
+  const SourceClass = ANNOTATION_SOURCES[type];
+  if (!SourceClass) {
+    throw new Error(
+      `Unknown annotation source: ${type}. Valid sources are ${Object.keys(ANNOTATION_SOURCES).join(', ')}`
+    );
+  }
+  return new SourceClass(config);
+}
+
+/**
+ * Resolves the annotation source for a set of analysis parameters.
+ * An object in params.annotationSource is used as-is; a string selects a source type.
+ * Without either, the type configured in apiConfig.json (default 'rest') is used.
+ *
+ * @param {Object} [params={}] - Analysis parameters.
+ * @param {Object|string} [params.annotationSource] - Source instance or type name.
+ * @param {string} [params.vepJsonPath] - Path to precomputed VEP JSON for the 'vep-json' source.
+ * @param {Object} [params.apiProfile] - Resolved API profile for the 'rest' source.
+ * @returns {Object} The annotation source instance.
+ */
+function resolveAnnotationSource(params = {}) {
+  if (params.annotationSource && typeof params.annotationSource === 'object') {
+    return params.annotationSource;
+  }
+  const sourceConfig = apiConfig.annotationSource || {};
+  const type = params.annotationSource || sourceConfig.type || 'rest';
+  const sourcePath = params.vepJsonPath || sourceConfig.vepJsonPath || null;
+  const apiProfile = params.apiProfile || null;
+  const instanceKey = `${type}:${sourcePath || ''}:${apiProfile ? JSON.stringify(apiProfile) : ''}`;
+  if (!sourceInstances.has(instanceKey)) {
+    debug(`Creating annotation source '${type}'${sourcePath ? ` for ${sourcePath}` : ''}`);
+    sourceInstances.set(
+      instanceKey,
+      createAnnotationSource(type, { path: sourcePath, apiProfile })
+    );
+  }
+  return sourceInstances.get(instanceKey);
+}
+
+/**
+ * Returns the shared REST annotation source.
+ * @returns {RestAnnotationSource} The default source.
+ */
+function getDefaultAnnotationSource() {
+  return resolveAnnotationSource({ annotationSource: 'rest' });
+}
+
+module.exports = {
+  ANNOTATION_SOURCES,
+  createAnnotationSource,
+  resolveAnnotationSource,
+  getDefaultAnnotationSource,
+  RestAnnotationSource,
+  VepJsonAnnotationSource,
+};
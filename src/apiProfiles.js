@@ -0,0 +1,146 @@
+// src/apiProfiles.js
+'use strict';
+
+/**
+ * @fileoverview Named endpoint profiles for Ensembl-compatible REST services (the public
+ * Ensembl servers, internal mirrors, local stand-ins). A profile bundles the base URL, the
+ * endpoint paths, the POST chunk sizes, the retry policy and extra request headers, and is
+ * passed explicitly to fetchApi instead of being read from global state.
+ * @module apiProfiles
+ */
+
+const debug = require('debug')('variant-linker:api-profiles');
+const apiConfig = require('../config/apiConfig.json');
+
+/** Profile used when none is selected. */
+const DEFAULT_PROFILE_NAME = apiConfig.apiProfile || 'ensembl';
+
+/**
+ * Settings every profile starts from: the "ensembl" and "requests.retry" sections of
+ * apiConfig.json.
+ * @returns {Object} Base profile settings
+ * @private
+ */
+function _baseSettings() {
+  const retry = apiConfig.requests?.retry || {};
+  return {
+    baseUrl: apiConfig.ensembl.baseUrl,
+    legacyBaseUrl: apiConfig.ensembl.legacyBaseUrl,
+    endpoints: { ...apiConfig.ensembl.endpoints },
+    vepPostChunkSize: apiConfig.ensembl.vepPostChunkSize || 200,
+    recoderPostChunkSize: apiConfig.ensembl.recoderPostChunkSize || 200,
+    retry: {
+      maxRetries: retry.maxRetries ?? 4,
+      baseDelayMs: retry.baseDelayMs ?? 1000,
+      retryableStatusCodes: retry.retryableStatusCodes ?? [429, 500, 502, 503, 504],
+    },
+    headers: {},
+  };
+}
+
+/**
+ * Checks that a profile setting is an http(s) URL and removes a trailing slash.
+ * @param {string} url - URL to check
+ * @param {string} field - Setting name (for error messages)
+ * @param {string} name - Profile name (for error messages)
+ * @returns {string} The URL without trailing slash
+ * @throws {Error} If the URL is invalid
+ * @private
+ */
+function _checkUrl(url, field, name) {
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    // Reported below
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`API profile "${name}": ${field} must be an http(s) URL, got "${url}"`);
+  }
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Merges a profile definition over the base settings.
+ * @param {string} name - Profile name
+ * @param {Object} definition - Profile settings
+ * @returns {Object} The complete profile
+ * @private
+ */
+function _buildProfile(name, definition) {
+  const base = _baseSettings();
+  const profile = {
+    ...base,
+    ...definition,
+    name,
+    endpoints: { ...base.endpoints, ...definition.endpoints },
+    retry: { ...base.retry, ...definition.retry },
+    headers: { ...definition.headers },
+  };
+  profile.baseUrl = _checkUrl(profile.baseUrl, 'baseUrl', name);
+  profile.legacyBaseUrl = _checkUrl(profile.legacyBaseUrl, 'legacyBaseUrl', name);
+  for (const field of ['vepPostChunkSize', 'recoderPostChunkSize']) {
+    if (!Number.isInteger(profile[field]) || profile[field] < 1) {
+      throw new Error(`API profile "${name}": ${field} must be a positive integer`);
+    }
+  }
+  return profile;
+}
+
+/**
+ * Returns the profile definitions of apiConfig.json merged with additional definitions.
+ * @param {Object} [profiles={}] - Additional definitions by name (e.g. from a config file)
+ * @returns {Object} Definitions by name
+ */
+function listApiProfiles(profiles = {}) {
+  return { [DEFAULT_PROFILE_NAME]: {}, ...apiConfig.apiProfiles, ...profiles };
+}
+
+/**
+ * Resolves an API profile.
+ *
+ * The default profile takes its base URL from the ENSEMBL_BASE_URL environment variable if
+ * set; explicitly selected profiles are not affected by it. For the hg19 assembly the profile's
+ * legacyBaseUrl (the GRCh37 server) becomes its base URL.
+ *
+ * @param {string|Object} [profile] - Profile name, profile settings (e.g. an already resolved
+ *   profile) or nothing for the default profile
+ * @param {Object} [options={}] - Resolution options
+ * @param {string} [options.assembly] - Genome assembly; 'hg19' selects legacyBaseUrl
+ * @param {Object} [options.profiles] - Additional profile definitions by name
+ * @returns {Object} Profile with name, baseUrl, legacyBaseUrl, endpoints, vepPostChunkSize,
+ *   recoderPostChunkSize, retry ({ maxRetries, baseDelayMs, retryableStatusCodes }) and headers
+ * @throws {Error} If the profile is unknown or has invalid settings
+ */
+function resolveApiProfile(profile, options = {}) {
+  let name;
+  let definition;
+  if (profile && typeof profile === 'object') {
+    name = profile.name || 'custom';
+    definition = profile;
+  } else {
+    name = profile || DEFAULT_PROFILE_NAME;
+    const definitions = listApiProfiles(options.profiles);
+    if (!Object.prototype.hasOwnProperty.call(definitions, name)) {
+      throw new Error(
+        `Unknown API profile "${name}". Available profiles: ${Object.keys(definitions).join(', ')}`
+      );
+    }
+    definition = definitions[name] || {};
+  }
+
+  const resolved = _buildProfile(name, definition);
+  if (name === DEFAULT_PROFILE_NAME && process.env.ENSEMBL_BASE_URL) {
+    resolved.baseUrl = _checkUrl(process.env.ENSEMBL_BASE_URL, 'ENSEMBL_BASE_URL', name);
+  } else if (options.assembly && options.assembly.toLowerCase() === 'hg19') {
+    resolved.baseUrl = resolved.legacyBaseUrl;
+  }
+  debug(`Resolved API profile "${name}": ${resolved.baseUrl}`);
+  return resolved;
+}
+
+module.exports = {
+  DEFAULT_PROFILE_NAME,
+  listApiProfiles,
+  resolveApiProfile,
+};
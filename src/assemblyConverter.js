@@ -6,43 +6,37 @@
  */
 
 const debug = require('debug')('variant-linker:assembly-converter');
-const apiConfig = require('../config/apiConfig.json');
 const { fetchApi } = require('./apiHelper');
-const { getBaseUrl } = require('./configHelper');
+const { resolveApiProfile } = require('./apiProfiles');
+const { resolveRequestSettings } = require('./utils/requestOptions');
 
 /**
  * Lifts over coordinates from GRCh37/hg19 to GRCh38 using the Ensembl Assembly Mapper API.
+ * The request goes to the GRCh37 server of the API profile (its legacyBaseUrl).
  *
  * @param {string} region - The hg19 region string (e.g., "7:140453136-140453136")
- * @param {boolean} cacheEnabled - Whether to use caching for the API request
+ * @param {Object|boolean} [request={}] - Request settings ({ cache, apiProfile }), or the
+ *   cacheEnabled flag of earlier releases; apiProfile is the resolved API profile (defaults to
+ *   the default profile)
  * @returns {Promise<Object>} The API response containing mappings array
  * @throws {Error} If the API request fails
  */
-async function liftOverCoordinates(region, cacheEnabled = false) {
+async function liftOverCoordinates(region, request = {}) {
+  const { cache, apiProfile } = resolveRequestSettings(request);
   try {
     debug(`Attempting to lift over coordinates: ${region}`);
 
+    const profile = apiProfile || resolveApiProfile();
+    // Assembly mapping from GRCh37 is served by the GRCh37 server
+    const grch37Profile = { ...profile, baseUrl: profile.legacyBaseUrl };
+
     // Construct the endpoint path with the region
-    const endpoint = apiConfig.ensembl.endpoints.assemblyMap.replace(':region', region);
-
-    // Set the environment variable to use the legacy base URL for GRCh37 assembly mapping
-    const originalBaseUrl = process.env.ENSEMBL_BASE_URL;
-    process.env.ENSEMBL_BASE_URL = getBaseUrl('hg19');
-
-    debug(`Making liftover API call to: ${process.env.ENSEMBL_BASE_URL}${endpoint}`);
-
-    try {
-      const response = await fetchApi(endpoint, {}, cacheEnabled);
-      debug(`Liftover API response for ${region}:`, JSON.stringify(response, null, 2));
-      return response;
-    } finally {
-      // Restore the original base URL
-      if (originalBaseUrl) {
-        process.env.ENSEMBL_BASE_URL = originalBaseUrl;
-      } else {
-        delete process.env.ENSEMBL_BASE_URL;
-      }
-    }
+    const endpoint = profile.endpoints.assemblyMap.replace(':region', region);
+    debug(`Making liftover API call to: ${grch37Profile.baseUrl}${endpoint}`);
+
+    const response = await fetchApi(endpoint, {}, { cache, apiProfile: grch37Profile });
+    debug(`Liftover API response for ${region}:`, JSON.stringify(response, null, 2));
+    return response;
   } catch (error) {
     debug(`Liftover API error for region ${region}:`, error.message);
     throw error;
@@ -16,7 +16,30 @@ const apiConfig = require('../config/apiConfig.json');
 const cacheConfig = apiConfig.cache || {};
 
 // Initialize the unified cache manager
-const cacheManager = new CacheManager(cacheConfig);
+let cacheManager = new CacheManager(cacheConfig);
+
+/**
+ * Replaces the cache manager with one built from apiConfig.json's cache settings merged with
+ * the given overrides (e.g. to enable the persistent tier at another location).
+ * Entries in the previous memory cache are dropped.
+ * @param {Object} [overrides={}] - Cache configuration overrides
+ * @param {Object} [overrides.memory] - Memory cache settings (see CacheManager)
+ * @param {Object} [overrides.persistent] - Persistent cache settings (see CacheManager)
+ * @returns {CacheManager} The new cache manager
+ */
+function configureCache(overrides = {}) {
+  const config = {
+    ...cacheConfig,
+    memory: { ...cacheConfig.memory, ...overrides.memory },
+    persistent: { ...cacheConfig.persistent, ...overrides.persistent },
+  };
+  debug(
+    `Reconfiguring cache (persistent: ${config.persistent.enabled ? config.persistent.location : 'disabled'})`
+  );
+  cacheManager.close();
+  cacheManager = new CacheManager(config);
+  return cacheManager;
+}
 
 /**
  * Stores data in the cache for a given key with an optional TTL.
@@ -32,6 +55,18 @@ function setCache(key, data, ttl) {
   });
 }
 
+/**
+ * Async version of setCache that resolves once the data is stored in every cache tier.
+ * @param {string} key - The key to store the data under (typically the request URL).
+ * @param {*} data - The data to cache.
+ * @param {number} [ttl] - Time-to-live in milliseconds (uses default if not provided).
+ * @returns {Promise<void>} Promise that resolves when the data is stored
+ */
+async function setCacheAsync(key, data, ttl) {
+  debug(`Setting cache for key: ${key}${ttl ? `, TTL: ${ttl}ms` : ''}`);
+  await cacheManager.set(key, data, ttl);
+}
+
 /**
  * Retrieves cached data for the given key if it has not expired.
  * @param {string} key - The cache key.
@@ -103,6 +138,29 @@ async function getComprehensiveCacheStats() {
   return await cacheManager.getStats();
 }
 
+/**
+ * Summarises the cache lookups made since a snapshot of the hit statistics.
+ * @param {Object} [since] - Earlier result of getCacheManager().getHitStats(); all lookups since
+ *   startup are counted if omitted
+ * @returns {Object} memoryHits, persistentHits, misses, lookups, hitRate (0-1, null without
+ *   lookups) and whether the persistent tier is enabled
+ */
+function getCacheHitStats(since = {}) {
+  const current = cacheManager.getHitStats();
+  const memoryHits = current.memoryHits - (since.memoryHits || 0);
+  const persistentHits = current.persistentHits - (since.persistentHits || 0);
+  const misses = current.misses - (since.misses || 0);
+  const lookups = memoryHits + persistentHits + misses;
+  return {
+    memoryHits,
+    persistentHits,
+    misses,
+    lookups,
+    hitRate: lookups > 0 ? (memoryHits + persistentHits) / lookups : null,
+    persistentEnabled: Boolean(cacheManager.persistentCache),
+  };
+}
+
 /**
  * Checks if a key exists in the memory cache (without affecting LRU order).
  * @param {string} key - The cache key to check.
@@ -137,9 +195,12 @@ module.exports = {
   getCacheStats,
   hasCache,
   // New async APIs
+  setCacheAsync,
   getCacheAsync,
   clearCacheAsync,
   getComprehensiveCacheStats,
+  getCacheHitStats,
   hasCacheAsync,
   getCacheManager,
+  configureCache,
 };
@@ -11,6 +11,15 @@ const { LRUCache } = require('lru-cache');
 const PersistentCache = require('./PersistentCache');
 const debug = require('debug')('variant-linker:cache-manager');
 
+/**
+ * Storage backends of the persistent tier. The SQLite store is loaded on demand because it
+ * depends on the optional better-sqlite3 package.
+ */
+const PERSISTENT_STORES = {
+  file: () => PersistentCache,
+  sqlite: () => require('./SqliteCache'),
+};
+
 /**
  * Unified cache manager with memory (L1) and persistent (L2) tiers.
  */
@@ -26,6 +35,8 @@ class CacheManager {
    * @param {string} [config.persistent.location] - Cache directory path
    * @param {number} [config.persistent.ttl=86400000] - Persistent cache TTL in ms
    * @param {string} [config.persistent.maxSize="100MB"] - Max persistent cache size
+   * @param {string} [config.persistent.store="file"] - Storage backend: "file" (one JSON file
+   *   per entry) or "sqlite" (a single SQLite database; requires better-sqlite3)
    */
   constructor(config = {}) {
     this.config = config;
@@ -44,18 +55,29 @@ class CacheManager {
     this.persistentCache = null;
     if (config.persistent?.enabled) {
       try {
-        this.persistentCache = new PersistentCache({
+        const store = config.persistent.store || 'file';
+        if (!PERSISTENT_STORES[store]) {
+          throw new Error(
+            `Unknown persistent cache store "${store}" ` +
+              `(expected one of: ${Object.keys(PERSISTENT_STORES).join(', ')})`
+          );
+        }
+        const Store = PERSISTENT_STORES[store]();
+        this.persistentCache = new Store({
           location: config.persistent.location,
           ttl: config.persistent.ttl || 86400000, // 24 hours
           maxSize: config.persistent.maxSize || '100MB',
         });
-        debug('Persistent cache enabled');
+        debug(`Persistent cache enabled (${store} store)`);
       } catch (error) {
         debug(`Failed to initialize persistent cache: ${error.message}`);
         console.warn(`Persistent cache disabled due to initialization error: ${error.message}`);
       }
     }
 
+    // Lookup outcomes of get(), cumulative over the lifetime of the manager
+    this.hitStats = { memoryHits: 0, persistentHits: 0, misses: 0 };
+
     debug(
       `Cache manager initialized. Memory: ${memoryConfig.maxSize || 100} entries, Persistent: ${config.persistent?.enabled ? 'enabled' : 'disabled'}`
     );
@@ -97,6 +119,7 @@ class CacheManager {
     const memoryData = this.memoryCache.get(key);
     if (memoryData !== undefined) {
       debug(`Cache hit (L1/memory) for key: ${key}`);
+      this.hitStats.memoryHits++;
       return memoryData;
     }
 
@@ -113,6 +136,7 @@ class CacheManager {
           this.memoryCache.set(key, persistentData);
           debug(`Promoted key ${key} from L2 to L1 cache`);
 
+          this.hitStats.persistentHits++;
           return persistentData;
         }
       } catch (error) {
@@ -121,6 +145,7 @@ class CacheManager {
     }
 
     debug(`Cache miss (all tiers) for key: ${key}`);
+    this.hitStats.misses++;
     return null;
   }
 
@@ -212,6 +237,7 @@ class CacheManager {
       persistent: {
         enabled: !!this.persistentCache,
       },
+      hits: this.getHitStats(),
     };
 
     if (this.persistentCache) {
@@ -229,6 +255,23 @@ class CacheManager {
     return stats;
   }
 
+  /**
+   * Get the lookup outcomes of get() since the manager was created.
+   * @returns {Object} Counts of memoryHits, persistentHits and misses
+   */
+  getHitStats() {
+    return { ...this.hitStats };
+  }
+
+  /**
+   * Release resources held by the persistent tier (e.g. the SQLite database handle).
+   */
+  close() {
+    if (this.persistentCache && typeof this.persistentCache.close === 'function') {
+      this.persistentCache.close();
+    }
+  }
+
   /**
    * Get the current configuration.
    * @returns {Object} Current cache configuration
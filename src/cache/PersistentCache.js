@@ -22,6 +22,9 @@ try {
 }
 const debug = require('debug')('variant-linker:persistent-cache');
 
+// Minimum time between the background cleanups triggered by set()
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
 /**
  * Persistent cache that stores data in JSON files on disk.
  * Provides TTL support and atomic write operations for data integrity.
@@ -56,6 +59,7 @@ class PersistentCache {
 
     // Ensure cache directory exists
     this._ensureCacheDir();
+    this._lastCleanup = 0;
 
     debug(`Persistent cache initialized at: ${this.cacheDir}`);
     debug(`Max size: ${this.maxSize} bytes, Default TTL: ${this.defaultTTL}ms`);
@@ -200,8 +204,12 @@ class PersistentCache {
       this._writeCacheFile(filePath, entry);
       debug(`Set cache entry for key: ${key}, expires: ${new Date(expiresAt).toISOString()}`);
 
-      // Background cleanup of expired entries
-      setImmediate(() => this._cleanupExpired());
+      // Background cleanup of expired entries; every cleanup reads the whole directory, so
+      // batch runs writing one entry per variant only trigger it once per interval
+      if (Date.now() - this._lastCleanup >= CLEANUP_INTERVAL_MS) {
+        this._lastCleanup = Date.now();
+        setImmediate(() => this._cleanupExpired());
+      }
     } catch (error) {
       debug(`Failed to set cache entry for key ${key}: ${error.message}`);
       // Don't throw - persistent cache failures shouldn't break the application
@@ -304,15 +312,69 @@ class PersistentCache {
     }
   }
 
+  /**
+   * Store a complete cache entry, keeping its creation and expiry times (used to import
+   * entries exported from another cache).
+   * @param {Object} entry - Cache entry
+   * @param {string} entry.key - Cache key
+   * @param {*} entry.data - Cached data
+   * @param {number} entry.expiresAt - Expiry time (ms since the epoch)
+   * @param {number} [entry.createdAt] - Creation time (ms since the epoch)
+   * @returns {Promise<void>} Promise that resolves when the entry is stored
+   */
+  async setEntry(entry) {
+    this._writeCacheFile(this._getFilePath(entry.key), {
+      key: entry.key,
+      data: entry.data,
+      expiresAt: entry.expiresAt,
+      createdAt: entry.createdAt || Date.now(),
+    });
+  }
+
+  /**
+   * Retrieve a complete cache entry including its metadata, even if it has expired.
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} The entry ({ key, data, createdAt, expiresAt }) or null
+   */
+  async getEntry(key) {
+    const filePath = this._getFilePath(key);
+    return fs.existsSync(filePath) ? this._readCacheFile(filePath) : null;
+  }
+
+  /**
+   * Iterate over all unexpired cache entries.
+   * @generator
+   * @yields {Object} Cache entries ({ key, data, createdAt, expiresAt })
+   */
+  *entries() {
+    const now = Date.now();
+    for (const file of fs.readdirSync(this.cacheDir)) {
+      if (!file.endsWith('.json')) continue;
+      const entry = this._readCacheFile(path.join(this.cacheDir, file));
+      if (entry && typeof entry.key === 'string' && now < entry.expiresAt) {
+        yield entry;
+      }
+    }
+  }
+
+  /**
+   * Remove expired and unreadable cache entries.
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async prune() {
+    return this._cleanupExpired();
+  }
+
   /**
    * Clean up expired cache entries.
+   * @returns {number} Number of removed entries
    * @private
    */
   _cleanupExpired() {
+    let deletedCount = 0;
     try {
       const files = fs.readdirSync(this.cacheDir);
       const now = Date.now();
-      let deletedCount = 0;
 
       for (const file of files) {
         if (!file.endsWith('.json')) continue;
@@ -336,6 +398,7 @@ class PersistentCache {
     } catch (error) {
       debug(`Failed to cleanup expired entries: ${error.message}`);
     }
+    return deletedCount;
   }
 
   /**
@@ -367,9 +430,12 @@ class PersistentCache {
         }
       }
 
+      const totalFiles = files.filter((f) => f.endsWith('.json')).length;
       return {
+        store: 'file',
         location: this.cacheDir,
-        totalFiles: files.filter((f) => f.endsWith('.json')).length,
+        totalFiles,
+        totalEntries: totalFiles,
         validEntries,
         expiredEntries,
         totalSize,
@@ -379,8 +445,10 @@ class PersistentCache {
     } catch (error) {
       debug(`Failed to get cache stats: ${error.message}`);
       return {
+        store: 'file',
         location: this.cacheDir,
         totalFiles: 0,
+        totalEntries: 0,
         validEntries: 0,
         expiredEntries: 0,
         totalSize: 0,
@@ -0,0 +1,380 @@
+// src/cache/SqliteCache.js
+'use strict';
+
+/**
+ * @fileoverview Persistent cache stored in a single SQLite database. An alternative to the
+ * one-file-per-key PersistentCache for large caches: expiry is indexed, the total size is
+ * maintained by triggers, and writes are transactions in WAL mode, so several processes can
+ * share one cache. Requires the optional better-sqlite3 package.
+ * @module cache/SqliteCache
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const debug = require('debug')('variant-linker:sqlite-cache');
+
+/** Name of the database file inside the cache directory. */
+const DATABASE_FILE = 'cache.sqlite';
+
+// Minimum time between the expiry sweeps triggered by set()
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+// How long a process waits for another process's write transaction to finish
+const BUSY_TIMEOUT_MS = 10 * 1000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS entries (
+    key TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS entries_expires_at ON entries (expires_at);
+  CREATE INDEX IF NOT EXISTS entries_created_at ON entries (created_at);
+  CREATE TABLE IF NOT EXISTS totals (id INTEGER PRIMARY KEY CHECK (id = 1), size INTEGER NOT NULL);
+  INSERT OR IGNORE INTO totals (id, size) VALUES (1, 0);
+  CREATE TRIGGER IF NOT EXISTS entries_size_insert AFTER INSERT ON entries BEGIN
+    UPDATE totals SET size = size + NEW.size WHERE id = 1;
+  END;
+  CREATE TRIGGER IF NOT EXISTS entries_size_update AFTER UPDATE ON entries BEGIN
+    UPDATE totals SET size = size + NEW.size - OLD.size WHERE id = 1;
+  END;
+  CREATE TRIGGER IF NOT EXISTS entries_size_delete AFTER DELETE ON entries BEGIN
+    UPDATE totals SET size = size - OLD.size WHERE id = 1;
+  END;
+`;
+
+/**
+ * Loads better-sqlite3, which is an optional dependency.
+ * @returns {Function} The better-sqlite3 Database constructor
+ * @throws {Error} If the package is not installed
+ * @private
+ */
+function _loadDatabase() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error(
+      'The sqlite cache store requires the optional dependency better-sqlite3 ' +
+        `(npm install better-sqlite3): ${error.message}`
+    );
+  }
+}
+
+/**
+ * Persistent cache backed by a SQLite database, with the same interface as PersistentCache.
+ */
+class SqliteCache {
+  /**
+   * Create a new SqliteCache instance.
+   * @param {Object} config - Cache configuration
+   * @param {string} [config.location] - Cache directory path (holds cache.sqlite)
+   * @param {number} [config.ttl] - Default TTL in milliseconds
+   * @param {string} [config.maxSize] - Maximum size of the cached data (e.g., "100MB"); the
+   *   oldest entries are evicted when it is exceeded
+   * @throws {Error} If better-sqlite3 is missing or the database cannot be opened
+   */
+  constructor(config = {}) {
+    const Database = _loadDatabase();
+
+    this.defaultTTL = config.ttl || 24 * 60 * 60 * 1000; // 24 hours default
+    this.maxSize = this._parseSizeString(config.maxSize || '100MB');
+    this.cacheDir = config.location
+      ? path.resolve(config.location.replace('~', os.homedir()))
+      : path.join(os.homedir(), '.cache', 'variant-linker');
+    fs.mkdirSync(this.cacheDir, { recursive: true });
+    this.databasePath = path.join(this.cacheDir, DATABASE_FILE);
+
+    this.db = new Database(this.databasePath, { timeout: BUSY_TIMEOUT_MS });
+    // WAL lets readers in other processes continue while one process writes
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.exec(SCHEMA);
+    this._prepareStatements();
+    this._lastCleanup = 0;
+
+    debug(`SQLite cache initialized at: ${this.databasePath}`);
+    debug(`Max size: ${this.maxSize} bytes, Default TTL: ${this.defaultTTL}ms`);
+  }
+
+  /**
+   * Parse size string (e.g., "100MB") to bytes.
+   * @param {string} sizeStr - Size string
+   * @returns {number} Size in bytes
+   * @private
+   */
+  _parseSizeString(sizeStr) {
+    const units = {
+      B: 1,
+      KB: 1024,
+      MB: 1024 * 1024,
+      GB: 1024 * 1024 * 1024,
+    };
+
+    const match = sizeStr.match(/^(\d+(?:\.\d+)?)(B|KB|MB|GB)$/i);
+    if (!match) {
+      throw new Error(`Invalid size string: ${sizeStr}`);
+    }
+
+    const [, size, unit] = match;
+    return Math.floor(parseFloat(size) * units[unit.toUpperCase()]);
+  }
+
+  /**
+   * Prepare the SQL statements used by the cache operations.
+   * @private
+   */
+  _prepareStatements() {
+    const db = this.db;
+    this.statements = {
+      upsert: db.prepare(
+        `INSERT INTO entries (key, data, size, created_at, expires_at)
+         VALUES (@key, @data, @size, @createdAt, @expiresAt)
+         ON CONFLICT (key) DO UPDATE SET data = excluded.data, size = excluded.size,
+           created_at = excluded.created_at, expires_at = excluded.expires_at`
+      ),
+      select: db.prepare('SELECT * FROM entries WHERE key = ?'),
+      delete: db.prepare('DELETE FROM entries WHERE key = ?'),
+      deleteAll: db.prepare('DELETE FROM entries'),
+      deleteExpired: db.prepare('DELETE FROM entries WHERE expires_at <= ?'),
+      oldest: db.prepare('SELECT key, size FROM entries ORDER BY created_at'),
+      totalSize: db.prepare('SELECT size FROM totals WHERE id = 1').pluck(),
+      countValid: db.prepare('SELECT COUNT(*) FROM entries WHERE expires_at > ?').pluck(),
+      countAll: db.prepare('SELECT COUNT(*) FROM entries').pluck(),
+      valid: db.prepare('SELECT * FROM entries WHERE expires_at > ?'),
+    };
+
+    // Writing an entry and enforcing the size limit form one transaction
+    this._write = db.transaction((row) => {
+      this.statements.upsert.run(row);
+      if (this.statements.totalSize.get() > this.maxSize) {
+        this.statements.deleteExpired.run(Date.now());
+        this._evictOldest(this.statements.totalSize.get() - this.maxSize);
+      }
+    });
+  }
+
+  /**
+   * Remove the oldest entries until at least the given number of bytes is freed.
+   * @param {number} excess - Bytes to free
+   * @private
+   */
+  _evictOldest(excess) {
+    const keys = [];
+    for (const row of this.statements.oldest.iterate()) {
+      if (excess <= 0) break;
+      keys.push(row.key);
+      excess -= row.size;
+    }
+    keys.forEach((key) => this.statements.delete.run(key));
+    if (keys.length > 0) {
+      debug(`Evicted ${keys.length} oldest cache entries to stay within ${this.maxSize} bytes`);
+    }
+  }
+
+  /**
+   * Convert a database row into a cache entry.
+   * @param {Object} row - Row of the entries table
+   * @returns {Object} Cache entry ({ key, data, createdAt, expiresAt })
+   * @private
+   */
+  _toEntry(row) {
+    return {
+      key: row.key,
+      data: JSON.parse(row.data),
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+    };
+  }
+
+  /**
+   * Write an entry, evicting the oldest entries if the maximum size is exceeded.
+   * @param {Object} entry - Cache entry ({ key, data, createdAt, expiresAt })
+   * @private
+   */
+  _writeEntry(entry) {
+    const data = JSON.stringify(entry.data);
+    this._write({
+      key: entry.key,
+      data,
+      size: Buffer.byteLength(data) + Buffer.byteLength(entry.key),
+      createdAt: entry.createdAt,
+      expiresAt: entry.expiresAt,
+    });
+  }
+
+  /**
+   * Store data in persistent cache.
+   * @param {string} key - Cache key
+   * @param {*} data - Data to cache
+   * @param {number} [ttl] - Time-to-live in milliseconds
+   * @returns {Promise<void>} Promise that resolves when data is stored
+   */
+  async set(key, data, ttl = this.defaultTTL) {
+    const now = Date.now();
+    try {
+      this._writeEntry({ key, data, createdAt: now, expiresAt: now + ttl });
+      debug(`Set cache entry for key: ${key}`);
+
+      if (now - this._lastCleanup >= CLEANUP_INTERVAL_MS) {
+        this._lastCleanup = now;
+        this._cleanupExpired();
+      }
+    } catch (error) {
+      debug(`Failed to set cache entry for key ${key}: ${error.message}`);
+      // Don't throw - persistent cache failures shouldn't break the application
+    }
+  }
+
+  /**
+   * Retrieve data from persistent cache.
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Cached data or null if not found/expired
+   */
+  async get(key) {
+    try {
+      const row = this.statements.select.get(key);
+      if (!row) {
+        debug(`Cache miss: no entry for key ${key}`);
+        return null;
+      }
+      if (Date.now() >= row.expires_at) {
+        debug(`Cache miss: expired entry for key ${key}`);
+        this.statements.delete.run(key);
+        return null;
+      }
+      debug(`Cache hit for key: ${key}`);
+      return JSON.parse(row.data);
+    } catch (error) {
+      debug(`Failed to get cache entry for key ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Check if a key exists in cache and is not expired.
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if key exists and is valid
+   */
+  async has(key) {
+    const data = await this.get(key);
+    return data !== null;
+  }
+
+  /**
+   * Remove a specific cache entry.
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if entry was removed
+   */
+  async delete(key) {
+    try {
+      return this.statements.delete.run(key).changes > 0;
+    } catch (error) {
+      debug(`Failed to delete cache entry for key ${key}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Clear all cache entries.
+   * @returns {Promise<void>} Promise that resolves when all entries are cleared
+   */
+  async clear() {
+    try {
+      this.statements.deleteAll.run();
+      debug('Cleared all cache entries');
+    } catch (error) {
+      debug(`Failed to clear cache: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a complete cache entry, keeping its creation and expiry times.
+   * @param {Object} entry - Cache entry ({ key, data, expiresAt, createdAt })
+   * @returns {Promise<void>} Promise that resolves when the entry is stored
+   */
+  async setEntry(entry) {
+    this._writeEntry({ ...entry, createdAt: entry.createdAt || Date.now() });
+  }
+
+  /**
+   * Retrieve a complete cache entry including its metadata, even if it has expired.
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} The entry ({ key, data, createdAt, expiresAt }) or null
+   */
+  async getEntry(key) {
+    const row = this.statements.select.get(key);
+    return row ? this._toEntry(row) : null;
+  }
+
+  /**
+   * Iterate over all unexpired cache entries.
+   * @generator
+   * @yields {Object} Cache entries ({ key, data, createdAt, expiresAt })
+   */
+  *entries() {
+    for (const row of this.statements.valid.iterate(Date.now())) {
+      yield this._toEntry(row);
+    }
+  }
+
+  /**
+   * Remove expired cache entries.
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async prune() {
+    return this._cleanupExpired();
+  }
+
+  /**
+   * Clean up expired cache entries.
+   * @returns {number} Number of removed entries
+   * @private
+   */
+  _cleanupExpired() {
+    try {
+      const deletedCount = this.statements.deleteExpired.run(Date.now()).changes;
+      if (deletedCount > 0) {
+        debug(`Cleaned up ${deletedCount} expired cache entries`);
+      }
+      return deletedCount;
+    } catch (error) {
+      debug(`Failed to cleanup expired entries: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Get cache statistics.
+   * @returns {Promise<Object>} Cache statistics
+   */
+  async getStats() {
+    const totalEntries = this.statements.countAll.get();
+    const validEntries = this.statements.countValid.get(Date.now());
+    return {
+      store: 'sqlite',
+      location: this.cacheDir,
+      databasePath: this.databasePath,
+      totalEntries,
+      validEntries,
+      expiredEntries: totalEntries - validEntries,
+      totalSize: this.statements.totalSize.get(),
+      maxSize: this.maxSize,
+      defaultTTL: this.defaultTTL,
+    };
+  }
+
+  /**
+   * Close the database. The cache cannot be used afterwards.
+   */
+  close() {
+    if (this.db.open) {
+      this.db.close();
+      debug(`Closed SQLite cache at: ${this.databasePath}`);
+    }
+  }
+}
+
+module.exports = SqliteCache;
@@ -0,0 +1,300 @@
+// src/cache/cacheArchive.js
+'use strict';
+
+/**
+ * @fileoverview Export and import of the persistent cache, e.g. to warm a cache on a connected
+ * machine and ship it to an offline cluster. An export is a JSON Lines file (gzip-compressed if
+ * its name ends in ".gz"): a header line describing the export, followed by one line per cache
+ * entry carrying its key, data, creation and expiry time.
+ * @module cache/cacheArchive
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { Readable, pipeline } = require('stream');
+const zlib = require('zlib');
+const debug = require('debug')('variant-linker:cache-archive');
+const { CACHE_KEY_VERSION, buildVariantCacheKey, parseVariantCacheKey } = require('./variantCache');
+const { version: variantLinkerVersion } = require('../../package.json');
+
+/** Type marker of the header line. */
+const ARCHIVE_TYPE = 'variant-linker-cache';
+
+/** Version of the export file layout. */
+const ARCHIVE_FORMAT_VERSION = 1;
+
+/**
+ * Identifies the request (base URL, endpoint, query options) a per-variant key belongs to.
+ * @param {string} baseUrl - API base URL
+ * @param {string} endpoint - API endpoint path
+ * @param {Object} options - Query options
+ * @returns {string} Identifier that is equal for equal option sets
+ * @private
+ */
+function _optionSetId(baseUrl, endpoint, options) {
+  return buildVariantCacheKey(endpoint, baseUrl, options, '');
+}
+
+/**
+ * Groups cache entries by the request they were cached for.
+ * @param {Iterable<Object>} entries - Cache entries ({ key, ... })
+ * @returns {Object} { entryCount, otherEntries, optionSets } where optionSets lists
+ *   { baseUrl, endpoint, options, keyVersion, count } per distinct request and otherEntries
+ *   counts entries that are not per-variant entries (e.g. cached GET responses)
+ */
+function summarizeEntries(entries) {
+  const optionSets = new Map();
+  let entryCount = 0;
+  let otherEntries = 0;
+  for (const entry of entries) {
+    entryCount++;
+    const parsed = parseVariantCacheKey(entry.key);
+    if (!parsed) {
+      otherEntries++;
+      continue;
+    }
+    const id =
+      parsed.version === null
+        ? 'unversioned'
+        : _optionSetId(parsed.baseUrl, parsed.endpoint, parsed.options);
+    if (!optionSets.has(id)) {
+      optionSets.set(id, {
+        baseUrl: parsed.baseUrl,
+        endpoint: parsed.endpoint,
+        options: parsed.options,
+        keyVersion: parsed.version,
+        count: 0,
+      });
+    }
+    optionSets.get(id).count++;
+  }
+  return { entryCount, otherEntries, optionSets: [...optionSets.values()] };
+}
+
+/**
+ * Compares the option sets of cache entries with the requests the current settings would make.
+ * Entries cached for other options, another base URL (assembly) or another key version are
+ * never served, so each such option set yields a warning.
+ * @param {Array<Object>} optionSets - Option sets as returned by summarizeEntries
+ * @param {Array<Object>} currentRequests - { baseUrl, endpoint, options } of the requests made
+ *   with the current settings
+ * @returns {Array<string>} Warnings, empty if every option set matches a current request
+ */
+function findOptionMismatches(optionSets, currentRequests) {
+  const currentIds = new Set(
+    currentRequests.map((request) =>
+      _optionSetId(request.baseUrl, request.endpoint, request.options)
+    )
+  );
+  const warnings = [];
+  for (const set of optionSets) {
+    if (set.keyVersion !== CACHE_KEY_VERSION) {
+      warnings.push(
+        `${set.count} entr${set.count === 1 ? 'y uses' : 'ies use'} cache key version ` +
+          `${set.keyVersion === null ? 'none' : set.keyVersion} (expected ${CACHE_KEY_VERSION}) ` +
+          'and will not be used'
+      );
+      continue;
+    }
+    if (!currentIds.has(_optionSetId(set.baseUrl, set.endpoint, set.options))) {
+      const current = currentRequests.find((request) => request.endpoint === set.endpoint);
+      warnings.push(
+        `${set.count} entr${set.count === 1 ? 'y' : 'ies'} for ${set.endpoint} were cached ` +
+          `with options ${JSON.stringify(set.options)} at ${set.baseUrl}` +
+          (current
+            ? `, but the current settings request ${JSON.stringify(current.options)} ` +
+              `at ${current.baseUrl}`
+            : '') +
+          '; they will not be used'
+      );
+    }
+  }
+  return warnings;
+}
+
+/**
+ * Writes lines to a file, gzip-compressing them if the file name ends in ".gz".
+ * @param {string} filePath - Output file
+ * @param {Iterable<string>} lines - Lines without line terminator
+ * @returns {Promise<void>} Resolves when the file is completely written
+ * @private
+ */
+function _writeLines(filePath, lines) {
+  const streams = [
+    Readable.from(
+      (function* () {
+        for (const line of lines) yield `${line}\n`;
+      })()
+    ),
+  ];
+  if (filePath.endsWith('.gz')) {
+    streams.push(zlib.createGzip());
+  }
+  streams.push(fs.createWriteStream(filePath));
+  return new Promise((resolve, reject) => {
+    pipeline(...streams, (error) => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * Exports all unexpired entries of a persistent cache.
+ * @param {PersistentCache} persistentCache - Cache to export
+ * @param {string} filePath - Output file (gzip-compressed if it ends in ".gz")
+ * @returns {Promise<Object>} The header written to the export
+ */
+async function exportCache(persistentCache, filePath) {
+  const summary = summarizeEntries(persistentCache.entries());
+  const header = {
+    type: ARCHIVE_TYPE,
+    formatVersion: ARCHIVE_FORMAT_VERSION,
+    keyVersion: CACHE_KEY_VERSION,
+    variantLinkerVersion,
+    exportedAt: new Date().toISOString(),
+    ...summary,
+  };
+
+  // Second pass over the cache: the header needs the totals, the entries are not held in memory
+  const lines = (function* () {
+    yield JSON.stringify(header);
+    for (const { key, data, createdAt, expiresAt } of persistentCache.entries()) {
+      yield JSON.stringify({ key, data, createdAt, expiresAt });
+    }
+  })();
+  await _writeLines(filePath, lines);
+  debug(`Exported ${summary.entryCount} cache entries to ${filePath}`);
+  return header;
+}
+
+/**
+ * Opens an export for line-by-line reading, decompressing gzip files by their magic bytes.
+ * @param {string} filePath - Export file
+ * @returns {readline.Interface} Line reader
+ * @private
+ */
+function _readLines(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Cache export not found: ${filePath}`);
+  }
+  const magic = Buffer.alloc(2);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, magic, 0, 2, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  let input = fs.createReadStream(filePath);
+  if (magic[0] === 0x1f && magic[1] === 0x8b) {
+    input = input.pipe(zlib.createGunzip());
+  }
+  return readline.createInterface({ input, crlfDelay: Infinity });
+}
+
+/**
+ * Validates the header line of an export.
+ * @param {string} line - First line of the export
+ * @param {string} filePath - Export file (for error messages)
+ * @returns {Object} The parsed header
+ * @throws {Error} If the file is not a cache export or uses an unsupported layout
+ * @private
+ */
+function _parseHeader(line, filePath) {
+  let header = null;
+  try {
+    header = JSON.parse(line);
+  } catch (error) {
+    // Reported below
+  }
+  if (!header || header.type !== ARCHIVE_TYPE) {
+    throw new Error(`${filePath} is not a variant-linker cache export`);
+  }
+  if (header.formatVersion !== ARCHIVE_FORMAT_VERSION) {
+    throw new Error(
+      `Unsupported cache export format version ${header.formatVersion} in ${filePath} ` +
+        `(expected ${ARCHIVE_FORMAT_VERSION})`
+    );
+  }
+  if (header.keyVersion !== CACHE_KEY_VERSION) {
+    throw new Error(
+      `Cache export ${filePath} was created by variant-linker ${header.variantLinkerVersion} ` +
+        `with cache key version ${header.keyVersion}, but this version uses ` +
+        `${CACHE_KEY_VERSION}. Re-export the cache with a matching variant-linker version.`
+    );
+  }
+  return header;
+}
+
+/**
+ * Imports an export into a persistent cache. Entries keep their creation and expiry time;
+ * expired entries are skipped, and an existing entry is only replaced by one that expires later.
+ *
+ * @param {PersistentCache} persistentCache - Cache to import into
+ * @param {string} filePath - Export file (plain or gzip-compressed)
+ * @param {Object} [options={}] - Import options
+ * @param {Array<Object>} [options.currentRequests=[]] - { baseUrl, endpoint, options } of the
+ *   requests made with the current settings; option sets of the export that match none of them
+ *   are reported as warnings
+ * @param {boolean} [options.strict=false] - Fail instead of warning on option mismatches
+ * @param {number} [options.ttl] - Let imported entries expire this many milliseconds after the
+ *   import instead of at their original expiry time (also revives expired entries)
+ * @returns {Promise<Object>} { imported, skippedExpired, skippedExisting, header, warnings }
+ * @throws {Error} If the file is not a compatible export, or on option mismatches in strict mode
+ */
+async function importCache(persistentCache, filePath, options = {}) {
+  const lines = _readLines(filePath);
+  const result = { imported: 0, skippedExpired: 0, skippedExisting: 0, header: null, warnings: [] };
+  const now = Date.now();
+
+  try {
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      if (!result.header) {
+        result.header = _parseHeader(line, filePath);
+        result.warnings = findOptionMismatches(
+          result.header.optionSets || [],
+          options.currentRequests || []
+        );
+        if (options.strict && result.warnings.length > 0) {
+          throw new Error(`Cache export does not match the current options: ${result.warnings[0]}`);
+        }
+        continue;
+      }
+
+      const entry = JSON.parse(line);
+      if (typeof entry.key !== 'string' || typeof entry.expiresAt !== 'number') {
+        throw new Error(`Invalid cache entry in ${filePath}: ${line.slice(0, 100)}`);
+      }
+      if (options.ttl) {
+        entry.expiresAt = now + options.ttl;
+      } else if (now >= entry.expiresAt) {
+        result.skippedExpired++;
+        continue;
+      }
+      const existing = await persistentCache.getEntry(entry.key);
+      if (existing && existing.expiresAt >= entry.expiresAt) {
+        result.skippedExisting++;
+        continue;
+      }
+      await persistentCache.setEntry(entry);
+      result.imported++;
+    }
+  } finally {
+    lines.close();
+  }
+
+  if (!result.header) {
+    throw new Error(`${filePath} is not a variant-linker cache export`);
+  }
+  debug(
+    `Imported ${result.imported} cache entries from ${filePath} ` +
+      `(${result.skippedExpired} expired, ${result.skippedExisting} already present)`
+  );
+  return result;
+}
+
+module.exports = {
+  ARCHIVE_FORMAT_VERSION,
+  exportCache,
+  findOptionMismatches,
+  importCache,
+  summarizeEntries,
+};
@@ -0,0 +1,196 @@
+// src/cache/variantCache.js
+'use strict';
+
+/**
+ * @fileoverview Per-variant caching for batch POST requests. Instead of caching a whole
+ * request under its URL (which misses whenever the chunk composition changes), each variant's
+ * records are cached under a key made of the endpoint, the API base URL (which selects the
+ * assembly), the query options and the normalised variant. Only variants without a cache entry
+ * are sent to the API, and the response is split back into per-variant entries.
+ * @module cache/variantCache
+ */
+
+const debug = require('debug')('variant-linker:cache');
+const { getCacheAsync, setCacheAsync } = require('../cache');
+
+/**
+ * Version of the per-variant key layout and of the cached record shape. Bump it when either
+ * changes so that exported caches built by older releases are recognised as incompatible.
+ */
+const CACHE_KEY_VERSION = 1;
+const KEY_PREFIX = `variant:v${CACHE_KEY_VERSION}`;
+
+/**
+ * Serialises query options independent of key order.
+ * @param {Object} options - Query options
+ * @returns {string} Canonical JSON
+ * @private
+ */
+function _canonicalOptions(options = {}) {
+  const entries = Object.entries(options)
+    .filter(([name, value]) => name !== 'content-type' && value !== undefined)
+    .map(([name, value]) => [name, String(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return JSON.stringify(entries);
+}
+
+/**
+ * Normalises a variant for use in a cache key. VEP region lines ("chr1  100 . a G . . .") and
+ * CHROM-POS-REF-ALT keys are reduced to CHROM-POS-REF-ALT without "chr" prefix; other inputs
+ * (HGVS, rsIDs, CNV regions) only have their whitespace collapsed.
+ * @param {string} variant - Variant as sent to the API
+ * @returns {string} Normalised variant
+ */
+function normalizeVariantForCache(variant) {
+  const trimmed = String(variant).trim().replace(/\s+/g, ' ');
+  const fields = trimmed.split(' ');
+  const vcfLine = fields.length >= 5 && /^\d+$/.test(fields[1]) && /^[ACGTN]+$/i.test(fields[3]);
+  if (vcfLine && /^[ACGTN,*]+$/i.test(fields[4])) {
+    const [chrom, pos, , ref, alt] = fields;
+    return `${chrom.replace(/^chr/i, '')}-${pos}-${ref}-${alt}`.toUpperCase();
+  }
+  if (/^(chr)?[0-9XYM]+-\d+-[ACGTN]+-[ACGTN]+$/i.test(trimmed)) {
+    return trimmed.replace(/^chr/i, '').toUpperCase();
+  }
+  return trimmed;
+}
+
+/**
+ * Builds the cache key of one variant.
+ * @param {string} endpoint - API endpoint path (includes the species)
+ * @param {string} baseUrl - API base URL (selects the assembly)
+ * @param {Object} options - Query options of the request
+ * @param {string} variant - Variant as sent to the API
+ * @returns {string} Cache key
+ */
+function buildVariantCacheKey(endpoint, baseUrl, options, variant) {
+  return [
+    KEY_PREFIX,
+    baseUrl,
+    endpoint,
+    _canonicalOptions(options),
+    normalizeVariantForCache(variant),
+  ].join('|');
+}
+
+/**
+ * Splits a per-variant cache key into its parts.
+ * @param {string} key - Cache key
+ * @returns {Object|null} { version, baseUrl, endpoint, options, variant } or null if the key is
+ *   not a per-variant key (e.g. a URL key of a GET request). version is null for keys whose
+ *   layout predates versioning.
+ */
+function parseVariantCacheKey(key) {
+  const parts = typeof key === 'string' ? key.split('|') : [];
+  const match = parts.length >= 5 && /^variant:v(\d+)$/.exec(parts[0]);
+  if (!match) {
+    return typeof key === 'string' && key.startsWith('variant:')
+      ? { version: null, baseUrl: null, endpoint: null, options: null, variant: null }
+      : null;
+  }
+  let options = null;
+  try {
+    // Option values may themselves contain '|' (e.g. VEP field lists)
+    options = Object.fromEntries(JSON.parse(parts.slice(3, -1).join('|')));
+  } catch (error) {
+    debug(`Cannot parse the options of cache key ${key}: ${error.message}`);
+  }
+  return {
+    version: Number(match[1]),
+    baseUrl: parts[1],
+    endpoint: parts[2],
+    options,
+    variant: parts[parts.length - 1],
+  };
+}
+
+/**
+ * Fetches records for a list of variants, serving each variant from the cache when possible
+ * and requesting only the uncached ones. Fresh records are assigned to the variant whose
+ * input they echo and cached per variant. Variants without any record (e.g. rejected by the
+ * API) are not cached, so they are retried on the next run.
+ *
+ * The records are returned in variant order, once per distinct variant, and every record
+ * echoes the input of its variant (cached records are adapted with request.withInput). A
+ * variant can have no record or several, so callers must match records to variants on their
+ * input rather than by position. Records that echo none of the requested inputs are dropped.
+ *
+ * @param {Array<string>} variants - Variants in request order
+ * @param {Object} request - Request description
+ * @param {string} request.endpoint - API endpoint path
+ * @param {string} request.baseUrl - API base URL
+ * @param {Object} request.options - Query options
+ * @param {function(Array<string>): Promise<Array<Object>>} request.fetchUncached - Fetches the
+ *   records of the variants that are not cached
+ * @param {function(Object): (string|null)} request.inputOf - Returns the input a record echoes
+ * @param {function(Object, string): Object} [request.withInput] - Adapts a cached record to the
+ *   input string of the current request
+ * @returns {Promise<Array<Object>>} Records in variant order
+ */
+async function fetchWithVariantCache(variants, request) {
+  const { endpoint, baseUrl, options, fetchUncached, inputOf } = request;
+  const withInput = request.withInput || ((record) => record);
+  const keys = variants.map((variant) => buildVariantCacheKey(endpoint, baseUrl, options, variant));
+
+  const recordsByIndex = new Array(variants.length);
+  const uncached = [];
+  // Duplicates are requested once; a Set keeps the lookup constant-time for large batches
+  const queued = new Set();
+  for (let i = 0; i < variants.length; i++) {
+    const cached = await getCacheAsync(keys[i]);
+    if (cached !== null) {
+      recordsByIndex[i] = cached.map((record) => withInput(record, variants[i]));
+    } else if (!queued.has(variants[i])) {
+      queued.add(variants[i]);
+      uncached.push(variants[i]);
+    }
+  }
+  debug(
+    `Per-variant cache for ${endpoint}: ${variants.length - uncached.length} cached, ` +
+      `${uncached.length} to request`
+  );
+
+  if (uncached.length > 0) {
+    const freshRecords = (await fetchUncached(uncached)) || [];
+    const freshByInput = new Map(uncached.map((variant) => [variant.trim(), []]));
+    let unassigned = 0;
+    for (const record of freshRecords) {
+      const input = inputOf(record);
+      const bucket = typeof input === 'string' ? freshByInput.get(input.trim()) : undefined;
+      if (bucket) {
+        bucket.push(record);
+      } else {
+        unassigned++;
+      }
+    }
+
+    for (let i = 0; i < variants.length; i++) {
+      if (recordsByIndex[i]) continue;
+      const records = freshByInput.get(variants[i].trim()) || [];
+      recordsByIndex[i] = records;
+      if (records.length > 0) {
+        await setCacheAsync(keys[i], records);
+      }
+    }
+    if (unassigned > 0) {
+      debug(`Dropped ${unassigned} record(s) from ${endpoint} that match no requested input`);
+    }
+  }
+
+  // Repeated variants share their records
+  const seen = new Set();
+  return recordsByIndex.flatMap((records, i) => {
+    const input = variants[i].trim();
+    if (seen.has(input)) return [];
+    seen.add(input);
+    return records;
+  });
+}
+
+module.exports = {
+  CACHE_KEY_VERSION,
+  buildVariantCacheKey,
+  fetchWithVariantCache,
+  normalizeVariantForCache,
+  parseVariantCacheKey,
+};
@@ -0,0 +1,274 @@
+// src/cacheCli.js
+'use strict';
+
+/**
+ * @fileoverview `variant-linker cache <command>`: maintenance of the persistent cache
+ * (stats, clear, prune), export/import for moving a cache between machines, and warming a
+ * cache from a variants file. Results are printed as JSON.
+ * @module cacheCli
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const yargs = require('yargs');
+const debug = require('debug')('variant-linker:cache-cli');
+const { configureCache, getCacheHitStats, getCacheManager } = require('./cache');
+const {
+  exportCache,
+  findOptionMismatches,
+  importCache,
+  summarizeEntries,
+} = require('./cache/cacheArchive');
+const { resolveApiProfile } = require('./apiProfiles');
+const {
+  DEFAULT_RECODER_OPTIONS,
+  DEFAULT_VEP_OPTIONS,
+  parseOptionalParameters,
+} = require('./utils/requestOptions');
+const apiConfig = require('../config/apiConfig.json');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Parses the arguments of the cache subcommand.
+ * @param {Array<string>} args - Arguments following "cache"
+ * @returns {Object} Parsed arguments
+ * @throws {Error} On unknown commands or options
+ */
+function parseCacheArgs(args) {
+  return yargs(args)
+    .scriptName('variant-linker cache')
+    .usage('$0 <command> [options]')
+    .command('stats', 'Show size, entry counts and cached option sets of the cache')
+    .command('clear', 'Remove all cache entries')
+    .command('prune', 'Remove expired and unreadable cache entries')
+    .command('export <file>', 'Export unexpired entries (gzip-compressed if <file> ends in .gz)')
+    .command('import <file>', 'Import entries exported with "cache export"')
+    .command('warm', 'Annotate the variants of --variants-file to fill the cache')
+    .demandCommand(1, 'Specify a cache command')
+    .option('cache-dir', {
+      description: 'Persistent cache directory',
+      type: 'string',
+      default: apiConfig.cache?.persistent?.location,
+    })
+    .option('cache-store', {
+      description: 'Storage backend of the cache: file or sqlite (requires better-sqlite3)',
+      type: 'string',
+      choices: ['file', 'sqlite'],
+      default: apiConfig.cache?.persistent?.store || 'file',
+    })
+    .option('ttl', {
+      description:
+        'Lifetime of new entries in hours (warm); with import, replaces the exported expiry times',
+      type: 'number',
+    })
+    .option('variants-file', {
+      alias: 'vf',
+      description: 'Variants to annotate for warm, one per line',
+      type: 'string',
+    })
+    .option('vep_params', {
+      alias: 'vp',
+      description: 'VEP parameters the cache is used with (as for the main command)',
+      type: 'string',
+    })
+    .option('recoder_params', {
+      alias: 'rp',
+      description: 'Variant Recoder parameters the cache is used with (as for the main command)',
+      type: 'string',
+    })
+    .option('pick-output', {
+      description: 'The cache is used with --pick-output',
+      type: 'boolean',
+      default: false,
+    })
+    .option('assembly', {
+      description: 'Genome assembly the cache is used with',
+      type: 'string',
+      choices: ['hg38', 'hg19'],
+      default: 'hg38',
+    })
+    .option('api-profile', {
+      description: 'API endpoint profile the cache is used with',
+      type: 'string',
+    })
+    .option('strict', {
+      description: 'Fail the import if the exported options differ from the current options',
+      type: 'boolean',
+      default: false,
+    })
+    .check((argv) => {
+      if (argv._[0] === 'warm' && !argv.variantsFile) {
+        throw new Error('cache warm requires --variants-file');
+      }
+      if (argv.ttl !== undefined && !(argv.ttl > 0)) {
+        throw new Error('--ttl must be a positive number of hours');
+      }
+      return true;
+    })
+    .fail((message, error) => {
+      throw error || new Error(message);
+    })
+    .strict()
+    .help()
+    .parse();
+}
+
+/**
+ * Builds the VEP and Variant Recoder options and the API profile the main command would use
+ * with the given arguments.
+ * @param {Object} argv - Parsed cache arguments
+ * @returns {Object} { vepOptions, recoderOptions, apiProfile }
+ * @throws {Error} If the API profile is unknown
+ */
+function requestOptionsFor(argv) {
+  const vepOptions = parseOptionalParameters(argv.vep_params, DEFAULT_VEP_OPTIONS);
+  if (argv.pickOutput) {
+    vepOptions.pick = '1';
+  }
+  const recoderOptions = parseOptionalParameters(argv.recoder_params, DEFAULT_RECODER_OPTIONS);
+  const apiProfile = resolveApiProfile(argv.apiProfile, { assembly: argv.assembly });
+  return { vepOptions, recoderOptions, apiProfile };
+}
+
+/**
+ * Describes the POST requests (and thereby the per-variant cache keys) the main command would
+ * make with the given options.
+ * @param {Object} requestOptions - Result of requestOptionsFor
+ * @returns {Array<Object>} { baseUrl, endpoint, options } per request type
+ */
+function currentRequests({ vepOptions, recoderOptions, apiProfile }) {
+  const { baseUrl, endpoints } = apiProfile || resolveApiProfile();
+  const { species = 'homo_sapiens', ...recoderQuery } = {
+    ...DEFAULT_RECODER_OPTIONS,
+    ...recoderOptions,
+  };
+  return [
+    { baseUrl, endpoint: endpoints.vepRegions, options: vepOptions },
+    {
+      baseUrl,
+      endpoint: `${endpoints.variantRecoderBase}/${species}`,
+      options: recoderQuery,
+    },
+  ];
+}
+
+/**
+ * Annotates the variants of a file with caching enabled and discards the results.
+ * @param {Object} argv - Parsed cache arguments
+ * @param {Object} requestOptions - Result of requestOptionsFor
+ * @returns {Promise<Object>} Numbers of annotation records and failures, the failed variants
+ *   and the cache statistics of the run
+ */
+async function warmCache(argv, requestOptions) {
+  // Loaded lazily: the core pulls in the whole annotation pipeline
+  const { analyzeVariantsStream } = require('./variantStream');
+
+  if (!fs.existsSync(argv.variantsFile)) {
+    throw new Error(`Variants file not found: ${argv.variantsFile}`);
+  }
+  const lines = readline.createInterface({
+    input: fs.createReadStream(argv.variantsFile),
+    crlfDelay: Infinity,
+  });
+  let failedVariants = [];
+  const params = {
+    ...requestOptions,
+    cache: true,
+    pickOutput: argv.pickOutput,
+    onComplete: (summary) => (failedVariants = summary.failedVariants),
+  };
+  const before = getCacheManager().getHitStats();
+  let records = 0;
+  try {
+    for await (const record of analyzeVariantsStream(lines, params)) {
+      if (record) records++;
+    }
+  } finally {
+    lines.close();
+  }
+  const cache = getCacheHitStats(before);
+  return {
+    records,
+    failed: failedVariants.length,
+    failedVariants,
+    cache,
+  };
+}
+
+/**
+ * Runs a cache command.
+ * @param {Array<string>} args - Arguments following "cache" on the command line
+ * @returns {Promise<Object>} The result, which is also printed as JSON
+ * @throws {Error} On invalid arguments or if the command fails
+ */
+async function runCacheCommand(args) {
+  const argv = parseCacheArgs(args);
+  const command = argv._[0];
+  const requestOptions = requestOptionsFor(argv);
+
+  const cacheManager = configureCache({
+    persistent: {
+      enabled: true,
+      location: argv.cacheDir,
+      store: argv.cacheStore,
+      ...(argv.ttl && command === 'warm' ? { ttl: argv.ttl * HOUR_MS } : {}),
+    },
+  });
+  const persistentCache = cacheManager.persistentCache;
+  if (!persistentCache) {
+    throw new Error(`Cannot open the cache directory ${argv.cacheDir}`);
+  }
+  debug(`Running cache ${command} on ${persistentCache.cacheDir}`);
+
+  const result = { command, location: persistentCache.cacheDir };
+  switch (command) {
+    case 'stats': {
+      const summary = summarizeEntries(persistentCache.entries());
+      Object.assign(result, await persistentCache.getStats(), summary, {
+        warnings: findOptionMismatches(summary.optionSets, currentRequests(requestOptions)),
+      });
+      break;
+    }
+    case 'clear': {
+      const { totalEntries } = await persistentCache.getStats();
+      await cacheManager.clear();
+      result.removed = totalEntries;
+      break;
+    }
+    case 'prune':
+      result.removed = await persistentCache.prune();
+      break;
+    case 'export':
+      result.file = argv.file;
+      result.header = await exportCache(persistentCache, argv.file);
+      break;
+    case 'import': {
+      result.file = argv.file;
+      Object.assign(
+        result,
+        await importCache(persistentCache, argv.file, {
+          currentRequests: currentRequests(requestOptions),
+          strict: argv.strict,
+          ttl: argv.ttl ? argv.ttl * HOUR_MS : undefined,
+        })
+      );
+      result.warnings.forEach((warning) => console.warn(`Warning: ${warning}`));
+      break;
+    }
+    case 'warm':
+      Object.assign(result, await warmCache(argv, requestOptions));
+      break;
+    default:
+      throw new Error(`Unknown cache command: ${command}`);
+  }
+
+  console.log(JSON.stringify(result, null, 2));
+  return result;
+}
+
+module.exports = {
+  currentRequests,
+  requestOptionsFor,
+  runCacheCommand,
+};
@@ -0,0 +1,200 @@
+// src/checkpoint/CheckpointManager.js
+'use strict';
+
+/**
+ * @fileoverview Checkpoint store for resuming long batch runs.
+ * Each run is identified by a hash of its inputs and options and gets its own directory
+ * containing one JSON file per completed chunk plus a manifest listing them. Re-running
+ * with the same inputs reuses the completed chunks instead of annotating them again.
+ * @module checkpoint/CheckpointManager
+ */
+
+// Browser environment detection and graceful fallbacks
+let fs;
+let path;
+let crypto;
+try {
+  fs = require('fs');
+  path = require('path');
+  crypto = require('crypto');
+} catch (e) {
+  // Browser environment - modules will be null/undefined
+}
+const debug = require('debug')('variant-linker:checkpoint');
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Computes a SHA-256 hex digest of a JSON-serialisable value.
+ * @param {*} value - Value to hash
+ * @returns {string} Hex digest
+ * @private
+ */
+function _hash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Persists completed chunks of a run and restores them on re-runs with the same inputs.
+ */
+class CheckpointManager {
+  /**
+   * Create a new CheckpointManager instance.
+   * @param {Object} config - Checkpoint configuration
+   * @param {string} config.directory - Base checkpoint directory
+   * @param {Array<string>} config.variants - All variants of the run, in order
+   * @param {number} config.chunkSize - Number of variants per chunk
+   * @param {Object} [config.options={}] - Options that affect the annotations (VEP/Recoder
+   *   options, assembly, annotation source, ...); a change starts a new run
+   */
+  constructor(config = {}) {
+    if (!fs || !path || !crypto) {
+      throw new Error('Checkpoints require a Node.js environment.');
+    }
+    if (!config.directory) {
+      throw new Error('A checkpoint directory is required.');
+    }
+
+    this.chunkSize = config.chunkSize;
+    this.totalChunks = Math.ceil((config.variants || []).length / this.chunkSize);
+    this.runKey = {
+      variantsHash: _hash(config.variants || []),
+      variantCount: (config.variants || []).length,
+      chunkSize: this.chunkSize,
+      options: config.options || {},
+    };
+    this.runId = _hash(this.runKey).slice(0, 16);
+    this.baseDir = path.resolve(config.directory);
+    this.runDir = path.join(this.baseDir, `run-${this.runId}`);
+    this.manifestPath = path.join(this.runDir, 'manifest.json');
+    this.resumedChunks = 0;
+    this.manifest = this._loadManifest();
+
+    debug(
+      `Checkpoint run ${this.runId} at ${this.runDir}: ` +
+        `${Object.keys(this.manifest.completedChunks).length}/${this.totalChunks} chunks completed`
+    );
+  }
+
+  /**
+   * Loads the run manifest, or creates a new one if none exists or it is unreadable.
+   * @returns {Object} The manifest
+   * @private
+   */
+  _loadManifest() {
+    try {
+      if (fs.existsSync(this.manifestPath)) {
+        const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+        if (manifest.version === MANIFEST_VERSION && manifest.runId === this.runId) {
+          return manifest;
+        }
+        debug(`Ignoring incompatible checkpoint manifest at ${this.manifestPath}`);
+      }
+    } catch (error) {
+      debug(`Failed to read checkpoint manifest ${this.manifestPath}: ${error.message}`);
+    }
+
+    const now = new Date().toISOString();
+    return {
+      version: MANIFEST_VERSION,
+      runId: this.runId,
+      runKey: this.runKey,
+      totalChunks: this.totalChunks,
+      createdAt: now,
+      updatedAt: now,
+      completedChunks: {},
+    };
+  }
+
+  /**
+   * Writes a JSON file atomically (temporary file + rename).
+   * @param {string} filePath - Destination path
+   * @param {Object} data - Data to write
+   * @private
+   */
+  _writeJsonAtomic(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data), 'utf8');
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * Returns the file name used for a chunk.
+   * @param {number} index - Chunk index
+   * @returns {string} File name relative to the run directory
+   * @private
+   */
+  _chunkFileName(index) {
+    return `chunk-${String(index).padStart(6, '0')}.json`;
+  }
+
+  /**
+   * Returns the saved annotations of a completed chunk.
+   * @param {number} index - Chunk index
+   * @param {Array<string>} chunkVariants - Variants of the chunk, used to verify the checkpoint
+   * @returns {Object|null} Saved { annotationData, failedVariants }, or null if the chunk must
+   *   be (re)processed
+   */
+  getCompletedChunk(index, chunkVariants) {
+    const entry = this.manifest.completedChunks[index];
+    if (!entry || entry.variantsHash !== _hash(chunkVariants)) {
+      return null;
+    }
+    try {
+      const chunk = JSON.parse(fs.readFileSync(path.join(this.runDir, entry.file), 'utf8'));
+      this.resumedChunks++;
+      debug(`Restored chunk ${index} (${chunk.annotationData.length} annotations) from checkpoint`);
+      return { annotationData: chunk.annotationData, failedVariants: chunk.failedVariants || [] };
+    } catch (error) {
+      debug(`Failed to restore chunk ${index} from checkpoint: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Persists the annotations of a completed chunk and records it in the manifest.
+   * @param {number} index - Chunk index
+   * @param {Array<string>} chunkVariants - Variants of the chunk
+   * @param {Object} result - Result of the chunk
+   * @param {Array<Object>} result.annotationData - Annotations produced for the chunk
+   * @param {Array<Object>} [result.failedVariants] - Inputs of the chunk that failed
+   */
+  saveChunk(index, chunkVariants, result) {
+    const { annotationData, failedVariants = [] } = result;
+    fs.mkdirSync(this.runDir, { recursive: true });
+    const file = this._chunkFileName(index);
+    const variantsHash = _hash(chunkVariants);
+    this._writeJsonAtomic(path.join(this.runDir, file), {
+      index,
+      variantsHash,
+      annotationData,
+      failedVariants,
+    });
+
+    this.manifest.completedChunks[index] = {
+      file,
+      variantsHash,
+      variantCount: chunkVariants.length,
+      completedAt: new Date().toISOString(),
+    };
+    this.manifest.updatedAt = new Date().toISOString();
+    this._writeJsonAtomic(this.manifestPath, this.manifest);
+    debug(`Saved checkpoint for chunk ${index} (${annotationData.length} annotations)`);
+  }
+
+  /**
+   * Summarises the checkpoint state for result metadata.
+   * @returns {Object} Directory, run ID and chunk counts
+   */
+  getSummary() {
+    return {
+      directory: this.runDir,
+      runId: this.runId,
+      totalChunks: this.totalChunks,
+      completedChunks: Object.keys(this.manifest.completedChunks).length,
+      resumedChunks: this.resumedChunks,
+    };
+  }
+}
+
+module.exports = CheckpointManager;
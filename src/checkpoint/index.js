@@ -0,0 +1,50 @@
+// src/checkpoint/index.js
+'use strict';
+
+/**
+ * @fileoverview Checkpointed chunk processing for resumable batch runs.
+ * @module checkpoint
+ */
+
+const debug = require('debug')('variant-linker:checkpoint');
+const CheckpointManager = require('./CheckpointManager');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+/**
+ * Annotates variants chunk by chunk, restoring completed chunks from the checkpoint and
+ * saving each newly completed chunk before moving on.
+ *
+ * @param {Array<string>} variants - All variants of the run, in order
+ * @param {CheckpointManager} checkpoint - Checkpoint store for the run
+ * @param {function(Array<string>): Promise<Object>} annotateChunk - Annotates one chunk and
+ *   resolves to { annotationData, failedVariants }
+ * @param {number} [concurrency=1] - Maximum number of chunks annotated at once
+ * @returns {Promise<Object>} Annotations of all chunks in input order, and their failed inputs
+ */
+async function runCheckpointedChunks(variants, checkpoint, annotateChunk, concurrency = 1) {
+  const chunks = [];
+  for (let i = 0; i < variants.length; i += checkpoint.chunkSize) {
+    chunks.push(variants.slice(i, i + checkpoint.chunkSize));
+  }
+
+  const chunkResults = await mapWithConcurrency(chunks, concurrency, async (chunk, index) => {
+    const saved = checkpoint.getCompletedChunk(index, chunk);
+    if (saved) {
+      return saved;
+    }
+    debug(`Annotating chunk ${index + 1}/${chunks.length} (${chunk.length} variants)`);
+    const result = await annotateChunk(chunk);
+    checkpoint.saveChunk(index, chunk, result);
+    return result;
+  });
+
+  return {
+    annotationData: chunkResults.flatMap((result) => result.annotationData),
+    failedVariants: chunkResults.flatMap((result) => result.failedVariants || []),
+  };
+}
+
+module.exports = {
+  CheckpointManager,
+  runCheckpointedChunks,
+};
@@ -82,6 +82,36 @@ function detectScoringFields(annotationData) {
   return Array.from(scoringFields).sort();
 }
 
+/**
+ * Checks if the inheritance analysis of any annotation was done per family (multi-family
+ * cohort), i.e. deducedInheritancePattern holds { families: { [familyId]: result } }.
+ *
+ * @param {Array<Object>} annotationData - Array of annotation objects
+ * @returns {boolean} True if per-family inheritance results are present
+ */
+function hasFamilyInheritance(annotationData) {
+  return (
+    Array.isArray(annotationData) &&
+    annotationData.some((annotation) => annotation?.deducedInheritancePattern?.families)
+  );
+}
+
+/**
+ * Expands an annotation with per-family inheritance results into one annotation per family,
+ * each with the result of its family as deducedInheritancePattern.
+ *
+ * @param {Object} annotation - Annotation object
+ * @returns {Array<Object>} The per-family annotations, or the annotation itself
+ */
+function expandFamilyAnnotations(annotation) {
+  const families = annotation?.deducedInheritancePattern?.families;
+  if (!families || Object.keys(families).length === 0) return [annotation];
+  return Object.values(families).map((familyResult) => ({
+    ...annotation,
+    deducedInheritancePattern: familyResult,
+  }));
+}
+
 /**
  * Default column configuration for CSV/TSV output.
  * Each entry defines a column with:
@@ -90,6 +120,8 @@ function detectScoringFields(annotationData) {
  * - isConsequenceLevel: Whether the path is relative to a consequence (true) or annotation (false)
  * - defaultValue: Value to use if the path is not found
  * - formatter: Optional function to format the extracted value
+ * - type: Optional value type for typed output formats such as Parquet: 'number', 'boolean' or
+ *   'list' (the unformatted value is a list); other columns are strings
  */
 /**
  * Gets the default column configuration for data extraction.
@@ -98,11 +130,14 @@ function detectScoringFields(annotationData) {
  * @param {boolean} options.includeUserFeatures - Whether to include user feature overlap columns
  * @param {boolean} options.includeCnv - Whether to include CNV-specific columns
  * @param {Array<string>} options.scoringFields - List of scoring field names to include
+ * @param {boolean} options.includeFamily - Whether to include the FamilyID column of per-family
+ *   inheritance results (with includeInheritance)
  * @returns {Array} Array of column configuration objects
  */
 function getDefaultColumnConfig(options = {}) {
   const {
     includeInheritance = false,
+    includeFamily = false,
     includeUserFeatures = false,
     includeCnv = false,
     scoringFields = [],
@@ -119,6 +154,14 @@ function getDefaultColumnConfig(options = {}) {
   ];
 
   // Add inheritance pattern columns if requested
+  if (includeInheritance && includeFamily) {
+    defaultColumns.push({
+      header: 'FamilyID',
+      path: 'deducedInheritancePattern.familyId',
+      isConsequenceLevel: false,
+      defaultValue: '',
+    });
+  }
   if (includeInheritance) {
     defaultColumns.push(
       {
@@ -132,6 +175,7 @@ function getDefaultColumnConfig(options = {}) {
         path: 'deducedInheritancePattern.compHetDetails.partnerVariantKeys',
         isConsequenceLevel: false,
         defaultValue: '',
+        type: 'list',
         formatter: (value) => (Array.isArray(value) ? value.join(',') : value),
       },
       {
@@ -211,6 +255,7 @@ function getDefaultColumnConfig(options = {}) {
       path: 'consequence_terms', // Correct path relative to consequence
       isConsequenceLevel: true,
       defaultValue: '',
+      type: 'list',
       formatter: (value) => (Array.isArray(value) ? value.join('&') : value),
     },
     {
@@ -218,6 +263,7 @@ function getDefaultColumnConfig(options = {}) {
       path: 'mane', // Correct path relative to consequence
       isConsequenceLevel: true,
       defaultValue: '',
+      type: 'list',
       // Ensure MANE array values are handled correctly (e.g., join or take first)
       formatter: (value) => {
         if (!value) return '';
@@ -274,6 +320,7 @@ function getDefaultColumnConfig(options = {}) {
       path: 'existing_variation',
       isConsequenceLevel: false, // This IS annotation level
       defaultValue: '',
+      type: 'list',
       formatter: (value) => (Array.isArray(value) ? value.join('&') : value),
     },
     {
@@ -284,6 +331,7 @@ function getDefaultColumnConfig(options = {}) {
       path: 'cadd_phred',
       isConsequenceLevel: false, // This IS annotation level
       defaultValue: '',
+      type: 'number',
     },
     {
       header: 'SIFT',
@@ -320,12 +368,14 @@ function getDefaultColumnConfig(options = {}) {
         path: 'bp_overlap',
         isConsequenceLevel: true, // This is a per-consequence field from VEP
         defaultValue: '',
+        type: 'number',
       },
       {
         header: 'Percentage_Overlap',
         path: 'percentage_overlap',
         isConsequenceLevel: true, // This is a per-consequence field from VEP
         defaultValue: '',
+        type: 'number',
       },
       {
         header: 'Phenotypes',
@@ -372,6 +422,7 @@ function getDefaultColumnConfig(options = {}) {
         path: fieldName,
         isConsequenceLevel: false, // Scoring fields are typically annotation-level
         defaultValue: '',
+        type: 'number',
       });
     });
   }
@@ -379,6 +430,121 @@ function getDefaultColumnConfig(options = {}) {
   return defaultColumns;
 }
 
+/**
+ * Gets the column configuration for one row per variant with its inheritance analysis
+ * (deducedInheritancePattern), e.g. for the inheritance sheet of XLSX output.
+ * @param {boolean} [includeFamily=false] - Whether to include the FamilyID and IndexSample
+ *   columns of per-family inheritance results
+ * @returns {Array} Array of column configuration objects (all annotation level)
+ */
+function getInheritanceColumnConfig(includeFamily = false) {
+  const joinList = (value) => (Array.isArray(value) ? value.join(',') : value);
+  return [
+    { header: 'OriginalInput', path: 'originalInput', defaultValue: '' },
+    { header: 'VariantKey', path: 'variantKey', defaultValue: '' },
+    ...(includeFamily
+      ? [
+          { header: 'FamilyID', path: 'deducedInheritancePattern.familyId', defaultValue: '' },
+          {
+            header: 'IndexSample',
+            path: 'deducedInheritancePattern.indexSampleId',
+            defaultValue: '',
+          },
+        ]
+      : []),
+    {
+      header: 'PrioritizedPattern',
+      path: 'deducedInheritancePattern.prioritizedPattern',
+      defaultValue: '',
+    },
+    {
+      header: 'PossiblePatterns',
+      path: 'deducedInheritancePattern.possiblePatterns',
+      defaultValue: '',
+      type: 'list',
+      formatter: joinList,
+    },
+    {
+      header: 'SegregationStatus',
+      path: 'deducedInheritancePattern.segregationStatus',
+      defaultValue: '',
+      formatter: (value) =>
+        Object.entries(value || {})
+          .map(([pattern, status]) =>
+            typeof status === 'string'
+              ? `${pattern}:${status}`
+              : `${pattern}:${status.status}` +
+                (status.likelihoodRatio !== undefined ? `(LOD=${status.lod ?? '-Inf'})` : '')
+          )
+          .join(';'),
+    },
+    {
+      header: 'CompHetCandidate',
+      path: 'deducedInheritancePattern.compHetDetails.isCandidate',
+      defaultValue: '',
+      type: 'boolean',
+    },
+    {
+      header: 'CompHetPossible',
+      path: 'deducedInheritancePattern.compHetDetails.isPossible',
+      defaultValue: '',
+      type: 'boolean',
+    },
+    {
+      header: 'CompHetGene',
+      path: 'deducedInheritancePattern.compHetDetails.geneSymbol',
+      defaultValue: '',
+    },
+    {
+      header: 'CompHetPartner',
+      path: 'deducedInheritancePattern.compHetDetails.partnerVariantKeys',
+      defaultValue: '',
+      type: 'list',
+      formatter: joinList,
+    },
+    {
+      header: 'LikelyPaternal',
+      path: 'deducedInheritancePattern.compHetDetails.likelyPaternalKeys',
+      defaultValue: '',
+      type: 'list',
+      formatter: joinList,
+    },
+    {
+      header: 'LikelyMaternal',
+      path: 'deducedInheritancePattern.compHetDetails.likelyMaternalKeys',
+      defaultValue: '',
+      type: 'list',
+      formatter: joinList,
+    },
+    {
+      header: 'AmbiguousOrigin',
+      path: 'deducedInheritancePattern.compHetDetails.ambiguousKeys',
+      defaultValue: '',
+      type: 'list',
+      formatter: joinList,
+    },
+    {
+      header: 'PhaseSet',
+      path: 'deducedInheritancePattern.compHetDetails.phaseSet',
+      defaultValue: '',
+    },
+    {
+      header: 'PhasedTransPartner',
+      path: 'deducedInheritancePattern.compHetDetails.transPartnerKeys',
+      defaultValue: '',
+      type: 'list',
+      formatter: joinList,
+    },
+    {
+      header: 'ExcludedCisPartner',
+      path: 'deducedInheritancePattern.compHetDetails.excludedCisPartnerKeys',
+      defaultValue: '',
+      type: 'list',
+      formatter: joinList,
+    },
+  ].map((column) => ({ ...column, isConsequenceLevel: false }));
+}
+
 /**
  * Extracts a field value from an object based on field configuration.
  * Supports dot notation paths and custom formatting.
@@ -474,6 +640,7 @@ function extractField(dataObject, fieldConfig) {
 /**
  * Flattens annotation data into rows based on a "flatten by consequence" strategy.
  * Each row represents a single transcript consequence, with variant-level information repeated.
+ * Annotations with per-family inheritance results are repeated for every family.
  *
  * @param {Array<Object>} annotationData - Array of variant annotation objects
  * @param {Array<Object>} columnConfig - Configuration for columns to extract
@@ -488,7 +655,8 @@ function flattenAnnotationData(annotationData, columnConfig = getDefaultColumnCo
   const flatRows = [];
   debug(`Flattening ${annotationData.length} annotation(s)`);
 
-  for (const annotation of annotationData) {
+  // Per-family inheritance results (cohorts) give one set of rows per family-variant pair
+  for (const annotation of annotationData.flatMap(expandFamilyAnnotations)) {
     // Extract top-level fields (non-consequence level)
     const topLevelData = {};
 
@@ -797,5 +965,8 @@ module.exports = {
   formatToTabular,
   formatVcfCsqString, // Export the function
   getDefaultColumnConfig, // Export the function
+  getInheritanceColumnConfig,
   detectScoringFields, // Export the new function
+  hasFamilyInheritance,
+  expandFamilyAnnotations,
 };
@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * @fileoverview Detection and normalisation of genomic variant IDs emitted by upstream tools:
+ * SPDI (`NC_000017.11:43057062:C:T`), gnomAD-style IDs with mixed separators
+ * (`chr17:43057062-C-T`, `17_43057062_C_T`) and ClinVar-style genomic HGVS substitutions on
+ * chromosome names (`chr17:g.43057062C>T`). Normalised variants use the CHROM-POS-REF-ALT key
+ * so they can be sent to VEP directly instead of going through Variant Recoder.
+ * @module genomicIdParser
+ */
+
+const debugDetailed = require('debug')('variant-linker:detailed');
+
+/** @private */
+const CHROM = '(?:chr)?([0-9]{1,2}|X|Y|MT|M)';
+
+/**
+ * Patterns for the supported ID formats, keyed by the inputFormat they are recorded as.
+ * SPDI requires a RefSeq accession: with a chromosome name it would be indistinguishable from
+ * the 1-based colon-separated gnomAD form.
+ * @private
+ */
+const PATTERNS = {
+  SPDI: /^([A-Z]{2}_\d+(?:\.\d+)?):(\d+):([A-Z]*|\d+):([A-Z]*)$/i,
+  GNOMAD: new RegExp(`^${CHROM}[-:_](\\d+)[-:_]([ACGT]+)[-:_/>]([ACGT]+)$`, 'i'),
+  CLINVAR: new RegExp(`^${CHROM}:g\\.(\\d+)([ACGT])>([ACGT])$`, 'i'),
+};
+
+/**
+ * RefSeq accession number (without version) to chromosome and the accession version of the
+ * chromosome in each assembly, e.g. NC_000017.10 is chromosome 17 of GRCh37 and NC_000017.11
+ * that of GRCh38. The mitochondrial sequence (rCRS) has the same version in both.
+ * @private
+ */
+const REFSEQ_CHROMOSOMES = {
+  NC_000001: { chrom: '1', GRCh37: 10, GRCh38: 11 },
+  NC_000002: { chrom: '2', GRCh37: 11, GRCh38: 12 },
+  NC_000003: { chrom: '3', GRCh37: 11, GRCh38: 12 },
+  NC_000004: { chrom: '4', GRCh37: 11, GRCh38: 12 },
+  NC_000005: { chrom: '5', GRCh37: 9, GRCh38: 10 },
+  NC_000006: { chrom: '6', GRCh37: 11, GRCh38: 12 },
+  NC_000007: { chrom: '7', GRCh37: 13, GRCh38: 14 },
+  NC_000008: { chrom: '8', GRCh37: 10, GRCh38: 11 },
+  NC_000009: { chrom: '9', GRCh37: 11, GRCh38: 12 },
+  NC_000010: { chrom: '10', GRCh37: 10, GRCh38: 11 },
+  NC_000011: { chrom: '11', GRCh37: 9, GRCh38: 10 },
+  NC_000012: { chrom: '12', GRCh37: 11, GRCh38: 12 },
+  NC_000013: { chrom: '13', GRCh37: 10, GRCh38: 11 },
+  NC_000014: { chrom: '14', GRCh37: 8, GRCh38: 9 },
+  NC_000015: { chrom: '15', GRCh37: 9, GRCh38: 10 },
+  NC_000016: { chrom: '16', GRCh37: 9, GRCh38: 10 },
+  NC_000017: { chrom: '17', GRCh37: 10, GRCh38: 11 },
+  NC_000018: { chrom: '18', GRCh37: 9, GRCh38: 10 },
+  NC_000019: { chrom: '19', GRCh37: 9, GRCh38: 10 },
+  NC_000020: { chrom: '20', GRCh37: 10, GRCh38: 11 },
+  NC_000021: { chrom: '21', GRCh37: 8, GRCh38: 9 },
+  NC_000022: { chrom: '22', GRCh37: 10, GRCh38: 11 },
+  NC_000023: { chrom: 'X', GRCh37: 10, GRCh38: 11 },
+  NC_000024: { chrom: 'Y', GRCh37: 9, GRCh38: 10 },
+  NC_012920: { chrom: 'MT', GRCh37: 1, GRCh38: 1 },
+};
+
+/**
+ * Returns the chromosome name used in CHROM-POS-REF-ALT keys (Ensembl names the mitochondrial
+ * chromosome MT).
+ * @param {string} chrom - Chromosome name without the chr prefix.
+ * @returns {string} The upper-case chromosome name, with M written as MT.
+ * @private
+ */
+function keyChromosome(chrom) {
+  const name = chrom.toUpperCase();
+  return name === 'M' ? 'MT' : name;
+}
+
+/**
+ * Resolves a RefSeq chromosome accession and checks its version against the target assembly.
+ * @param {string} accession - The accession, optionally versioned (e.g. NC_000017.10).
+ * @param {string} [assembly] - Target assembly ('GRCh37' or 'GRCh38'); unchecked if omitted.
+ * @returns {string|null} The chromosome, or null for accessions that are not primary assembly
+ *   chromosomes or whose version belongs to neither assembly.
+ * @throws {Error} If the version belongs to the other assembly than the target assembly.
+ * @private
+ */
+function resolveRefSeqChromosome(accession, assembly) {
+  const [name, version] = accession.toUpperCase().split('.');
+  const entry = REFSEQ_CHROMOSOMES[name];
+  if (!entry || version === undefined) {
+    return entry ? entry.chrom : null;
+  }
+  const versionAssemblies = ['GRCh37', 'GRCh38'].filter((a) => entry[a] === Number(version));
+  if (versionAssemblies.length === 0) {
+    return null;
+  }
+  if (assembly && !versionAssemblies.includes(assembly)) {
+    throw new Error(
+      `${accession} is a ${versionAssemblies[0]} accession, but variants are annotated on ` +
+        `${assembly}`
+    );
+  }
+  return entry.chrom;
+}
+
+/**
+ * Detects whether a variant is written as SPDI, a gnomAD-style ID or a ClinVar-style genomic
+ * HGVS substitution.
+ *
+ * @param {string} variant - The input variant.
+ * @returns {string|null} 'SPDI', 'GNOMAD' or 'CLINVAR', or null for any other notation.
+ */
+function detectGenomicIdFormat(variant) {
+  const trimmed = String(variant || '').trim();
+  for (const [format, pattern] of Object.entries(PATTERNS)) {
+    if (pattern.test(trimmed)) {
+      return format;
+    }
+  }
+  return null;
+}
+
+/**
+ * Converts a variant in one of the detected ID formats to a CHROM-POS-REF-ALT key.
+ * SPDI positions are 0-based, so the VCF position is one higher. SPDI alleles that are empty
+ * (pure insertions or deletions) or given as a length cannot be written as VCF without the
+ * reference sequence, and neither can SPDI on non-chromosome accessions or on accession versions
+ * of neither GRCh37 nor GRCh38; these return null so the caller can fall back to Variant
+ * Recoder, which accepts SPDI. The mitochondrial chromosome (M, chrM) is written as MT.
+ *
+ * @param {string} variant - The input variant.
+ * @param {string} format - The format returned by detectGenomicIdFormat.
+ * @param {Object} [options={}] - Normalisation options.
+ * @param {string} [options.assembly] - Assembly the key is annotated on ('GRCh37' or
+ *   'GRCh38'). SPDI accession versions of the other assembly are rejected.
+ * @returns {string|null} The CHROM-POS-REF-ALT key, or null if it cannot be derived.
+ * @throws {Error} If an SPDI accession version does not match options.assembly.
+ */
+function normalizeGenomicId(variant, format, options = {}) {
+  const match = PATTERNS[format] ? PATTERNS[format].exec(String(variant).trim()) : null;
+  if (!match) {
+    return null;
+  }
+
+  let key = null;
+  if (format === 'SPDI') {
+    const [, accession, position, deleted, inserted] = match;
+    const chrom = resolveRefSeqChromosome(accession, options.assembly);
+    const isSequence = (allele) => /^[ACGT]+$/i.test(allele);
+    if (chrom && isSequence(deleted) && isSequence(inserted)) {
+      key = `${chrom}-${parseInt(position, 10) + 1}-${deleted.toUpperCase()}-${inserted.toUpperCase()}`;
+    }
+  } else {
+    const [, chrom, position, ref, alt] = match;
+    key = `${keyChromosome(chrom)}-${position}-${ref.toUpperCase()}-${alt.toUpperCase()}`;
+  }
+
+  debugDetailed(`normalizeGenomicId: ${format} '${variant}' -> ${key || 'needs Variant Recoder'}`);
+  return key;
+}
+
+module.exports = {
+  detectGenomicIdFormat,
+  normalizeGenomicId,
+};
@@ -0,0 +1,188 @@
+// src/httpRecorder/HttpRecorder.js
+'use strict';
+
+/**
+ * @fileoverview Record/replay store for API traffic, used for reproducible runs and offline
+ * tests. A session directory holds one JSON file per distinct request (method, URL and body
+ * hash) with the response that was received, plus a session.json describing the recording.
+ * @module httpRecorder/HttpRecorder
+ */
+
+// Browser environment detection and graceful fallbacks
+let fs;
+let path;
+let crypto;
+try {
+  fs = require('fs');
+  path = require('path');
+  crypto = require('crypto');
+} catch (e) {
+  // Browser environment - modules will be null/undefined
+}
+const debug = require('debug')('variant-linker:http-recorder');
+const packageJson = require('../../package.json');
+
+const SESSION_FORMAT_VERSION = 1;
+const SESSION_FILE = 'session.json';
+const MODES = ['record', 'replay'];
+
+/**
+ * Computes a SHA-256 hex digest of a string.
+ * @param {string} value - Value to hash
+ * @returns {string} Hex digest
+ * @private
+ */
+function _sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Records API responses to a session directory or serves them back from it.
+ */
+class HttpRecorder {
+  /**
+   * Create a new HttpRecorder instance.
+   * @param {Object} config - Recorder configuration
+   * @param {string} config.mode - 'record' (save responses) or 'replay' (serve saved responses)
+   * @param {string} config.directory - Session directory
+   * @throws {Error} If the mode is unknown or a replay directory is not a recorded session
+   */
+  constructor(config = {}) {
+    if (!fs || !path || !crypto) {
+      throw new Error('HTTP recording requires a Node.js environment.');
+    }
+    if (!MODES.includes(config.mode)) {
+      throw new Error(`Unknown HTTP recorder mode "${config.mode}" (expected record or replay)`);
+    }
+    if (!config.directory) {
+      throw new Error('An HTTP session directory is required.');
+    }
+    this.mode = config.mode;
+    this.directory = path.resolve(config.directory);
+    this.recorded = 0;
+    this.replayed = 0;
+
+    const sessionPath = path.join(this.directory, SESSION_FILE);
+    if (this.mode === 'replay') {
+      if (!fs.existsSync(sessionPath)) {
+        throw new Error(`No recorded HTTP session found in ${this.directory}`);
+      }
+      this.session = JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
+      if (this.session.formatVersion !== SESSION_FORMAT_VERSION) {
+        throw new Error(
+          `HTTP session ${this.directory} has format version ${this.session.formatVersion}, ` +
+            `expected ${SESSION_FORMAT_VERSION}`
+        );
+      }
+    } else {
+      fs.mkdirSync(this.directory, { recursive: true });
+      this.session = fs.existsSync(sessionPath)
+        ? JSON.parse(fs.readFileSync(sessionPath, 'utf8'))
+        : {
+            formatVersion: SESSION_FORMAT_VERSION,
+            variantLinkerVersion: packageJson.version,
+            createdAt: new Date().toISOString(),
+          };
+      this._writeJsonAtomic(sessionPath, this.session);
+    }
+    debug(`HTTP ${this.mode} session in ${this.directory}`);
+  }
+
+  /**
+   * Describes a request the way it is matched on replay.
+   * @param {string} method - HTTP method
+   * @param {string} url - Full request URL including the query string
+   * @param {Object|null} body - JSON request body (POST)
+   * @returns {Object} { method, url, bodyHash, file }
+   */
+  describeRequest(method, url, body) {
+    const upperMethod = method.toUpperCase();
+    const bodyHash = body == null ? null : _sha256(JSON.stringify(body));
+    const file = `${_sha256(`${upperMethod} ${url} ${bodyHash || ''}`)}.json`;
+    return { method: upperMethod, url, bodyHash, file };
+  }
+
+  /**
+   * Writes a JSON file atomically (temporary file + rename).
+   * @param {string} filePath - Destination path
+   * @param {Object} data - Data to write
+   * @private
+   */
+  _writeJsonAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * Saves the response to a request. A later response to the same request replaces it.
+   * @param {string} method - HTTP method
+   * @param {string} url - Full request URL
+   * @param {Object|null} body - JSON request body
+   * @param {Object} response - { status, data } and, for error responses, the error message
+   */
+  record(method, url, body, response) {
+    const request = this.describeRequest(method, url, body);
+    this._writeJsonAtomic(path.join(this.directory, request.file), {
+      method: request.method,
+      url: request.url,
+      bodyHash: request.bodyHash,
+      status: response.status,
+      ...(response.message && { message: response.message }),
+      data: response.data,
+      recordedAt: new Date().toISOString(),
+    });
+    this.recorded++;
+    debug(`Recorded ${request.method} ${url} (${response.status})`);
+  }
+
+  /**
+   * Serves the recorded response to a request. Recorded error responses (4xx/5xx) are thrown
+   * as errors carrying the recorded response, like the HTTP client would.
+   * @param {string} method - HTTP method
+   * @param {string} url - Full request URL
+   * @param {Object|null} body - JSON request body
+   * @returns {*} The recorded response data
+   * @throws {Error} With code HTTP_REPLAY_MISS if the request was not recorded
+   */
+  replay(method, url, body) {
+    const request = this.describeRequest(method, url, body);
+    const filePath = path.join(this.directory, request.file);
+    if (!fs.existsSync(filePath)) {
+      const error = new Error(
+        `No recorded response for ${request.method} ${url}` +
+          (request.bodyHash ? ` (body sha256 ${request.bodyHash})` : '') +
+          ` in HTTP session ${this.directory}`
+      );
+      error.code = 'HTTP_REPLAY_MISS';
+      throw error;
+    }
+    const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    this.replayed++;
+    debug(`Replayed ${request.method} ${url} (${entry.status})`);
+    if (entry.status >= 400) {
+      const error = new Error(entry.message || `Request failed with status code ${entry.status}`);
+      error.response = { status: entry.status, data: entry.data, headers: {} };
+      throw error;
+    }
+    return entry.data;
+  }
+
+  /**
+   * Returns the session description and the request counts of this process.
+   * @returns {Object} { mode, directory, recorded, replayed, ...session }
+   */
+  getStats() {
+    return {
+      mode: this.mode,
+      directory: this.directory,
+      recorded: this.recorded,
+      replayed: this.replayed,
+      ...this.session,
+    };
+  }
+}
+
+HttpRecorder.SESSION_FORMAT_VERSION = SESSION_FORMAT_VERSION;
+
+module.exports = HttpRecorder;
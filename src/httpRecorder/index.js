@@ -0,0 +1,41 @@
+// src/httpRecorder/index.js
+'use strict';
+
+/**
+ * @fileoverview Process-wide HTTP record/replay session used by fetchApi.
+ * @module httpRecorder
+ */
+
+const debug = require('debug')('variant-linker:http-recorder');
+const HttpRecorder = require('./HttpRecorder');
+
+let httpRecorder = null;
+
+/**
+ * Starts recording API responses to, or replaying them from, a session directory. Called
+ * without a mode, it ends the current session so requests go to the network again.
+ * @param {Object} [config={}] - Recorder configuration
+ * @param {string} [config.mode] - 'record' or 'replay'
+ * @param {string} [config.directory] - Session directory
+ * @returns {HttpRecorder|null} The new recorder, or null if recording is off
+ * @throws {Error} If the configuration is invalid (see HttpRecorder)
+ */
+function configureHttpRecorder(config = {}) {
+  httpRecorder = config.mode ? new HttpRecorder(config) : null;
+  debug(httpRecorder ? `HTTP ${config.mode} enabled` : 'HTTP record/replay disabled');
+  return httpRecorder;
+}
+
+/**
+ * Returns the active recorder.
+ * @returns {HttpRecorder|null} The recorder, or null if recording is off
+ */
+function getHttpRecorder() {
+  return httpRecorder;
+}
+
+module.exports = {
+  HttpRecorder,
+  configureHttpRecorder,
+  getHttpRecorder,
+};
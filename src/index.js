@@ -13,6 +13,7 @@
 'use strict';
 
 const { analyzeVariant, detectInputFormat } = require('./variantLinkerCore');
+const { analyzeVariantsStream } = require('./variantStream');
 const variantRecoder = require('./variantRecoder');
 const variantRecoderPost = require('./variantRecoderPost');
 const vepRegionsAnnotation = require('./vepRegionsAnnotation');
@@ -24,10 +25,14 @@ const apiHelper = require('./apiHelper');
 const cache = require('./cache');
 const configHelper = require('./configHelper');
 const schemaMapper = require('./schemaMapper');
+const annotationSource = require('./annotationSource');
+const runManifest = require('./runManifest');
+const parquetFormatter = require('./parquetFormatter');
 
 const exportsObj = {
   // Core analysis functions
   analyzeVariant,
+  analyzeVariantsStream,
   detectInputFormat,
 
   // API calls and format conversion
@@ -54,6 +59,9 @@ const exportsObj = {
   cache,
   configHelper,
   schemaMapper,
+  annotationSource,
+  runManifest,
+  parquetFormatter,
 };
 
 module.exports = exportsObj;
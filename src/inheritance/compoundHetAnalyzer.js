@@ -3,36 +3,149 @@
 
 /**
  * @fileoverview Analyzes variants within a gene for potential compound heterozygous inheritance.
+ * Trans configuration is confirmed from parental genotypes or, for read-backed phased index
+ * genotypes (0|1, 1|0) in the same phase set (FORMAT/PS), directly from the phase. Parental
+ * calls contradicted by the phase are flagged with phaseConflict.
  * @module compoundHetAnalyzer
  */
 
 const debugDetailed = require('debug')('variant-linker:detailed');
 const { isHet, isVariant, isRef, isMissing } = require('./genotypeUtils'); // isRef added
 
+/**
+ * Returns the haplotype carrying the alternate allele of a phased heterozygous genotype.
+ * Multi-allelic phased calls (e.g. '0|2', '1|2') are not phased: the genotype of a split ALT
+ * allele does not say which of its alleles the variant is, and isHet does not count them as
+ * heterozygous, so they do not take part in compound heterozygous analysis.
+ * @param {string} gt - Genotype string
+ * @returns {number|null} 0 for '1|0', 1 for '0|1', null for unphased or other genotypes
+ * @private
+ */
+function _altHaplotype(gt) {
+  if (gt === '1|0') return 0;
+  if (gt === '0|1') return 1;
+  return null;
+}
+
+/**
+ * Determines the phase of pairs of heterozygous index variants. Only variants with a phased
+ * genotype and a phase set ID are considered, and only pairs in the same phase set are phased:
+ * alternate alleles on the same haplotype are in cis, on different haplotypes in trans.
+ *
+ * @param {Array<string>} variantKeys - Keys of the heterozygous index variants
+ * @param {Map<string, Map<string, string>>} genotypesMap - Maps variants to genotypes
+ * @param {Map<string, Map<string, (number|string)>>} [phaseSetsMap] - Maps variants to the
+ *   phase set IDs (FORMAT/PS) of the samples
+ * @param {string} indexSampleId - The ID of the index/proband sample
+ * @returns {Object} { phaseSets, cisPairs, transPairs }: phase set ID by variant key and the
+ *   pairs of variant keys found in cis and in trans
+ * @private
+ */
+function _analyzePhase(variantKeys, genotypesMap, phaseSetsMap, indexSampleId) {
+  const phaseSets = {};
+  const haplotypes = {};
+  for (const variantKey of variantKeys) {
+    const phaseSet = phaseSetsMap?.get(variantKey)?.get(indexSampleId);
+    const haplotype = _altHaplotype(genotypesMap.get(variantKey).get(indexSampleId));
+    if (phaseSet !== undefined && phaseSet !== null && haplotype !== null) {
+      phaseSets[variantKey] = phaseSet;
+      haplotypes[variantKey] = haplotype;
+    }
+  }
+
+  const cisPairs = [];
+  const transPairs = [];
+  const phasedKeys = Object.keys(phaseSets);
+  for (let i = 0; i < phasedKeys.length; i++) {
+    for (let j = i + 1; j < phasedKeys.length; j++) {
+      const [first, second] = [phasedKeys[i], phasedKeys[j]];
+      if (phaseSets[first] !== phaseSets[second]) continue;
+      (haplotypes[first] === haplotypes[second] ? cisPairs : transPairs).push([first, second]);
+    }
+  }
+  debugDetailed(
+    `  CompHet phase: ${phasedKeys.length} phased, ${cisPairs.length} cis pair(s), ` +
+      `${transPairs.length} trans pair(s)`
+  );
+  return { phaseSets, cisPairs, transPairs };
+}
+
+/**
+ * Adds the phase of the index variants to a compound heterozygous result. A pair in trans
+ * confirms the result without parental genotypes; if every pair is in cis, the variants lie on
+ * one haplotype and compound heterozygosity is excluded. If the parental genotypes confirmed
+ * the result but every pair is phased in cis, the call is kept and flagged with phaseConflict,
+ * since a phasing or genotyping error has to be resolved by review.
+ *
+ * @param {Object} result - Result of the parental analysis
+ * @param {Object} phase - Result of _analyzePhase
+ * @returns {Object} The result
+ * @private
+ */
+function _applyPhase(result, phase) {
+  if (Object.keys(phase.phaseSets).length === 0) return result;
+  result.phaseSets = phase.phaseSets;
+  result.cisPairs = phase.cisPairs;
+  result.transPairs = phase.transPairs;
+
+  const pairCount = (result.variantKeys.length * (result.variantKeys.length - 1)) / 2;
+  if (!result.isCompHet && phase.transPairs.length > 0) {
+    debugDetailed(`  CompHet: Confirmed by phased genotypes in trans.`);
+    result.isCompHet = true;
+    result.isPossible = true;
+    result.pattern = 'compound_heterozygous';
+    result.confirmedByPhase = true;
+  } else if (phase.cisPairs.length === pairCount) {
+    if (result.isCompHet) {
+      debugDetailed(`  CompHet: Confirmed by parents, but all variants are phased in cis.`);
+      result.phaseConflict = true;
+    } else {
+      debugDetailed(`  CompHet: Excluded, all variants are phased in cis.`);
+      result.isPossible = false;
+      result.pattern = 'compound_heterozygous_excluded_cis';
+    }
+  }
+  return result;
+}
+
 /**
  * Analyzes a set of variants within the same gene (for a specific index sample)
  * to detect potential compound heterozygous inheritance patterns.
- * Requires pedigree data with parental genotypes for confirmation.
+ * Requires pedigree data with parental genotypes or phased index genotypes for confirmation.
  *
  * @param {Array<Object>} geneVariants - Array of variant annotation objects for a gene.
  *   Each object must have a `variantKey`.
  * @param {Map<string, Map<string, string>>} genotypesMap - Maps variants to genotypes
- * @param {Map<string, Object>} pedigreeData - Parsed pedigree data. Required for CompHet.
+ * @param {Map<string, Object>} pedigreeData - Parsed pedigree data.
  * @param {string} indexSampleId - The ID of the index/proband sample.
+ * @param {Map<string, Map<string, (number|string)>>} [phaseSetsMap] - Maps variants to the
+ *   phase set IDs (FORMAT/PS) of the samples, for phased genotypes.
  * @returns {Object|null} Result of compound heterozygous analysis,
  *   or null if not applicable.
  *   Result object structure:
  *   {
- *     isCompHet: boolean, // True if confirmed with parental data
- *     isPossible: boolean, // True if het variants found but parents inconclusive
- *     pattern: string, // 'compound_heterozygous' or 'possible'
+ *     isCompHet: boolean, // True if confirmed with parental data or phasing
+ *     isPossible: boolean, // True if het variants found but unconfirmed; false if excluded
+ *     pattern: string, // 'compound_heterozygous', 'compound_heterozygous_possible*' or
+ *                      // 'compound_heterozygous_excluded_cis'
  *     variantKeys: Array<string>, // Het variants in index
  *     paternalVariantKeys?: Array<string>, // Variants likely inherited from father
  *     maternalVariantKeys?: Array<string>, // Variants likely inherited from mother
- *     ambiguousVariantKeys?: Array<string> // Variants with unclear parent of origin
+ *     ambiguousVariantKeys?: Array<string>, // Variants with unclear parent of origin
+ *     phaseSets?: Object<string, (number|string)>, // Phase set ID of phased index variants
+ *     cisPairs?: Array<Array<string>>, // Phased pairs on the same haplotype (excluded)
+ *     transPairs?: Array<Array<string>>, // Phased pairs on different haplotypes
+ *     confirmedByPhase?: boolean, // True if confirmed by phasing rather than parents
+ *     phaseConflict?: boolean // True if confirmed by parents but all pairs are phased in cis
  *   }
  */
-function analyzeCompoundHeterozygous(geneVariants, genotypesMap, pedigreeData, indexSampleId) {
+function analyzeCompoundHeterozygous(
+  geneVariants,
+  genotypesMap,
+  pedigreeData,
+  indexSampleId,
+  phaseSetsMap
+) {
   const geneSymbol = geneVariants?.[0]?.transcript_consequences?.[0]?.gene_symbol || 'Unknown Gene';
   debugDetailed(`--- Entering analyzeCompoundHeterozygous for gene ${geneSymbol} ---`);
   debugDetailed(`  Args: variant count=${geneVariants?.length}, index=${indexSampleId}`);
@@ -100,11 +213,13 @@ function analyzeCompoundHeterozygous(geneVariants, genotypesMap, pedigreeData, i
     maternalVariantKeys: [],
     ambiguousVariantKeys: [],
   };
+  const phase = _analyzePhase(result.variantKeys, genotypesMap, phaseSetsMap, indexSampleId);
 
   // --- Check Parental Inheritance (Requires Pedigree) ---
   if (!pedigreeData || pedigreeData.size === 0) {
     debugDetailed(`  CompHet: No pedigree data. Cannot confirm. Marking as 'possible'.`);
     result.pattern = 'compound_heterozygous_possible_no_pedigree';
+    _applyPhase(result, phase);
     debugDetailed(`--- Exiting: ${geneSymbol}, Result: ${JSON.stringify(result)} ---`);
     return result;
   }
@@ -125,6 +240,7 @@ function analyzeCompoundHeterozygous(geneVariants, genotypesMap, pedigreeData, i
   if (!hasValidParents) {
     debugDetailed(`  CompHet: No valid parent info for index ${indexSampleId}.`);
     result.pattern = 'compound_heterozygous_possible_missing_parents';
+    _applyPhase(result, phase);
     debugDetailed(`--- Exiting: ${geneSymbol}, Result: ${JSON.stringify(result)} ---`);
     return result;
   }
@@ -138,6 +254,7 @@ function analyzeCompoundHeterozygous(geneVariants, genotypesMap, pedigreeData, i
   if (!fatherHasGenotype || !motherHasGenotype) {
     debugDetailed(`  CompHet: Missing parent genotype data.`);
     result.pattern = 'compound_heterozygous_possible_missing_parent_genotypes';
+    _applyPhase(result, phase);
     debugDetailed(`--- Exiting: ${geneSymbol}, Result: ${JSON.stringify(result)} ---`);
     return result;
   }
@@ -233,6 +350,7 @@ function analyzeCompoundHeterozygous(geneVariants, genotypesMap, pedigreeData, i
     // }
   }
 
+  _applyPhase(result, phase);
   debugDetailed(`--- Exiting: ${geneSymbol}, Result: ${JSON.stringify(result)} ---`);
   return result;
 }
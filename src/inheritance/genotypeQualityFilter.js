@@ -0,0 +1,114 @@
+// src/inheritance/genotypeQualityFilter.js
+'use strict';
+
+/**
+ * @fileoverview Masks low-quality genotype calls before inheritance analysis.
+ * A call whose FORMAT/GQ, DP or heterozygous allele balance (from AD) is below the configured
+ * thresholds is treated as missing, so e.g. a low-depth parental 0/0 cannot turn a variant
+ * into a de novo candidate.
+ * @module genotypeQualityFilter
+ */
+
+const debug = require('debug')('variant-linker:inheritance:genotype-quality');
+const { isMissing } = require('./genotypeUtils');
+
+const MISSING_GENOTYPE = './.';
+
+/**
+ * Checks if any genotype quality threshold is set.
+ * @param {Object} [thresholds] - { minGq, minDp, minAb }
+ * @returns {boolean} True if at least one threshold is a number
+ */
+function hasGenotypeQualityThresholds(thresholds) {
+  return Boolean(
+    thresholds && ['minGq', 'minDp', 'minAb'].some((key) => typeof thresholds[key] === 'number')
+  );
+}
+
+/**
+ * Computes the fraction of alternate reads of a heterozygous call with one reference allele
+ * (e.g. 0/1 or 0|2), taking the depths of the called alleles from AD.
+ * @param {string} gt - Genotype string
+ * @param {Array<number>} [ad] - FORMAT/AD (reference depth first)
+ * @returns {number|null} Allele balance, or null if the call is not such a heterozygous call
+ *   or the depths are not available
+ * @private
+ */
+function _alleleBalance(gt, ad) {
+  if (!Array.isArray(ad)) return null;
+  const alleles = gt.split(/[\/|-]/);
+  if (alleles.length !== 2 || alleles[0] === alleles[1] || !alleles.includes('0')) return null;
+  const altIndex = Number(alleles[0] === '0' ? alleles[1] : alleles[0]);
+  const refDepth = ad[0];
+  const altDepth = ad[altIndex];
+  if (typeof refDepth !== 'number' || typeof altDepth !== 'number' || refDepth + altDepth === 0) {
+    return null;
+  }
+  return altDepth / (refDepth + altDepth);
+}
+
+/**
+ * Lists the thresholds a genotype call fails. Fields that are not available never fail;
+ * without FORMAT/DP, the depth is the sum of AD.
+ * @param {string} gt - Genotype string
+ * @param {Object} [fields] - { GQ, DP, AD } of the sample
+ * @param {Object} thresholds - { minGq, minDp, minAb }; minAb applies to heterozygous calls,
+ *   which fail if the alternate read fraction is below minAb or above 1 - minAb
+ * @returns {Array<string>} Reasons (e.g. 'GQ 12 < 20'), empty if the call passes
+ */
+function getGenotypeQualityFailures(gt, fields, thresholds) {
+  const failures = [];
+  if (!fields || isMissing(gt)) return failures;
+  const { minGq, minDp, minAb } = thresholds || {};
+
+  if (typeof minGq === 'number' && typeof fields.GQ === 'number' && fields.GQ < minGq) {
+    failures.push(`GQ ${fields.GQ} < ${minGq}`);
+  }
+  const depth =
+    typeof fields.DP === 'number'
+      ? fields.DP
+      : Array.isArray(fields.AD)
+        ? fields.AD.reduce((sum, value) => sum + value, 0)
+        : null;
+  if (typeof minDp === 'number' && depth !== null && depth < minDp) {
+    failures.push(`DP ${depth} < ${minDp}`);
+  }
+  if (typeof minAb === 'number') {
+    const balance = _alleleBalance(gt, fields.AD);
+    if (balance !== null && (balance < minAb || balance > 1 - minAb)) {
+      failures.push(`AB ${Number(balance.toFixed(3))} outside ${minAb}-${1 - minAb}`);
+    }
+  }
+  return failures;
+}
+
+/**
+ * Replaces the genotypes that fail the quality thresholds with missing calls.
+ * @param {Map<string, string>} genotypes - Genotype string by sample ID
+ * @param {Map<string, Object>} [sampleFields] - { GQ, DP, AD } by sample ID (from vcfReader)
+ * @param {Object} thresholds - { minGq, minDp, minAb }
+ * @returns {Object} { genotypes, filtered }: a new map with failing calls set to './.' and
+ *   the reasons by sample ID of every masked call
+ */
+function applyGenotypeQualityFilters(genotypes, sampleFields, thresholds) {
+  const filtered = {};
+  if (!sampleFields || !hasGenotypeQualityThresholds(thresholds)) {
+    return { genotypes, filtered };
+  }
+  const masked = new Map(genotypes);
+  for (const [sampleId, gt] of genotypes.entries()) {
+    const failures = getGenotypeQualityFailures(gt, sampleFields.get(sampleId), thresholds);
+    if (failures.length > 0) {
+      masked.set(sampleId, MISSING_GENOTYPE);
+      filtered[sampleId] = failures;
+      debug(`Masked genotype ${gt} of ${sampleId}: ${failures.join(', ')}`);
+    }
+  }
+  return { genotypes: masked, filtered };
+}
+
+module.exports = {
+  hasGenotypeQualityThresholds,
+  getGenotypeQualityFailures,
+  applyGenotypeQualityFilters,
+};
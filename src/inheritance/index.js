@@ -9,6 +9,8 @@
 
 const { analyzeInheritanceForSample } = require('./inheritanceAnalyzer');
 const genotypeUtils = require('./genotypeUtils');
+const genotypeQualityFilter = require('./genotypeQualityFilter');
+const mosaicismDetector = require('./mosaicismDetector');
 const pedigreeUtils = require('./pedigreeUtils');
 const patternPrioritizer = require('./patternPrioritizer');
 
@@ -21,6 +23,8 @@ const inheritance = {
 // but keep the main focus on the analysis function. Direct imports are often cleaner.
 inheritance.utils = {
   ...genotypeUtils,
+  ...genotypeQualityFilter,
+  ...mosaicismDetector,
   ...pedigreeUtils,
   DEFAULT_PRIORITY_ORDER: patternPrioritizer.DEFAULT_PRIORITY_ORDER,
 };
@@ -17,6 +17,7 @@ const patternDeducer = require('./patternDeducer');
 const segregationChecker = require('./segregationChecker');
 const patternPrioritizer = require('./patternPrioritizer');
 const compoundHetAnalyzer = require('./compoundHetAnalyzer');
+const { partitionPedigreeByFamily } = require('./pedigreeUtils');
 
 /**
  * Determines the index/proband sample ID based on available information.
@@ -143,6 +144,65 @@ function _groupAnnotationsByGene(annotations) {
   return geneVariantsMap;
 }
 
+/**
+ * Lists the partners of a variant in pairs of variant keys.
+ * @param {Array<Array<string>>} [pairs] - Pairs of variant keys (e.g. cisPairs of a result)
+ * @param {string} variantKey - Variant key
+ * @returns {Array<string>} Keys of the variants paired with the variant
+ * @private
+ */
+function _pairPartnerKeys(pairs, variantKey) {
+  return (pairs || [])
+    .filter((pair) => pair.includes(variantKey))
+    .map((pair) => (pair[0] === variantKey ? pair[1] : pair[0]));
+}
+
+/**
+ * Builds the phasing part of the compHetDetails of a variant.
+ * @param {Object} compHetResult - The result from analyzeCompoundHeterozygous.
+ * @param {string} variantKey - Variant key
+ * @returns {Object} { phaseSet, transPartnerKeys, excludedCisPartnerKeys, confirmedByPhase,
+ *   phaseConflict? } for a phased variant, otherwise an empty object
+ * @private
+ */
+function _phaseDetails(compHetResult, variantKey) {
+  if (!compHetResult.phaseSets || !(variantKey in compHetResult.phaseSets)) return {};
+  return {
+    phaseSet: compHetResult.phaseSets[variantKey],
+    transPartnerKeys: _pairPartnerKeys(compHetResult.transPairs, variantKey),
+    excludedCisPartnerKeys: _pairPartnerKeys(compHetResult.cisPairs, variantKey),
+    confirmedByPhase: Boolean(compHetResult.confirmedByPhase),
+    ...(compHetResult.phaseConflict && { phaseConflict: true }),
+  };
+}
+
+/**
+ * Records a compound heterozygous result that phasing excluded (all variants in cis) in the
+ * compHetDetails of its variants, without changing their patterns.
+ *
+ * @param {Map<string, Object>} inheritanceResults - Main results map (variantKey -> result).
+ * @param {string} geneSymbol - The gene being processed.
+ * @param {Object} compHetResult - The result from analyzeCompoundHeterozygous.
+ * @private
+ */
+function _markExcludedCompHet(inheritanceResults, geneSymbol, compHetResult) {
+  debugDetailed(`  CompHet for ${geneSymbol} excluded (${compHetResult.pattern})`);
+  for (const variantKey of compHetResult.variantKeys) {
+    if (!inheritanceResults.has(variantKey)) continue;
+    inheritanceResults.set(variantKey, {
+      ...inheritanceResults.get(variantKey),
+      compHetDetails: {
+        isCandidate: false,
+        isPossible: false,
+        excludedReason: compHetResult.pattern,
+        geneSymbol,
+        partnerVariantKeys: [],
+        ..._phaseDetails(compHetResult, variantKey),
+      },
+    });
+  }
+}
+
 /**
  * Merges compound heterozygous results back into the main inheritance results map.
  * Updates the prioritized pattern and adds compHet details.
@@ -153,9 +213,13 @@ function _groupAnnotationsByGene(annotations) {
  * @private
  */
 function _mergeCompHetResults(inheritanceResults, geneSymbol, compHetResult) {
-  if (!compHetResult || !(compHetResult.isCompHet || compHetResult.isPossible)) {
+  if (!compHetResult) {
     return; // Nothing to merge
   }
+  if (!(compHetResult.isCompHet || compHetResult.isPossible)) {
+    _markExcludedCompHet(inheritanceResults, geneSymbol, compHetResult);
+    return;
+  }
 
   // ** Added more detailed logging **
   debugDetailed(
@@ -194,6 +258,8 @@ function _mergeCompHetResults(inheritanceResults, geneSymbol, compHetResult) {
         'x_linked_recessive_possible',
         'x_linked_dominant_possible',
         'de_novo_candidate',
+        'de_novo_mosaic_candidate',
+        'parental_mosaic_suspected',
         // Explicitly add possible CompHet patterns as weak so confirmed can override
         'compound_heterozygous_possible',
         'compound_heterozygous_possible_missing_parents',
@@ -245,12 +311,19 @@ function _mergeCompHetResults(inheritanceResults, geneSymbol, compHetResult) {
         isCandidate: compHetResult.isCompHet, // isCandidate true only if confirmed
         isPossible: compHetResult.isPossible,
         geneSymbol,
-        // List partners involved in this specific CompHet finding
-        partnerVariantKeys: compHetResult.variantKeys.filter((k) => k !== variantKey),
+        // List partners involved in this specific CompHet finding (partners phased in cis are
+        // excluded, they lie on the same haplotype, unless the parents contradict the phase)
+        partnerVariantKeys: compHetResult.variantKeys.filter(
+          (k) =>
+            k !== variantKey &&
+            (compHetResult.phaseConflict ||
+              !_pairPartnerKeys(compHetResult.cisPairs, variantKey).includes(k))
+        ),
         // Include PoO info if available from compHetResult
         likelyPaternalKeys: compHetResult.paternalVariantKeys, // Keep original keys here
         likelyMaternalKeys: compHetResult.maternalVariantKeys,
         ambiguousKeys: compHetResult.ambiguousVariantKeys,
+        ..._phaseDetails(compHetResult, variantKey),
       };
 
       // Update the result object
@@ -263,9 +336,9 @@ function _mergeCompHetResults(inheritanceResults, geneSymbol, compHetResult) {
         // Add/overwrite segregation status for comphet patterns
         segregationStatus: {
           ...currentResult.segregationStatus,
-          ...(compHetResult.isCompHet && { compound_heterozygous: 'segregates' }), // Assume segregates if confirmed
+          ...(compHetResult.isCompHet && { compound_heterozygous: { status: 'segregates' } }), // Assume segregates if confirmed
           ...(compHetResult.isPossible &&
-            !compHetResult.isCompHet && { [compHetResult.pattern]: 'unknown' }), // Status for possible is unknown
+            !compHetResult.isCompHet && { [compHetResult.pattern]: { status: 'unknown' } }), // Status for possible is unknown
         },
         compHetDetails: compHetDetails,
       };
@@ -283,18 +356,94 @@ function _mergeCompHetResults(inheritanceResults, geneSymbol, compHetResult) {
   }
 }
 
+/**
+ * Analyzes a multi-family cohort: every family of the pedigree is analyzed on its own, with
+ * the genotypes of its members only and its own index sample.
+ *
+ * @param {Array<Object>} annotations - Variant objects with a 'variantKey' property.
+ * @param {Map<string, Map<string, string>>} genotypesMap - Variant genotype maps.
+ * @param {Map<string, Map<string, Object>>} families - Pedigree data by family ID
+ *   (see partitionPedigreeByFamily).
+ * @param {Map<string, Map<string, (number|string)>>} [phaseSetsMap] - Phase set IDs.
+ * @param {Object} [segregationModel] - Penetrance and phenocopy rate of the co-segregation
+ *   likelihoods.
+ * @param {Object} [mosaicism] - Allele depths and mosaicism thresholds.
+ * @returns {Map<string, Object>} Map of variantKeys to { families: { [familyId]: result } },
+ *   where each result also carries its familyId and indexSampleId.
+ * @private
+ */
+function _analyzeFamilies(
+  annotations,
+  genotypesMap,
+  families,
+  phaseSetsMap,
+  segregationModel,
+  mosaicism
+) {
+  const results = new Map();
+  for (const [familyId, familyPedigree] of families.entries()) {
+    const familyGenotypesMap = new Map();
+    for (const [variantKey, genotypes] of genotypesMap.entries()) {
+      const familyGenotypes = new Map(
+        Array.from(genotypes.entries()).filter(([sampleId]) => familyPedigree.has(sampleId))
+      );
+      if (familyGenotypes.size > 0) familyGenotypesMap.set(variantKey, familyGenotypes);
+    }
+    if (familyGenotypesMap.size === 0) {
+      debug(`Skipping family ${familyId}: none of its samples has genotypes`);
+      continue;
+    }
+
+    debug(`Analyzing family ${familyId} (${familyPedigree.size} individuals)`);
+    const indexSampleId = _determineIndexSampleId(familyGenotypesMap, familyPedigree, null);
+    const familyResults = analyzeInheritanceForSample(
+      annotations,
+      familyGenotypesMap,
+      familyPedigree,
+      null,
+      phaseSetsMap,
+      segregationModel,
+      mosaicism
+    );
+    for (const [variantKey, result] of familyResults.entries()) {
+      if (!results.has(variantKey)) results.set(variantKey, { families: {} });
+      results.get(variantKey).families[familyId] = { familyId, indexSampleId, ...result };
+    }
+  }
+  return results;
+}
+
 /**
  * Analyzes inheritance patterns for a list of variant annotations.
  * This is the main entry point for the inheritance analysis workflow.
+ * A pedigree with several families (cohort VCF) is analyzed per family: the result of each
+ * variant is then { families: { [familyId]: result } }.
  *
  * @param {Array<Object>} annotations - Variant objects with required properties.
  *                                      Each must have a 'variantKey' property in CHR-POS-REF-ALT format.
  * @param {Map<string, Map<string, string>>} genotypesMap - Variant genotype maps, keyed by CHR-POS-REF-ALT.
  * @param {Map<string, Object>|null} pedigreeData - Optional parsed pedigree data.
  * @param {Object|null} sampleMap - Optional role to sample ID mapping.
+ * @param {Map<string, Map<string, (number|string)>>} [phaseSetsMap] - Optional phase set IDs
+ *   (FORMAT/PS) of phased genotypes, keyed like genotypesMap; used to phase compound
+ *   heterozygous candidates.
+ * @param {Object} [segregationModel] - Optional { penetrance, phenocopyRate } of the
+ *   co-segregation likelihood ratios that are added to the segregationStatus of AD, AR and
+ *   X-linked patterns (see calculateSegregationLikelihood).
+ * @param {Object} [mosaicism] - Optional { alleleDepthsMap, thresholds }: FORMAT/AD by sample ID,
+ *   keyed like genotypesMap, and { maxProbandVaf, minParentalVaf, minAltReads }; de novo calls
+ *   are then checked for parental and post-zygotic mosaicism (see classifyDeNovo).
  * @returns {Map<string, Object>} Map of variantKeys (CHR-POS-REF-ALT) to inheritance results.
  */
-function analyzeInheritanceForSample(annotations, genotypesMap, pedigreeData, sampleMap) {
+function analyzeInheritanceForSample(
+  annotations,
+  genotypesMap,
+  pedigreeData,
+  sampleMap,
+  phaseSetsMap,
+  segregationModel,
+  mosaicism
+) {
   debugDetailed(`--- Entering analyzeInheritanceForSample ---`);
   debugDetailed(
     `  Input: ann=${annotations?.length}, gen=${genotypesMap?.size}, ped=${pedigreeData?.size}`
@@ -344,6 +493,19 @@ function analyzeInheritanceForSample(annotations, genotypesMap, pedigreeData, sa
     return results;
   }
 
+  const families = partitionPedigreeByFamily(pedigreeData);
+  if (families.size > 1) {
+    debug(`Pedigree has ${families.size} families, analyzing each family separately`);
+    return _analyzeFamilies(
+      annotations,
+      genotypesMap,
+      families,
+      phaseSetsMap,
+      segregationModel,
+      mosaicism
+    );
+  }
+
   // Determine the index sample ID (crucial for CompHet analysis)
   const indexSampleId = _determineIndexSampleId(genotypesMap, pedigreeData, sampleMap);
   // Note: Trio/PED deduction doesn't strictly *need* the index ID identified beforehand,
@@ -386,7 +548,8 @@ function analyzeInheritanceForSample(annotations, genotypesMap, pedigreeData, sa
     try {
       // 1. Deduce Patterns
       // We need chrom info. Extract from key or annotation if possible.
-      const keyParts = variantKey.split('-'); // Use hyphen now
+      // CHROM-POS-REF-ALT keys, or CHROM:START-END:TYPE for structural variants
+      const keyParts = variantKey.split(/[-:]/);
       const chrom = keyParts[0] || annotation.seq_region_name || annotation.chr || 'unknown';
       const variantInfo = { chrom: chrom }; // Use consistent chrom value
       debugDetailed(`  --> Calling patternDeducer.deduceInheritancePatterns for ${variantKey}...`);
@@ -394,7 +557,11 @@ function analyzeInheritanceForSample(annotations, genotypesMap, pedigreeData, sa
         genotypes,
         pedigreeData,
         sampleMap,
-        variantInfo
+        variantInfo,
+        mosaicism && {
+          alleleDepths: mosaicism.alleleDepthsMap?.get(variantKey),
+          thresholds: mosaicism.thresholds,
+        }
       );
       debugDetailed(`  <-- deduceInheritancePatterns result: ${JSON.stringify(possiblePatterns)}`);
 
@@ -437,11 +604,21 @@ function analyzeInheritanceForSample(annotations, genotypesMap, pedigreeData, sa
               `    ---> Calling segregationChecker.checkSegregation for pattern: ${pattern}...`
             );
             const status = segregationChecker.checkSegregation(pattern, genotypes, pedigreeData);
-            segregationResults.set(pattern, status);
-            debugDetailed(`    <--- checkSegregation result: ${status}`);
+            const likelihood = segregationChecker.calculateSegregationLikelihood(
+              pattern,
+              genotypes,
+              pedigreeData,
+              segregationModel,
+              indexSampleId
+            );
+            segregationResults.set(pattern, { status, ...likelihood });
+            debugDetailed(
+              `    <--- checkSegregation result: ${status}` +
+                (likelihood ? `, LOD ${likelihood.lod}` : '')
+            );
           } catch (segError) {
             debugDetailed(`    !!! ERROR checking segregation for ${pattern}: ${segError.message}`);
-            segregationResults.set(pattern, 'error_checking_segregation');
+            segregationResults.set(pattern, { status: 'error_checking_segregation' });
           }
         }
         debugDetailed(
@@ -524,7 +701,8 @@ function analyzeInheritanceForSample(annotations, genotypesMap, pedigreeData, sa
           geneVariants,
           genotypesMap, // Pass the map keyed by CHR-POS-REF-ALT
           pedigreeData, // Pass PED data, analyzer handles null/missing case
-          indexSampleId // Crucial parameter
+          indexSampleId, // Crucial parameter
+          phaseSetsMap // Phase sets of phased genotypes, if any
         );
 
         if (compHetResult) {
@@ -563,5 +741,5 @@ module.exports = {
   // Core function
   analyzeInheritanceForSample,
   // Do not export internal helper functions
-  // (_determineIndexSampleId, _groupAnnotationsByGene, _mergeCompHetResults)
+  // (_determineIndexSampleId, _groupAnnotationsByGene, _mergeCompHetResults, _analyzeFamilies)
 };
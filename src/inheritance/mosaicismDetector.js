@@ -0,0 +1,103 @@
+// src/inheritance/mosaicismDetector.js
+'use strict';
+
+/**
+ * @fileoverview Detects mosaicism behind de novo calls of a trio from allele depths (FORMAT/AD).
+ * A parent called 0/0 whose reads carry the alternate allele points to a mosaic parent rather
+ * than a de novo variant, and a de novo call with a low alternate read fraction in the index
+ * sample points to a post-zygotic (mosaic) de novo.
+ * @module mosaicismDetector
+ */
+
+const debug = require('debug')('variant-linker:inheritance:mosaicism');
+const { isMissing, isRef } = require('./genotypeUtils');
+
+// Alternate reads required as evidence of a mosaic allele unless configured
+const DEFAULT_MIN_ALT_READS = 2;
+
+/**
+ * Checks if any mosaicism threshold is set.
+ * @param {Object} [thresholds] - { maxProbandVaf, minParentalVaf, minAltReads }
+ * @returns {boolean} True if maxProbandVaf or minParentalVaf is a number
+ */
+function hasMosaicismThresholds(thresholds) {
+  return Boolean(
+    thresholds &&
+      ['maxProbandVaf', 'minParentalVaf'].some((key) => typeof thresholds[key] === 'number')
+  );
+}
+
+/**
+ * Counts the alternate reads of a reference (0/0) or heterozygous (e.g. 0/1) call from AD.
+ * A reference call counts the reads of every alternate allele, a heterozygous call those of
+ * its called alternate allele.
+ * @param {string} gt - Genotype string
+ * @param {Array<number>} [ad] - FORMAT/AD (reference depth first)
+ * @returns {Object|null} { altReads, depth, fraction }, or null if the call is missing, not
+ *   such a call, or the depths are not available
+ */
+function getAltReadFraction(gt, ad) {
+  if (!Array.isArray(ad) || isMissing(gt) || typeof ad[0] !== 'number') return null;
+  let altReads;
+  if (isRef(gt)) {
+    altReads = ad.slice(1).reduce((sum, value) => sum + value, 0);
+  } else {
+    const alleles = gt.split(/[\/|-]/);
+    if (alleles.length !== 2 || alleles[0] === alleles[1] || !alleles.includes('0')) return null;
+    altReads = ad[Number(alleles[0] === '0' ? alleles[1] : alleles[0])];
+    if (typeof altReads !== 'number') return null;
+  }
+  const depth = ad[0] + altReads;
+  if (depth === 0) return null;
+  return { altReads, depth, fraction: altReads / depth };
+}
+
+/**
+ * Refines a de novo call of a trio (index variant, both parents called 0/0) with allele depths.
+ * @param {Map<string, string>} genotypes - Map of sampleId to genotype string for the variant.
+ * @param {string} indexId - Index sample ID.
+ * @param {Array<string>} parentIds - Mother and father sample IDs.
+ * @param {Object} [mosaicism] - { alleleDepths: Map<sampleId, Array<number>>, thresholds:
+ *   { maxProbandVaf, minParentalVaf, minAltReads } } of the variant.
+ * @returns {string} 'parental_mosaic_suspected' if a parent has at least minAltReads alternate
+ *   reads making up at least minParentalVaf of its depth, 'de_novo_mosaic_candidate' if the
+ *   index sample's alternate read fraction is below maxProbandVaf (with at least minAltReads
+ *   alternate reads), otherwise 'de_novo'.
+ */
+function classifyDeNovo(genotypes, indexId, parentIds, mosaicism) {
+  const { alleleDepths, thresholds } = mosaicism || {};
+  if (!alleleDepths || !hasMosaicismThresholds(thresholds)) return 'de_novo';
+  const { maxProbandVaf, minParentalVaf, minAltReads = DEFAULT_MIN_ALT_READS } = thresholds;
+
+  if (typeof minParentalVaf === 'number') {
+    for (const parentId of parentIds) {
+      const reads = getAltReadFraction(genotypes.get(parentId), alleleDepths.get(parentId));
+      if (reads && reads.altReads >= minAltReads && reads.fraction >= minParentalVaf) {
+        debug(
+          `Parent ${parentId} of ${indexId} called reference with ${reads.altReads}/` +
+            `${reads.depth} alternate reads: suspected parental mosaic`
+        );
+        return 'parental_mosaic_suspected';
+      }
+    }
+  }
+
+  if (typeof maxProbandVaf === 'number') {
+    const reads = getAltReadFraction(genotypes.get(indexId), alleleDepths.get(indexId));
+    if (reads && reads.altReads >= minAltReads && reads.fraction < maxProbandVaf) {
+      debug(
+        `De novo in ${indexId} with ${reads.altReads}/${reads.depth} alternate reads: ` +
+          `mosaic candidate`
+      );
+      return 'de_novo_mosaic_candidate';
+    }
+  }
+  return 'de_novo';
+}
+
+module.exports = {
+  DEFAULT_MIN_ALT_READS,
+  hasMosaicismThresholds,
+  getAltReadFraction,
+  classifyDeNovo,
+};
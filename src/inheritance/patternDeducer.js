@@ -12,6 +12,7 @@ const debug = require('debug')('variant-linker:inheritance:patternDeducer');
 const debugDetailed = require('debug')('variant-linker:detailed');
 const genotypeUtils = require('./genotypeUtils');
 const pedigreeUtils = require('./pedigreeUtils'); // Needed for PED X-linked checks
+const mosaicismDetector = require('./mosaicismDetector');
 
 // --- Core Deduction Logic ---
 
@@ -67,10 +68,12 @@ function _deduceSingleSamplePattern(genotypes, isXChromosome) {
  * @param {Object} sampleMap - Object mapping roles ('index', 'mother', 'father') to sample IDs.
  * @param {boolean} isXChromosome - Whether the variant is on the X chromosome.
  * @param {Map<string, Object>|null} pedigreeData - Optional pedigree data for sex checks on X.
+ * @param {Object} [mosaicism] - Allele depths and mosaicism thresholds of the variant
+ *   (see mosaicismDetector.classifyDeNovo).
  * @returns {Array<string>} Array of possible patterns.
  * @private
  */
-function _deduceTrioPatterns(genotypes, sampleMap, isXChromosome, pedigreeData) {
+function _deduceTrioPatterns(genotypes, sampleMap, isXChromosome, pedigreeData, mosaicism) {
   debugDetailed(`--- Entering _deduceTrioPatterns ---`);
   debugDetailed(`  Args: sampleMap=${JSON.stringify(sampleMap)}, isX=${isXChromosome}`);
 
@@ -113,7 +116,7 @@ function _deduceTrioPatterns(genotypes, sampleMap, isXChromosome, pedigreeData)
 
   if (isIndexVariant && isMotherRef && isFatherRef) {
     debugDetailed('--> De Novo condition MET.');
-    patterns.push('de_novo');
+    patterns.push(mosaicismDetector.classifyDeNovo(genotypes, index, [mother, father], mosaicism));
   } else if (
     isIndexVariant &&
     ((isMotherRef && isFatherMissing) || (isMotherMissing && isFatherRef))
@@ -261,10 +264,12 @@ function _deduceTrioPatterns(genotypes, sampleMap, isXChromosome, pedigreeData)
  * Deduces inheritance pattern using default trio assumptions (first 3 samples from VCF).
  * @param {Map<string, string>} genotypes - Map of sampleId to genotype string (at least 3 entries).
  * @param {boolean} isXChromosome - Whether the variant is on the X chromosome.
+ * @param {Object} [mosaicism] - Allele depths and mosaicism thresholds of the variant
+ *   (see mosaicismDetector.classifyDeNovo).
  * @returns {Array<string>} Array of possible patterns.
  * @private
  */
-function _deduceDefaultTrioPatterns(genotypes, isXChromosome) {
+function _deduceDefaultTrioPatterns(genotypes, isXChromosome, mosaicism) {
   debugDetailed(`--- Entering _deduceDefaultTrioPatterns ---`);
   const samples = Array.from(genotypes.keys());
   if (!samples || samples.length < 3) {
@@ -292,7 +297,7 @@ function _deduceDefaultTrioPatterns(genotypes, isXChromosome) {
     `Default trio: Index=${sampleMap.index}, M=${sampleMap.mother}, F=${sampleMap.father}`
   );
   // Call the specific trio deduction logic, passing null for pedigreeData
-  const result = _deduceTrioPatterns(genotypes, sampleMap, isXChromosome, null);
+  const result = _deduceTrioPatterns(genotypes, sampleMap, isXChromosome, null, mosaicism);
   debugDetailed(`--- Exiting _deduceDefaultTrioPatterns. Result: ${JSON.stringify(result)} ---`);
   return result;
 }
@@ -304,10 +309,12 @@ function _deduceDefaultTrioPatterns(genotypes, isXChromosome) {
  * @param {Map<string, string>} genotypes - Map of sampleId to genotype string.
  * @param {Map<string, Object>} pedigreeData - Parsed pedigree data.
  * @param {boolean} isXChromosome - Whether the variant is on the X chromosome.
+ * @param {Object} [mosaicism] - Allele depths and mosaicism thresholds of the variant
+ *   (see mosaicismDetector.classifyDeNovo).
  * @returns {Array<string>} Array of possible patterns.
  * @private
  */
-function _deducePedBasedPatterns(genotypes, pedigreeData, isXChromosome) {
+function _deducePedBasedPatterns(genotypes, pedigreeData, isXChromosome, mosaicism) {
   debugDetailed(`--- Entering _deducePedBasedPatterns ---`);
   debugDetailed(
     `  Args:
@@ -327,6 +334,7 @@ function _deducePedBasedPatterns(genotypes, pedigreeData, isXChromosome) {
   let hasAffected = false;
   let allAreReference = true; // Flag to check if everyone is 0/0
   let nonMissingCount = 0; // Count individuals with actual genotype data
+  let hasMissingAffected = false; // An affected individual without a (usable) genotype call
 
   for (const [sampleId, pedInfo] of pedigreeData.entries()) {
     if (genotypes.has(sampleId)) {
@@ -347,6 +355,9 @@ function _deducePedBasedPatterns(genotypes, pedigreeData, isXChromosome) {
           allAreReference = false;
         }
       } else {
+        if (pedInfo.affectedStatus === '2' || pedInfo.affectedStatus === 2) {
+          hasMissingAffected = true;
+        }
         debugDetailed(
           `  PED Mode: Sample ${sampleId} has missing genotype, excluded from consistency checks.`
         );
@@ -362,7 +373,8 @@ function _deducePedBasedPatterns(genotypes, pedigreeData, isXChromosome) {
 
   // ** FIX: Add early return for 'reference' if applicable **
   // Only return 'reference' if we actually checked samples and they were all ref
-  if (nonMissingCount > 0 && allAreReference) {
+  // (not if an affected individual's call is missing, e.g. masked for low quality)
+  if (nonMissingCount > 0 && allAreReference && !hasMissingAffected) {
     debugDetailed(`  PED Mode: All non-missing samples are reference homozygous.`);
     debugDetailed(`--- Exiting _deducePedBasedPatterns. Result: ["reference"] ---`);
     return ['reference'];
@@ -390,6 +402,7 @@ function _deducePedBasedPatterns(genotypes, pedigreeData, isXChromosome) {
 
   // 1. Check De Novo consistency
   let potentialDeNovo = false;
+  let deNovoTrio = null; // [index, mother, father] of the potential de novo
   for (const [affectedId, affectedData] of affectedIndividuals.entries()) {
     const indexGT = affectedData.genotype;
     if (!genotypeUtils.isVariant(indexGT)) {
@@ -414,6 +427,7 @@ function _deducePedBasedPatterns(genotypes, pedigreeData, isXChromosome) {
       if (!genotypeUtils.isMissing(motherGT) && !genotypeUtils.isMissing(fatherGT)) {
         if (genotypeUtils.isRef(motherGT) && genotypeUtils.isRef(fatherGT)) {
           potentialDeNovo = true; // Found at least one affected with ref parents
+          deNovoTrio = [affectedId, motherId, fatherId];
           debugDetailed(`  PED De Novo Check: Found potential de novo for ${affectedId}`);
           break; // One instance is enough to suggest de novo
         }
@@ -455,7 +469,10 @@ function _deducePedBasedPatterns(genotypes, pedigreeData, isXChromosome) {
       }
     }
     if (!inherited) {
-      consistentPatterns.push('de_novo');
+      const [indexId, motherId, fatherId] = deNovoTrio;
+      consistentPatterns.push(
+        mosaicismDetector.classifyDeNovo(genotypes, indexId, [motherId, fatherId], mosaicism)
+      );
       debugDetailed("  PED Mode: 'de_novo' is consistent.");
     } else {
       debugDetailed(
@@ -719,10 +736,13 @@ function _deducePedBasedPatterns(genotypes, pedigreeData, isXChromosome) {
  * ('index', 'mother', 'father') (optional).
  * @param {Object} variantInfo - Information about the variant (e.g., { chrom: 'X' }).
  * @param {string} variantInfo.chrom - Chromosome name (e.g., 'X', '1', 'chrX').
+ * @param {Object} [mosaicism] - Optional { alleleDepths, thresholds } of the variant: FORMAT/AD
+ *   by sample ID and { maxProbandVaf, minParentalVaf, minAltReads }, to report de novo calls as
+ *   'de_novo_mosaic_candidate' or 'parental_mosaic_suspected'.
  * @returns {Array<string>} Array of possible inheritance patterns
  * (e.g., ['autosomal_dominant', 'de_novo']).
  */
-function deduceInheritancePatterns(genotypes, pedigreeData, sampleMap, variantInfo) {
+function deduceInheritancePatterns(genotypes, pedigreeData, sampleMap, variantInfo, mosaicism) {
   debugDetailed(`--- Entering deduceInheritancePatterns ---`);
   debugDetailed(
     `  Args: genotypes=${genotypes?.size}, ` +
@@ -755,16 +775,16 @@ function deduceInheritancePatterns(genotypes, pedigreeData, sampleMap, variantIn
   if (hasPedigree) {
     // Use PED mode if pedigree data is provided (most informative)
     debugDetailed('  Mode Selected: PED-based');
-    patterns = _deducePedBasedPatterns(genotypes, pedigreeData, isXChromosome);
+    patterns = _deducePedBasedPatterns(genotypes, pedigreeData, isXChromosome, mosaicism);
   } else if (hasTrioMap && sampleCount >= 3) {
     // Use explicit Trio mode if sampleMap is valid and enough genotypes exist
     debugDetailed('  Mode Selected: Trio (Explicit Sample Map)');
     // Pass pedigreeData=null as we rely on the map, not full PED structure here
-    patterns = _deduceTrioPatterns(genotypes, sampleMap, isXChromosome, null);
+    patterns = _deduceTrioPatterns(genotypes, sampleMap, isXChromosome, null, mosaicism);
   } else if (sampleCount >= 3) {
     // Use default Trio mode if >= 3 genotypes and no PED or explicit map
     debugDetailed('  Mode Selected: Trio (Default Assumption)');
-    patterns = _deduceDefaultTrioPatterns(genotypes, isXChromosome);
+    patterns = _deduceDefaultTrioPatterns(genotypes, isXChromosome, mosaicism);
   } else if (sampleCount > 0) {
     // Use Single Sample mode if only 1 or 2 genotypes
     debugDetailed('  Mode Selected: Single Sample');
@@ -19,6 +19,8 @@ const DEFAULT_PRIORITY_ORDER = [
 
   // Medium Confidence / Likely / Possible based on data
   'de_novo_candidate', // (Trio missing parent)
+  'de_novo_mosaic_candidate', // De novo with low alternate read fraction (post-zygotic)
+  'parental_mosaic_suspected', // Parent called 0/0 but carries alternate reads
   'compound_heterozygous_possible',
   'compound_heterozygous_possible_missing_parents',
   'compound_heterozygous_possible_missing_parent_genotypes',
@@ -62,14 +64,39 @@ const DEFAULT_PRIORITY_ORDER = [
   'unknown', // Generic fallback
 ];
 
+// Co-segregation LOD score at or below which a model is excluded (likelihood ratio 1:100)
+const SEGREGATION_EXCLUSION_LOD = -2;
+
+/**
+ * Returns the segregation category of a pattern's segregation status, treating patterns whose
+ * co-segregation likelihood ratio excludes the model as not segregating.
+ *
+ * @param {string|Object} [segregationStatus] - Category string, or an object with the category
+ *   as 'status' and the optional likelihoodRatio (see calculateSegregationLikelihood).
+ * @returns {string|undefined} The category.
+ * @private
+ */
+function _segregationCategory(segregationStatus) {
+  if (!segregationStatus || typeof segregationStatus === 'string') return segregationStatus;
+  const { status, likelihoodRatio } = segregationStatus;
+  if (
+    typeof likelihoodRatio === 'number' &&
+    likelihoodRatio <= Math.pow(10, SEGREGATION_EXCLUSION_LOD)
+  ) {
+    return 'does_not_segregate';
+  }
+  return status;
+}
+
 /**
  * Prioritizes inheritance patterns from a list of possibilities, considering segregation results.
  *
  * @param {Array<string>} possiblePatterns - List of possible inheritance patterns deduced.
- * @param {Map<string, string>|null} segregationResults - Map of pattern to segregation status.
- * Each value is one of: 'segregates', 'does_not_segregate',
- * 'unknown_missing_data', 'unknown_no_affected'.
- * Can be null if segregation not checked.
+ * @param {Map<string, (string|Object)>|null} segregationResults - Map of pattern to segregation
+ * status: one of 'segregates', 'does_not_segregate', 'unknown_missing_data',
+ * 'unknown_no_affected', or an object with that category as 'status' and the co-segregation
+ * likelihoodRatio; a pattern whose LOD score is at most SEGREGATION_EXCLUSION_LOD counts as
+ * not segregating. Can be null if segregation not checked.
  * @param {Array<string>} [priorityOrder=DEFAULT_PRIORITY_ORDER] - Optional custom priority order.
  * @returns {string} The single highest-priority pattern based on rules and segregation.
  */
@@ -83,6 +110,7 @@ function prioritizePattern(
     `  Args: patterns=${JSON.stringify(possiblePatterns)}, ` +
       `segregation=${JSON.stringify(Object.fromEntries(segregationResults || new Map()))}`
   );
+  const categoryOf = (pattern) => _segregationCategory(segregationResults?.get(pattern));
 
   if (!possiblePatterns || possiblePatterns.length === 0) {
     debugDetailed(
@@ -103,18 +131,14 @@ function prioritizePattern(
 
   // --- Filter by Segregation ---
   if (segregationResults && segregationResults.size > 0) {
-    const segregating = patternsToConsider.filter(
-      (p) => segregationResults.get(p) === 'segregates'
-    );
+    const segregating = patternsToConsider.filter((p) => categoryOf(p) === 'segregates');
     const unknownSegregation = patternsToConsider.filter(
       (p) =>
-        segregationResults.get(p) === 'unknown_missing_data' ||
-        segregationResults.get(p) === 'unknown_no_affected' || // Treat 'no affected' as unknown for prioritization
+        categoryOf(p) === 'unknown_missing_data' ||
+        categoryOf(p) === 'unknown_no_affected' || // Treat 'no affected' as unknown for prioritization
         !segregationResults.has(p) // Include patterns where segregation wasn't checked/applicable
     );
-    const notSegregating = patternsToConsider.filter(
-      (p) => segregationResults.get(p) === 'does_not_segregate'
-    );
+    const notSegregating = patternsToConsider.filter((p) => categoryOf(p) === 'does_not_segregate');
 
     debugDetailed(
       `  Segregation: Segregating (${segregating.length}), ` +
@@ -191,4 +215,5 @@ function prioritizePattern(
 module.exports = {
   prioritizePattern,
   DEFAULT_PRIORITY_ORDER, // Export order if it might be needed elsewhere (e.g., UI)
+  SEGREGATION_EXCLUSION_LOD,
 };
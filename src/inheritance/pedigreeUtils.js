@@ -42,7 +42,27 @@ function isFemale(sampleId, pedigreeData) {
   return sample && (sample.sex === '2' || sample.sex === 2);
 }
 
+/**
+ * Splits pedigree data into one pedigree per family (PED column 1, familyId).
+ * Samples without a family ID are grouped under an empty ID.
+ *
+ * @param {Map<string, Object>} pedigreeData - Map of sampleId to pedigree info objects.
+ * @returns {Map<string, Map<string, Object>>} Pedigree data of each family, by family ID, in
+ *   the order the families first appear.
+ */
+function partitionPedigreeByFamily(pedigreeData) {
+  const families = new Map();
+  if (!pedigreeData) return families;
+  for (const [sampleId, sample] of pedigreeData.entries()) {
+    const familyId = sample?.familyId || '';
+    if (!families.has(familyId)) families.set(familyId, new Map());
+    families.get(familyId).set(sampleId, sample);
+  }
+  return families;
+}
+
 module.exports = {
   isMale,
   isFemale,
+  partitionPedigreeByFamily,
 };
@@ -2,13 +2,30 @@
 'use strict';
 
 /**
- * @fileoverview Checks if a variant segregates with affected status in a pedigree.
+ * @fileoverview Checks if a variant segregates with affected status in a pedigree, and
+ * quantifies the co-segregation evidence as a likelihood ratio (Bayes factor) and LOD score.
  * @module segregationChecker
  */
 
 const debug = require('debug')('variant-linker:inheritance:segregation');
 const debugDetailed = require('debug')('variant-linker:detailed');
-const { isVariant, isRef, isMissing } = require('./genotypeUtils');
+const { isVariant, isRef, isHet, isHomAlt, isMissing } = require('./genotypeUtils');
+const { isMale, isFemale } = require('./pedigreeUtils');
+
+// Penetrance (risk of disease of a genetically affected individual) and phenocopy rate (risk of
+// disease without the causal genotype) of the co-segregation likelihood models
+const DEFAULT_SEGREGATION_MODEL = {
+  penetrance: 0.95,
+  phenocopyRate: 0.01,
+};
+
+// Likelihood models of the patterns with quantitative segregation evidence
+const LIKELIHOOD_MODELS = {
+  autosomal_dominant: 'AD',
+  autosomal_recessive: 'AR',
+  x_linked_dominant: 'XLD',
+  x_linked_recessive: 'XLR',
+};
 
 /**
  * Checks if a variant segregates according to a given pattern within a pedigree.
@@ -153,6 +170,225 @@ function checkSegregation(pattern, genotypes, pedigreeData) {
   return 'unknown_missing_data'; // Default to unknown if logic fails
 }
 
+/**
+ * Counts the alternate alleles of a biallelic genotype call.
+ * @param {string} gt - Genotype string (diploid, or haploid '0'/'1')
+ * @returns {number|null} 0, 1 or 2, or null if the call is missing or not biallelic
+ * @private
+ */
+function _altAlleleCount(gt) {
+  if (isMissing(gt)) return null;
+  if (isRef(gt)) return 0;
+  if (isHet(gt)) return 1;
+  if (isHomAlt(gt)) return 2;
+  if (gt === '0' || gt === '1') return Number(gt);
+  return null;
+}
+
+/**
+ * Computes the prior (Mendelian) distribution of a child's alternate allele count from the
+ * allele counts of its parents.
+ * @param {number} fatherCount - Alternate alleles of the father
+ * @param {number} motherCount - Alternate alleles of the mother
+ * @param {boolean} xLinked - Whether the variant is X-linked
+ * @param {boolean} childIsMale - Whether the child is male (X-linked only)
+ * @returns {Array<number>} Probabilities of 0, 1 and 2 alternate alleles
+ * @private
+ */
+function _childAlleleCountPrior(fatherCount, motherCount, xLinked, childIsMale) {
+  const fromMother = motherCount / 2;
+  if (xLinked && childIsMale) {
+    // Hemizygous: the X of a son comes from his mother
+    return [1 - fromMother, fromMother, 0];
+  }
+  // A father passes his single X to his daughters
+  const fromFather = xLinked ? Math.min(fatherCount, 1) : fatherCount / 2;
+  return [
+    (1 - fromFather) * (1 - fromMother),
+    fromFather * (1 - fromMother) + (1 - fromFather) * fromMother,
+    fromFather * fromMother,
+  ];
+}
+
+/**
+ * Lists the allele counts a couple may have, given the genotyped parents and the genotypes of
+ * their children. An ungenotyped parent may have any count; the combinations under which every
+ * genotyped child is Mendelian and that introduce the fewest alternate alleles are kept, as
+ * the variant is assumed to be rare. A carrier child of a non-carrier parent thus makes its
+ * ungenotyped other parent an obligate carrier, and a carrier child of two ungenotyped parents
+ * makes either of them a carrier with equal probability.
+ * @param {number|null} fatherCount - Alternate alleles of the father (null if ungenotyped)
+ * @param {number|null} motherCount - Alternate alleles of the mother (null if ungenotyped)
+ * @param {Array<Object>} children - Genotyped children as { count, male }
+ * @param {boolean} xLinked - Whether the variant is X-linked
+ * @returns {Array<Array<number>>} Equally likely [fatherCount, motherCount] pairs; the
+ *   ungenotyped parents count as non-carriers if no combination explains the children
+ * @private
+ */
+function _parentAlleleCountOptions(fatherCount, motherCount, children, xLinked) {
+  const fatherOptions = fatherCount !== null ? [fatherCount] : xLinked ? [0, 1] : [0, 1, 2];
+  const motherOptions = motherCount !== null ? [motherCount] : [0, 1, 2];
+  let options = [];
+  let fewestAlleles = Infinity;
+  for (const father of fatherOptions) {
+    for (const mother of motherOptions) {
+      const mendelian = children.every(
+        ({ count, male }) => _childAlleleCountPrior(father, mother, xLinked, male)[count] > 0
+      );
+      if (!mendelian || father + mother > fewestAlleles) continue;
+      if (father + mother < fewestAlleles) {
+        fewestAlleles = father + mother;
+        options = [];
+      }
+      options.push([father, mother]);
+    }
+  }
+  return options.length > 0 ? options : [[fatherCount ?? 0, motherCount ?? 0]];
+}
+
+/**
+ * Returns the risk of disease of an individual with the given alternate allele count under a
+ * likelihood model.
+ * @param {string} model - 'AD', 'AR', 'XLD' or 'XLR'
+ * @param {number} count - Alternate alleles (at most 1 for X-linked males)
+ * @param {boolean} male - Whether the individual is male
+ * @param {Object} rates - { penetrance, phenocopyRate }
+ * @returns {number} Probability of being affected
+ * @private
+ */
+function _diseaseRisk(model, count, male, rates) {
+  let genotypeCauses;
+  if (model === 'AD' || model === 'XLD') {
+    genotypeCauses = count >= 1;
+  } else if (model === 'XLR') {
+    genotypeCauses = male ? count >= 1 : count === 2;
+  } else {
+    genotypeCauses = count === 2;
+  }
+  return genotypeCauses ? rates.penetrance : rates.phenocopyRate;
+}
+
+/**
+ * Calculates the co-segregation likelihood ratio of a variant under the inheritance model of a
+ * pattern: the probability of the observed genotypes of the pedigree given the phenotypes if
+ * the variant causes the disease, relative to a neutral variant (Thompson et al. 2003).
+ *
+ * Each genotyped non-founder with known affected status contributes
+ * P(phenotype | genotype) / Sum_g P(g | parental genotypes) * P(phenotype | g), the risks
+ * following the configured penetrance and phenocopy rate. The genotypes of ungenotyped parents
+ * are inferred from their children (see _parentAlleleCountOptions), the prior averaging over
+ * the possible parental genotypes; parents outside the pedigree are assumed not to carry the
+ * (rare) variant. The index sample is left out as it was ascertained for its
+ * phenotype, and so are non-Mendelian (e.g. de novo) genotypes, which carry no segregation
+ * information.
+ *
+ * @param {string} pattern - Inheritance pattern ('autosomal_dominant', 'autosomal_recessive',
+ *   'x_linked_dominant' or 'x_linked_recessive').
+ * @param {Map<string, string>} genotypes - Map of sampleId to genotype string for the variant.
+ * @param {Map<string, Object>} pedigreeData - Parsed pedigree data.
+ * @param {Object} [segregationModel] - { penetrance, phenocopyRate }; missing values default to
+ *   DEFAULT_SEGREGATION_MODEL.
+ * @param {string} [indexSampleId] - Index sample (proband) to leave out.
+ * @returns {Object|null} { model, likelihoodRatio, lod, informativeIndividuals }, lod being
+ *   null if the likelihood ratio is 0; or null if the pattern has no likelihood model or there
+ *   is no pedigree or genotype data.
+ */
+function calculateSegregationLikelihood(
+  pattern,
+  genotypes,
+  pedigreeData,
+  segregationModel,
+  indexSampleId
+) {
+  const model = LIKELIHOOD_MODELS[pattern];
+  if (!model || !pedigreeData?.size || !genotypes?.size) return null;
+  const xLinked = model === 'XLD' || model === 'XLR';
+  const rates = {
+    penetrance: segregationModel?.penetrance ?? DEFAULT_SEGREGATION_MODEL.penetrance,
+    phenocopyRate: segregationModel?.phenocopyRate ?? DEFAULT_SEGREGATION_MODEL.phenocopyRate,
+  };
+
+  const alleleCount = (sampleId) => {
+    const count = _altAlleleCount(genotypes.get(sampleId));
+    return xLinked && count !== null && isMale(sampleId, pedigreeData) ? Math.min(count, 1) : count;
+  };
+  const parentAlleleCount = (parentId) => (pedigreeData.has(parentId) ? alleleCount(parentId) : 0);
+  // Possible parental allele counts per couple, inferred from all their genotyped children
+  const coupleOptions = new Map();
+  const parentOptions = (fatherId, motherId) => {
+    const key = `${fatherId}\t${motherId}`;
+    if (!coupleOptions.has(key)) {
+      const children = [];
+      for (const [childId, childInfo] of pedigreeData.entries()) {
+        if (childInfo.fatherId !== fatherId || childInfo.motherId !== motherId) continue;
+        const count = alleleCount(childId);
+        const male = isMale(childId, pedigreeData);
+        if (count === null || (xLinked && !male && !isFemale(childId, pedigreeData))) continue;
+        children.push({ count, male });
+      }
+      coupleOptions.set(
+        key,
+        _parentAlleleCountOptions(
+          parentAlleleCount(fatherId),
+          parentAlleleCount(motherId),
+          children,
+          xLinked
+        )
+      );
+    }
+    return coupleOptions.get(key);
+  };
+
+  let likelihoodRatio = 1;
+  let informativeIndividuals = 0;
+  for (const [sampleId, pedInfo] of pedigreeData.entries()) {
+    if (sampleId === indexSampleId) continue;
+    const affected = pedInfo.affectedStatus === '2' || pedInfo.affectedStatus === 2;
+    const unaffected = pedInfo.affectedStatus === '1' || pedInfo.affectedStatus === 1;
+    const count = alleleCount(sampleId);
+    if ((!affected && !unaffected) || count === null) continue;
+    if (!pedigreeData.has(pedInfo.fatherId) && !pedigreeData.has(pedInfo.motherId)) continue;
+    const male = isMale(sampleId, pedigreeData);
+    if (xLinked && !male && !isFemale(sampleId, pedigreeData)) continue;
+
+    const options = parentOptions(pedInfo.fatherId, pedInfo.motherId);
+    const prior = [0, 0, 0];
+    for (const [fatherCount, motherCount] of options) {
+      _childAlleleCountPrior(fatherCount, motherCount, xLinked, male).forEach((p, c) => {
+        prior[c] += p / options.length;
+      });
+    }
+    if (prior[count] === 0) {
+      debugDetailed(`  ${sampleId}: genotype not Mendelian under ${model}, not counted`);
+      continue;
+    }
+    const phenotypeLikelihood = (c) => {
+      const risk = _diseaseRisk(model, c, male, rates);
+      return affected ? risk : 1 - risk;
+    };
+    const expected = prior.reduce((sum, p, c) => sum + p * phenotypeLikelihood(c), 0);
+    const ratio = expected > 0 ? phenotypeLikelihood(count) / expected : 1;
+    if (Math.abs(ratio - 1) > 1e-12) {
+      likelihoodRatio *= ratio;
+      informativeIndividuals++;
+      debugDetailed(`  ${sampleId}: likelihood ratio ${ratio} under ${model}`);
+    }
+  }
+
+  debug(
+    `Segregation likelihood for ${pattern} (${model}): LR=${likelihoodRatio} ` +
+      `from ${informativeIndividuals} informative individual(s)`
+  );
+  return {
+    model,
+    likelihoodRatio: Number(likelihoodRatio.toPrecision(4)),
+    lod: likelihoodRatio > 0 ? Number(Math.log10(likelihoodRatio).toFixed(3)) : null,
+    informativeIndividuals,
+  };
+}
+
 module.exports = {
   checkSegregation,
+  calculateSegregationLikelihood,
+  DEFAULT_SEGREGATION_MODEL,
 };
@@ -0,0 +1,128 @@
+// src/normalization/IndexedFasta.js
+'use strict';
+
+/**
+ * @fileoverview Random access to an uncompressed FASTA file through its samtools `.fai` index.
+ * @module normalization/IndexedFasta
+ */
+
+// Browser environment detection and graceful fallbacks
+let fs;
+try {
+  fs = require('fs');
+} catch (e) {
+  // Browser environment - fs will be undefined
+}
+const debug = require('debug')('variant-linker:normalization');
+
+/**
+ * Reads reference sequence ranges from a FASTA file indexed with `samtools faidx`.
+ */
+class IndexedFasta {
+  /**
+   * Create a new IndexedFasta instance and load its index.
+   * @param {string} fastaPath - Path to the FASTA file; `<fastaPath>.fai` must exist
+   * @throws {Error} If the FASTA file or its index is missing or the FASTA is compressed
+   */
+  constructor(fastaPath) {
+    if (!fs) {
+      throw new Error('Reading a FASTA file requires a Node.js environment.');
+    }
+    if (!fs.existsSync(fastaPath)) {
+      throw new Error(`FASTA file not found: ${fastaPath}`);
+    }
+    if (/\.b?gz$/i.test(fastaPath)) {
+      throw new Error(`Compressed FASTA files are not supported: ${fastaPath}`);
+    }
+    const indexPath = `${fastaPath}.fai`;
+    if (!fs.existsSync(indexPath)) {
+      throw new Error(
+        `FASTA index not found: ${indexPath}. Create it with "samtools faidx ${fastaPath}".`
+      );
+    }
+
+    this.path = fastaPath;
+    this.index = new Map();
+    for (const line of fs.readFileSync(indexPath, 'utf8').split('\n')) {
+      const [name, length, offset, lineBases, lineWidth] = line.split('\t');
+      if (!name || lineWidth === undefined) continue;
+      this.index.set(name, {
+        length: Number(length),
+        offset: Number(offset),
+        lineBases: Number(lineBases),
+        lineWidth: Number(lineWidth),
+      });
+    }
+    this.fd = fs.openSync(fastaPath, 'r');
+    debug(`Loaded FASTA index for ${this.index.size} sequences from ${indexPath}`);
+  }
+
+  /**
+   * Resolves a chromosome name to a sequence in the index, with or without "chr" prefix
+   * ("1"/"chr1", "MT"/"chrM").
+   * @param {string} chrom - Chromosome name
+   * @returns {string|null} Sequence name in the FASTA, or null if absent
+   */
+  resolveName(chrom) {
+    const bare = String(chrom).replace(/^chr/i, '');
+    const candidates = [String(chrom), bare, `chr${bare}`];
+    if (/^MT?$/i.test(bare)) {
+      candidates.push('MT', 'chrM', 'M', 'chrMT');
+    }
+    return candidates.find((name) => this.index.has(name)) || null;
+  }
+
+  /**
+   * Returns the sequence length of a chromosome.
+   * @param {string} chrom - Chromosome name
+   * @returns {number|null} Length, or null if the chromosome is not in the FASTA
+   */
+  getLength(chrom) {
+    const name = this.resolveName(chrom);
+    return name ? this.index.get(name).length : null;
+  }
+
+  /**
+   * Reads a reference sequence range.
+   * @param {string} chrom - Chromosome name
+   * @param {number} start - 1-based start position (inclusive)
+   * @param {number} end - 1-based end position (inclusive)
+   * @returns {string} Upper-case sequence
+   * @throws {Error} If the chromosome is not in the FASTA or the range is out of bounds
+   */
+  getSequence(chrom, start, end) {
+    const name = this.resolveName(chrom);
+    if (!name) {
+      throw new Error(`Chromosome "${chrom}" not found in FASTA ${this.path}`);
+    }
+    const entry = this.index.get(name);
+    if (start < 1 || end > entry.length || end < start) {
+      throw new Error(
+        `Range ${chrom}:${start}-${end} is outside the reference sequence (length ${entry.length})`
+      );
+    }
+
+    // Byte offsets account for the newline characters at the end of every full line
+    const byteOffset = (pos0) =>
+      entry.offset +
+      Math.floor(pos0 / entry.lineBases) * entry.lineWidth +
+      (pos0 % entry.lineBases);
+    const from = byteOffset(start - 1);
+    const to = byteOffset(end - 1) + 1;
+    const buffer = Buffer.alloc(to - from);
+    fs.readSync(this.fd, buffer, 0, buffer.length, from);
+    return buffer.toString('ascii').replace(/\s/g, '').toUpperCase();
+  }
+
+  /**
+   * Closes the FASTA file.
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+module.exports = IndexedFasta;
@@ -0,0 +1,86 @@
+// src/normalization/index.js
+'use strict';
+
+/**
+ * @fileoverview Variant normalisation against a reference FASTA: trims alleles down to their
+ * shortest representation and left-aligns indels, so that equivalent representations of the
+ * same event (e.g. `1-100-CA-C` and `1-99-TC-T` in a poly-A run) produce the same key.
+ * Follows the algorithm of Tan et al. (2015), as implemented by `vt normalize` and
+ * `bcftools norm`.
+ * @module normalization
+ */
+
+const debugDetailed = require('debug')('variant-linker:detailed');
+const IndexedFasta = require('./IndexedFasta');
+
+/** @private */
+const VCF_KEY_PATTERN = /^((?:chr)?[0-9XYM]+)-(\d+)-([ACGTN]+)-([ACGTN]+)$/i;
+
+/**
+ * Normalises a CHROM-POS-REF-ALT key against the reference.
+ * The REF allele is first checked against the FASTA. Shared trailing bases are then trimmed,
+ * extending both alleles one reference base to the left whenever one becomes empty, which
+ * shifts the variant left through repeats; finally shared leading bases are trimmed while
+ * both alleles keep at least one base.
+ *
+ * @param {string} variantKey - The CHROM-POS-REF-ALT key.
+ * @param {IndexedFasta} fasta - The indexed reference sequence.
+ * @returns {string} The normalised CHROM-POS-REF-ALT key (unchanged if already normalised).
+ * @throws {Error} If the key is not a VCF-style key, its chromosome is not in the FASTA, or
+ *   its REF allele does not match the reference.
+ */
+function normalizeVariantKey(variantKey, fasta) {
+  const match = VCF_KEY_PATTERN.exec(String(variantKey).trim());
+  if (!match) {
+    throw new Error(`Cannot normalize "${variantKey}": expected CHROM-POS-REF-ALT`);
+  }
+  const chrom = match[1];
+  let pos = parseInt(match[2], 10);
+  let ref = match[3].toUpperCase();
+  let alt = match[4].toUpperCase();
+
+  const refInFasta = fasta.getSequence(chrom, pos, pos + ref.length - 1);
+  if (refInFasta !== ref) {
+    throw new Error(
+      `REF allele ${ref} of ${variantKey} does not match the reference (${refInFasta})`
+    );
+  }
+
+  if (ref === alt) {
+    return `${chrom}-${pos}-${ref}-${alt}`;
+  }
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    if (ref.length > 0 && alt.length > 0 && ref[ref.length - 1] === alt[alt.length - 1]) {
+      ref = ref.slice(0, -1);
+      alt = alt.slice(0, -1);
+      changed = true;
+    }
+    if ((ref.length === 0 || alt.length === 0) && pos > 1) {
+      pos -= 1;
+      const base = fasta.getSequence(chrom, pos, pos);
+      ref = base + ref;
+      alt = base + alt;
+      changed = true;
+    }
+  }
+
+  while (ref.length >= 2 && alt.length >= 2 && ref[0] === alt[0]) {
+    ref = ref.slice(1);
+    alt = alt.slice(1);
+    pos += 1;
+  }
+
+  const normalized = `${chrom}-${pos}-${ref}-${alt}`;
+  if (normalized !== variantKey) {
+    debugDetailed(`normalizeVariantKey: ${variantKey} -> ${normalized}`);
+  }
+  return normalized;
+}
+
+module.exports = {
+  IndexedFasta,
+  normalizeVariantKey,
+};
@@ -0,0 +1,138 @@
+// src/parquetFormatter.js
+'use strict';
+
+/**
+ * @fileoverview Formats annotation results as Apache Parquet for analytics engines (DuckDB,
+ * Spark, pandas). Rows are the same transcript-consequence rows as CSV/TSV output
+ * (flattenAnnotationData), but with a typed schema: numeric columns are doubles, comp-het
+ * flags are booleans and list-valued columns (e.g. consequence terms) are list columns.
+ * In streaming mode every chunk becomes one row group of the same file.
+ * @module parquetFormatter
+ */
+
+const debug = require('debug')('variant-linker:parquet-formatter');
+const { flattenAnnotationData, getDefaultColumnConfig } = require('./dataExtractor');
+const { formatProvenanceFields } = require('./provenance');
+const { ParquetWriter } = require('./utils/parquetWriter');
+const { getVersionDetails } = require('./version');
+
+// Rows per row group when a whole result set is written at once
+const ROW_GROUP_SIZE = 10000;
+
+// Column value types of the column configuration mapped to parquet writer column types
+const PARQUET_TYPES = { number: 'double', boolean: 'boolean', list: 'list' };
+
+/**
+ * Converts a value to text for a string column or list element.
+ * @param {*} value - Value
+ * @returns {string} Text
+ * @private
+ */
+function _toText(value) {
+  if (Array.isArray(value)) return value.map(_toText).join(';');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Converts an extracted value to the type of its parquet column. Empty values (the '' default
+ * of the column configuration) and values that do not fit the type become null.
+ * @param {*} value - Extracted value
+ * @param {string} type - Parquet column type ('string', 'double', 'boolean' or 'list')
+ * @returns {*} Typed value or null
+ * @private
+ */
+function _typedValue(value, type) {
+  if (value === undefined || value === null || value === '') return null;
+  switch (type) {
+    case 'double': {
+      const number = typeof value === 'number' ? value : Number(value);
+      return Number.isFinite(number) ? number : null;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      return value === 'true' ? true : value === 'false' ? false : null;
+    case 'list':
+      return (Array.isArray(value) ? value : [value])
+        .filter((item) => item !== undefined && item !== null && item !== '')
+        .map(_toText);
+    default:
+      return _toText(value);
+  }
+}
+
+/**
+ * Creates the state of a parquet output: a writer with a schema derived from the column
+ * configuration. List columns are extracted without their formatter (which joins the list
+ * into a string for CSV/TSV), so the values stay lists.
+ * @param {Array<Object>} [columnConfig] - Column configuration (default: getDefaultColumnConfig())
+ * @param {Object} [meta={}] - Result meta information; its release provenance is stored as
+ *   key/value metadata in the file footer
+ * @returns {Object} { columnConfig, writer } for writeParquetRows and closeParquetOutput
+ */
+function createParquetOutput(columnConfig = getDefaultColumnConfig(), meta = {}) {
+  const columns = columnConfig.map((column) => {
+    const type = PARQUET_TYPES[column.type] || 'string';
+    return {
+      ...column,
+      parquetType: type,
+      ...(type === 'list' && { formatter: undefined }),
+    };
+  });
+  const { version } = getVersionDetails();
+  const writer = new ParquetWriter(
+    columns.map((column) => ({ name: column.header, type: column.parquetType })),
+    {
+      keyValueMetadata: formatProvenanceFields(meta.provenance),
+      createdBy: `variant-linker version ${version}`,
+    }
+  );
+  debug(`Created parquet output with ${columns.length} columns`);
+  return { columnConfig: columns, writer };
+}
+
+/**
+ * Flattens annotations into rows and encodes them as row groups of a parquet output.
+ * @param {Object} output - Result of createParquetOutput
+ * @param {Array<Object>} annotationData - Annotations
+ * @returns {Buffer} Bytes to append to the file (the file header before the first row group)
+ */
+function writeParquetRows(output, annotationData) {
+  const rows = flattenAnnotationData(annotationData, output.columnConfig).map((row) =>
+    output.columnConfig.map((column) => _typedValue(row[column.header], column.parquetType))
+  );
+  const parts = [];
+  for (let i = 0; i < rows.length; i += ROW_GROUP_SIZE) {
+    parts.push(output.writer.writeRowGroup(rows.slice(i, i + ROW_GROUP_SIZE)));
+  }
+  debug(`Wrote ${rows.length} parquet row(s)`);
+  return Buffer.concat(parts);
+}
+
+/**
+ * Finishes a parquet output.
+ * @param {Object} output - Result of createParquetOutput
+ * @returns {Buffer} Bytes that complete the file (footer with schema and row group metadata)
+ */
+function closeParquetOutput(output) {
+  return output.writer.close();
+}
+
+/**
+ * Formats annotation results as a complete parquet file.
+ * @param {Object} results - Filtered results with annotationData and meta
+ * @param {Array<Object>} columnConfig - Column configuration (see getDefaultColumnConfig)
+ * @returns {Buffer} The parquet file
+ */
+function formatResultsToParquet(results, columnConfig) {
+  const annotationData = Array.isArray(results.annotationData) ? results.annotationData : [];
+  const output = createParquetOutput(columnConfig, results.meta || {});
+  return Buffer.concat([writeParquetRows(output, annotationData), closeParquetOutput(output)]);
+}
+
+module.exports = {
+  createParquetOutput,
+  writeParquetRows,
+  closeParquetOutput,
+  formatResultsToParquet,
+};
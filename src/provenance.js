@@ -0,0 +1,84 @@
+// src/provenance.js
+'use strict';
+
+/**
+ * @fileoverview Provenance of the annotations of a run: the Ensembl release, data releases
+ * and assembly reported by the annotation source. Provides the checks for
+ * --require-ensembl-release and the `VL_*` header fields written to VCF, CSV and TSV output.
+ * @module provenance
+ */
+
+const debug = require('debug')('variant-linker:provenance');
+
+// Header fields written for a provenance object, in output order: [key, value getter]
+const HEADER_FIELDS = [
+  ['VL_ANNOTATION_SOURCE', (p) => p.annotationSource],
+  ['VL_API_URL', (p) => p.baseUrl],
+  ['VL_ENSEMBL_RELEASE', (p) => p.ensemblRelease],
+  ['VL_VEP_CACHE_VERSION', (p) => (p.dataReleases ? p.dataReleases.join(',') : undefined)],
+  ['VL_ASSEMBLY', (p) => p.assembly],
+  ['VL_REST_API_VERSION', (p) => p.restApiVersion],
+  ['VL_VEP_JSON_PATH', (p) => p.path],
+  ['VL_PROVENANCE_DATE', (p) => p.retrievedAt],
+  ['VL_PROVENANCE_ERROR', (p) => p.error],
+];
+
+/**
+ * Queries the provenance of an annotation source. Sources without a getProvenance method
+ * are described by their name only.
+ * @param {Object} source - Annotation source
+ * @param {Object} [proxyConfig=null] - Proxy configuration for REST requests
+ * @returns {Promise<Object>} Provenance; on failure it carries an error message instead of
+ *   the versions
+ */
+async function getAnnotationProvenance(source, proxyConfig = null) {
+  if (typeof source.getProvenance !== 'function') {
+    return { annotationSource: source.name };
+  }
+  try {
+    return await source.getProvenance(proxyConfig);
+  } catch (error) {
+    debug(`Could not retrieve provenance from '${source.name}' source: ${error.message}`);
+    return { annotationSource: source.name, error: error.message };
+  }
+}
+
+/**
+ * Checks that the annotation source reports the required Ensembl release.
+ * @param {Object} provenance - Result of getAnnotationProvenance
+ * @param {number|string} requiredRelease - Required Ensembl release
+ * @throws {Error} If the release differs or cannot be determined
+ */
+function assertEnsemblRelease(provenance, requiredRelease) {
+  const required = Number(requiredRelease);
+  if (provenance.ensemblRelease === undefined || provenance.ensemblRelease === null) {
+    const reason = provenance.error
+      ? `the server could not be queried (${provenance.error})`
+      : `the '${provenance.annotationSource}' annotation source does not report a release`;
+    throw new Error(`Cannot verify Ensembl release ${required}: ${reason}`);
+  }
+  if (Number(provenance.ensemblRelease) !== required) {
+    throw new Error(
+      `Ensembl release mismatch: ${provenance.baseUrl} reports release ` +
+        `${provenance.ensemblRelease}, but release ${required} is required`
+    );
+  }
+}
+
+/**
+ * Lists the header fields describing a provenance object.
+ * @param {Object} [provenance] - Result of getAnnotationProvenance
+ * @returns {Array<Array<string>>} [key, value] pairs (empty without provenance)
+ */
+function formatProvenanceFields(provenance) {
+  if (!provenance) return [];
+  return HEADER_FIELDS.map(([key, valueOf]) => [key, valueOf(provenance)])
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => [key, String(value).replace(/[\r\n]+/g, ' ')]);
+}
+
+module.exports = {
+  getAnnotationProvenance,
+  assertEnsemblRelease,
+  formatProvenanceFields,
+};
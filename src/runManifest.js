@@ -0,0 +1,305 @@
+// src/runManifest.js
+'use strict';
+
+/**
+ * @fileoverview Run manifests for traceability of analyses (e.g. in accredited diagnostics): a
+ * machine-readable record of the parameters, the checksums of the input, configuration and
+ * output files, the package version, the run time and the number of API calls of a run.
+ * @module runManifest
+ */
+
+// Browser environment detection and graceful fallbacks
+let fs;
+let path;
+let crypto;
+try {
+  fs = require('fs');
+  path = require('path');
+  crypto = require('crypto');
+} catch (e) {
+  // Browser environment - modules will be null/undefined
+}
+const debug = require('debug')('variant-linker:manifest');
+const { getVersionDetails } = require('./version');
+const { getApiCallStats } = require('./apiHelper');
+
+const MANIFEST_FORMAT_VERSION = 1;
+const REDACTED = '[redacted]';
+
+// Parameters naming files that are checksummed, with the role they are listed under. Both the
+// CLI names and the analyzeVariant names are listed, so either set of parameters can be passed.
+const INPUT_FILE_PARAMS = [
+  ['variantsFile', 'input'],
+  ['vcfInput', 'input'],
+  ['ped', 'pedigree'],
+  ['vepJsonPath', 'vepJson'],
+  ['normalize', 'reference'],
+  ['normalizeFasta', 'reference'],
+  ['bedFile', 'features'],
+  ['geneList', 'features'],
+  ['jsonGenes', 'features'],
+  ['regionsBed', 'regions'],
+  ['config', 'config'],
+];
+const SCORING_CONFIG_FILES = ['variable_assignment_config.json', 'formula_config.json'];
+
+// analyzeVariant parameters holding (potentially large) data rather than settings
+const DATA_PARAMS = [
+  'variants',
+  'vcfRecordMap',
+  'vcfHeaderLines',
+  'pedigreeData',
+  'features',
+  'scoringConfig',
+  'failedVariants',
+  'checkpoint',
+  'originalToLiftedMap',
+  'liftoverMeta',
+  'proxyConfig',
+  'parquetOutput',
+];
+
+/**
+ * Computes the SHA-256 checksum and size of a file without reading it into memory at once.
+ * @param {string} filePath - File to checksum
+ * @returns {Promise<Object>} { path, sha256, bytes }
+ */
+async function checksumFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+    bytes += chunk.length;
+  }
+  return { path: path.resolve(filePath), sha256: hash.digest('hex'), bytes };
+}
+
+/**
+ * Checksums a file or, for a directory, every file directly inside it.
+ * @param {string} role - Role of the file(s) in the run (e.g. 'input', 'scoringConfig')
+ * @param {string} filePath - File or directory
+ * @returns {Promise<Array<Object>>} { role, path, sha256, bytes } entries; a path that cannot
+ *   be read is listed with an error message instead of a checksum
+ * @private
+ */
+async function _describeFiles(role, filePath) {
+  try {
+    if (fs.statSync(filePath).isDirectory()) {
+      const files = fs
+        .readdirSync(filePath)
+        .sort()
+        .map((name) => path.join(filePath, name))
+        .filter((file) => fs.statSync(file).isFile());
+      const entries = [];
+      for (const file of files) {
+        entries.push({ role, ...(await checksumFile(file)) });
+      }
+      return entries;
+    }
+    return [{ role, ...(await checksumFile(filePath)) }];
+  } catch (error) {
+    debug(`Could not checksum ${filePath}: ${error.message}`);
+    return [{ role, path: path.resolve(filePath), error: error.message }];
+  }
+}
+
+/**
+ * Checksums the input and configuration files named in the parameters of a run: the variant
+ * or VCF input, PED file, scoring configuration files, VEP JSON, reference FASTA, feature and
+ * region files and the --config file.
+ * @param {Object} params - CLI (merged) or analyzeVariant parameters
+ * @returns {Promise<Array<Object>>} { role, path, sha256, bytes } entries (empty in a browser)
+ */
+async function checksumInputFiles(params) {
+  if (!fs || !crypto) return [];
+  const entries = [];
+  const seen = new Set();
+  const add = async (role, filePath) => {
+    if (!filePath || typeof filePath !== 'string' || seen.has(path.resolve(filePath))) return;
+    seen.add(path.resolve(filePath));
+    entries.push(...(await _describeFiles(role, filePath)));
+  };
+
+  for (const [param, role] of INPUT_FILE_PARAMS) {
+    await add(role, params[param]);
+  }
+  const scoringConfigPath = params.scoringConfigPath || params.scoring_config_path;
+  if (scoringConfigPath) {
+    for (const file of SCORING_CONFIG_FILES) {
+      await add('scoringConfig', path.join(scoringConfigPath, file));
+    }
+  }
+  return entries;
+}
+
+/**
+ * Checksums the files written by a run. Paths that do not exist (e.g. an empty rejects file
+ * that was never written) are left out.
+ * @param {Object<string, string>} outputs - Output files by role (e.g. { output, rejects })
+ * @returns {Promise<Array<Object>>} { role, path, sha256, bytes } entries
+ */
+async function checksumOutputFiles(outputs) {
+  if (!fs || !crypto) return [];
+  const entries = [];
+  for (const [role, filePath] of Object.entries(outputs)) {
+    if (filePath && fs.existsSync(filePath)) {
+      entries.push(...(await _describeFiles(role, filePath)));
+    }
+  }
+  return entries;
+}
+
+/**
+ * Computes the SHA-256 checksum of output held in memory (e.g. a formatted CSV string).
+ * @param {string|Buffer} content - Output content (strings are encoded as UTF-8)
+ * @returns {Object|null} { sha256, bytes }, or null without the crypto module
+ */
+function checksumContent(content) {
+  if (!crypto) return null;
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+  return { sha256: crypto.createHash('sha256').update(buffer).digest('hex'), bytes: buffer.length };
+}
+
+/**
+ * Replaces the credentials in a URL (user:password@) with a placeholder.
+ * @param {string} value - URL
+ * @returns {string} The URL without credentials
+ * @private
+ */
+function _redactUrlCredentials(value) {
+  return value.replace(/\/\/[^/@\s]+@/, `//${REDACTED}@`);
+}
+
+/**
+ * Redacts the header values of an API profile (they may carry credentials for a mirror).
+ * @param {Object} profile - API profile settings
+ * @returns {Object} Copy of the profile with redacted header values
+ * @private
+ */
+function _redactProfile(profile) {
+  if (!profile || typeof profile !== 'object' || !profile.headers) return profile;
+  const headers = {};
+  Object.keys(profile.headers).forEach((name) => {
+    headers[name] = REDACTED;
+  });
+  return { ...profile, headers };
+}
+
+/**
+ * Returns a JSON-serializable copy of the parameters of a run for the manifest. Data carried
+ * in the parameters (variants, VCF records, pedigree maps, ...) is replaced by its size,
+ * yargs' kebab-case duplicates of camelCase options are dropped and credentials (proxy
+ * authentication, API profile headers) are redacted.
+ * @param {Object} params - CLI (merged) or analyzeVariant parameters
+ * @returns {Object} Sanitized parameters
+ */
+function sanitizeParams(params) {
+  const sanitized = {};
+  Object.keys(params)
+    .sort()
+    .forEach((key) => {
+      const value = params[key];
+      if (value === undefined || typeof value === 'function') return;
+      if (key.includes('-') && key.replace(/-([a-z])/g, (m, c) => c.toUpperCase()) in params) {
+        return;
+      }
+      if (key === 'variants' && Array.isArray(value)) {
+        sanitized.variantCount = value.length;
+      } else if (DATA_PARAMS.includes(key)) {
+        return;
+      } else if (key === 'proxyAuth') {
+        sanitized[key] = REDACTED;
+      } else if (key === 'proxy' && typeof value === 'string') {
+        sanitized[key] = _redactUrlCredentials(value);
+      } else if (key === 'apiProfile') {
+        sanitized[key] = _redactProfile(value);
+      } else if (key === 'apiProfiles' && value && typeof value === 'object') {
+        sanitized[key] = Object.fromEntries(
+          Object.entries(value).map(([name, profile]) => [name, _redactProfile(profile)])
+        );
+      } else if (key === 'annotationSource' && value && typeof value === 'object') {
+        sanitized[key] = value.name;
+      } else if (value instanceof Map || value instanceof Set) {
+        sanitized[key] = { size: value.size };
+      } else {
+        sanitized[key] = value;
+      }
+    });
+  return JSON.parse(JSON.stringify(sanitized));
+}
+
+/**
+ * Counts the API calls made since a snapshot of getApiCallStats.
+ * @param {Object} since - Earlier result of getApiCallStats
+ * @returns {Object} { requests, retries, failures, cacheHits, replayed } of the period
+ */
+function countApiCallsSince(since) {
+  const now = getApiCallStats();
+  const counts = {};
+  Object.keys(now).forEach((key) => {
+    counts[key] = now[key] - (since[key] || 0);
+  });
+  return counts;
+}
+
+/**
+ * Assembles the manifest of a run.
+ * @param {Object} run - Description of the run
+ * @param {Date} run.startTime - Start of the run
+ * @param {Date} run.endTime - End of the run
+ * @param {Object} run.params - Parameters (sanitized with sanitizeParams)
+ * @param {Object} run.apiCalls - API call counts (see countApiCallsSince)
+ * @param {Array<Object>} run.inputs - Checksums of the input files
+ * @param {Array<Object>} [run.outputs=[]] - Checksums of the output files
+ * @param {Object} [run.provenance] - Release provenance of the annotations
+ * @param {number} [run.failedVariants] - Number of inputs that could not be processed
+ * @param {Error} [run.error] - Error that ended the run
+ * @returns {Object} The manifest
+ */
+function createRunManifest(run) {
+  const { version } = getVersionDetails();
+  return {
+    formatVersion: MANIFEST_FORMAT_VERSION,
+    tool: { name: 'variant-linker', version },
+    status: run.error ? 'failed' : 'completed',
+    ...(run.error && { error: run.error.message }),
+    startTime: run.startTime.toISOString(),
+    endTime: run.endTime.toISOString(),
+    durationMs: run.endTime - run.startTime,
+    ...(typeof process !== 'undefined' && process.versions && { node: process.versions.node }),
+    params: run.params,
+    inputs: run.inputs,
+    outputs: run.outputs || [],
+    apiCalls: run.apiCalls,
+    ...(run.failedVariants !== undefined && { failedVariants: run.failedVariants }),
+    ...(run.provenance && { provenance: run.provenance }),
+  };
+}
+
+/**
+ * Writes a manifest as JSON (atomically, so an interrupted run leaves no partial manifest).
+ * @param {string} filePath - Destination path
+ * @param {Object} manifest - Result of createRunManifest
+ * @throws {Error} If the file cannot be written or fs is not available
+ */
+function writeRunManifest(filePath, manifest) {
+  if (!fs) {
+    throw new Error('Writing a run manifest requires a Node.js environment.');
+  }
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+  fs.renameSync(tempPath, filePath);
+  debug(`Wrote run manifest to ${filePath}`);
+}
+
+module.exports = {
+  MANIFEST_FORMAT_VERSION,
+  checksumFile,
+  checksumInputFiles,
+  checksumOutputFiles,
+  checksumContent,
+  sanitizeParams,
+  countApiCallsSince,
+  createRunManifest,
+  writeRunManifest,
+};
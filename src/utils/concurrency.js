@@ -0,0 +1,53 @@
+// src/utils/concurrency.js
+'use strict';
+
+/**
+ * @fileoverview Helpers for running asynchronous work with a bounded level of concurrency.
+ * @module utils/concurrency
+ */
+
+const apiConfig = require('../../config/apiConfig.json');
+
+/**
+ * Resolves the maximum number of concurrent API requests.
+ * @param {number} [requested] - Explicitly requested limit (e.g. from --max-concurrent-requests)
+ * @returns {number} A positive integer; falls back to apiConfig.json and then to 1
+ */
+function resolveMaxConcurrentRequests(requested) {
+  const limit = Number(requested ?? apiConfig.requests?.maxConcurrentRequests ?? 1);
+  return Number.isInteger(limit) && limit > 0 ? limit : 1;
+}
+
+/**
+ * Maps items through an async function with at most `limit` calls in flight.
+ * Results keep the order of the input items. The first rejection stops new calls from
+ * starting and is propagated to the caller.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {function(*, number): Promise<*>} mapper - Async function called with (item, index)
+ * @returns {Promise<Array>} Mapped results in input order
+ */
+async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await mapper(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  const workerCount = Math.min(Math.max(1, limit), items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+module.exports = { mapWithConcurrency, resolveMaxConcurrentRequests };
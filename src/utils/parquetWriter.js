@@ -0,0 +1,487 @@
+// src/utils/parquetWriter.js
+'use strict';
+
+/**
+ * @fileoverview Writes Apache Parquet files without external dependencies. Columns are flat
+ * (optional UTF-8 strings, doubles and booleans) or lists of UTF-8 strings (standard 3-level
+ * LIST layout). Each row group is written as soon as it is complete, so a file can be produced
+ * chunk by chunk; the footer with the schema and row group metadata is written on close.
+ * Pages are PLAIN encoded and GZIP compressed (uncompressed where zlib is not available).
+ * @module utils/parquetWriter
+ */
+
+// Browser environment detection and graceful fallbacks
+let zlib;
+try {
+  zlib = require('zlib');
+} catch (e) {
+  // Browser environment - module will be null/undefined
+}
+
+const MAGIC = Buffer.from('PAR1', 'ascii');
+
+// parquet.thrift enum values
+const PhysicalType = { BOOLEAN: 0, DOUBLE: 5, BYTE_ARRAY: 6 };
+const Repetition = { OPTIONAL: 1, REPEATED: 2 };
+const ConvertedType = { UTF8: 0, LIST: 3 };
+const Encoding = { PLAIN: 0, RLE: 3 };
+const Codec = { UNCOMPRESSED: 0, GZIP: 2 };
+const PAGE_TYPE_DATA = 0;
+
+// Thrift compact protocol field types
+const T_BOOL_TRUE = 1;
+const T_BOOL_FALSE = 2;
+const T_I32 = 5;
+const T_I64 = 6;
+const T_BINARY = 8;
+const T_LIST = 9;
+const T_STRUCT = 12;
+
+/**
+ * Minimal Thrift compact protocol encoder for the parquet metadata structures.
+ * Structs are given as arrays of [fieldId, type, value]; fields with an undefined value are
+ * skipped. Types: 'bool', 'i32', 'i64', 'binary', 'struct' and 'list<type>'.
+ * @private
+ */
+class ThriftWriter {
+  /**
+   * Creates an empty encoder.
+   */
+  constructor() {
+    this.bytes = [];
+  }
+
+  /**
+   * Appends an unsigned LEB128 varint (values up to 2^53).
+   * @param {number} value - Non-negative integer
+   */
+  varint(value) {
+    let n = value;
+    while (n >= 0x80) {
+      this.bytes.push(n % 0x80 | 0x80);
+      n = Math.floor(n / 0x80);
+    }
+    this.bytes.push(n);
+  }
+
+  /**
+   * Appends a zigzag-encoded signed integer.
+   * @param {number} value - Integer
+   */
+  zigzag(value) {
+    this.varint(value >= 0 ? value * 2 : -value * 2 - 1);
+  }
+
+  /**
+   * Appends a length-prefixed string.
+   * @param {string} value - String (encoded as UTF-8)
+   */
+  binary(value) {
+    const buffer = Buffer.from(String(value), 'utf8');
+    this.varint(buffer.length);
+    for (const byte of buffer) this.bytes.push(byte);
+  }
+
+  /**
+   * Appends a struct.
+   * @param {Array<Array>} fields - [fieldId, type, value] triples in ascending field order
+   */
+  struct(fields) {
+    let lastId = 0;
+    for (const [id, type, value] of fields) {
+      if (value === undefined) continue;
+      const compactType = type === 'bool' ? (value ? T_BOOL_TRUE : T_BOOL_FALSE) : this._type(type);
+      if (id > lastId && id - lastId <= 15) {
+        this.bytes.push(((id - lastId) << 4) | compactType);
+      } else {
+        this.bytes.push(compactType);
+        this.zigzag(id);
+      }
+      lastId = id;
+      if (type !== 'bool') this._value(type, value);
+    }
+    this.bytes.push(0); // Stop field
+  }
+
+  /**
+   * Maps a type name to its compact protocol type id.
+   * @param {string} type - Type name
+   * @returns {number} Compact type id
+   * @private
+   */
+  _type(type) {
+    if (type.startsWith('list<')) return T_LIST;
+    return { i32: T_I32, i64: T_I64, binary: T_BINARY, struct: T_STRUCT }[type];
+  }
+
+  /**
+   * Appends a value of the given type.
+   * @param {string} type - Type name
+   * @param {*} value - Value
+   * @private
+   */
+  _value(type, value) {
+    if (type === 'i32' || type === 'i64') {
+      this.zigzag(value);
+    } else if (type === 'binary') {
+      this.binary(value);
+    } else if (type === 'struct') {
+      this.struct(value);
+    } else {
+      const elementType = type.slice(5, -1);
+      const compactType = this._type(elementType);
+      if (value.length < 15) {
+        this.bytes.push((value.length << 4) | compactType);
+      } else {
+        this.bytes.push(0xf0 | compactType);
+        this.varint(value.length);
+      }
+      value.forEach((element) => this._value(elementType, element));
+    }
+  }
+
+  /**
+   * Returns the encoded bytes.
+   * @returns {Buffer} Encoded data
+   */
+  toBuffer() {
+    return Buffer.from(this.bytes);
+  }
+}
+
+/**
+ * Encodes a struct with the Thrift compact protocol.
+ * @param {Array<Array>} fields - [fieldId, type, value] triples
+ * @returns {Buffer} Encoded struct
+ * @private
+ */
+function _encodeStruct(fields) {
+  const writer = new ThriftWriter();
+  writer.struct(fields);
+  return writer.toBuffer();
+}
+
+/**
+ * Encodes repetition or definition levels with the RLE/bit-packing hybrid encoding (RLE runs
+ * only), prefixed with their 4-byte length as in data page v1.
+ * @param {Array<number>} levels - Levels
+ * @param {number} maxLevel - Maximum level (determines the bit width)
+ * @returns {Buffer} Encoded levels
+ * @private
+ */
+function _encodeLevels(levels, maxLevel) {
+  const byteWidth = Math.ceil(Math.ceil(Math.log2(maxLevel + 1)) / 8);
+  const writer = new ThriftWriter();
+  for (let i = 0; i < levels.length; ) {
+    let run = 1;
+    while (i + run < levels.length && levels[i + run] === levels[i]) run++;
+    writer.varint(run * 2); // Run header: (run length << 1) | 0 for an RLE run
+    for (let b = 0; b < byteWidth; b++) writer.bytes.push((levels[i] >> (8 * b)) & 0xff);
+    i += run;
+  }
+  const body = writer.toBuffer();
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(body.length, 0);
+  return Buffer.concat([length, body]);
+}
+
+/**
+ * PLAIN-encodes the non-null values of a column.
+ * @param {string} type - Column type ('string', 'double', 'boolean' or 'list')
+ * @param {Array<*>} values - Values
+ * @returns {Buffer} Encoded values
+ * @private
+ */
+function _encodePlain(type, values) {
+  if (type === 'double') {
+    const buffer = Buffer.alloc(values.length * 8);
+    values.forEach((value, i) => buffer.writeDoubleLE(value, i * 8));
+    return buffer;
+  }
+  if (type === 'boolean') {
+    const buffer = Buffer.alloc(Math.ceil(values.length / 8));
+    values.forEach((value, i) => {
+      if (value) buffer[i >> 3] |= 1 << (i & 7);
+    });
+    return buffer;
+  }
+  const parts = [];
+  values.forEach((value) => {
+    const bytes = Buffer.from(value, 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(bytes.length, 0);
+    parts.push(length, bytes);
+  });
+  return Buffer.concat(parts);
+}
+
+/**
+ * Computes the levels and non-null values of one column of a row group.
+ * @param {string} type - Column type
+ * @param {Array<*>} cells - One value per row (null for missing; an array for list columns)
+ * @returns {Object} { repetitionLevels, definitionLevels, values }
+ * @private
+ */
+function _shred(type, cells) {
+  const repetitionLevels = [];
+  const definitionLevels = [];
+  const values = [];
+  for (const cell of cells) {
+    if (type !== 'list') {
+      const isNull = cell === null || cell === undefined;
+      definitionLevels.push(isNull ? 0 : 1);
+      if (!isNull) values.push(cell);
+    } else if (!Array.isArray(cell)) {
+      repetitionLevels.push(0);
+      definitionLevels.push(0); // Null list
+    } else if (cell.length === 0) {
+      repetitionLevels.push(0);
+      definitionLevels.push(1); // Empty list
+    } else {
+      cell.forEach((element, i) => {
+        repetitionLevels.push(i === 0 ? 0 : 1);
+        const isNull = element === null || element === undefined;
+        definitionLevels.push(isNull ? 2 : 3);
+        if (!isNull) values.push(element);
+      });
+    }
+  }
+  return { repetitionLevels, definitionLevels, values };
+}
+
+/**
+ * Writes Parquet files row group by row group.
+ *
+ * @example
+ * const writer = new ParquetWriter([{ name: 'gene', type: 'string' }]);
+ * out.write(writer.writeRowGroup([['BRCA1'], ['TP53']]));
+ * out.write(writer.close());
+ */
+class ParquetWriter {
+  /**
+   * Creates a writer.
+   * @param {Array<{name: string, type: string}>} columns - Columns in order; type is 'string',
+   *   'double', 'boolean' or 'list' (list of strings)
+   * @param {Object} [options={}] - Writer options
+   * @param {Array<Array<string>>} [options.keyValueMetadata] - [key, value] pairs stored in the
+   *   file footer
+   * @param {string} [options.createdBy] - Application name stored in the file footer
+   * @param {boolean} [options.compress=true] - GZIP-compress pages (requires zlib)
+   */
+  constructor(columns, options = {}) {
+    const types = ['string', 'double', 'boolean', 'list'];
+    columns.forEach((column) => {
+      if (!types.includes(column.type)) {
+        throw new Error(`Unsupported parquet column type for ${column.name}: ${column.type}`);
+      }
+    });
+    this.columns = columns;
+    this.keyValueMetadata = options.keyValueMetadata || [];
+    this.createdBy = options.createdBy;
+    this.codec = options.compress !== false && zlib ? Codec.GZIP : Codec.UNCOMPRESSED;
+    this.offset = 0;
+    this.numRows = 0;
+    this.rowGroups = [];
+    this.closed = false;
+  }
+
+  /**
+   * Returns the magic bytes that start the file if nothing has been written yet.
+   * @returns {Array<Buffer>} The magic bytes, or nothing
+   * @private
+   */
+  _start() {
+    if (this.offset > 0) return [];
+    this.offset = MAGIC.length;
+    return [MAGIC];
+  }
+
+  /**
+   * Encodes one column of a row group as a column chunk with a single data page.
+   * @param {Object} column - Column definition
+   * @param {Array<*>} cells - Column values
+   * @returns {Object} { buffer, metadata } of the column chunk
+   * @private
+   */
+  _writeColumnChunk(column, cells) {
+    const isList = column.type === 'list';
+    const { repetitionLevels, definitionLevels, values } = _shred(column.type, cells);
+    const page = Buffer.concat([
+      ...(isList ? [_encodeLevels(repetitionLevels, 1)] : []),
+      _encodeLevels(definitionLevels, isList ? 3 : 1),
+      _encodePlain(column.type, values),
+    ]);
+    const compressed = this.codec === Codec.GZIP ? zlib.gzipSync(page) : page;
+    const pageHeader = _encodeStruct([
+      [1, 'i32', PAGE_TYPE_DATA],
+      [2, 'i32', page.length],
+      [3, 'i32', compressed.length],
+      [
+        5,
+        'struct',
+        [
+          [1, 'i32', definitionLevels.length],
+          [2, 'i32', Encoding.PLAIN],
+          [3, 'i32', Encoding.RLE],
+          [4, 'i32', Encoding.RLE],
+        ],
+      ],
+    ]);
+
+    const dataPageOffset = this.offset;
+    this.offset += pageHeader.length + compressed.length;
+    return {
+      buffer: Buffer.concat([pageHeader, compressed]),
+      metadata: {
+        type: column.type,
+        path: isList ? [column.name, 'list', 'element'] : [column.name],
+        numValues: definitionLevels.length,
+        uncompressedSize: pageHeader.length + page.length,
+        compressedSize: pageHeader.length + compressed.length,
+        dataPageOffset,
+      },
+    };
+  }
+
+  /**
+   * Encodes a row group.
+   * @param {Array<Array<*>>} rows - Rows with one value per column (null for missing values,
+   *   arrays of strings for list columns)
+   * @returns {Buffer} Bytes to append to the file (empty for no rows)
+   */
+  writeRowGroup(rows) {
+    if (this.closed) throw new Error('Cannot write to a closed parquet writer');
+    if (rows.length === 0) return Buffer.alloc(0);
+    const parts = this._start();
+    const fileOffset = this.offset;
+    const chunks = this.columns.map((column, c) =>
+      this._writeColumnChunk(
+        column,
+        rows.map((row) => row[c])
+      )
+    );
+    chunks.forEach((chunk) => parts.push(chunk.buffer));
+    this.rowGroups.push({
+      numRows: rows.length,
+      fileOffset,
+      chunks: chunks.map((chunk) => chunk.metadata),
+    });
+    this.numRows += rows.length;
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Builds the schema elements of the file footer.
+   * @returns {Array<Array<Array>>} SchemaElement structs
+   * @private
+   */
+  _schema() {
+    const utf8 = [
+      [6, 'i32', ConvertedType.UTF8],
+      [10, 'struct', [[1, 'struct', []]]], // LogicalType STRING
+    ];
+    const elements = [
+      [
+        [4, 'binary', 'schema'],
+        [5, 'i32', this.columns.length],
+      ],
+    ];
+    this.columns.forEach((column) => {
+      if (column.type === 'list') {
+        elements.push(
+          [
+            [3, 'i32', Repetition.OPTIONAL],
+            [4, 'binary', column.name],
+            [5, 'i32', 1],
+            [6, 'i32', ConvertedType.LIST],
+            [10, 'struct', [[3, 'struct', []]]], // LogicalType LIST
+          ],
+          [
+            [3, 'i32', Repetition.REPEATED],
+            [4, 'binary', 'list'],
+            [5, 'i32', 1],
+          ],
+          [
+            [1, 'i32', PhysicalType.BYTE_ARRAY],
+            [3, 'i32', Repetition.OPTIONAL],
+            [4, 'binary', 'element'],
+            ...utf8,
+          ]
+        );
+      } else {
+        const isString = column.type === 'string';
+        elements.push([
+          [1, 'i32', isString ? PhysicalType.BYTE_ARRAY : PhysicalType[column.type.toUpperCase()]],
+          [3, 'i32', Repetition.OPTIONAL],
+          [4, 'binary', column.name],
+          ...(isString ? utf8 : []),
+        ]);
+      }
+    });
+    return elements;
+  }
+
+  /**
+   * Finishes the file: writes the footer with the schema and row group metadata.
+   * @returns {Buffer} Bytes to append to the file
+   */
+  close() {
+    if (this.closed) throw new Error('Parquet writer is already closed');
+    this.closed = true;
+    const physicalType = (type) =>
+      type === 'double' || type === 'boolean'
+        ? PhysicalType[type.toUpperCase()]
+        : PhysicalType.BYTE_ARRAY;
+
+    const rowGroups = this.rowGroups.map((group) => {
+      const columns = group.chunks.map((chunk) => [
+        [2, 'i64', chunk.dataPageOffset],
+        [
+          3,
+          'struct',
+          [
+            [1, 'i32', physicalType(chunk.type)],
+            [2, 'list<i32>', [Encoding.PLAIN, Encoding.RLE]],
+            [3, 'list<binary>', chunk.path],
+            [4, 'i32', this.codec],
+            [5, 'i64', chunk.numValues],
+            [6, 'i64', chunk.uncompressedSize],
+            [7, 'i64', chunk.compressedSize],
+            [9, 'i64', chunk.dataPageOffset],
+          ],
+        ],
+      ]);
+      const sum = (key) => group.chunks.reduce((total, chunk) => total + chunk[key], 0);
+      return [
+        [1, 'list<struct>', columns],
+        [2, 'i64', sum('uncompressedSize')],
+        [3, 'i64', group.numRows],
+        [5, 'i64', group.fileOffset],
+        [6, 'i64', sum('compressedSize')],
+      ];
+    });
+
+    const footer = _encodeStruct([
+      [1, 'i32', 1],
+      [2, 'list<struct>', this._schema()],
+      [3, 'i64', this.numRows],
+      [4, 'list<struct>', rowGroups],
+      [
+        5,
+        'list<struct>',
+        this.keyValueMetadata.length
+          ? this.keyValueMetadata.map(([key, value]) => [
+              [1, 'binary', key],
+              [2, 'binary', value],
+            ])
+          : undefined,
+      ],
+      [6, 'binary', this.createdBy],
+    ]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(footer.length, 0);
+    return Buffer.concat([...this._start(), footer, length, MAGIC]);
+  }
+}
+
+module.exports = { ParquetWriter };
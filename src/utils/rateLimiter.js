@@ -0,0 +1,72 @@
+// src/utils/rateLimiter.js
+'use strict';
+
+/**
+ * @fileoverview Shared request rate limiter for outgoing API calls.
+ * Spaces requests evenly so that all in-flight requests together stay below the configured
+ * requests-per-second limit, and lets a rate-limited response pause every caller.
+ * @module utils/rateLimiter
+ */
+
+const debug = require('debug')('variant-linker:detailed');
+const apiConfig = require('../../config/apiConfig.json');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Rate limiter that hands out evenly spaced request slots.
+ */
+class RateLimiter {
+  /**
+   * Create a new RateLimiter instance.
+   * @param {Object} [config={}] - Limiter configuration
+   * @param {number} [config.requestsPerSecond=15] - Maximum requests per second (0 disables)
+   */
+  constructor(config = {}) {
+    const requestsPerSecond = config.requestsPerSecond ?? 15;
+    this.minIntervalMs = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    this.nextSlotAt = 0;
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Waits until the caller may send its next request.
+   * @returns {Promise<void>} Resolves when a request slot is available
+   */
+  async acquire() {
+    const now = Date.now();
+    const slotAt = Math.max(now, this.nextSlotAt, this.pausedUntil);
+    this.nextSlotAt = slotAt + this.minIntervalMs;
+    if (slotAt > now) {
+      await sleep(slotAt - now);
+    }
+    // A pause may have been requested while this caller was waiting for its slot
+    while (Date.now() < this.pausedUntil) {
+      await sleep(this.pausedUntil - Date.now());
+    }
+  }
+
+  /**
+   * Holds back all callers for the given duration (e.g. after a 429 with Retry-After).
+   * @param {number} ms - Pause duration in milliseconds
+   */
+  pause(ms) {
+    const until = Date.now() + ms;
+    if (until > this.pausedUntil) {
+      debug(`Rate limiter paused for ${Math.round(ms)}ms`);
+      this.pausedUntil = until;
+    }
+  }
+}
+
+const sharedRateLimiter = new RateLimiter(apiConfig.requests?.rateLimit || {});
+
+/**
+ * Returns the process-wide rate limiter shared by all API requests.
+ * @returns {RateLimiter} The shared limiter
+ */
+function getSharedRateLimiter() {
+  return sharedRateLimiter;
+}
+
+module.exports = { RateLimiter, getSharedRateLimiter };
@@ -0,0 +1,75 @@
+// src/utils/requestOptions.js
+'use strict';
+
+/**
+ * @fileoverview Default Ensembl request options used by the CLI, parsing of the
+ * `key=value,flag` parameter strings given on the command line, and the request settings
+ * object taken by the REST helpers.
+ * @module utils/requestOptions
+ */
+
+/** VEP options the CLI sends unless overridden with --vep_params. */
+const DEFAULT_VEP_OPTIONS = Object.freeze({
+  CADD: '1',
+  hgvs: '1',
+  merged: '1',
+  mane: '1',
+});
+
+/** Variant Recoder options the CLI sends unless overridden with --recoder_params. */
+const DEFAULT_RECODER_OPTIONS = Object.freeze({
+  vcf_string: '1',
+});
+
+/**
+ * Parses optional parameters from a comma-delimited string.
+ * @param {string} paramString - Comma-delimited string of parameters in key=value format
+ * @param {Object} defaultParams - Default parameters to use if not specified in paramString
+ * @return {Object} The parsed parameters object with defaults applied
+ */
+function parseOptionalParameters(paramString, defaultParams) {
+  const options = { ...defaultParams }; // Start with defaults
+  if (paramString) {
+    const paramsArray = paramString.split(',');
+    paramsArray.forEach((param) => {
+      const [key, value] = param.split('=');
+      const trimmedKey = key.trim();
+      if (trimmedKey && value !== undefined) {
+        options[trimmedKey] = value.trim(); // Trim key/value
+      } else if (trimmedKey) {
+        // Handle flags (parameters without '=value') - Set to '1' as per VEP convention
+        options[trimmedKey] = '1';
+      }
+    });
+  }
+  return options; // Return merged options
+}
+
+/**
+ * Resolves the request settings passed to the REST helpers (vepRegionsAnnotation,
+ * variantRecoderPost, variantRecoder, vepHgvsAnnotation and fetchApi). They take a single
+ * settings object; the positional `cacheEnabled, proxyConfig` arguments of earlier releases
+ * are still accepted.
+ * @param {Object|boolean} [settings={}] - Request settings ({ cache, proxyConfig, ... }), or
+ *   the legacy cacheEnabled flag
+ * @param {Object} [legacyProxyConfig=null] - Legacy proxyConfig argument, used only with a
+ *   cacheEnabled flag
+ * @return {Object} The settings with `cache` as a boolean and `proxyConfig` (or null)
+ */
+function resolveRequestSettings(settings = {}, legacyProxyConfig = null) {
+  if (settings && typeof settings === 'object') {
+    return {
+      ...settings,
+      cache: Boolean(settings.cache),
+      proxyConfig: settings.proxyConfig || null,
+    };
+  }
+  return { cache: Boolean(settings), proxyConfig: legacyProxyConfig || null };
+}
+
+module.exports = {
+  DEFAULT_RECODER_OPTIONS,
+  DEFAULT_VEP_OPTIONS,
+  parseOptionalParameters,
+  resolveRequestSettings,
+};
@@ -0,0 +1,256 @@
+// src/utils/xlsxWriter.js
+'use strict';
+
+/**
+ * @fileoverview Writes Office Open XML spreadsheets (XLSX) without external dependencies.
+ * Strings are stored as inline text cells, so spreadsheet applications do not reinterpret
+ * values such as HGVS notations or gene symbols (SEPT1) as dates or numbers; JavaScript
+ * numbers and booleans become typed cells.
+ * @module utils/xlsxWriter
+ */
+
+const { createZip } = require('./zipWriter');
+
+// Excel limits
+const MAX_CELL_LENGTH = 32767;
+const MAX_SHEET_NAME_LENGTH = 31;
+const MAX_COLUMN_WIDTH = 60;
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PKG_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+/**
+ * Escapes text for XML, dropping characters XML 1.0 cannot represent.
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ * @private
+ */
+function _escapeXml(text) {
+  return String(text)
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Converts a zero-based column index to its letter reference (0 -> A, 26 -> AA).
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ * @private
+ */
+function _columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+/**
+ * Serializes one cell.
+ * @param {string} ref - Cell reference (e.g. B2)
+ * @param {*} value - Cell value
+ * @param {number} [style=0] - Index of the cell format in styles.xml
+ * @returns {string} Cell XML, or '' for an empty cell
+ * @private
+ */
+function _cellXml(ref, value, style = 0) {
+  const styleAttr = style ? ` s="${style}"` : '';
+  if (value === undefined || value === null || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  let text;
+  if (Array.isArray(value)) {
+    text = value.join(';');
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  text = text.slice(0, MAX_CELL_LENGTH);
+  return (
+    `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">` +
+    `${_escapeXml(text)}</t></is></c>`
+  );
+}
+
+/**
+ * Serializes a worksheet with a bold, frozen header row and an auto-filter over the data.
+ * @param {Object} sheet - Sheet definition (see createXlsxWorkbook)
+ * @returns {string} Worksheet XML
+ * @private
+ */
+function _worksheetXml(sheet) {
+  const { headers, rows } = sheet;
+  const lastColumn = _columnLetter(Math.max(headers.length, 1) - 1);
+  const lastRow = rows.length + 1;
+
+  const widths = headers.map((header, col) =>
+    Math.min(
+      MAX_COLUMN_WIDTH,
+      rows.reduce((max, row) => {
+        const value = row[col];
+        return value === undefined || value === null ? max : Math.max(max, String(value).length);
+      }, String(header).length) + 2
+    )
+  );
+  const cols = widths
+    .map(
+      (width, col) => `<col min="${col + 1}" max="${col + 1}" width="${width}" customWidth="1"/>`
+    )
+    .join('');
+
+  const rowXml = [headers, ...rows].map((row, r) => {
+    const cells = row.map((value, c) => _cellXml(`${_columnLetter(c)}${r + 1}`, value, r ? 0 : 1));
+    return `<row r="${r + 1}">${cells.join('')}</row>`;
+  });
+
+  return (
+    XML_DECLARATION +
+    `<worksheet xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+    `<dimension ref="A1:${lastColumn}${lastRow}"/>` +
+    '<sheetViews><sheetView workbookViewId="0">' +
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+    '<selection pane="bottomLeft" activeCell="A2" sqref="A2"/>' +
+    '</sheetView></sheetViews>' +
+    '<sheetFormatPr defaultRowHeight="15"/>' +
+    (cols ? `<cols>${cols}</cols>` : '') +
+    `<sheetData>${rowXml.join('')}</sheetData>` +
+    (headers.length ? `<autoFilter ref="A1:${lastColumn}${lastRow}"/>` : '') +
+    '</worksheet>'
+  );
+}
+
+/**
+ * Makes a sheet name valid and unique within the workbook.
+ * @param {string} name - Requested name
+ * @param {Set<string>} used - Lower-case names already in use
+ * @returns {string} Valid sheet name
+ * @private
+ */
+function _sheetName(name, used) {
+  const base = (
+    String(name)
+      .replace(/[[\]:*?/\\]/g, ' ')
+      .trim() || 'Sheet'
+  ).slice(0, MAX_SHEET_NAME_LENGTH);
+  let candidate = base;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    candidate = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Creates an XLSX workbook.
+ * @param {Array<Object>} sheets - Worksheets in tab order
+ * @param {string} sheets[].name - Sheet name (made valid and unique)
+ * @param {Array<string>} sheets[].headers - Header row
+ * @param {Array<Array<*>>} sheets[].rows - Data rows, one value per header
+ * @returns {Buffer} The XLSX file
+ * @throws {Error} Outside Node.js
+ */
+function createXlsxWorkbook(sheets) {
+  const used = new Set();
+  const names = sheets.map((sheet) => _sheetName(sheet.name, used));
+
+  const contentTypes =
+    XML_DECLARATION +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ' +
+    'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ' +
+    'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    sheets
+      .map(
+        (sheet, i) =>
+          `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ` +
+          'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      )
+      .join('') +
+    '</Types>';
+
+  const rootRels =
+    XML_DECLARATION +
+    `<Relationships xmlns="${PKG_REL_NS}">` +
+    `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+    '</Relationships>';
+
+  // The hidden _FilterDatabase names tell spreadsheet applications where the auto-filters are
+  const definedNames = sheets
+    .map((sheet, i) => {
+      if (!sheet.headers.length) return '';
+      const range = `$A$1:$${_columnLetter(sheet.headers.length - 1)}$${sheet.rows.length + 1}`;
+      const quoted = `'${names[i].replace(/'/g, "''")}'`;
+      return (
+        `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">` +
+        `${_escapeXml(quoted)}!${range}</definedName>`
+      );
+    })
+    .join('');
+  const workbook =
+    XML_DECLARATION +
+    `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+    '<bookViews><workbookView/></bookViews>' +
+    '<sheets>' +
+    names
+      .map((name, i) => `<sheet name="${_escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+      .join('') +
+    '</sheets>' +
+    (definedNames ? `<definedNames>${definedNames}</definedNames>` : '') +
+    '</workbook>';
+
+  const workbookRels =
+    XML_DECLARATION +
+    `<Relationships xmlns="${PKG_REL_NS}">` +
+    sheets
+      .map(
+        (sheet, i) =>
+          `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" ` +
+          `Target="worksheets/sheet${i + 1}.xml"/>`
+      )
+      .join('') +
+    `<Relationship Id="rId${sheets.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+    '</Relationships>';
+
+  // Cell format 0 is the default, 1 the bold header
+  const styles =
+    XML_DECLARATION +
+    `<styleSheet xmlns="${MAIN_NS}">` +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+    '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+    '<fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>';
+
+  return createZip([
+    { name: '[Content_Types].xml', data: contentTypes },
+    { name: '_rels/.rels', data: rootRels },
+    { name: 'xl/workbook.xml', data: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', data: workbookRels },
+    { name: 'xl/styles.xml', data: styles },
+    ...sheets.map((sheet, i) => ({
+      name: `xl/worksheets/sheet${i + 1}.xml`,
+      data: _worksheetXml(sheet),
+    })),
+  ]);
+}
+
+module.exports = { createXlsxWorkbook };
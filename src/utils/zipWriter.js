@@ -0,0 +1,113 @@
+// src/utils/zipWriter.js
+'use strict';
+
+/**
+ * @fileoverview Minimal ZIP archive writer (deflate, no ZIP64) for container formats such as
+ * XLSX. Entries get a fixed timestamp, so the same content always produces the same archive.
+ * @module utils/zipWriter
+ */
+
+// Browser environment detection and graceful fallbacks
+let zlib;
+try {
+  zlib = require('zlib');
+} catch (e) {
+  // Browser environment - module will be null/undefined
+}
+
+// 1980-01-01 00:00:00, the earliest DOS timestamp
+const DOS_TIME = 0;
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum of a buffer (as used by ZIP).
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC-32
+ * @private
+ */
+function _crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Creates a ZIP archive from in-memory entries.
+ * @param {Array<{name: string, data: (Buffer|string)}>} entries - Archive entries in order;
+ *   string data is encoded as UTF-8
+ * @returns {Buffer} The archive
+ * @throws {Error} Outside Node.js (zlib is required for compression)
+ */
+function createZip(entries) {
+  if (!zlib) {
+    throw new Error('Writing ZIP archives requires a Node.js environment.');
+  }
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = _crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0); // Local file header signature
+    local.writeUInt16LE(20, 4); // Version needed to extract (2.0)
+    local.writeUInt16LE(0x0800, 6); // Flags: UTF-8 file name
+    local.writeUInt16LE(8, 8); // Compression: deflate
+    local.writeUInt16LE(DOS_TIME, 10);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28); // Extra field length
+    localParts.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0); // Central directory header signature
+    central.writeUInt16LE(20, 4); // Version made by
+    central.writeUInt16LE(20, 6); // Version needed to extract
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(DOS_TIME, 12);
+    central.writeUInt16LE(DOS_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    // Extra field, comment, disk number, internal and external attributes stay zero
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); // End of central directory signature
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+module.exports = { createZip };
@@ -9,6 +9,7 @@
 
 const variantRecoder = require('./variantRecoder');
 const variantRecoderPost = require('./variantRecoderPost');
+const { recoderRecordInput } = variantRecoderPost;
 const vepRegionsAnnotation = require('./vepRegionsAnnotation');
 const { applyScoring } = require('./scoring');
 const {
@@ -24,15 +25,43 @@ const {
   constructLiftedVariant,
 } = require('./assemblyConverter');
 const { annotateOverlaps } = require('./featureAnnotator');
+const { resolveAnnotationSource } = require('./annotationSource');
+const { detectGenomicIdFormat, normalizeGenomicId } = require('./genomicIdParser');
+const { CheckpointManager, runCheckpointedChunks } = require('./checkpoint');
+const { IndexedFasta, normalizeVariantKey } = require('./normalization');
+const { resolveMaxConcurrentRequests } = require('./utils/concurrency');
+const { getCacheManager, getCacheHitStats } = require('./cache');
+const { DEFAULT_PROFILE_NAME, resolveApiProfile } = require('./apiProfiles');
+const { getHttpRecorder } = require('./httpRecorder');
+const { getAnnotationProvenance, assertEnsemblRelease } = require('./provenance');
+const { getApiCallStats } = require('./apiHelper');
+const { applyGenotypeQualityFilters } = require('./inheritance/genotypeQualityFilter');
+const { hasMosaicismThresholds } = require('./inheritance/mosaicismDetector');
+const {
+  checksumInputFiles,
+  checksumContent,
+  sanitizeParams,
+  countApiCallsSince,
+  createRunManifest,
+} = require('./runManifest');
 
 const debug = require('debug')('variant-linker:core');
 const debugDetailed = require('debug')('variant-linker:detailed');
 
 /**
- * Detects whether the input variant is in VCF, HGVS, or CNV format.
+ * CNV input: chr:start-end:TYPE. The chromosome may be any contig name (MT, GL000220.1,
+ * Un_KI270742v1, ...) without the separators of the format.
+ * @private
+ */
+const CNV_PATTERN = /^([\w.]+):(\d+)-(\d+):(DEL|DUP|CNV|CUSTOM|INS|INV|BND)$/i;
+
+/**
+ * Detects whether the input variant is in VCF, CNV, SPDI, gnomAD-style, ClinVar-style or
+ * HGVS format.
  *
  * @param {string} variant - The input variant.
- * @return {string} 'VCF' if the input matches the VCF pattern; 'CNV' if CNV format; otherwise, 'HGVS'.
+ * @return {string} 'VCF' if the input matches the VCF pattern; 'CNV' if CNV format; 'SPDI',
+ * 'GNOMAD' or 'CLINVAR' for genomic IDs (see genomicIdParser); otherwise, 'HGVS'.
  * @throws {Error} If no variant is provided.
  */
 function detectInputFormat(variant) {
@@ -43,14 +72,144 @@ function detectInputFormat(variant) {
 
   // Check for CNV format: chr:start-end:TYPE (e.g., 7:117559600-117559609:DEL)
   // Accept known CNV types and similar patterns, but be more restrictive to avoid false positives
-  const cnvPattern = /^[0-9XYM]+:\d+-\d+:(DEL|DUP|CNV|CUSTOM|INS|INV)$/i;
-  if (cnvPattern.test(cleanedVariant)) {
+  if (CNV_PATTERN.test(cleanedVariant)) {
     return 'CNV';
   }
 
   // Check for VCF format: chromosome-start-ref-alt
   const vcfPattern = /^[0-9XYM]+-[0-9]+-[ACGT]+-[ACGT]+$/i;
-  return vcfPattern.test(cleanedVariant) ? 'VCF' : 'HGVS';
+  if (vcfPattern.test(cleanedVariant)) {
+    return 'VCF';
+  }
+
+  // SPDI, gnomAD-style (mixed separators) and ClinVar-style genomic IDs
+  return detectGenomicIdFormat(variant) || 'HGVS';
+}
+
+/**
+ * Returns the assembly variants are annotated on: GRCh37 for hg19, otherwise GRCh38 (hg38, and
+ * hg19tohg38 after liftover).
+ *
+ * @param {Object} params - Processing parameters.
+ * @return {string} 'GRCh37' or 'GRCh38'.
+ * @private
+ */
+function getAnnotationAssembly(params) {
+  return String(params.assembly || '').toLowerCase() === 'hg19' ? 'GRCh37' : 'GRCh38';
+}
+
+/**
+ * Returns the CHROM-POS-REF-ALT key for inputs that can be annotated by VEP directly.
+ *
+ * @param {string} variant - The input variant.
+ * @param {string} inputFormat - Format returned by detectInputFormat.
+ * @param {Object} params - Processing parameters.
+ * @param {string} [params.assembly] - Genome assembly SPDI accession versions must match.
+ * @return {string|null} The key for VCF and normalisable genomic IDs; null for inputs that
+ * need Variant Recoder (HGVS, rsIDs and SPDI that cannot be written as VCF).
+ * @throws {Error} If an SPDI accession belongs to the other assembly.
+ */
+function getDirectVcfKey(variant, inputFormat, params) {
+  if (inputFormat === 'VCF') {
+    return variant;
+  }
+  if (['SPDI', 'GNOMAD', 'CLINVAR'].includes(inputFormat)) {
+    return normalizeGenomicId(variant, inputFormat, { assembly: getAnnotationAssembly(params) });
+  }
+  return null;
+}
+
+/**
+ * Normalises a CHR-POS-REF-ALT key against the reference FASTA when --normalize is enabled.
+ *
+ * @param {string} key - The CHR-POS-REF-ALT key.
+ * @param {Object} params - Processing parameters.
+ * @param {IndexedFasta} [params.referenceFasta] - Reference opened for normalisation.
+ * @return {string} The normalised key, or the key unchanged when normalisation is disabled.
+ * @throws {Error} If the REF allele does not match the reference.
+ */
+function normalizeDirectVcfKey(key, params) {
+  return params.referenceFasta ? normalizeVariantKey(key, params.referenceFasta) : key;
+}
+
+/**
+ * Returns the annotation fields recording the keys before and after normalisation.
+ *
+ * @param {string} originalKey - The CHR-POS-REF-ALT key before normalisation.
+ * @param {string} normalizedKey - The key after normalisation.
+ * @param {Object} params - Processing parameters.
+ * @return {Object} { originalVariantKey, normalizedVariantKey }, or an empty object when
+ * normalisation is disabled.
+ * @private
+ */
+function normalizationFields(originalKey, normalizedKey, params) {
+  return params.referenceFasta
+    ? { originalVariantKey: originalKey, normalizedVariantKey: normalizedKey }
+    : {};
+}
+
+/**
+ * Loose CHR-POS-... pattern used to tell malformed VCF-style keys apart from HGVS notation.
+ * @private
+ */
+const LOOSE_VCF_PATTERN = /^(chr)?[0-9XYM]+-\d+-/i;
+
+/**
+ * Formats a CHR-POS-REF-ALT variant as a VEP region input line.
+ *
+ * @param {string} variant - The VCF-style variant.
+ * @return {string} VEP input ("chrom pos . ref alt . . .").
+ * @throws {Error} If the variant does not have four parts.
+ */
+function formatVcfVariantForVep(variant) {
+  const parts = variant.trim().split('-');
+  if (parts.length !== 4) {
+    throw new Error(
+      `Invalid VCF format for variant "${variant}": expected "chromosome-start-ref-alt"`
+    );
+  }
+  const [chrom, pos, ref, alt] = parts;
+  return `${chrom} ${pos} . ${ref} ${alt} . . .`;
+}
+
+/**
+ * Formats a CNV variant (chr:start-end:TYPE) as a VEP region input line.
+ *
+ * @param {string} variant - The CNV variant.
+ * @return {string} VEP input ("chrom start end variant_type 1").
+ * @throws {Error} If the variant is malformed, is a breakend (BND) or its start lies after its end.
+ */
+function formatCnvVariantForVep(variant) {
+  const cleanedVariant = variant.replace(/^chr/i, '');
+  const parts = cleanedVariant.match(CNV_PATTERN);
+  if (!parts) {
+    throw new Error(
+      `Invalid CNV format for variant "${variant}": expected "chr:start-end:TYPE" ` +
+        `where TYPE is DEL, DUP, CNV, CUSTOM, INS, INV, or BND`
+    );
+  }
+  const [, chrom, start, end, type] = parts;
+  if (parseInt(start, 10) > parseInt(end, 10)) {
+    throw new Error(`Invalid CNV format for variant "${variant}": start is after end`);
+  }
+  if (type.toUpperCase() === 'BND') {
+    // A breakend joins two loci; as a region it would be annotated as a 1-bp copy-number change
+    throw new Error(
+      `Breakend variant "${variant}" cannot be annotated: VEP region input has no breakend ` +
+        `notation`
+    );
+  }
+
+  // Map CNV types to VEP-compatible format
+  const vepTypeMapping = {
+    DEL: 'deletion',
+    DUP: 'duplication',
+    CNV: 'CNV',
+  };
+  const vepType = vepTypeMapping[type.toUpperCase()] || 'CNV';
+
+  // Format for VEP regions annotation: "chromosome start end variant_type allele_number"
+  return `${chrom} ${start} ${end} ${vepType} 1`;
 }
 
 /**
@@ -77,6 +236,46 @@ function stripTranscriptVersion(variant) {
   return variant.replace(/(\.[0-9]+)(:)/, '$2');
 }
 
+/**
+ * Builds the request settings of the REST helpers (vepRegionsAnnotation, variantRecoderPost,
+ * variantRecoder) from the analysis parameters.
+ *
+ * @param {Object} params - Analysis parameters.
+ * @return {Object} { cache, proxyConfig, annotationSource, maxConcurrentRequests }
+ */
+function requestSettingsOf(params) {
+  return {
+    cache: params.cache,
+    proxyConfig: params.proxyConfig,
+    annotationSource: params.annotationSource,
+    maxConcurrentRequests: params.maxConcurrentRequests,
+  };
+}
+
+/**
+ * Groups VEP or Variant Recoder records by the input string they echo. Records are matched to
+ * the submitted variants through this map rather than by position, because the APIs (like a
+ * precomputed VEP JSON file) return no record for a variant they cannot process, and the
+ * per-variant cache returns each repeated variant's records only once.
+ *
+ * @param {Array<Object>} records - Records as returned by vepRegionsAnnotation or
+ * variantRecoderPost.
+ * @param {function(Object): (string|null)} [inputOf] - Returns the input a record echoes
+ * (defaults to record.input).
+ * @return {Map<string, Array<Object>>} Records by their trimmed input string.
+ */
+function groupRecordsByInput(records, inputOf = (record) => record.input) {
+  const recordsByInput = new Map();
+  for (const record of Array.isArray(records) ? records : []) {
+    const input = record ? inputOf(record) : null;
+    if (typeof input !== 'string') continue;
+    const key = input.trim();
+    if (!recordsByInput.has(key)) recordsByInput.set(key, []);
+    recordsByInput.get(key).push(record);
+  }
+  return recordsByInput;
+}
+
 /**
  * Processes and validates the response from the Variant Recoder API.
  *
@@ -124,55 +323,31 @@ async function processSingleVariant(variant, params) {
   let annotationData;
   let inputInfo = '';
   let standardKey = variant; // Use original input as key initially
+  let keyFields = {}; // Keys before and after normalisation, if enabled
+  const directVcfKey = getDirectVcfKey(variant, inputFormat, params);
 
-  if (inputFormat === 'VCF') {
-    const parts = variant.trim().split('-');
-    if (parts.length !== 4) {
-      throw new Error(
-        `Invalid VCF format for variant "${variant}": expected "chromosome-start-ref-alt"`
-      );
-    }
-    const [chrom, pos, ref, alt] = parts;
-    const formattedVariant = `${chrom} ${pos} . ${ref} ${alt} . . .`;
+  if (directVcfKey) {
+    const normalizedKey = normalizeDirectVcfKey(directVcfKey, params);
+    const formattedVariant = formatVcfVariantForVep(normalizedKey);
     inputInfo = formattedVariant;
-    // The variant itself is the standard key for VCF input
-    standardKey = variant;
+    // The (normalised) CHR-POS-REF-ALT key is the standard key for VCF-like input
+    standardKey = normalizedKey;
     annotationData = await vepRegionsAnnotation(
       [formattedVariant],
       params.vepOptions,
-      params.cache,
-      params.proxyConfig
+      requestSettingsOf(params)
     );
+    keyFields = normalizationFields(directVcfKey, normalizedKey, params);
   } else if (inputFormat === 'CNV') {
     // Handle CNV format: chr:start-end:TYPE
-    const cleanedVariant = variant.replace(/^chr/i, '');
-    const parts = cleanedVariant.match(/^([0-9XYM]+):(\d+)-(\d+):(DEL|DUP|CNV|CUSTOM|INS|INV)$/i);
-    if (!parts) {
-      throw new Error(
-        `Invalid CNV format for variant "${variant}": expected "chr:start-end:TYPE" ` +
-          `where TYPE is DEL, DUP, CNV, CUSTOM, INS, or INV`
-      );
-    }
-    const [, chrom, start, end, type] = parts;
-
-    // Map CNV types to VEP-compatible format
-    const vepTypeMapping = {
-      DEL: 'deletion',
-      DUP: 'duplication',
-      CNV: 'CNV',
-    };
-    const vepType = vepTypeMapping[type.toUpperCase()] || 'CNV';
-
-    // Format for VEP regions annotation: "chromosome start end variant_type allele_number"
-    const formattedVariant = `${chrom} ${start} ${end} ${vepType} 1`;
+    const formattedVariant = formatCnvVariantForVep(variant);
     inputInfo = formattedVariant;
     standardKey = variant; // Use original CNV format as key
 
     annotationData = await vepRegionsAnnotation(
       [formattedVariant],
       params.vepOptions,
-      params.cache,
-      params.proxyConfig
+      requestSettingsOf(params)
     );
   } else {
     // Initialize fallback tracking variables
@@ -184,8 +359,7 @@ async function processSingleVariant(variant, params) {
       variantData = await variantRecoder(
         currentVariant,
         params.recoderOptions,
-        params.cache,
-        params.proxyConfig
+        requestSettingsOf(params)
       );
       // Validate the recoder response and process VCF string
       const { vcfString } = await processVariantRecoderResponse(variantData, currentVariant);
@@ -201,8 +375,7 @@ async function processSingleVariant(variant, params) {
       annotationData = await vepRegionsAnnotation(
         [formattedVariant],
         params.vepOptions,
-        params.cache,
-        params.proxyConfig
+        requestSettingsOf(params)
       );
     } catch (originalError) {
       // Check if this is a transcript version related error and the variant has a version
@@ -222,8 +395,7 @@ async function processSingleVariant(variant, params) {
           variantData = await variantRecoder(
             fallbackVariant,
             params.recoderOptions,
-            params.cache,
-            params.proxyConfig
+            requestSettingsOf(params)
           );
           // Validate the recoder response and process VCF string
           const { vcfString } = await processVariantRecoderResponse(variantData, fallbackVariant);
@@ -241,8 +413,7 @@ async function processSingleVariant(variant, params) {
           annotationData = await vepRegionsAnnotation(
             [formattedVariant],
             params.vepOptions,
-            params.cache,
-            params.proxyConfig
+            requestSettingsOf(params)
           );
 
           // Track that we used the fallback
@@ -286,6 +457,7 @@ async function processSingleVariant(variant, params) {
         input: inputInfo,
         variantKey: standardKey, // Add the standardized key here
         ...ann,
+        ...keyFields,
       };
     });
   } else {
@@ -297,6 +469,7 @@ async function processSingleVariant(variant, params) {
         input: inputInfo,
         variantKey: standardKey,
         ...annotationData,
+        ...keyFields,
       },
     ];
     debugDetailed(
@@ -314,27 +487,115 @@ async function processSingleVariant(variant, params) {
   };
 }
 
+/**
+ * Runs an annotation step over all variants. With checkpointing enabled, the variants are
+ * annotated chunk by chunk and completed chunks are restored from or saved to the checkpoint.
+ *
+ * @param {Array<string>} variants - Variants to annotate.
+ * @param {Object} params - Processing parameters.
+ * @param {CheckpointManager} [params.checkpoint] - Checkpoint store for the current run.
+ * @param {function(Array<string>): Promise<Object>} annotate - Annotates a list of variants and
+ * resolves to { annotationData, failedVariants }.
+ * @returns {Promise<Object>} Annotation data in input order and the inputs that failed.
+ */
+async function annotateWithCheckpoint(variants, params, annotate) {
+  if (!params.checkpoint) {
+    return annotate(variants);
+  }
+  return runCheckpointedChunks(
+    variants,
+    params.checkpoint,
+    annotate,
+    resolveMaxConcurrentRequests(params.maxConcurrentRequests)
+  );
+}
+
 /**
  * Processes a batch of variants using the Variant Recoder POST API and VEP annotation.
+ * Completed chunks are persisted when a checkpoint is configured (see annotateWithCheckpoint).
  *
  * @param {Array<string>} variants - Array of variants to process.
  * @param {Object} params - Processing parameters.
  * @param {Object} params.recoderOptions - Options for the Variant Recoder API.
  * @param {Object} params.vepOptions - Options for the VEP API.
  * @param {boolean} params.cache - Whether to enable caching.
- * @returns {Promise<Object>} Object containing annotation data and mapping info.
+ * @returns {Promise<Object>} Object containing annotation data and failedVariants, the inputs
+ * that could not be parsed, recoded or annotated ({ input, stage, message }).
  */
 async function processBatchVariants(variants, params) {
+  return annotateWithCheckpoint(variants, params, (chunk) => annotateBatchVariants(chunk, params));
+}
+
+/**
+ * Annotates a list of variants of mixed formats (VCF, CNV, HGVS/rsID) in as few API calls
+ * as possible.
+ *
+ * @param {Array<string>} variants - Array of variants to process.
+ * @param {Object} params - Processing parameters (see processBatchVariants).
+ * @returns {Promise<Object>} Object containing annotation data.
+ * @private
+ */
+async function annotateBatchVariants(variants, params) {
+  // Inputs that cannot be processed are recorded here instead of aborting the batch
+  const failedVariants = [];
+  const recordFailure = (input, stage, message) => {
+    debug(`Variant "${input}" failed at stage '${stage}': ${message}`);
+    failedVariants.push({ input, stage, message });
+  };
+
   // Detect input formats for all variants
-  const inputFormats = variants.map((variant) => ({
-    variant,
-    format: detectInputFormat(variant),
-  }));
+  const inputFormats = [];
+  for (const variant of variants) {
+    try {
+      const format = detectInputFormat(variant);
+      if (format === 'HGVS' && LOOSE_VCF_PATTERN.test(variant.trim())) {
+        // Looks like CHR-POS-REF-ALT but failed the strict check; the recoder cannot parse it
+        throw new Error(
+          `Invalid VCF format for variant "${variant}": expected "chromosome-start-ref-alt" ` +
+            `with A/C/G/T alleles`
+        );
+      }
+      inputFormats.push({ variant, format });
+    } catch (error) {
+      recordFailure(variant, 'parse', error.message);
+    }
+  }
 
-  // Process variants by format (separate VCF, CNV, and HGVS)
-  const vcfVariants = inputFormats.filter((v) => v.format === 'VCF').map((v) => v.variant);
-  const cnvVariants = inputFormats.filter((v) => v.format === 'CNV').map((v) => v.variant);
-  const hgvsVariants = inputFormats.filter((v) => v.format === 'HGVS').map((v) => v.variant);
+  // Process variants by format (separate VCF, CNV, and HGVS). Genomic IDs that normalise to
+  // CHR-POS-REF-ALT go to VEP directly like VCF input; the rest need the recoder like HGVS.
+  const vcfVariants = [];
+  const vcfKeys = [];
+  const vcfOriginalKeys = [];
+  const vcfInputFormats = [];
+  const formattedVcfVariants = [];
+  const cnvVariants = [];
+  const formattedCnvVariants = [];
+  const hgvsVariants = [];
+  const hgvsInputFormats = [];
+  for (const { variant, format } of inputFormats) {
+    let stage = 'parse';
+    try {
+      const vcfKey = getDirectVcfKey(variant, format, params);
+      if (vcfKey) {
+        stage = 'normalize';
+        const normalizedKey = normalizeDirectVcfKey(vcfKey, params);
+        stage = 'parse';
+        formattedVcfVariants.push(formatVcfVariantForVep(normalizedKey));
+        vcfVariants.push(variant);
+        vcfKeys.push(normalizedKey);
+        vcfOriginalKeys.push(vcfKey);
+        vcfInputFormats.push(format);
+      } else if (format === 'CNV') {
+        formattedCnvVariants.push(formatCnvVariantForVep(variant));
+        cnvVariants.push(variant);
+      } else {
+        hgvsVariants.push(variant);
+        hgvsInputFormats.push(format);
+      }
+    } catch (error) {
+      recordFailure(variant, stage, error.message);
+    }
+  }
 
   // Store mapping from original input to results
   const variantMapping = {};
@@ -342,40 +603,35 @@ async function processBatchVariants(variants, params) {
 
   // Process VCF variants directly (they don't need recoding)
   if (vcfVariants.length > 0) {
-    const formattedVcfVariants = vcfVariants.map((variant) => {
-      const parts = variant.trim().split('-');
-      if (parts.length !== 4) {
-        throw new Error(
-          `Invalid VCF format for variant "${variant}": expected "chromosome-start-ref-alt"`
-        );
-      }
-      const [chrom, pos, ref, alt] = parts;
-      return `${chrom} ${pos} . ${ref} ${alt} . . .`;
-    });
-
     // Store the mapping for VCF variants
     formattedVcfVariants.forEach((formatted, index) => {
       variantMapping[vcfVariants[index]] = {
         originalInput: vcfVariants[index],
-        inputFormat: 'VCF',
+        inputFormat: vcfInputFormats[index],
         formattedVariant: formatted,
+        key: vcfKeys[index],
+        originalKey: vcfOriginalKeys[index],
       };
     });
 
     // Call VEP with all formatted VCF variants at once
     const vcfAnnotations = await vepRegionsAnnotation(
-      formattedVcfVariants,
+      [...new Set(formattedVcfVariants)],
       params.vepOptions,
-      params.cache,
-      params.proxyConfig
+      requestSettingsOf(params)
     );
 
-    // Associate VEP results with original variants
-    if (Array.isArray(vcfAnnotations)) {
-      vcfAnnotations.forEach((annotation, index) => {
-        const originalVariant = vcfVariants[index]; // This IS the CHR-POS-REF-ALT key
-        const mappingInfo = variantMapping[originalVariant];
-        const key = originalVariant; // Use the consistent input key
+    // Associate VEP results with original variants through the input they echo
+    const vcfRecordsByInput = groupRecordsByInput(vcfAnnotations);
+    vcfVariants.forEach((originalVariant) => {
+      const mappingInfo = variantMapping[originalVariant];
+      const key = mappingInfo.key; // The (normalised) CHR-POS-REF-ALT key
+      const records = vcfRecordsByInput.get(mappingInfo.formattedVariant.trim());
+      if (!records) {
+        recordFailure(originalVariant, 'annotation', `No VEP annotation returned for "${key}"`);
+        return;
+      }
+      for (const annotation of records) {
         // *** DEBUG POINT 6: VCF Batch Annotation Key Association ***
         debugDetailed(
           `processBatchVariants (VCF): Assigning variantKey='${key}' to annotation for ` +
@@ -383,40 +639,18 @@ async function processBatchVariants(variants, params) {
         );
         annotationData.push({
           originalInput: originalVariant,
-          inputFormat: 'VCF',
+          inputFormat: mappingInfo.inputFormat,
           input: mappingInfo.formattedVariant, // VEP input format
           variantKey: key, // Use the standardized key
           ...annotation,
+          ...normalizationFields(mappingInfo.originalKey, key, params),
         });
-      });
-    }
+      }
+    });
   }
 
   // Process CNV variants directly (they don't need recoding)
   if (cnvVariants.length > 0) {
-    const formattedCnvVariants = cnvVariants.map((variant) => {
-      const cleanedVariant = variant.replace(/^chr/i, '');
-      const parts = cleanedVariant.match(/^([0-9XYM]+):(\d+)-(\d+):(DEL|DUP|CNV|CUSTOM|INS|INV)$/i);
-      if (!parts) {
-        throw new Error(
-          `Invalid CNV format for variant "${variant}": expected "chr:start-end:TYPE" ` +
-            `where TYPE is DEL, DUP, CNV, CUSTOM, INS, or INV`
-        );
-      }
-      const [, chrom, start, end, type] = parts;
-
-      // Map CNV types to VEP-compatible format
-      const vepTypeMapping = {
-        DEL: 'deletion',
-        DUP: 'duplication',
-        CNV: 'CNV',
-      };
-      const vepType = vepTypeMapping[type.toUpperCase()] || 'CNV';
-
-      // Format for VEP regions annotation: "chromosome start end variant_type allele_number"
-      return `${chrom} ${start} ${end} ${vepType} 1`;
-    });
-
     // Store the mapping for CNV variants
     formattedCnvVariants.forEach((formatted, index) => {
       variantMapping[cnvVariants[index]] = {
@@ -428,26 +662,26 @@ async function processBatchVariants(variants, params) {
 
     // Call VEP with all formatted CNV variants at once
     const cnvAnnotations = await vepRegionsAnnotation(
-      formattedCnvVariants,
+      [...new Set(formattedCnvVariants)],
       params.vepOptions,
-      params.cache,
-      params.proxyConfig
+      requestSettingsOf(params)
     );
 
-    // Associate VEP results with original CNV variants
-    if (Array.isArray(cnvAnnotations)) {
-      cnvAnnotations.forEach((annotation, index) => {
-        const originalVariant = cnvVariants[index];
-        const mappingInfo = variantMapping[originalVariant];
-
-        // Safety check for mappingInfo
-        if (!mappingInfo) {
-          console.error(`No mapping info found for CNV variant: ${originalVariant}`);
-          console.error(`Available variants in mapping:`, Object.keys(variantMapping));
-          return; // Skip this annotation
-        }
-
-        const key = originalVariant; // Use the original CNV format as key
+    // Associate VEP results with original CNV variants through the input they echo
+    const cnvRecordsByInput = groupRecordsByInput(cnvAnnotations);
+    cnvVariants.forEach((originalVariant) => {
+      const mappingInfo = variantMapping[originalVariant];
+      const records = cnvRecordsByInput.get(mappingInfo.formattedVariant.trim());
+      if (!records) {
+        recordFailure(
+          originalVariant,
+          'annotation',
+          `No VEP annotation returned for "${originalVariant}"`
+        );
+        return;
+      }
+      const key = originalVariant; // Use the original CNV format as key
+      for (const annotation of records) {
         debugDetailed(
           `processBatchVariants (CNV): Assigning variantKey='${key}' to annotation for ` +
             `OrigInput='${originalVariant}', VEPInput='${mappingInfo.formattedVariant}'`
@@ -459,8 +693,8 @@ async function processBatchVariants(variants, params) {
           variantKey: key, // Use the standardized key
           ...annotation,
         });
-      });
-    }
+      }
+    });
   }
 
   // Process HGVS variants through the recoder POST API
@@ -469,22 +703,31 @@ async function processBatchVariants(variants, params) {
     const recoderResults = await variantRecoderPost(
       hgvsVariants,
       params.recoderOptions,
-      params.cache,
-      params.proxyConfig
+      requestSettingsOf(params)
     );
 
     // Extract VCF strings from recoder results
     const uniqueVcfStrings = [];
     const vcfToOriginalMapping = {};
 
-    // Process recoder results and build mappings
-    for (let i = 0; i < recoderResults.length; i++) {
-      const result = recoderResults[i];
+    // Process recoder results and build mappings; records are matched on the input they echo
+    const recoderRecordsByInput = groupRecordsByInput(recoderResults, recoderRecordInput);
+    for (let i = 0; i < hgvsVariants.length; i++) {
       const originalVariant = hgvsVariants[i];
+      const result = Object.assign(
+        {},
+        ...(recoderRecordsByInput.get(originalVariant.trim()) || [])
+      );
 
       // Get all allele keys from the recoder result
       const alleleKeys = Object.keys(result).filter(
-        (key) => key !== 'id' && key !== 'seq_region_name' && key !== 'input'
+        (key) =>
+          key !== 'id' &&
+          key !== 'seq_region_name' &&
+          key !== 'input' &&
+          key !== 'warnings' &&
+          result[key] &&
+          typeof result[key] === 'object'
       );
 
       let foundValidVcf = false;
@@ -513,7 +756,7 @@ async function processBatchVariants(variants, params) {
                 }
                 vcfToOriginalMapping[formattedVariant].push({
                   originalInput: originalVariant,
-                  inputFormat: 'HGVS',
+                  inputFormat: hgvsInputFormats[i],
                   recoderData: result,
                   alleleKey: alleleKey,
                   vcfString: vcfString,
@@ -527,22 +770,15 @@ async function processBatchVariants(variants, params) {
         }
       }
 
-      // ** FIX: Handle variants where recoder doesn't return a VCF string **
+      // Record variants where the recoder doesn't return a VCF string and keep going
       if (!foundValidVcf) {
-        // Log warning instead of throwing error to allow processing other variants
-        console.warn(
-          `Warning: No valid VCF string found in Variant Recoder response for variant "${originalVariant}". Skipping.`
-        );
-        debug(
-          `Warning: No valid VCF string found in Variant Recoder response for variant "${originalVariant}". Skipping.`
+        const warnings = Array.isArray(result.warnings) ? ` (${result.warnings.join('; ')})` : '';
+        recordFailure(
+          originalVariant,
+          'recoder',
+          `No valid VCF string found in Variant Recoder response for variant ` +
+            `"${originalVariant}"${warnings}`
         );
-        // Add a placeholder to annotationData
-        annotationData.push({
-          originalInput: originalVariant,
-          inputFormat: 'HGVS',
-          error: 'No valid VCF string from recoder',
-          annotationData: [], // Or null/undefined
-        });
       }
     }
 
@@ -555,42 +791,51 @@ async function processBatchVariants(variants, params) {
       const hgvsAnnotations = await vepRegionsAnnotation(
         uniqueVcfSet,
         params.vepOptions,
-        params.cache,
-        params.proxyConfig
+        requestSettingsOf(params)
       );
 
-      // Associate VEP results with original variants through the mapping
-      if (Array.isArray(hgvsAnnotations)) {
-        hgvsAnnotations.forEach((annotation, index) => {
-          const formattedVariant = uniqueVcfSet[index]; // The VEP input string
-          const mappings = vcfToOriginalMapping[formattedVariant]; // Get original variant(s) info
-
-          // For each original variant mapped to this VCF string
-          if (mappings) {
-            // Ensure mappings exist for this VEP result
-            for (const mapping of mappings) {
-              // *** DEBUG POINT 7: HGVS Batch Annotation Key Association ***
-              // The key should be the one derived from the vcfString
-              const key = mapping.standardKey;
-              debugDetailed(
-                `processBatchVariants (HGVS Annotate): Assigning variantKey='${key}' to annotation for ` +
-                  `OrigInput='${mapping.originalInput}', VEPInput='${formattedVariant}'`
-              );
-              annotationData.push({
-                originalInput: mapping.originalInput,
-                inputFormat: mapping.inputFormat,
-                input: formattedVariant, // VEP input format
-                variantKey: key, // Use the standardized key from vcfString
-                recoderData: mapping.recoderData,
-                allele: mapping.alleleKey,
-                vcfString: mapping.vcfString,
-                ...annotation,
-              });
-            }
-          } else {
-            debug(`Warning: No original mapping found for VEP result of '${formattedVariant}'`);
+      // Associate VEP results with original variants through the input they echo
+      const hgvsRecordsByInput = groupRecordsByInput(hgvsAnnotations);
+      const annotatedInputs = new Set();
+      uniqueVcfSet.forEach((formattedVariant) => {
+        const records = hgvsRecordsByInput.get(formattedVariant.trim()) || [];
+        // For each original variant mapped to this VCF string
+        for (const mapping of vcfToOriginalMapping[formattedVariant]) {
+          for (const annotation of records) {
+            annotatedInputs.add(mapping.originalInput);
+            // *** DEBUG POINT 7: HGVS Batch Annotation Key Association ***
+            // The key should be the one derived from the vcfString
+            const key = mapping.standardKey;
+            debugDetailed(
+              `processBatchVariants (HGVS Annotate): Assigning variantKey='${key}' to annotation for ` +
+                `OrigInput='${mapping.originalInput}', VEPInput='${formattedVariant}'`
+            );
+            annotationData.push({
+              originalInput: mapping.originalInput,
+              inputFormat: mapping.inputFormat,
+              input: formattedVariant, // VEP input format
+              variantKey: key, // Use the standardized key from vcfString
+              recoderData: mapping.recoderData,
+              allele: mapping.alleleKey,
+              vcfString: mapping.vcfString,
+              ...annotation,
+            });
           }
-        });
+        }
+      });
+
+      // Recoded variants none of whose VCF strings VEP annotated
+      const unannotated = new Set();
+      for (const mappings of Object.values(vcfToOriginalMapping)) {
+        for (const { originalInput, vcfString } of mappings) {
+          if (annotatedInputs.has(originalInput) || unannotated.has(originalInput)) continue;
+          unannotated.add(originalInput);
+          recordFailure(
+            originalInput,
+            'annotation',
+            `No VEP annotation returned for "${vcfString}" (recoded from "${originalInput}")`
+          );
+        }
       }
     } else {
       debug('No unique VCF strings derived from HGVS inputs to send to VEP.');
@@ -602,17 +847,102 @@ async function processBatchVariants(variants, params) {
       `(count=${annotationData.length}): ${JSON.stringify(annotationData.slice(0, 2))}...`
   );
 
-  return { annotationData };
+  return { annotationData, failedVariants };
+}
+
+/**
+ * Annotates variants read from a VCF file with VEP (no recoding needed). Sequence variants
+ * ("CHROM-POS-REF-ALT") and structural variants ("CHROM:START-END:TYPE", from symbolic ALT
+ * alleles) are sent to VEP in separate requests, the latter in the same region format as CNV
+ * input. Keys that cannot be formatted, or that VEP returns no record for, are reported as failed
+ * variants.
+ *
+ * @param {Array<string>} vcfVariants - Variant keys from vcfReader.
+ * @param {Object} params - Processing parameters.
+ * @returns {Promise<Object>} Object containing annotation data keyed by the original variant
+ * and the keys that failed.
+ */
+async function annotateVcfInputVariants(vcfVariants, params) {
+  const failedVariants = [];
+  const groups = { VCF: { indexes: [], vepInput: [] }, CNV: { indexes: [], vepInput: [] } };
+  // Normalised keys are only sent to VEP: variantKey stays the record key so the VCF record
+  // and genotype lookups keep working
+  const normalizedKeys = new Array(vcfVariants.length);
+  vcfVariants.forEach((key, index) => {
+    const inputFormat = detectInputFormat(key) === 'CNV' ? 'CNV' : 'VCF';
+    let stage = 'parse';
+    try {
+      let vepInput;
+      if (inputFormat === 'CNV') {
+        vepInput = formatCnvVariantForVep(key);
+      } else {
+        stage = 'normalize';
+        normalizedKeys[index] = normalizeDirectVcfKey(key, params);
+        stage = 'parse';
+        vepInput = formatVcfVariantForVep(normalizedKeys[index]);
+      }
+      groups[inputFormat].indexes.push(index);
+      groups[inputFormat].vepInput.push(vepInput);
+    } catch (error) {
+      debug(`VCF variant "${key}" failed at stage '${stage}': ${error.message}`);
+      failedVariants.push({ input: key, stage, message: error.message });
+    }
+  });
+
+  // Need to associate annotations back to the original key, keeping the file order
+  const annotationsByIndex = new Array(vcfVariants.length);
+  for (const [inputFormat, { indexes, vepInput }] of Object.entries(groups)) {
+    if (indexes.length === 0) continue;
+    const vepAnnotations = await vepRegionsAnnotation(
+      [...new Set(vepInput)],
+      params.vepOptions,
+      requestSettingsOf(params)
+    );
+    if (!Array.isArray(vepAnnotations)) {
+      debug(`VEP did not return an array for ${inputFormat} records from the VCF input.`);
+      continue;
+    }
+    // Records are matched on the input they echo, since VEP skips records it cannot annotate
+    const recordsByInput = groupRecordsByInput(vepAnnotations);
+    indexes.forEach((variantIndex, index) => {
+      const originalKey = vcfVariants[variantIndex];
+      const records = recordsByInput.get(vepInput[index].trim());
+      if (!records) {
+        debug(`No VEP annotation returned for VCF variant "${originalKey}"`);
+        failedVariants.push({
+          input: originalKey,
+          stage: 'annotation',
+          message: `No VEP annotation returned for "${originalKey}"`,
+        });
+        return;
+      }
+      // *** Explicitly assign variantKey for VCF input path ***
+      debugDetailed(
+        `analyzeVariant (VCF Input Path): Assigning variantKey='${originalKey}' to annotation.`
+      );
+      annotationsByIndex[variantIndex] = records.map((annotation) => ({
+        originalInput: originalKey,
+        inputFormat,
+        input: vepInput[index], // VEP input format
+        variantKey: originalKey, // Use the standardized key
+        ...annotation,
+        ...(inputFormat === 'VCF' &&
+          normalizationFields(originalKey, normalizedKeys[variantIndex], params)),
+      }));
+    });
+  }
+  const annotationData = annotationsByIndex.filter(Boolean).flat();
+  return { annotationData, failedVariants };
 }
 
 /**
  * Performs liftover from GRCh37/hg19 to GRCh38 for coordinate-based variants.
  *
  * @param {Array<string>} variants - Array of variants to lift over
- * @param {boolean} cacheEnabled - Whether to enable caching for API requests
+ * @param {Object} request - Request settings of the liftover requests ({ cache, apiProfile })
  * @returns {Promise<Object>} Object containing lifted variants, metadata, and mapping
  */
-async function performLiftover(variants, cacheEnabled) {
+async function performLiftover(variants, request) {
   debug('Starting liftover process for variants');
 
   const liftedVariants = [];
@@ -650,7 +980,7 @@ async function performLiftover(variants, cacheEnabled) {
 
     try {
       // Call the liftover API
-      const liftoverResponse = await liftOverCoordinates(hg19Region, cacheEnabled);
+      const liftoverResponse = await liftOverCoordinates(hg19Region, request);
 
       if (!liftoverResponse.mappings || liftoverResponse.mappings.length === 0) {
         // No mapping found
@@ -687,6 +1017,9 @@ async function performLiftover(variants, cacheEnabled) {
 
       debug(`Successfully lifted variant: ${originalVariant} -> ${liftedVariant}`);
     } catch (error) {
+      if (error.code === 'HTTP_REPLAY_MISS') {
+        throw error;
+      }
       // API error
       liftoverMeta[originalVariant] = {
         status: 'error',
@@ -707,6 +1040,43 @@ async function performLiftover(variants, cacheEnabled) {
   };
 }
 
+/**
+ * Builds the run manifest of an analysis (see runManifest.js).
+ * @param {Object} params - Analysis parameters
+ * @param {Date} startTime - Start of the analysis
+ * @param {Object} apiCallsAtStart - getApiCallStats() snapshot taken at the start
+ * @param {Object} meta - Meta information of the result
+ * @param {string|Buffer} [formattedOutput] - CSV/TSV/VCF (or XLSX/PARQUET) output, checksummed
+ *   in the manifest
+ * @returns {Promise<Object>} The manifest
+ */
+async function buildRunManifest(params, startTime, apiCallsAtStart, meta, formattedOutput) {
+  const outputChecksum = formattedOutput ? checksumContent(formattedOutput) : null;
+  return createRunManifest({
+    startTime,
+    endTime: new Date(),
+    params: sanitizeParams(params),
+    apiCalls: countApiCallsSince(apiCallsAtStart),
+    inputs: await checksumInputFiles(params),
+    outputs: outputChecksum ? [{ role: 'output', format: params.output, ...outputChecksum }] : [],
+    provenance: meta.provenance,
+    failedVariants: (params.failedVariants || []).length,
+  });
+}
+
+/**
+ * Hands the failed variants and the run manifest of an analysis to params.onComplete.
+ * Formatted (CSV/TSV/VCF/XLSX/PARQUET) results carry no meta, so this is how callers get them.
+ * @param {Object} params - Analysis parameters (the working copy of analyzeVariant)
+ * @param {Object} [manifest] - The run manifest, if params.manifest is set
+ * @private
+ */
+function notifyComplete(params, manifest) {
+  if (typeof params.onComplete === 'function') {
+    params.onComplete({ failedVariants: params.failedVariants, ...(manifest && { manifest }) });
+  }
+}
+
 /**
  * Analyzes the given variant(s) by determining format, converting if needed,
  * calling the appropriate APIs, and optionally applying scoring and filtering.
@@ -727,9 +1097,41 @@ async function performLiftover(variants, cacheEnabled) {
  * containing family relationships and affected status.
  * @param {boolean} [params.calculateInheritance] - Whether to calculate inheritance patterns.
  * @param {Object} [params.sampleMap] - Manual mapping of sample roles if PED not available.
+ * @param {Object} [params.genotypeQuality] - Genotype quality thresholds for inheritance
+ * analysis ({ minGq, minDp, minAb }); VCF calls failing them are treated as missing.
+ * @param {Object} [params.segregationModel] - Penetrance and phenocopy rate of the
+ * co-segregation likelihood ratios ({ penetrance, phenocopyRate }).
+ * @param {Object} [params.mosaicism] - Mosaicism thresholds for de novo calls of VCF input
+ * ({ maxProbandVaf, minParentalVaf, minAltReads }), applied to FORMAT/AD.
  * @param {Map<string, Object>} [params.vcfRecordMap] - Map from vcfReader containing VCF record data.
  * @param {Array<string>} [params.vcfHeaderLines] - Array of header lines from VCF file.
  * @param {Array<string>} [params.samples] - List of sample IDs from VCF file.
+ * @param {Object|string} [params.annotationSource] - Annotation source instance or type name
+ * ('rest' or 'vep-json'). Defaults to the Ensembl REST API.
+ * @param {string} [params.vepJsonPath] - Precomputed VEP JSON file or directory for 'vep-json'.
+ * @param {string|Object} [params.apiProfile] - API profile name or settings for the REST source
+ * (see apiProfiles.js); hg19 selects its GRCh37 server.
+ * @param {boolean} [params.provenance] - Query the Ensembl release, data releases and assembly
+ * of the annotation source and report them in meta.provenance.
+ * @param {number} [params.requireEnsemblRelease] - Abort unless the annotation source reports
+ * this Ensembl release (implies params.provenance).
+ * @param {number} [params.maxConcurrentRequests] - Maximum batch requests in flight at once
+ * (defaults to requests.maxConcurrentRequests in apiConfig.json).
+ * @param {string} [params.checkpointDir] - Directory for resumable batch runs. Completed chunks
+ * are saved there and reused when the same inputs and options are analysed again.
+ * With params.cache enabled, meta.cache reports how many API requests were served from the
+ * memory and persistent cache tiers.
+ * @param {string} [params.normalizeFasta] - Indexed FASTA (with `.fai`) of the target assembly.
+ * VCF-style inputs are trimmed and left-aligned against it before annotation; annotations then
+ * carry originalVariantKey and normalizedVariantKey.
+ * Batch inputs that cannot be parsed, recoded or annotated do not abort the run; they are
+ * listed in meta.failedVariants as { input, stage, message } records.
+ * @param {boolean} [params.manifest] - Build a run manifest (parameters, input file checksums,
+ * version, run time, API call counts and output checksum), returned as meta.manifest for JSON
+ * output and passed to params.onComplete.
+ * @param {Function} [params.onComplete] - Called with { failedVariants, manifest } when the
+ * analysis has finished, also for formatted output, which has no meta.
+ * params itself is not modified.
  * @return {Promise<Object>} Result object with meta, variantData, and
  * annotationData properties.
  */
@@ -749,8 +1151,36 @@ async function analyzeVariant(params) {
     `analyzeVariant received params.calculateInheritance: ${params.calculateInheritance}`
   );
 
+  // Resolved settings and run state are kept on a copy, so the caller's params stay unchanged
+  params = { ...params };
   const processStartTime = new Date();
   const stepsPerformed = [];
+  // A recorded session must contain every request, and a replayed one must answer all of them,
+  // so responses are not taken from (or split up by) the cache
+  const httpRecorder = getHttpRecorder();
+  if (httpRecorder) {
+    if (params.cache) {
+      debug(`Caching disabled while an HTTP session is ${httpRecorder.mode}ed`);
+      params.cache = false;
+    }
+    stepsPerformed.push(
+      httpRecorder.mode === 'record'
+        ? `Recording API responses to ${httpRecorder.directory}`
+        : `Replaying API responses from ${httpRecorder.directory}`
+    );
+  }
+  // Snapshot of the API call counters for the run manifest
+  const apiCallsAtStart = params.manifest ? getApiCallStats() : null;
+  // Snapshot of the cache counters, so meta.cache only counts the lookups of this analysis
+  const cacheStatsAtStart = params.cache ? getCacheManager().getHitStats() : null;
+
+  // Resolve the API profile and the annotation source once so every API wrapper below uses
+  // the same backend
+  params.apiProfile = resolveApiProfile(params.apiProfile, { assembly: params.assembly });
+  params.annotationSource = resolveAnnotationSource(params);
+  if (params.annotationSource.name !== 'rest') {
+    stepsPerformed.push(`Using '${params.annotationSource.name}' annotation source`);
+  }
 
   // Handle both single variant and batch variants for backwards compatibility
   // Use variants from VCF input if available, otherwise use other inputs
@@ -774,15 +1204,34 @@ async function analyzeVariant(params) {
   }
 
   // ** FIX: Calculate batchProcessing AFTER variants array is finalized **
-  const batchProcessing = variants.length > 1 || Boolean(params.vcfInput); // vcfInput flag makes it batch
+  // vcfInput and streaming chunks are batches even when they hold a single variant, so a bad
+  // input is reported in meta.failedVariants instead of failing the chunk
+  const batchProcessing =
+    variants.length > 1 || Boolean(params.vcfInput) || Boolean(params.isStreaming);
+
+  // Release, data releases and assembly of the annotations; queried once per process and source
+  let provenance = null;
+  if (params.provenance || params.requireEnsemblRelease) {
+    provenance = await getAnnotationProvenance(params.annotationSource, params.proxyConfig);
+    if (params.requireEnsemblRelease) {
+      assertEnsemblRelease(provenance, params.requireEnsemblRelease);
+      stepsPerformed.push(`Verified Ensembl release ${provenance.ensemblRelease}`);
+    }
+  }
 
   // Handle liftover mode for hg19tohg38
   if (params.assembly === 'hg19tohg38') {
+    if (params.annotationSource.name !== 'rest') {
+      throw new Error(
+        `The 'hg19tohg38' assembly mode requires the Ensembl REST API for liftover and ` +
+          `cannot be used with the '${params.annotationSource.name}' annotation source.`
+      );
+    }
     stepsPerformed.push('Starting liftover from hg19 to hg38');
-    const { liftedVariants, liftoverMeta, originalToLiftedMap } = await performLiftover(
-      variants,
-      params.cache
-    );
+    const { liftedVariants, liftoverMeta, originalToLiftedMap } = await performLiftover(variants, {
+      cache: params.cache,
+      apiProfile: params.apiProfile,
+    });
 
     // Overwrite the variants list with the successfully lifted ones
     variants = liftedVariants;
@@ -795,51 +1244,90 @@ async function analyzeVariant(params) {
     stepsPerformed.push(`Successfully lifted ${liftedVariants.length} variants to GRCh38`);
   }
 
+  // Checkpointing only applies to batch runs; completed chunks are reused on re-runs
+  params.checkpoint = null;
+  if (params.checkpointDir && batchProcessing) {
+    params.checkpoint = new CheckpointManager({
+      directory: params.checkpointDir,
+      variants,
+      chunkSize: params.apiProfile.vepPostChunkSize,
+      options: {
+        vcfInput: Boolean(params.vcfInput),
+        vepOptions: params.vepOptions,
+        recoderOptions: params.recoderOptions,
+        assembly: params.assembly || 'hg38',
+        annotationSource: params.annotationSource.name,
+        ...(params.apiProfile.name !== DEFAULT_PROFILE_NAME && {
+          apiBaseUrl: params.apiProfile.baseUrl,
+        }),
+        ...(provenance?.ensemblRelease && { ensemblRelease: provenance.ensemblRelease }),
+        ...(params.normalizeFasta && { normalizeFasta: params.normalizeFasta }),
+      },
+    });
+  }
+
+  // VCF-style inputs are left-aligned and trimmed against the reference before annotation
+  params.referenceFasta = params.normalizeFasta ? new IndexedFasta(params.normalizeFasta) : null;
+
   let result;
   let inheritanceCalculated = false; // Flag to track if inheritance was run
 
   // If input is VCF, VEP is called directly, no need for separate recoding step
-  if (params.vcfInput) {
-    stepsPerformed.push(`Processing ${variants.length} variants from VCF file`);
-    // VEP is called directly using the pre-formatted variants
-    const formattedVepInput = variants.map((vcfStr) => {
-      const [chrom, pos, ref, alt] = vcfStr.split('-');
-      return `${chrom} ${pos} . ${ref} ${alt} . . .`;
-    });
-    const vepAnnotations = await vepRegionsAnnotation(
-      formattedVepInput,
-      params.vepOptions,
-      params.cache,
-      params.proxyConfig
-    );
-    // Need to associate annotations back to the original CHR-POS-REF-ALT key
-    result = { annotationData: [] };
-    if (Array.isArray(vepAnnotations)) {
-      vepAnnotations.forEach((annotation, index) => {
-        const originalKey = variants[index]; // variants contains the CHR-POS-REF-ALT keys
-        // *** Explicitly assign variantKey for VCF input path ***
-        debugDetailed(
-          `analyzeVariant (VCF Input Path): Assigning variantKey='${originalKey}' to annotation.`
-        );
-        result.annotationData.push({
-          originalInput: originalKey,
-          inputFormat: 'VCF',
-          input: formattedVepInput[index], // VEP input format
-          variantKey: originalKey, // Use the standardized key
-          ...annotation,
-        });
-      });
+  try {
+    if (params.vcfInput) {
+      stepsPerformed.push(`Processing ${variants.length} variants from VCF file`);
+      // VEP is called directly using the pre-formatted variants
+      result = await annotateWithCheckpoint(variants, params, (chunk) =>
+        annotateVcfInputVariants(chunk, params)
+      );
+    } else if (batchProcessing) {
+      // Handle batch input from --variants or --variants-file
+      stepsPerformed.push(`Processing ${variants.length} variants in batch mode`);
+      result = await processBatchVariants(variants, params);
     } else {
-      debug('VEP did not return an array for VCF input.');
+      // Single variant processing (for backwards compatibility via --variant)
+      stepsPerformed.push('Processing single variant');
+      result = await processSingleVariant(variants[0], params);
     }
-  } else if (batchProcessing) {
-    // Handle batch input from --variants or --variants-file
-    stepsPerformed.push(`Processing ${variants.length} variants in batch mode`);
-    result = await processBatchVariants(variants, params);
-  } else {
-    // Single variant processing (for backwards compatibility via --variant)
-    stepsPerformed.push('Processing single variant');
-    result = await processSingleVariant(variants[0], params);
+  } finally {
+    if (params.referenceFasta) {
+      params.referenceFasta.close();
+    }
+  }
+
+  let normalizationSummary = null;
+  if (params.referenceFasta) {
+    const normalized = result.annotationData.filter(
+      (annotation) =>
+        annotation.normalizedVariantKey &&
+        annotation.normalizedVariantKey !== annotation.originalVariantKey
+    );
+    normalizationSummary = {
+      fasta: params.normalizeFasta,
+      changedVariants: new Set(normalized.map((annotation) => annotation.originalInput)).size,
+    };
+    stepsPerformed.push(
+      `Normalized variants against ${params.normalizeFasta} ` +
+        `(${normalizationSummary.changedVariants} changed)`
+    );
+  }
+
+  // Inputs that could not be processed are reported in meta instead of failing the batch.
+  // They are also passed to params.onComplete so callers formatting CSV/TSV/VCF can write a
+  // rejects file.
+  params.failedVariants = result.failedVariants || [];
+  delete result.failedVariants;
+  if (params.failedVariants.length > 0) {
+    stepsPerformed.push(
+      `${params.failedVariants.length} variant(s) could not be processed (see meta.failedVariants)`
+    );
+  }
+
+  if (params.checkpoint) {
+    const { resumedChunks, totalChunks, directory } = params.checkpoint.getSummary();
+    stepsPerformed.push(
+      `Checkpointed ${totalChunks} chunks in ${directory} (${resumedChunks} resumed from a previous run)`
+    );
   }
 
   // *** DEBUG POINT 9: Annotation Data Before Scoring/Inheritance ***
@@ -876,13 +1364,38 @@ async function analyzeVariant(params) {
 
     // Create a map of variant keys to genotype data
     const genotypesMap = new Map();
+    // Samples whose calls failed the genotype quality thresholds, by variant key
+    const filteredGenotypesMap = new Map();
+    // Phase set IDs (FORMAT/PS) of phased genotypes, by variant key
+    const phaseSetsMap = new Map();
+    // Allele depths (FORMAT/AD) by sample, by variant key, for mosaicism checks of de novo calls
+    const alleleDepthsMap = new Map();
+    const checkMosaicism = hasMosaicismThresholds(params.mosaicism);
 
     // Build genotypesMap from vcfRecordMap (passed in params for VCF input)
     if (params.vcfRecordMap && params.vcfRecordMap.size > 0) {
       debugDetailed(`Building genotypesMap from provided vcfRecordMap...`);
       for (const [key, recordData] of params.vcfRecordMap.entries()) {
         if (recordData.genotypes && recordData.genotypes.size > 0) {
-          genotypesMap.set(key, recordData.genotypes);
+          const { genotypes, filtered } = applyGenotypeQualityFilters(
+            recordData.genotypes,
+            recordData.sampleFields,
+            params.genotypeQuality
+          );
+          genotypesMap.set(key, genotypes);
+          if (Object.keys(filtered).length > 0) filteredGenotypesMap.set(key, filtered);
+          const phaseSets = new Map();
+          (recordData.sampleFields || new Map()).forEach((fields, sampleId) => {
+            if (fields.PS !== undefined) phaseSets.set(sampleId, fields.PS);
+          });
+          if (phaseSets.size > 0) phaseSetsMap.set(key, phaseSets);
+          if (checkMosaicism) {
+            const alleleDepths = new Map();
+            (recordData.sampleFields || new Map()).forEach((fields, sampleId) => {
+              if (Array.isArray(fields.AD)) alleleDepths.set(sampleId, fields.AD);
+            });
+            if (alleleDepths.size > 0) alleleDepthsMap.set(key, alleleDepths);
+          }
           // Debug log added inside loop below for clarity
         } else {
           debugDetailed(` -> No genotype data found in VCF record map entry for variant ${key}`);
@@ -907,6 +1420,17 @@ async function analyzeVariant(params) {
       }
     }
 
+    if (filteredGenotypesMap.size > 0) {
+      const maskedCount = Array.from(filteredGenotypesMap.values()).reduce(
+        (sum, filtered) => sum + Object.keys(filtered).length,
+        0
+      );
+      stepsPerformed.push(
+        `Treated ${maskedCount} low-quality genotype(s) in ${filteredGenotypesMap.size} ` +
+          'variant(s) as missing for inheritance analysis.'
+      );
+    }
+
     // *** DEBUG POINT 10: Genotypes Map for Inheritance ***
     debugDetailed(
       `analyzeVariant: Built genotypesMap for inheritance (size=${genotypesMap.size}). ` +
@@ -945,7 +1469,10 @@ async function analyzeVariant(params) {
             result.annotationData, // Pass annotations which now should have variantKey
             genotypesMap, // Pass the map built from vcfRecordMap
             params.pedigreeData,
-            params.sampleMap
+            params.sampleMap,
+            phaseSetsMap,
+            params.segregationModel,
+            checkMosaicism ? { alleleDepthsMap, thresholds: params.mosaicism } : null
           );
           // *** DEBUG POINT 11: Inheritance Results ***
           debugDetailed(
@@ -964,6 +1491,25 @@ async function analyzeVariant(params) {
               const keyToLookup = annotation.variantKey; // Use the key assigned earlier
               if (keyToLookup && inheritanceResults.has(keyToLookup)) {
                 const inheritanceData = inheritanceResults.get(keyToLookup);
+                if (filteredGenotypesMap.has(keyToLookup)) {
+                  const filtered = filteredGenotypesMap.get(keyToLookup);
+                  if (inheritanceData.families) {
+                    // Cohort: each family lists the masked genotypes of its own members
+                    Object.values(inheritanceData.families).forEach((familyResult) => {
+                      const familyFiltered = Object.fromEntries(
+                        Object.entries(filtered).filter(
+                          ([sampleId]) =>
+                            params.pedigreeData.get(sampleId)?.familyId === familyResult.familyId
+                        )
+                      );
+                      if (Object.keys(familyFiltered).length > 0) {
+                        familyResult.filteredGenotypes = familyFiltered;
+                      }
+                    });
+                  } else {
+                    inheritanceData.filteredGenotypes = filtered;
+                  }
+                }
                 annotation.deducedInheritancePattern = inheritanceData;
                 debugDetailed(
                   ` -> Merged inheritance for Key='${keyToLookup}': ${JSON.stringify(inheritanceData)}`
@@ -985,6 +1531,27 @@ async function analyzeVariant(params) {
               stepsPerformed.push(
                 `Analyzed inheritance for ${calculatedPatternsCount} variants (including compound heterozygous).`
               );
+              const familyIds = new Set();
+              inheritanceResults.forEach((data) =>
+                Object.keys(data.families || {}).forEach((familyId) => familyIds.add(familyId))
+              );
+              if (familyIds.size > 0) {
+                stepsPerformed.push(
+                  `Analyzed inheritance separately for ${familyIds.size} families.`
+                );
+              }
+              if (checkMosaicism) {
+                const mosaicPatterns = ['de_novo_mosaic_candidate', 'parental_mosaic_suspected'];
+                const mosaicCount = Array.from(inheritanceResults.values()).filter((data) =>
+                  (data.families ? Object.values(data.families) : [data]).some((familyResult) =>
+                    familyResult.possiblePatterns?.some((p) => mosaicPatterns.includes(p))
+                  )
+                ).length;
+                stepsPerformed.push(
+                  `Checked de novo calls for mosaicism using allele depths: ` +
+                    `${mosaicCount} variant(s) with suspected mosaicism.`
+                );
+              }
             } else if (result.annotationData.length > 0) {
               stepsPerformed.push(
                 'Inheritance patterns calculated, but no results matched annotations.'
@@ -1039,6 +1606,16 @@ async function analyzeVariant(params) {
     debug('Feature overlap annotation completed');
   }
 
+  let cacheSummary = null;
+  if (cacheStatsAtStart) {
+    cacheSummary = getCacheHitStats(cacheStatsAtStart);
+    stepsPerformed.push(
+      `Served ${cacheSummary.memoryHits + cacheSummary.persistentHits} of ` +
+        `${cacheSummary.lookups} API request(s) from cache ` +
+        `(${cacheSummary.memoryHits} memory, ${cacheSummary.persistentHits} persistent)`
+    );
+  }
+
   const processEndTime = new Date();
   const metaInfo = {
     input: batchProcessing ? variants : variants[0],
@@ -1049,6 +1626,12 @@ async function analyzeVariant(params) {
     durationMs: processEndTime - processStartTime,
     batchProcessing, // Use the calculated flag
     inheritanceCalculated, // Add the flag here
+    annotationSource: params.annotationSource.name,
+    failedVariants: params.failedVariants,
+    ...(params.checkpoint && { checkpoint: params.checkpoint.getSummary() }),
+    ...(normalizationSummary && { normalization: normalizationSummary }),
+    ...(cacheSummary && { cache: cacheSummary }),
+    ...(provenance && { provenance }),
   };
 
   // Destructure result to exclude transcriptVersionFallback from top-level spreading
@@ -1135,7 +1718,7 @@ async function analyzeVariant(params) {
 
   // Apply formatting based on output format
   const outputFormat = params.output ? params.output.toUpperCase() : 'JSON';
-  if (['CSV', 'TSV', 'VCF'].includes(outputFormat) && !params.isStreaming) {
+  if (['CSV', 'TSV', 'VCF', 'XLSX', 'PARQUET'].includes(outputFormat) && !params.isStreaming) {
     // *** DEBUG POINT 14: Data Passed to VCF Formatter ***
     if (outputFormat === 'VCF') {
       debugDetailed(`analyzeVariant: Passing data to filterAndFormatResults for VCF output.`);
@@ -1143,13 +1726,26 @@ async function analyzeVariant(params) {
       debugDetailed(` -> vcfRecordMap size: ${finalOutput.vcfRecordMap?.size}`);
       debugDetailed(` -> vcfHeaderLines count: ${finalOutput.vcfHeaderLines?.length}`);
     }
-    // For CSV/TSV/VCF, return the formatted string directly (only in non-streaming mode)
-    return filterAndFormatResults(finalOutput, filterParam, outputFormat, params);
+    // For CSV/TSV/VCF, return the formatted string directly (only in non-streaming mode);
+    // XLSX and PARQUET are returned as a Buffer
+    const formatted = filterAndFormatResults(finalOutput, filterParam, outputFormat, params);
+    const manifest = params.manifest
+      ? await buildRunManifest(params, processStartTime, apiCallsAtStart, metaInfo, formatted)
+      : null;
+    notifyComplete(params, manifest);
+    return formatted;
   } else if (outputFormat === 'JSON' && (filterParam || params.pickOutput)) {
     // For JSON with filtering or pick output, parse the formatted JSON string back to an object
     finalOutput = JSON.parse(filterAndFormatResults(finalOutput, filterParam, 'JSON', params));
   }
 
+  let manifest = null;
+  if (params.manifest) {
+    manifest = await buildRunManifest(params, processStartTime, apiCallsAtStart, metaInfo);
+    if (finalOutput.meta) finalOutput.meta.manifest = manifest;
+  }
+  notifyComplete(params, manifest);
+
   // *** Add Debugging right before returning finalOutput ***
   debugDetailed(
     `analyzeVariant: Returning finalOutput. ` +
@@ -18,10 +18,18 @@ const {
   formatToTabular,
   getDefaultColumnConfig,
   detectScoringFields,
+  hasFamilyInheritance,
 } = require('./dataExtractor');
 const { hasUserFeatureOverlaps } = require('./featureAnnotator');
 const { getValueByPath } = require('./utils/pathUtils');
 const { formatAnnotationsToVcf } = require('./vcfFormatter');
+const { formatProvenanceFields } = require('./provenance');
+const { formatResultsToXlsx } = require('./xlsxFormatter');
+const {
+  createParquetOutput,
+  writeParquetRows,
+  formatResultsToParquet,
+} = require('./parquetFormatter');
 
 /**
  * Helper function to check if annotations contain CNV data.
@@ -52,6 +60,44 @@ function hasCnvAnnotations(annotationData) {
   });
 }
 
+/**
+ * Selects the columns of tabular (CSV/TSV/XLSX) output for a set of results: inheritance,
+ * user feature overlap, CNV and scoring columns are only included when the data has them.
+ * @param {Array<Object>} annotationData - Annotations to output
+ * @param {Object} [meta={}] - Result meta information (inheritanceCalculated)
+ * @param {string} format - Output format (for logging)
+ * @returns {Array<Object>} Column configuration (see getDefaultColumnConfig)
+ */
+function getTabularColumnConfig(annotationData, meta = {}, format) {
+  // *** FIX: Conditionally include inheritance columns ***
+  // Check the flag set in variantLinkerCore.js
+  const includeInheritanceCols = Boolean(meta?.inheritanceCalculated);
+  debug(`Include inheritance columns in ${format}: ${includeInheritanceCols}`);
+
+  // *** FIX: Conditionally include user feature overlap columns ***
+  // Check if any annotations have user feature overlaps
+  const includeUserFeatureCols = hasUserFeatureOverlaps(annotationData);
+  debug(`Include user feature columns in ${format}: ${includeUserFeatureCols}`);
+
+  // *** FIX: Conditionally include CNV-specific columns ***
+  // Check if any annotations are CNV variants
+  const includeCnvCols = hasCnvAnnotations(annotationData);
+  debug(`Include CNV columns in ${format}: ${includeCnvCols}`);
+
+  // *** FIX: Detect and include scoring columns ***
+  // Check for any scoring fields added to the annotation data
+  const scoringFields = detectScoringFields(annotationData);
+  debug(`Detected scoring fields in ${format}: ${scoringFields.join(', ') || 'none'}`);
+
+  return getDefaultColumnConfig({
+    includeInheritance: includeInheritanceCols,
+    includeFamily: hasFamilyInheritance(annotationData),
+    includeUserFeatures: includeUserFeatureCols,
+    includeCnv: includeCnvCols,
+    scoringFields: scoringFields,
+  });
+}
+
 /**
  * Helper: Applies an operator to a value.
  *
@@ -274,8 +320,11 @@ function _pickConsequences(annotationData) {
  * @param {Object} results - The results object from variant processing.
  * @param {(function|Object)} [filterParam] - An optional filter function or filter criteria object.
  * @param {string} format - The desired output format (e.g., 'JSON').
- * @param {Object} [params] - Additional parameters including pickOutput flag.
- * @returns {string} The filtered and formatted results as a string.
+ * @param {Object} [params] - Additional parameters including pickOutput flag. In streaming
+ *   mode, PARQUET output keeps the state of the file in params.parquetOutput. With
+ *   params.ndjson, JSON is written on a single line (one NDJSON record).
+ * @returns {string|Buffer|Object} The filtered and formatted results as a string (a Buffer
+ *   for XLSX and PARQUET; { header, data } chunks in streaming mode).
  * @throws {Error} If an unsupported format is specified or if filtering fails.
  */
 function filterAndFormatResults(results, filterParam, format, params = {}) {
@@ -379,7 +428,7 @@ function filterAndFormatResults(results, filterParam, format, params = {}) {
   let formattedResults;
   switch (format.toUpperCase()) {
     case 'JSON':
-      formattedResults = JSON.stringify(filteredResults, null, 2);
+      formattedResults = JSON.stringify(filteredResults, null, params.ndjson ? undefined : 2);
       break;
     case 'CSV':
     case 'TSV':
@@ -390,46 +439,30 @@ function filterAndFormatResults(results, filterParam, format, params = {}) {
         ? filteredResults.annotationData
         : [];
 
-      // *** FIX: Conditionally include inheritance columns ***
-      // Check the flag set in variantLinkerCore.js
       const includeInheritanceCols = Boolean(filteredResults.meta?.inheritanceCalculated);
-      debug(`Include inheritance columns in ${format.toUpperCase()}: ${includeInheritanceCols}`);
-
-      // *** FIX: Conditionally include user feature overlap columns ***
-      // Check if any annotations have user feature overlaps
-      const includeUserFeatureCols = hasUserFeatureOverlaps(annotationToUse);
-      debug(`Include user feature columns in ${format.toUpperCase()}: ${includeUserFeatureCols}`);
-
-      // *** FIX: Conditionally include CNV-specific columns ***
-      // Check if any annotations are CNV variants
-      const includeCnvCols = hasCnvAnnotations(annotationToUse);
-      debug(`Include CNV columns in ${format.toUpperCase()}: ${includeCnvCols}`);
-
-      // *** FIX: Detect and include scoring columns ***
-      // Check for any scoring fields added to the annotation data
-      const scoringFields = detectScoringFields(annotationToUse);
-      debug(
-        `Detected scoring fields in ${format.toUpperCase()}: ${scoringFields.join(', ') || 'none'}`
+      const columnConfig = getTabularColumnConfig(
+        annotationToUse,
+        filteredResults.meta,
+        format.toUpperCase()
       );
 
-      const columnConfig = getDefaultColumnConfig({
-        includeInheritance: includeInheritanceCols,
-        includeUserFeatures: includeUserFeatureCols,
-        includeCnv: includeCnvCols,
-        scoringFields: scoringFields,
-      });
-
       const flatRows = flattenAnnotationData(annotationToUse, columnConfig);
 
+      // Provenance (Ensembl release etc.) goes into comment lines above the column header
+      const commentLines = formatProvenanceFields(filteredResults.meta?.provenance).map(
+        ([key, value]) => `# ${key}=${value}\n`
+      );
+
       // Check if this is called from streaming mode
       if (params.isStreaming) {
         // Return structured object for streaming
         const header = formatToTabular([], columnConfig, delimiter, true); // Get only the header
         const data = formatToTabular(flatRows, columnConfig, delimiter, false); // Get only the data rows
-        formattedResults = { header, data };
+        formattedResults = { header: commentLines.join('') + header, data };
       } else {
         // Format the flattened data as CSV/TSV
-        formattedResults = formatToTabular(flatRows, columnConfig, delimiter, true);
+        formattedResults =
+          commentLines.join('') + formatToTabular(flatRows, columnConfig, delimiter, true);
       }
 
       // Update meta message
@@ -483,25 +516,70 @@ function filterAndFormatResults(results, filterParam, format, params = {}) {
       ];
 
       // Format results as VCF using the dedicated formatter module
-      // Pass the annotation data, VCF record map, and header lines from filtered results
+      // Pass the annotation data, VCF record map, and header lines from filtered results.
+      // In streaming mode, header and records are returned separately like CSV/TSV.
       formattedResults = formatAnnotationsToVcf(
         filteredResults.annotationData,
         filteredResults.vcfRecordMap,
         filteredResults.vcfHeaderLines,
-        vlCsqFormat
+        vlCsqFormat,
+        {
+          separateHeader: Boolean(params.isStreaming),
+          provenance: filteredResults.meta?.provenance,
+        }
       );
 
       filteredResults.meta.stepsPerformed.push(
         `Formatted output as VCF with annotations added as VL_CSQ INFO field`
       );
       break;
+    case 'XLSX': {
+      // A workbook is written as a whole; chunked (streaming) output is not supported
+      if (params.isStreaming) {
+        throw new Error('XLSX output cannot be streamed; use CSV, TSV or VCF instead');
+      }
+      const xlsxAnnotations = Array.isArray(filteredResults.annotationData)
+        ? filteredResults.annotationData
+        : [];
+      filteredResults.meta.stepsPerformed.push('Formatted output as XLSX workbook');
+      formattedResults = formatResultsToXlsx(
+        filteredResults,
+        getTabularColumnConfig(xlsxAnnotations, filteredResults.meta, 'XLSX')
+      );
+      break;
+    }
+    case 'PARQUET': {
+      const parquetAnnotations = Array.isArray(filteredResults.annotationData)
+        ? filteredResults.annotationData
+        : [];
+      if (params.isStreaming) {
+        // One file for all chunks: the first chunk fixes the schema, each chunk becomes a row
+        // group and the caller finishes the file with closeParquetOutput(params.parquetOutput)
+        if (!params.parquetOutput) {
+          params.parquetOutput = createParquetOutput(
+            getTabularColumnConfig(parquetAnnotations, filteredResults.meta, 'PARQUET'),
+            filteredResults.meta
+          );
+        }
+        formattedResults = { data: writeParquetRows(params.parquetOutput, parquetAnnotations) };
+      } else {
+        formattedResults = formatResultsToParquet(
+          filteredResults,
+          getTabularColumnConfig(parquetAnnotations, filteredResults.meta, 'PARQUET')
+        );
+      }
+      filteredResults.meta.stepsPerformed.push(
+        'Formatted output as PARQUET using flatten-by-consequence strategy'
+      );
+      break;
+    }
     case 'SCHEMA':
       // Existing SCHEMA support will be added later
       formattedResults = JSON.stringify(filteredResults, null, 2);
       break;
     default:
       throw new Error(
-        `Unsupported format: ${format}. Valid formats are JSON, CSV, TSV, VCF, and SCHEMA`
+        `Unsupported format: ${format}. Valid formats are JSON, CSV, TSV, VCF, XLSX, PARQUET, and SCHEMA`
       );
   }
   return formattedResults;
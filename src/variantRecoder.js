@@ -11,8 +11,9 @@
 const debug = require('debug')('variant-linker:main');
 const debugDetailed = require('debug')('variant-linker:detailed');
 const debugAll = require('debug')('variant-linker:all');
-const { fetchApi } = require('./apiHelper');
-const apiConfig = require('../config/apiConfig.json');
+const { getDefaultAnnotationSource } = require('./annotationSource');
+const { resolveApiProfile } = require('./apiProfiles');
+const { resolveRequestSettings } = require('./utils/requestOptions');
 
 /**
  * Fetches the recoded information of a given genetic variant using the Variant Recoder API.
@@ -20,25 +21,36 @@ const apiConfig = require('../config/apiConfig.json');
  * @param {string} variant - Genetic variant to be recoded (supports multiple formats).
  * @param {Object} [options={}] - Optional parameters for the Variant Recoder API request.
  *                               (Example: { vcf_string: '1' } )
- * @param {boolean} [cacheEnabled=false] - If true, cache the API response.
- * @param {Object} [proxyConfig=null] - Optional proxy configuration object.
+ * @param {Object} [request={}] - Request settings. The positional (cacheEnabled, proxyConfig)
+ * arguments of earlier releases are still accepted in its place.
+ * @param {boolean} [request.cache=false] - If true, cache the API response.
+ * @param {Object} [request.proxyConfig=null] - Optional proxy configuration object.
+ * @param {Object} [request.annotationSource=null] - Annotation source to query (defaults to
+ * Ensembl REST).
+ * @param {Object} [legacyProxyConfig] - proxyConfig of the deprecated positional form.
  * @returns {Promise<Object>} A promise that resolves to the recoded variant information,
  *                            including various IDs and HGVS notations.
  * @throws {Error} If the request to the Variant Recoder API fails.
  */
-async function variantRecoder(variant, options = {}, cacheEnabled = false, proxyConfig = null) {
+async function variantRecoder(variant, options = {}, request = {}, legacyProxyConfig) {
+  const { cache, proxyConfig, annotationSource } = resolveRequestSettings(
+    request,
+    legacyProxyConfig
+  );
   try {
+    const source = annotationSource || getDefaultAnnotationSource();
     const defaultOptions = { vcf_string: '1' };
     const queryOptions = { ...defaultOptions, ...options };
     if (queryOptions['content-type']) {
       delete queryOptions['content-type'];
     }
     // Build the endpoint path using the configuration.
-    const endpoint = `${apiConfig.ensembl.endpoints.variantRecoder}/${variant}`;
+    const profile = source.apiProfile || resolveApiProfile();
+    const endpoint = `${profile.endpoints.variantRecoder}/${variant}`;
     debug(`Requesting Variant Recoder for variant: ${variant}`);
     debugDetailed(`Using endpoint: ${endpoint} with query: ${JSON.stringify(queryOptions)}`);
 
-    const data = await fetchApi(endpoint, queryOptions, cacheEnabled, 'GET', null, proxyConfig);
+    const data = await source.recodeVariant(variant, queryOptions, { cache, proxyConfig });
     return data;
   } catch (error) {
     debugAll(`Error in variantRecoder: ${error.message}`);
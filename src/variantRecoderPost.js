@@ -11,39 +11,49 @@
 const debug = require('debug')('variant-linker:main');
 const debugDetailed = require('debug')('variant-linker:detailed');
 const debugAll = require('debug')('variant-linker:all');
-const { fetchApi } = require('./apiHelper');
-const apiConfig = require('../config/apiConfig.json');
-
-// --- Helper for setImmediate as Promise ---
-const yieldToEventLoop = () => new Promise((resolve) => setImmediate(resolve));
-// -----------------------------------------
+const { getDefaultAnnotationSource } = require('./annotationSource');
+const { resolveApiProfile } = require('./apiProfiles');
+const { fetchWithVariantCache } = require('./cache/variantCache');
+const { mapWithConcurrency, resolveMaxConcurrentRequests } = require('./utils/concurrency');
+const { resolveRequestSettings } = require('./utils/requestOptions');
 
 /**
  * Fetches the recoded information for multiple genetic variants using the Variant Recoder POST API.
+ * With caching enabled on the REST source, each variant is cached individually (keyed by the
+ * variant, the Variant Recoder options and the assembly) and only uncached variants are sent.
  * If the number of variants exceeds the configured chunk size, the function will split the request
- * into multiple smaller requests and aggregate the results.
+ * into multiple smaller requests, send up to `maxConcurrentRequests` of them at once and
+ * aggregate the results in input order.
  *
  * @param {Array<string>} variants - An array of genetic variants to be recoded (can be rsIDs,
  * HGVS notations, or VCF strings)
  * @param {Object} [options={}] - Optional parameters for the Variant Recoder API request.
  *                                (Example: { vcf_string: '1' } )
- * @param {boolean} [cacheEnabled=false] - If true, cache the API response.
- * @param {Object} [proxyConfig=null] - Optional proxy configuration object.
+ * @param {Object} [request={}] - Request settings. The positional (cacheEnabled, proxyConfig)
+ * arguments of earlier releases are still accepted in its place.
+ * @param {boolean} [request.cache=false] - If true, cache the API response.
+ * @param {Object} [request.proxyConfig=null] - Optional proxy configuration object.
+ * @param {Object} [request.annotationSource=null] - Annotation source to query (defaults to
+ * Ensembl REST).
+ * @param {number} [request.maxConcurrentRequests=null] - Maximum chunks in flight at once
+ * (defaults to requests.maxConcurrentRequests in apiConfig.json).
+ * @param {Object} [legacyProxyConfig] - proxyConfig of the deprecated positional form.
  * @returns {Promise<Array<Object>>} A promise that resolves to an array of recoded variant
- * information.
+ * information. Match the records to the variants on the input they echo (see
+ * recoderRecordInput): a variant the API rejects can have no record.
  * @throws {Error} If the request to the Variant Recoder API fails.
  */
-async function variantRecoderPost(
-  variants,
-  options = {},
-  cacheEnabled = false,
-  proxyConfig = null
-) {
+async function variantRecoderPost(variants, options = {}, request = {}, legacyProxyConfig) {
+  const { cache, proxyConfig, annotationSource, maxConcurrentRequests } = resolveRequestSettings(
+    request,
+    legacyProxyConfig
+  );
   if (!Array.isArray(variants) || variants.length === 0) {
     throw new Error('Variants must be provided as a non-empty array');
   }
 
   try {
+    const source = annotationSource || getDefaultAnnotationSource();
     const defaultOptions = { vcf_string: '1' };
     const queryOptions = { ...defaultOptions, ...options };
     if (queryOptions['content-type']) {
@@ -55,88 +65,125 @@ async function variantRecoderPost(
     const species = queryOptions.species || 'homo_sapiens';
     delete queryOptions.species; // Remove from query params as it's in the URL
 
-    // The variant recoder endpoint for POST requests
-    const endpoint = `${apiConfig.ensembl.endpoints.variantRecoderBase}/${species}`;
+    // The variant recoder endpoint for POST requests, from the source's API profile
+    const profile = source.apiProfile || resolveApiProfile();
+    const endpoint = `${profile.endpoints.variantRecoderBase}/${species}`;
     debug(`Requesting Variant Recoder batch annotation for ${variants.length} variants`);
     debugDetailed(`Using endpoint: ${endpoint}`);
     debugDetailed(`With query options: ${JSON.stringify(queryOptions)}`);
 
-    // Get the configured chunk size with a default fallback of 200
-    const chunkSize = apiConfig.ensembl.recoderPostChunkSize || 200;
-
-    // Check if we need to chunk the request
-    if (variants.length <= chunkSize) {
-      // If the number of variants is less than or equal to the chunk size,
-      // proceed with a single request
-      const requestBody = { ids: variants };
-      debugDetailed(`Request body: ${JSON.stringify(requestBody)}`);
-
-      const data = await fetchApi(
+    if (cache && source.name === 'rest') {
+      return await fetchWithVariantCache(variants, {
         endpoint,
-        queryOptions,
-        cacheEnabled,
-        'POST',
-        requestBody,
-        proxyConfig
-      );
-      return data;
-    } else {
-      // If the number of variants exceeds the chunk size, we need to chunk the requests
-      debug(`Chunking ${variants.length} variants into batches of ${chunkSize}`);
-      console.log(
-        `[variantRecoderPost Debug] Starting chunking loop for ${variants.length} variants.`
-      ); // DEBUG
-      const allResults = [];
-
-      // Process variants in chunks
-      for (let i = 0; i < variants.length; i += chunkSize) {
-        // --- DEBUG: Yield before processing each chunk ---
-        await yieldToEventLoop();
-        // -----------------------------------------------
-        console.log(`[variantRecoderPost Debug] Loop iteration i = ${i}`); // DEBUG
-        const chunk = variants.slice(i, i + chunkSize);
-        const requestBody = { ids: chunk };
-
-        debugDetailed(
-          `Processing chunk ${Math.floor(i / chunkSize) + 1} with ${chunk.length} variants`
-        );
-        debugDetailed(`Chunk request body: ${JSON.stringify(requestBody)}`);
-
-        // Debug log indicating which chunk is about to be processed
-        console.log(
-          `[variantRecoderPost Debug] Before fetchApi chunk ${Math.floor(i / chunkSize) + 1}`
-        );
-        const chunkResults = await fetchApi(
-          endpoint,
-          queryOptions,
-          cacheEnabled,
-          'POST',
-          requestBody,
-          proxyConfig
-        );
-        // Debug log indicating which chunk has been processed
-        console.log(
-          `[variantRecoderPost Debug] After fetchApi chunk ${Math.floor(i / chunkSize) + 1}`
-        );
-        allResults.push(...chunkResults);
-
-        // Add a small delay between chunks to be polite to the API
-        if (i + chunkSize < variants.length) {
-          console.log(`[variantRecoderPost Debug] Before await setTimeout delay`); // DEBUG
-          await new Promise((resolve) => setTimeout(resolve, 100));
-          console.log(`[variantRecoderPost Debug] After await setTimeout delay`); // DEBUG
-        }
-      }
-
-      console.log(`[variantRecoderPost Debug] Exited chunking loop.`); // DEBUG
-      debug(`Completed processing all ${variants.length} variants in chunks`);
-      return allResults;
+        baseUrl: profile.baseUrl,
+        options: queryOptions,
+        fetchUncached: (uncached) =>
+          recodeInChunks(
+            uncached,
+            queryOptions,
+            { proxyConfig, species },
+            source,
+            maxConcurrentRequests
+          ),
+        inputOf: recoderRecordInput,
+        withInput: recoderRecordWithInput,
+      });
     }
+    return await recodeInChunks(
+      variants,
+      queryOptions,
+      { cache, proxyConfig, species },
+      source,
+      maxConcurrentRequests
+    );
   } catch (error) {
-    console.error(`[variantRecoderPost Debug] Error caught: ${error.message}`); // DEBUG
     debugAll(`Error in variantRecoderPost: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * Returns the input a Variant Recoder record belongs to. Records are keyed by allele, and
+ * each allele echoes the input.
+ * @param {Object} record - Variant Recoder record
+ * @returns {string|null} The input, or null if the record does not echo one
+ */
+function recoderRecordInput(record) {
+  if (!record || typeof record !== 'object') return null;
+  if (typeof record.input === 'string') return record.input;
+  const allele = Object.values(record).find(
+    (value) => value && typeof value === 'object' && typeof value.input === 'string'
+  );
+  return allele ? allele.input : null;
+}
+
+/**
+ * Adapts a cached Variant Recoder record to the input string of the current request.
+ * @param {Object} record - Variant Recoder record
+ * @param {string} input - Input of the current request
+ * @returns {Object} The record with its echoed input(s) replaced
+ * @private
+ */
+function recoderRecordWithInput(record, input) {
+  return Object.fromEntries(
+    Object.entries(record).map(([key, value]) => {
+      if (key === 'input' && typeof value === 'string') return [key, input];
+      if (value && typeof value === 'object' && typeof value.input === 'string') {
+        return [key, { ...value, input }];
+      }
+      return [key, value];
+    })
+  );
+}
+
+/**
+ * Sends variants to the annotation source in chunks of recoderPostChunkSize.
+ *
+ * @param {Array<string>} variants - Variants to recode.
+ * @param {Object} queryOptions - Variant Recoder query parameters.
+ * @param {Object} request - Request settings passed to the source ({ cache, proxyConfig,
+ * species }); with cache set, the source caches whole responses.
+ * @param {Object} source - Annotation source to query.
+ * @param {number} maxConcurrentRequests - Maximum chunks in flight at once.
+ * @returns {Promise<Array<Object>>} Variant Recoder records in input order.
+ * @private
+ */
+async function recodeInChunks(variants, queryOptions, request, source, maxConcurrentRequests) {
+  // Get the configured chunk size with a default fallback of 200
+  const chunkSize = (source.apiProfile || resolveApiProfile()).recoderPostChunkSize;
+
+  // Check if we need to chunk the request
+  if (variants.length <= chunkSize) {
+    // If the number of variants is less than or equal to the chunk size,
+    // proceed with a single request
+    const requestBody = { ids: variants };
+    debugDetailed(`Request body: ${JSON.stringify(requestBody)}`);
+
+    return source.recodeVariants(variants, queryOptions, request);
+  }
+
+  // If the number of variants exceeds the chunk size, we need to chunk the requests
+  const chunks = [];
+  for (let i = 0; i < variants.length; i += chunkSize) {
+    chunks.push(variants.slice(i, i + chunkSize));
+  }
+  const concurrency = resolveMaxConcurrentRequests(maxConcurrentRequests);
+  debug(
+    `Chunking ${variants.length} variants into ${chunks.length} batches of ${chunkSize} ` +
+      `(max ${concurrency} concurrent requests)`
+  );
+
+  // Request pacing is handled by the shared rate limiter in fetchApi
+  const chunkResults = await mapWithConcurrency(chunks, concurrency, (chunk, index) => {
+    debugDetailed(`Processing chunk ${index + 1} with ${chunk.length} variants`);
+    debugDetailed(`Chunk request body: ${JSON.stringify({ ids: chunk })}`);
+    return source.recodeVariants(chunk, queryOptions, request);
+  });
+  const allResults = chunkResults.flat();
+
+  debug(`Completed processing all ${variants.length} variants in chunks`);
+  return allResults;
+}
+
 module.exports = variantRecoderPost;
+module.exports.recoderRecordInput = recoderRecordInput;
@@ -0,0 +1,108 @@
+// src/variantStream.js
+'use strict';
+
+/**
+ * @fileoverview Programmatic streaming API: annotates variants from an (async) iterable chunk
+ * by chunk and yields the annotation records as they become available.
+ * @module variantStream
+ */
+
+const { analyzeVariant } = require('./variantLinkerCore');
+const debug = require('debug')('variant-linker:stream');
+
+/** Default number of variants annotated per chunk, matching the CLI --chunk-size default. */
+const DEFAULT_CHUNK_SIZE = 100;
+
+/**
+ * Annotates variants read from an iterable and yields the annotation records chunk by chunk.
+ * The source is only read when the consumer asks for more records, so a slow consumer holds
+ * back reading and annotation (backpressure); at most one chunk is buffered at a time.
+ *
+ * Each chunk is annotated with analyzeVariant in batch mode, so scoring (scoringConfig or
+ * scoringConfigPath), filtering (filter) and pickOutput apply to the yielded records. Records
+ * are always JSON objects; use filterAndFormatResults to format them as CSV/TSV.
+ *
+ * @example
+ * const readline = require('readline');
+ * const { analyzeVariantsStream } = require('variant-linker');
+ * const lines = readline.createInterface({ input: fs.createReadStream('variants.txt') });
+ * for await (const record of analyzeVariantsStream(lines, { vepOptions, recoderOptions })) {
+ *   console.log(record.variantKey, record.most_severe_consequence);
+ * }
+ *
+ * @async
+ * @generator
+ * @param {Iterable<string>|AsyncIterable<string>} source - Variants, one per item (e.g. a
+ *   readline interface). Blank items and items starting with '#' are skipped.
+ * @param {Object} [params={}] - Analysis parameters as for analyzeVariant, plus:
+ * @param {number} [params.chunkSize=100] - Number of variants annotated per chunk.
+ * @param {Function} [params.onComplete] - Called with { failedVariants } once the source is
+ *   exhausted.
+ * @yields {Object} Annotation records in input order.
+ * @throws {Error} If a whole chunk cannot be annotated (e.g. the API is unreachable). Inputs
+ *   that fail individually do not abort the stream; they are passed to params.onComplete as
+ *   { input, stage, message } records.
+ */
+async function* analyzeVariantsStream(source, params = {}) {
+  if (!source || typeof (source[Symbol.asyncIterator] || source[Symbol.iterator]) !== 'function') {
+    throw new Error('analyzeVariantsStream requires an iterable or async iterable of variants.');
+  }
+  const chunkSize = params.chunkSize || DEFAULT_CHUNK_SIZE;
+  if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+    throw new Error('chunkSize must be a positive integer');
+  }
+
+  // Read the scoring configuration once instead of once per chunk
+  let scoringConfig = params.scoringConfig;
+  if (!scoringConfig && params.scoringConfigPath) {
+    const { readScoringConfigFromFiles } = require('./scoring');
+    scoringConfig = readScoringConfigFromFiles(params.scoringConfigPath);
+  }
+
+  const failedVariants = [];
+  let chunkIndex = 0;
+
+  /**
+   * Annotates one chunk and yields its records.
+   * @param {Array<string>} chunk - Variants of the chunk
+   * @yields {Object} Annotation records of the chunk
+   */
+  async function* annotateChunk(chunk) {
+    debug(`Annotating stream chunk ${chunkIndex + 1} (${chunk.length} variants)`);
+    const result = await analyzeVariant({
+      ...params,
+      variant: undefined,
+      variants: chunk,
+      scoringConfig,
+      scoringConfigPath: undefined,
+      output: 'JSON',
+      isStreaming: true,
+      onComplete: (summary) => failedVariants.push(...summary.failedVariants),
+    });
+    chunkIndex++;
+    yield* result.annotationData || [];
+  }
+
+  let chunk = [];
+  for await (const item of source) {
+    const variant = String(item).trim();
+    if (!variant || variant.startsWith('#')) continue;
+    chunk.push(variant);
+    if (chunk.length >= chunkSize) {
+      const fullChunk = chunk;
+      chunk = [];
+      yield* annotateChunk(fullChunk);
+    }
+  }
+  if (chunk.length > 0) {
+    yield* annotateChunk(chunk);
+  }
+  debug(`Stream finished after ${chunkIndex} chunk(s)`);
+  if (typeof params.onComplete === 'function') {
+    params.onComplete({ failedVariants });
+  }
+}
+
+module.exports = {
+  analyzeVariantsStream,
+};
@@ -9,17 +9,94 @@
  */
 
 const debugOutput = require('debug')('variant-linker:vcf-formatter');
-const { formatVcfCsqString } = require('./dataExtractor');
+const { formatVcfCsqString, hasFamilyInheritance } = require('./dataExtractor');
+const { formatProvenanceFields } = require('./provenance');
+
+// INFO fields of per-family inheritance results (multi-family cohorts)
+const FAMILY_INFO_HEADERS = [
+  '##INFO=<ID=VL_FAM_INH,Number=.,Type=String,Description="Deduced inheritance pattern per family (VariantLinker). Format: FamilyID|Pattern">',
+  '##INFO=<ID=VL_FAM_COMPHET,Number=.,Type=String,Description="Compound Het details per family (VariantLinker). Format: FamilyID|Partners|Gene">',
+];
+// Inheritance patterns that are not written to INFO fields
+const IGNORABLE_PATTERNS = [
+  'unknown',
+  'reference',
+  'unknown_not_processed',
+  'error_analysis_failed',
+  // Add other patterns that shouldn't be outputted if necessary
+];
 
 /**
- * Prepares VCF header lines with necessary INFO definitions for VL_CSQ.
+ * Checks if an inheritance pattern is meaningful enough to be written to an INFO field.
+ * @param {string} pattern - Prioritized inheritance pattern
+ * @returns {boolean} True unless the pattern is missing, ignorable, unknown_* or error_*
+ * @private
+ */
+function _isReportablePattern(pattern) {
+  return Boolean(
+    pattern &&
+      !IGNORABLE_PATTERNS.includes(pattern) &&
+      !pattern.startsWith('unknown_') &&
+      !pattern.startsWith('error_')
+  );
+}
+
+/**
+ * Makes a value safe for a VCF INFO field by replacing separator characters.
+ * @param {*} value - Value
+ * @returns {string} The sanitized value
+ * @private
+ */
+function _safeInfoValue(value) {
+  return String(value).replace(/[;=,\s|]/g, '_');
+}
+
+/**
+ * Formats the per-family VL_FAM_INH and VL_FAM_COMPHET INFO entries of a cohort result.
+ * @param {Object<string, Object>} families - Inheritance results by family ID
+ * @returns {Object} { patterns, compHets }: 'FamilyID|Pattern' and 'FamilyID|Partners|Gene'
+ *   entries of the families with a reportable pattern or compound heterozygous partners
+ * @private
+ */
+function _formatFamilyInfoEntries(families) {
+  const patterns = [];
+  const compHets = [];
+  for (const [familyId, familyResult] of Object.entries(families)) {
+    const safeFamilyId = _safeInfoValue(familyId);
+    if (_isReportablePattern(familyResult.prioritizedPattern)) {
+      patterns.push(`${safeFamilyId}|${_safeInfoValue(familyResult.prioritizedPattern)}`);
+    }
+    const details = familyResult.compHetDetails;
+    if (
+      details &&
+      (details.isCandidate || details.isPossible) &&
+      details.partnerVariantKeys?.length
+    ) {
+      const partners = _safeInfoValue(details.partnerVariantKeys.join(','));
+      compHets.push(`${safeFamilyId}|${partners}|${_safeInfoValue(details.geneSymbol || '')}`);
+    }
+  }
+  return { patterns, compHets };
+}
+
+/**
+ * Prepares VCF header lines with necessary INFO definitions for VL_CSQ and `##VL_*` lines
+ * describing the provenance of the annotations.
  *
  * @param {Array<string>} [originalHeaderLines] - Original VCF header lines, if available.
  * @param {Array<string>} vlCsqFormatFields - Array defining fields for the VL_CSQ format.
+ * @param {Object} [provenance] - Provenance of the annotations (meta.provenance).
+ * @param {boolean} [includeFamilyFields=false] - Whether to define the per-family inheritance
+ *   INFO fields (VL_FAM_INH, VL_FAM_COMPHET) of cohort results.
  * @returns {Array<string>} The prepared VCF header lines.
  * @private
  */
-function _prepareVcfHeader(originalHeaderLines, vlCsqFormatFields) {
+function _prepareVcfHeader(
+  originalHeaderLines,
+  vlCsqFormatFields,
+  provenance,
+  includeFamilyFields = false
+) {
   // Use provided header or generate a default one if missing
   let finalVcfHeaderLines =
     originalHeaderLines && originalHeaderLines.length > 0
@@ -91,6 +168,27 @@ function _prepareVcfHeader(originalHeaderLines, vlCsqFormatFields) {
     }
   }
 
+  // Add headers for the per-family fields of multi-family cohort results
+  if (includeFamilyFields) {
+    const familyHeaders = FAMILY_INFO_HEADERS.filter(
+      (header) => !finalVcfHeaderLines.some((line) => line.startsWith(header.split(',')[0]))
+    );
+    const chromLineIdx = finalVcfHeaderLines.findIndex((line) => line.startsWith('#CHROM'));
+    const insertAt = chromLineIdx >= 0 ? chromLineIdx : finalVcfHeaderLines.length;
+    finalVcfHeaderLines.splice(insertAt, 0, ...familyHeaders);
+  }
+
+  // Provenance lines replace those of an earlier variant-linker run on the same VCF
+  const provenanceLines = formatProvenanceFields(provenance).map(
+    ([key, value]) => `##${key}=${value}`
+  );
+  if (provenanceLines.length > 0) {
+    finalVcfHeaderLines = finalVcfHeaderLines.filter((line) => !/^##VL_[A-Z_]+=/.test(line));
+    const chromLineIdx = finalVcfHeaderLines.findIndex((line) => line.startsWith('#CHROM'));
+    const insertAt = chromLineIdx >= 0 ? chromLineIdx : finalVcfHeaderLines.length;
+    finalVcfHeaderLines.splice(insertAt, 0, ...provenanceLines);
+  }
+
   return finalVcfHeaderLines;
 }
 
@@ -317,6 +415,7 @@ function _formatVcfInfoField(positionGroupData, vlCsqFormatFields) {
   let inheritanceInfoFound = false; // Flag to take inheritance only once per line
   let dedInhPattern = null;
   let compHetDetails = null;
+  let familyInfo = null;
 
   // *** DEBUG POINT 20: Formatting INFO for Position ***
   debugOutput(
@@ -350,7 +449,13 @@ function _formatVcfInfoField(positionGroupData, vlCsqFormatFields) {
           debugOutput(
             `  -> Found Inheritance data in annotation for Input='${annotation.originalInput || annotation.input}'`
           );
-          if (typeof annotation.deducedInheritancePattern === 'object') {
+          if (annotation.deducedInheritancePattern.families) {
+            familyInfo = _formatFamilyInfoEntries(annotation.deducedInheritancePattern.families);
+            debugOutput(
+              `   -> Per-family inheritance: ${familyInfo.patterns.length} pattern(s), ` +
+                `${familyInfo.compHets.length} CompHet(s)`
+            );
+          } else if (typeof annotation.deducedInheritancePattern === 'object') {
             dedInhPattern = annotation.deducedInheritancePattern.prioritizedPattern;
             if (annotation.deducedInheritancePattern.compHetDetails) {
               const details = annotation.deducedInheritancePattern.compHetDetails;
@@ -394,7 +499,10 @@ function _formatVcfInfoField(positionGroupData, vlCsqFormatFields) {
   debugOutput(` -> Original INFO from first ALT: ${JSON.stringify(firstAltData?.originalInfo)}`);
   if (firstAltData?.originalInfo) {
     const originalInfoString = Object.entries(firstAltData.originalInfo)
-      .filter(([key]) => !['VL_CSQ', 'VL_DED_INH', 'VL_COMPHET'].includes(key))
+      .filter(
+        ([key]) =>
+          !['VL_CSQ', 'VL_DED_INH', 'VL_COMPHET', 'VL_FAM_INH', 'VL_FAM_COMPHET'].includes(key)
+      )
       .map(([key, value]) =>
         value === true || value === 'true' || value === '' ? key : `${key}=${value}`
       ) // Handle flags correctly
@@ -416,34 +524,29 @@ function _formatVcfInfoField(positionGroupData, vlCsqFormatFields) {
 
   // *** ADD INHERITANCE TAGS ***
   // Add VL_DED_INH if available and meaningful
-  const ignorablePatterns = [
-    'unknown',
-    'reference',
-    'unknown_not_processed',
-    'error_analysis_failed',
-    // Add other patterns that shouldn't be outputted if necessary
-  ];
   debugOutput(
-    ` -> Adding VL_DED_INH: ${dedInhPattern && !ignorablePatterns.includes(dedInhPattern) && !dedInhPattern?.startsWith('unknown_') && !dedInhPattern?.startsWith('error_') ? 'Yes (' + dedInhPattern + ')' : 'No'}`
+    ` -> Adding VL_DED_INH: ${_isReportablePattern(dedInhPattern) ? 'Yes (' + dedInhPattern + ')' : 'No'}`
   );
-  if (
-    dedInhPattern &&
-    !ignorablePatterns.includes(dedInhPattern) &&
-    !dedInhPattern.startsWith('unknown_') &&
-    !dedInhPattern.startsWith('error_')
-  ) {
+  if (_isReportablePattern(dedInhPattern)) {
     // Ensure pattern is safe for VCF INFO field (basic check)
-    const safePattern = String(dedInhPattern).replace(/[;=,\s|]/g, '_'); // Replace problematic characters more broadly
-    infoParts.push(`VL_DED_INH=${safePattern}`);
+    infoParts.push(`VL_DED_INH=${_safeInfoValue(dedInhPattern)}`);
   }
 
   // Add VL_COMPHET if details were extracted
   debugOutput(` -> Adding VL_COMPHET: ${compHetDetails ? 'Yes' : 'No'}`);
   if (compHetDetails) {
-    const safePartners = String(compHetDetails.partners).replace(/[;=,\s|]/g, '_');
-    const safeGene = String(compHetDetails.gene).replace(/[;=,\s|]/g, '_');
+    const safePartners = _safeInfoValue(compHetDetails.partners);
+    const safeGene = _safeInfoValue(compHetDetails.gene);
     infoParts.push(`VL_COMPHET=${safePartners}|${safeGene}`); // Use pipe separator as per description
   }
+
+  // Add the per-family tags of multi-family cohort results
+  if (familyInfo?.patterns.length > 0) {
+    infoParts.push(`VL_FAM_INH=${familyInfo.patterns.join(',')}`);
+  }
+  if (familyInfo?.compHets.length > 0) {
+    infoParts.push(`VL_FAM_COMPHET=${familyInfo.compHets.join(',')}`);
+  }
   // *** END INHERITANCE TAGS ***
 
   const finalInfoString = infoParts.length > 0 ? infoParts.join(';') : '.';
@@ -531,18 +634,37 @@ function _generateDefaultVcfHeader() {
  * @param {Map<string, Object>} [vcfRecordMap] - Optional map from VCF input.
  * @param {Array<string>} [vcfHeaderLines] - Optional original VCF header lines.
  * @param {Array<string>} vlCsqFormatFields - Fields for the VL_CSQ tag format.
- * @returns {string} The complete VCF formatted content.
+ * @param {Object} [options={}] - Formatting options.
+ * @param {boolean} [options.separateHeader=false] - Return header and data lines separately so
+ *   chunked output can write the header once.
+ * @param {Object} [options.provenance] - Provenance written as `##VL_*` header lines.
+ * @returns {string|{header: string, data: string}} The complete VCF formatted content, or the
+ *   header and data lines (each without trailing newline) when options.separateHeader is set.
  */
-function formatAnnotationsToVcf(annotationData, vcfRecordMap, vcfHeaderLines, vlCsqFormatFields) {
+function formatAnnotationsToVcf(
+  annotationData,
+  vcfRecordMap,
+  vcfHeaderLines,
+  vlCsqFormatFields,
+  options = {}
+) {
   // *** DEBUG POINT 27: Starting VCF Formatting ***
   debugOutput(
     `formatAnnotationsToVcf: Starting formatting. ` +
       `Annotation count=${annotationData?.length}, vcfRecordMap size=${vcfRecordMap?.size}`
   );
-  const finalHeaderLines = _prepareVcfHeader(vcfHeaderLines, vlCsqFormatFields);
+  const finalHeaderLines = _prepareVcfHeader(
+    vcfHeaderLines,
+    vlCsqFormatFields,
+    options.provenance,
+    hasFamilyInheritance(annotationData)
+  );
 
   if (!annotationData || !Array.isArray(annotationData) || annotationData.length === 0) {
     debugOutput('No annotation data provided for VCF output. Returning header only.');
+    if (options.separateHeader) {
+      return { header: finalHeaderLines.join('\n'), data: '' };
+    }
     return finalHeaderLines.length > 0 ? finalHeaderLines.join('\n') + '\n' : '';
   }
 
@@ -559,6 +681,9 @@ function formatAnnotationsToVcf(annotationData, vcfRecordMap, vcfHeaderLines, vl
 
   // *** DEBUG POINT 28: Final VCF Output Lines ***
   debugOutput(`formatAnnotationsToVcf: Generated ${outputDataLines.length} data lines.`);
+  if (options.separateHeader) {
+    return { header: finalHeaderLines.join('\n'), data: outputDataLines.join('\n') };
+  }
   const finalOutput = [...finalHeaderLines, ...outputDataLines];
 
   // Final check: if only header lines are present, maybe something went wrong
@@ -3,289 +3,811 @@
 /**
  * @fileoverview VCF file parsing functionality for variant-linker.
  * Provides functions to read variants from standard VCF files, preserving header
- * information, sample genotypes, and properly handling multi-allelic sites.
+ * information, sample genotypes (with their GQ/DP/AD quality fields and PS phase sets), and
+ * properly handling multi-allelic sites.
+ * Files are read line by line (plain or gzip/bgzip-compressed), so large VCFs can be
+ * processed in chunks without loading the whole file into memory. Reads can be restricted
+ * to genomic regions, using the tabix index of bgzipped files to seek directly to them.
+ * Structural variants (symbolic ALT alleles and breakends) are keyed in the CNV format
+ * "CHROM:START-END:TYPE" so they are annotated like CNV input.
  * @module vcfReader
  */
 
 'use strict';
 
 const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
 
 const debug = require('debug')('variant-linker:vcf-reader');
 const debugDetailed = require('debug')('variant-linker:detailed');
 // Using direct require with eslint disable for @gmod/vcf package
 /* eslint-disable node/no-missing-require */
 const VCF = require('@gmod/vcf').default;
+const { TabixIndexedFile } = require('@gmod/tabix');
 /* eslint-enable node/no-missing-require */
 
+const DEFAULT_CHUNK_SIZE = 1000;
+// FORMAT keys kept per sample: genotype quality (see inheritance/genotypeQualityFilter) and
+// the phase set of phased genotypes (see inheritance/compoundHetAnalyzer)
+const SAMPLE_FORMAT_PATTERN = /(^|:)(GQ|DP|AD|PS)(:|$)/;
+
 /**
- * Reads variants from a VCF file and extracts them for processing.
- * Handles multi-allelic sites by splitting them into separate variants.
- * Extracts genotype information for each sample.
- * Preserves the original VCF header and records for later use in VCF output.
+ * Opens a VCF file as a line reader, transparently decompressing gzip/bgzip input.
+ * bgzip output is a series of concatenated gzip members, which zlib's gunzip handles.
+ *
+ * @param {string} filePath - Path to a .vcf, .vcf.gz or .vcf.bgz file
+ * @returns {readline.Interface} Line reader over the (decompressed) file content
+ * @private
+ */
+function _createLineReader(filePath) {
+  const fileStream = fs.createReadStream(filePath);
+  let input = fileStream;
+  if (/\.b?gz$/i.test(filePath)) {
+    input = fileStream.pipe(zlib.createGunzip());
+    // Forward read errors so they reach the line iterator instead of being lost in the pipe
+    fileStream.on('error', (error) => input.destroy(error));
+  }
+  return readline.createInterface({ input, crlfDelay: Infinity });
+}
+
+/**
+ * Normalises a chromosome name for comparisons ("chr1", "Chr1" and "1" are equivalent).
+ *
+ * @param {string} chrom - Chromosome name
+ * @returns {string} Normalised name
+ * @private
+ */
+function _normalizeChrom(chrom) {
+  return String(chrom).replace(/^chr/i, '').toUpperCase();
+}
+
+/**
+ * Parses a region string ("chr1:1000-2000", "1:1,500", "X") into a BED-style region.
+ *
+ * @param {string} regionString - CHROM, CHROM:POS or CHROM:START-END (1-based, inclusive)
+ * @returns {Object} Region with chrom (without "chr" prefix), 0-based start, end and name
+ * @throws {Error} If the region string cannot be parsed
+ */
+function parseRegion(regionString) {
+  const match = /^([^:\s]+)(?::([\d,]+)(?:-([\d,]+))?)?$/.exec(String(regionString).trim());
+  if (!match) {
+    throw new Error(
+      `Invalid region: ${regionString}. Expected CHROM, CHROM:POS or CHROM:START-END`
+    );
+  }
+  const toNumber = (value) => parseInt(value.replace(/,/g, ''), 10);
+  const begin = match[2] ? toNumber(match[2]) : 1;
+  let end = Infinity;
+  if (match[3]) {
+    end = toNumber(match[3]);
+  } else if (match[2]) {
+    end = begin;
+  }
+  if (begin < 1 || end < begin) {
+    throw new Error(`Invalid region: ${regionString}. Start must be >= 1 and not after the end`);
+  }
+  return { chrom: match[1].replace(/^chr/i, ''), start: begin - 1, end, name: regionString };
+}
+
+/**
+ * Groups regions by normalised chromosome and merges overlapping intervals.
+ *
+ * @param {Array<Object>} regions - BED-style regions ({ chrom, start, end })
+ * @returns {Map<string, Array<Object>>} Sorted, disjoint { start, end } intervals per chromosome
+ * @private
+ */
+function _mergeRegions(regions) {
+  const byChrom = new Map();
+  for (const { chrom, start, end } of regions) {
+    const key = _normalizeChrom(chrom);
+    if (!byChrom.has(key)) byChrom.set(key, []);
+    byChrom.get(key).push({ start, end });
+  }
+  for (const [key, intervals] of byChrom) {
+    intervals.sort((a, b) => a.start - b.start);
+    const merged = [];
+    for (const interval of intervals) {
+      const last = merged[merged.length - 1];
+      if (last && interval.start <= last.end) {
+        last.end = Math.max(last.end, interval.end);
+      } else {
+        merged.push({ ...interval });
+      }
+    }
+    byChrom.set(key, merged);
+  }
+  return byChrom;
+}
+
+/**
+ * Checks whether a VCF data line overlaps any of the merged regions.
+ * A record spans its REF allele, i.e. [POS - 1, POS - 1 + length(REF)) in 0-based coordinates,
+ * or up to INFO/END for symbolic structural variant alleles.
+ *
+ * @param {string} line - A VCF data line
+ * @param {Map<string, Array<Object>>} regionsByChrom - Output of _mergeRegions
+ * @returns {boolean} True if the record overlaps a region
+ * @private
+ */
+function _lineInRegions(line, regionsByChrom) {
+  const [chrom, pos, , ref = '', alt = '', , , info = ''] = line.split('\t', 8);
+  const intervals = regionsByChrom.get(_normalizeChrom(chrom));
+  if (!intervals) return false;
+  const start = parseInt(pos, 10) - 1;
+  let end = start + Math.max(ref.length, 1);
+  const svEnd = alt.includes('<') ? /(?:^|;)END=(\d+)/.exec(info) : null;
+  if (svEnd) {
+    end = Math.max(end, parseInt(svEnd[1], 10));
+  }
+
+  // Binary search for the first interval ending after the record start
+  let low = 0;
+  let high = intervals.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (intervals[mid].end <= start) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low < intervals.length && intervals[low].start < end;
+}
+
+/**
+ * Locates a tabix (.tbi) or CSI (.csi) index next to a bgzipped VCF.
+ *
+ * @param {string} filePath - Path to the VCF file
+ * @returns {Object|null} { tbiPath } or { csiPath }, or null if the file is not indexed
+ * @private
+ */
+function _findTabixIndex(filePath) {
+  if (!/\.b?gz$/i.test(filePath)) return null;
+  if (fs.existsSync(`${filePath}.tbi`)) return { tbiPath: `${filePath}.tbi` };
+  if (fs.existsSync(`${filePath}.csi`)) return { csiPath: `${filePath}.csi` };
+  return null;
+}
+
+/**
+ * Yields the header lines and the region-overlapping data lines of a tabix-indexed VCF,
+ * seeking directly to each region. Records spanning several regions are yielded once.
  *
  * @async
- * @param {string} filePath - Path to the VCF file to read
- * @returns {Promise<Object>} Object containing:
- *   - variantsToProcess {Array<string>}: Array of variant strings in the format "CHROM-POS-REF-ALT"
- *   - vcfRecordMap {Map}: Map of variant keys ("CHROM-POS-REF-ALT") to original VCF record data with genotypes
- *   - headerText {string}: The complete original VCF header text
- *   - headerLines {Array<string>}: Array of header lines
- *   - samples {Array<string>}: Array of sample IDs found in the VCF
- * @throws {Error} If there's an issue reading or parsing the VCF file
+ * @generator
+ * @param {string} filePath - Path to the bgzipped VCF
+ * @param {Object} index - { tbiPath } or { csiPath }
+ * @param {Map<string, Array<Object>>} regionsByChrom - Output of _mergeRegions
+ * @yields {string} VCF lines in file order
+ * @private
  */
-async function readVariantsFromVcf(filePath) {
-  debug(`Reading VCF file: ${filePath}`);
+async function* _readIndexedLines(filePath, index, regionsByChrom) {
+  const tabix = new TabixIndexedFile({ path: filePath, ...index });
+  const headerText = await tabix.getHeader();
+  for (const line of headerText.split('\n')) {
+    if (line) yield line;
+  }
 
-  if (!fs.existsSync(filePath)) {
-    throw new Error(`VCF file not found: ${filePath}`);
+  const refNames = await tabix.getReferenceSequenceNames();
+  for (const refName of refNames) {
+    const intervals = regionsByChrom.get(_normalizeChrom(refName));
+    if (!intervals) continue;
+    let lastOffset = -1;
+    for (const { start, end } of intervals) {
+      const lines = [];
+      const queryEnd = Number.isFinite(end) ? end : undefined;
+      await tabix.getLines(refName, start, queryEnd, (line, offset) => {
+        if (offset > lastOffset) {
+          lines.push(line);
+          lastOffset = offset;
+        }
+      });
+      debugDetailed(`Tabix query ${refName}:${start + 1}-${end} returned ${lines.length} records`);
+      yield* lines;
+    }
   }
+}
 
-  // Initialize return values
-  const variantsToProcess = [];
-  const vcfRecordMap = new Map();
-  let headerText = '';
-  let headerLines = [];
+/**
+ * Yields the lines of a VCF file, optionally restricted to records overlapping regions.
+ * Region queries on bgzipped files with a tabix/CSI index seek directly to the records;
+ * other files are scanned in full and filtered line by line.
+ *
+ * @async
+ * @generator
+ * @param {string} filePath - Path to the VCF file
+ * @param {Array<Object>} [regions] - BED-style regions ({ chrom, start, end }) to restrict to
+ * @yields {string} Header lines followed by the (matching) data lines
+ * @private
+ */
+async function* _readVcfLines(filePath, regions) {
+  const regionsByChrom = regions ? _mergeRegions(regions) : null;
+  const index = regionsByChrom ? _findTabixIndex(filePath) : null;
+  if (index) {
+    debug(`Querying ${regions.length} region(s) using index ${index.tbiPath || index.csiPath}`);
+    yield* _readIndexedLines(filePath, index, regionsByChrom);
+    return;
+  }
+  if (regionsByChrom) {
+    debug(`No tabix index for ${filePath}; scanning the file for ${regions.length} region(s)`);
+  }
 
+  const rl = _createLineReader(filePath);
   try {
-    // Read the file line by line to extract the header correctly
-    const fileContent = fs.readFileSync(filePath, 'utf8');
-    const lines = fileContent.split('\n');
+    for await (const line of rl) {
+      const isDataLine = !line.startsWith('#') && line.trim() !== '';
+      if (regionsByChrom && isDataLine && !_lineInRegions(line, regionsByChrom)) {
+        continue;
+      }
+      yield line;
+    }
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Builds the parser and sample list from the collected header lines.
+ *
+ * @param {Array<string>} headerLines - All header lines ("##..." and "#CHROM...")
+ * @returns {Object} Object with headerText, headerLines, samples and the VCF parser
+ * @private
+ */
+function _parseHeader(headerLines) {
+  if (headerLines.length === 0) {
+    throw new Error('No header lines found in VCF file');
+  }
 
-    // Collect header lines
-    headerLines = lines.filter((line) => line.startsWith('#'));
-    headerText = headerLines.join('\n');
+  debug(`Found ${headerLines.length} header lines`);
+  const headerText = headerLines.join('\n');
 
-    if (headerLines.length === 0) {
-      throw new Error('No header lines found in VCF file');
+  // Create VCF parser with the header
+  const parser = new VCF({ header: headerText });
+
+  // Log a warning if essential headers are missing
+  if (!headerLines.some((line) => line.startsWith('##fileformat='))) {
+    debug('Warning: Missing ##fileformat in VCF header');
+  }
+
+  // Get sample IDs from the header
+  const samples = [];
+  const headerFieldLine = headerLines.find((line) => line.startsWith('#CHROM'));
+  if (headerFieldLine) {
+    const headerFields = headerFieldLine.split('\t');
+    // VCF format: The first 9 columns are fixed, samples start at index 9
+    if (headerFields.length > 9) {
+      // Trim sample IDs to remove any carriage return or other whitespace characters
+      const trimmedSamples = headerFields.slice(9).map((id) => id.trim());
+      samples.push(...trimmedSamples);
+      debug(`Found ${samples.length} samples in VCF file: ${samples.join(', ')}`);
+    } else {
+      debug('No samples found in VCF file (single-sample or no genotypes)');
     }
+  } else {
+    debug('Warning: Missing #CHROM header line in VCF file');
+  }
+
+  return { headerText, headerLines, samples, parser };
+}
+
+/**
+ * Structural variant types accepted in CNV-style keys; symbolic ALT prefixes map onto these.
+ * @private
+ */
+const SV_TYPES = ['DEL', 'DUP', 'CNV', 'INS', 'INV', 'BND'];
 
-    debug(`Found ${headerLines.length} header lines`);
+/**
+ * Returns the first value of an INFO field.
+ *
+ * @param {Object} info - Parsed INFO field of a record
+ * @param {string} field - INFO key
+ * @returns {*} The first value, or undefined if absent
+ * @private
+ */
+function _firstInfoValue(info, field) {
+  const value = info ? info[field] : undefined;
+  return Array.isArray(value) ? value[0] : value;
+}
 
-    // Create VCF parser with the header
-    const parser = new VCF({ header: headerText });
+/**
+ * Builds the CNV-style key ("CHROM:START-END:TYPE") for a structural variant ALT allele.
+ * The SV type comes from a symbolic ALT (<DEL>, <DUP:TANDEM>, <CN0>, ...) or breakend
+ * notation, falling back to INFO/SVTYPE. The first base of a symbolic allele is the padding base, so
+ * the variant starts at POS + 1 and ends at INFO/END, or POS + |INFO/SVLEN| without END.
+ *
+ * @param {Object} record - Parsed VCF record
+ * @param {string} alt - One ALT allele of the record
+ * @returns {string|null} CNV-style key, or null if the allele is not a structural variant
+ * @private
+ */
+function _structuralVariantKey(record, alt) {
+  const symbolic = /^<([^>]+)>$/.exec(alt);
+  const isBreakend = /[[\]]/.test(alt) || /^\.[ACGTN]+$|^[ACGTN]+\.$/i.test(alt);
+  if (!symbolic && !isBreakend) {
+    return null;
+  }
 
-    // Log a warning if essential headers are missing
-    if (!headerLines.some((line) => line.startsWith('##fileformat='))) {
-      debug('Warning: Missing ##fileformat in VCF header');
+  let svType = null;
+  if (isBreakend) {
+    svType = 'BND';
+  } else {
+    const altType = symbolic[1].split(':')[0].toUpperCase();
+    if (SV_TYPES.includes(altType)) {
+      svType = altType;
+    } else if (/^CN\d+$/.test(altType)) {
+      // Copy-number alleles relative to a diploid genome: <CN0>/<CN1> losses, <CN3>+ gains
+      const copies = parseInt(altType.slice(2), 10);
+      svType = copies < 2 ? 'DEL' : copies > 2 ? 'DUP' : 'CNV';
     }
+  }
+  const infoType = String(_firstInfoValue(record.INFO, 'SVTYPE') || '').toUpperCase();
+  if (!svType && SV_TYPES.includes(infoType)) {
+    svType = infoType;
+  }
+  if (!svType) {
+    // e.g. <*> or <NON_REF> reference blocks from gVCFs
+    return null;
+  }
 
-    // Get sample IDs from the header
-    const samples = [];
-    const headerFieldLine = headerLines.find((line) => line.startsWith('#CHROM'));
-    if (headerFieldLine) {
-      const headerFields = headerFieldLine.split('\t');
-      // VCF format: The first 9 columns are fixed, samples start at index 9
-      if (headerFields.length > 9) {
-        // Trim sample IDs to remove any carriage return or other whitespace characters
-        const trimmedSamples = headerFields.slice(9).map((id) => id.trim());
-        samples.push(...trimmedSamples);
-        debug(`Found ${samples.length} samples in VCF file: ${samples.join(', ')}`);
-      } else {
-        debug('No samples found in VCF file (single-sample or no genotypes)');
-      }
-    } else {
-      debug('Warning: Missing #CHROM header line in VCF file');
+  const pos = Number(record.POS);
+  if (svType === 'BND') {
+    return `${record.CHROM}:${pos}-${pos}:BND`;
+  }
+  const start = pos + 1;
+  let end = Number(_firstInfoValue(record.INFO, 'END'));
+  if (!Number.isFinite(end)) {
+    const svLen = Math.abs(Number(_firstInfoValue(record.INFO, 'SVLEN')));
+    end = Number.isFinite(svLen) ? pos + svLen : start;
+  }
+  return `${record.CHROM}:${start}-${Math.max(end, start)}:${svType}`;
+}
+
+/**
+ * Converts a parsed FORMAT value to a number.
+ * @param {*} value - Value from record.SAMPLES() (null for '.')
+ * @returns {number|null} The number, or null if the value is missing or not numeric
+ * @private
+ */
+function _formatNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Extracts the genotype quality fields (FORMAT/GQ, DP and AD) and the phase set (FORMAT/PS) of
+ * every sample of a record. Missing values ('.') are left out, so a sample without any of the
+ * fields gets an empty object.
+ *
+ * @param {Object} record - Parsed VCF record
+ * @param {Array<string>} samples - Sample IDs from the header
+ * @returns {Map<string, Object>|null} { GQ, DP, AD, PS } by sample ID, or null if the record
+ *   has none of the fields
+ * @private
+ */
+function _sampleFormatFields(record, samples) {
+  if (
+    typeof record.SAMPLES !== 'function' ||
+    samples.length === 0 ||
+    !SAMPLE_FORMAT_PATTERN.test(record.FORMAT || '')
+  ) {
+    return null;
+  }
+  let parsedSamples;
+  try {
+    // eslint-disable-next-line new-cap
+    parsedSamples = record.SAMPLES();
+  } catch (e) {
+    debugDetailed(`Error calling record.SAMPLES() at ${record.CHROM}:${record.POS}: ${e.message}`);
+    return null;
+  }
+  const sampleFields = new Map();
+  for (const sampleId of samples) {
+    const values = (parsedSamples && parsedSamples[sampleId]) || {};
+    const fields = {};
+    const gq = _formatNumber(values.GQ && values.GQ[0]);
+    const dp = _formatNumber(values.DP && values.DP[0]);
+    const ad = Array.isArray(values.AD) ? values.AD.map(_formatNumber) : [];
+    if (gq !== null) fields.GQ = gq;
+    if (dp !== null) fields.DP = dp;
+    if (ad.length > 0 && !ad.includes(null)) fields.AD = ad;
+    // Phase set IDs are identifiers; non-numeric IDs written by some tools are kept as text
+    const ps = values.PS && values.PS[0];
+    if (ps !== null && ps !== undefined && ps !== '') {
+      fields.PS = _formatNumber(ps) !== null ? _formatNumber(ps) : String(ps);
     }
+    sampleFields.set(sampleId, fields);
+  }
+  return sampleFields;
+}
 
-    // Process each data line
-    const dataLines = lines.filter((line) => !line.startsWith('#') && line.trim() !== '');
+/**
+ * Parses one VCF data line and adds one variant per ALT allele to the given collections.
+ * Lines that cannot be parsed or lack required fields are skipped with a debug warning.
+ *
+ * @param {string} line - A VCF data line
+ * @param {Object} parser - @gmod/vcf parser created from the file header
+ * @param {Array<string>} samples - Sample IDs from the header
+ * @param {Array<string>} variantsToProcess - Receives "CHROM-POS-REF-ALT" variant strings, or
+ *   "CHROM:START-END:TYPE" for structural variants
+ * @param {Map<string, Object>} vcfRecordMap - Receives record data keyed by variant string
+ * @private
+ */
+function _addRecordVariants(line, parser, samples, variantsToProcess, vcfRecordMap) {
+  // Try to parse the line, but handle any parsing errors
+  let record;
+  try {
+    record = parser.parseLine(line);
+    // *** DEBUG POINT: Log the raw parsed record ***
+    debugDetailed(`VCF Record Parsed: ${JSON.stringify(record)}`);
+    debugDetailed(
+      `VCF Record (${record?.CHROM}:${record?.POS}): Has samples = ${Boolean(record?.SAMPLES)}`
+    );
+  } catch (parseError) {
+    debug(
+      `Warning: Failed to parse VCF line: ${line.substring(0, 100)}... ` +
+        `(Error: ${parseError.message})`
+    );
+    return; // Skip this line and continue with the next one
+  }
 
-    for (const line of dataLines) {
-      // Try to parse the line, but handle any parsing errors
-      let record;
-      try {
-        record = parser.parseLine(line);
-        // *** DEBUG POINT: Log the raw parsed record ***
-        debugDetailed(`VCF Record Parsed: ${JSON.stringify(record)}`);
-        debugDetailed(
-          `VCF Record (${record?.CHROM}:${record?.POS}): Has samples = ${Boolean(record?.SAMPLES)}`
-        );
-      } catch (parseError) {
-        debug(
-          `Warning: Failed to parse VCF line: ${line.substring(0, 100)}... ` +
-            `(Error: ${parseError.message})`
-        );
-        continue; // Skip this line and continue with the next one
-      }
+  // Verify we have required fields
+  if (!record || !record.CHROM || !record.POS || !record.REF) {
+    debug(
+      `Warning: Missing required fields in VCF record, skipping line: ` +
+        `${line.substring(0, 100)}...`
+    );
+    return;
+  }
 
-      // Verify we have required fields
-      if (!record || !record.CHROM || !record.POS || !record.REF) {
-        debug(
-          `Warning: Missing required fields in VCF record, skipping line: ` +
-            `${line.substring(0, 100)}...`
-        );
-        continue;
-      }
+  const chrom = record.CHROM;
+  const pos = record.POS;
+  const ref = record.REF;
+  const altAlleles = record.ALT;
+
+  // Validate altAlleles is iterable before processing
+  if (!altAlleles || !Array.isArray(altAlleles)) {
+    debug(
+      `Warning: Invalid ALT field in record at ${chrom}:${pos}, ` +
+        `skipping: ${JSON.stringify(record)}`
+    );
+    return; // Skip this record and continue with the next one
+  }
 
-      const chrom = record.CHROM;
-      const pos = record.POS;
-      const ref = record.REF;
-      const altAlleles = record.ALT;
+  // Skip records with empty ALT arrays
+  if (altAlleles.length === 0) {
+    debug(`Warning: Empty ALT field in record at ${chrom}:${pos}, skipping`);
+    return;
+  }
 
-      // Validate altAlleles is iterable before processing
-      if (!altAlleles || !Array.isArray(altAlleles)) {
-        debug(
-          `Warning: Invalid ALT field in record at ${chrom}:${pos}, ` +
-            `skipping: ${JSON.stringify(record)}`
-        );
-        continue; // Skip this record and continue with the next one
-      }
+  // Check for missing alternative alleles (represented as periods in VCF)
+  if (altAlleles.length === 1 && altAlleles[0] === '.') {
+    debug(
+      `Warning: Missing alternative allele (ALT=.) in record at ${chrom}:${pos}, ` +
+        `skipping: This is a valid VCF format for reference-only variants, ` +
+        `but requires an alternative allele for annotation.`
+    );
+    return;
+  }
 
-      // Skip records with empty ALT arrays
-      if (altAlleles.length === 0) {
-        debug(`Warning: Empty ALT field in record at ${chrom}:${pos}, skipping`);
-        continue;
-      }
+  // GQ/DP/AD/PS are shared by all ALT alleles of the record
+  const sampleFields = _sampleFormatFields(record, samples);
+
+  // Handle each alternative allele as a separate variant
+  for (const alt of altAlleles) {
+    // Skip invalid alt values
+    if (alt === null || alt === undefined || alt === '') {
+      debug(
+        `Warning: Invalid ALT value in record at ${chrom}:${pos}, ` + `skipping this alt allele`
+      );
+      continue;
+    }
 
-      // Check for missing alternative alleles (represented as periods in VCF)
-      if (altAlleles.length === 1 && altAlleles[0] === '.') {
-        debug(
-          `Warning: Missing alternative allele (ALT=.) in record at ${chrom}:${pos}, ` +
-            `skipping: This is a valid VCF format for reference-only variants, ` +
-            `but requires an alternative allele for annotation.`
-        );
-        continue;
-      }
+    // Symbolic and breakend alleles are keyed like CNV input; other symbolic alleles
+    // (gVCF <*>/<NON_REF> blocks) have nothing to annotate
+    const svKey = _structuralVariantKey(record, alt);
+    if (!svKey && /^<.*>$/.test(alt)) {
+      debug(`Skipping non-variant ALT allele '${alt}' in record at ${chrom}:${pos}`);
+      continue;
+    }
 
-      // Handle each alternative allele as a separate variant
-      for (const alt of altAlleles) {
-        // Skip invalid alt values
-        if (alt === null || alt === undefined || alt === '') {
-          debug(
-            `Warning: Invalid ALT value in record at ${chrom}:${pos}, ` + `skipping this alt allele`
-          );
-          continue;
-        }
+    // *** Key Generation FIX ***
+    // Use the CHR-POS-REF-ALT format consistently
+    const key = svKey || `${chrom}-${pos}-${ref}-${alt}`; // Use hyphenated key
+    const formattedVariant = key; // variantsToProcess uses this format
 
-        // *** Key Generation FIX ***
-        // Use the CHR-POS-REF-ALT format consistently
-        const key = `${chrom}-${pos}-${ref}-${alt}`; // Use hyphenated key
-        const formattedVariant = key; // variantsToProcess uses this format
+    // *** DEBUG POINT 1: Key Generation ***
+    debugDetailed(
+      `vcfReader: Generated Key='${key}' (hyphenated) and FormattedVariant='${formattedVariant}' for ALT='${alt}'`
+    );
+    variantsToProcess.push(formattedVariant); // Add to variants to process
 
-        // *** DEBUG POINT 1: Key Generation ***
-        debugDetailed(
-          `vcfReader: Generated Key='${key}' (hyphenated) and FormattedVariant='${formattedVariant}' for ALT='${alt}'`
-        );
-        variantsToProcess.push(formattedVariant); // Add to variants to process
-
-        // Store genotypes for this variant (CHROM/POS/REF/ALT)
-        const genotypes = new Map();
-
-        // Check if the parser actually returned a GENOTYPES function and if samples exist
-        if (typeof record.GENOTYPES === 'function' && samples.length > 0) {
-          let parsedGenotypes = null;
-          try {
-            // Call the function to parse genotypes lazily
-            // eslint-disable-next-line new-cap
-            parsedGenotypes = record.GENOTYPES();
-            // Use more careful logging for potentially large objects
-            if (parsedGenotypes && debugDetailed.enabled) {
-              debugDetailed(`Parsed Genotypes object for ${key}: [Object]`);
-              // Log genotypes individually if debugging detailed is enabled
-              Object.keys(parsedGenotypes).forEach((sampleId) => {
-                debugDetailed(`  Sample ${sampleId} (raw): ${parsedGenotypes[sampleId]}`);
-              });
-            } else if (!parsedGenotypes) {
-              debugDetailed(`Parsed Genotypes object for ${key}: null`);
-            }
-          } catch (e) {
-            // Log the specific error when calling GENOTYPES()
-            debugDetailed(`Error calling record.GENOTYPES() for ${key}: ${e.message}`);
-            // Continue without genotypes if parsing fails for this record
-          }
+    // Store genotypes for this variant (CHROM/POS/REF/ALT)
+    const genotypes = new Map();
 
-          if (parsedGenotypes) {
-            // Check if parsing succeeded
-            for (const sampleId of samples) {
-              // Access the genotype string using the sampleId as the key
-              // The value might be an array (e.g., ['0/1']), handle this
-              const gtValue = parsedGenotypes[sampleId];
-              let gtString = './.'; // Default to missing
-
-              // ** Refined genotype string extraction **
-              if (Array.isArray(gtValue) && gtValue.length > 0) {
-                gtString = String(gtValue[0]); // Take the first element if it's an array
-              } else if (gtValue !== undefined && gtValue !== null) {
-                gtString = String(gtValue); // Use it directly if not an array
-              }
-
-              debugDetailed(
-                `Processing sample ${sampleId}: Extracted GT string = ${JSON.stringify(gtString)}`
-              );
-
-              // Check for undefined, null, or empty string representations AFTER potential array access
-              if (
-                gtString !== undefined &&
-                gtString !== null &&
-                gtString.trim() !== '' &&
-                gtString !== '.'
-              ) {
-                // Store the extracted genotype string (e.g., "0/1", "0|0")
-                // Ensure it's stored as a string and trim any whitespace/carriage returns
-                const trimmedGT = gtString.trim();
-                genotypes.set(sampleId, trimmedGT);
-                debugDetailed(` -> Storing GT '${trimmedGT}' for sample ${sampleId}`);
-              } else {
-                // Use './.' if GT is missing, null, empty, or explicitly '.'
-                genotypes.set(sampleId, './.');
-                debugDetailed(
-                  ` -> Sample ${sampleId}: GT missing/empty/invalid ('${gtString}'), storing './.'`
-                );
-              }
-            }
-          } else {
-            // If parsedGenotypes is null/undefined (e.g., due to error or no samples in record)
-            // Fill with missing for all expected samples
-            debugDetailed(
-              `No parsed genotype object available for ${key}. Storing './.' for all samples.`
-            );
-            for (const sampleId of samples) {
-              genotypes.set(sampleId, './.');
-            }
+    // Check if the parser actually returned a GENOTYPES function and if samples exist
+    if (typeof record.GENOTYPES === 'function' && samples.length > 0) {
+      let parsedGenotypes = null;
+      try {
+        // Call the function to parse genotypes lazily
+        // eslint-disable-next-line new-cap
+        parsedGenotypes = record.GENOTYPES();
+        // Use more careful logging for potentially large objects
+        if (parsedGenotypes && debugDetailed.enabled) {
+          debugDetailed(`Parsed Genotypes object for ${key}: [Object]`);
+          // Log genotypes individually if debugging detailed is enabled
+          Object.keys(parsedGenotypes).forEach((sampleId) => {
+            debugDetailed(`  Sample ${sampleId} (raw): ${parsedGenotypes[sampleId]}`);
+          });
+        } else if (!parsedGenotypes) {
+          debugDetailed(`Parsed Genotypes object for ${key}: null`);
+        }
+      } catch (e) {
+        // Log the specific error when calling GENOTYPES()
+        debugDetailed(`Error calling record.GENOTYPES() for ${key}: ${e.message}`);
+        // Continue without genotypes if parsing fails for this record
+      }
+
+      if (parsedGenotypes) {
+        // Check if parsing succeeded
+        for (const sampleId of samples) {
+          // Access the genotype string using the sampleId as the key
+          // The value might be an array (e.g., ['0/1']), handle this
+          const gtValue = parsedGenotypes[sampleId];
+          let gtString = './.'; // Default to missing
+
+          // ** Refined genotype string extraction **
+          if (Array.isArray(gtValue) && gtValue.length > 0) {
+            gtString = String(gtValue[0]); // Take the first element if it's an array
+          } else if (gtValue !== undefined && gtValue !== null) {
+            gtString = String(gtValue); // Use it directly if not an array
           }
-        } else {
-          // If no GENOTYPES function or no samples defined in header, store missing
+
           debugDetailed(
-            `No GENOTYPES function or no samples found for ${key}. ` +
-              `Using './.' for all samples.`
+            `Processing sample ${sampleId}: Extracted GT string = ${JSON.stringify(gtString)}`
           );
-          for (const sampleId of samples) {
+
+          // Check for undefined, null, or empty string representations AFTER potential array access
+          if (
+            gtString !== undefined &&
+            gtString !== null &&
+            gtString.trim() !== '' &&
+            gtString !== '.'
+          ) {
+            // Store the extracted genotype string (e.g., "0/1", "0|0")
+            // Ensure it's stored as a string and trim any whitespace/carriage returns
+            const trimmedGT = gtString.trim();
+            genotypes.set(sampleId, trimmedGT);
+            debugDetailed(` -> Storing GT '${trimmedGT}' for sample ${sampleId}`);
+          } else {
+            // Use './.' if GT is missing, null, empty, or explicitly '.'
             genotypes.set(sampleId, './.');
+            debugDetailed(
+              ` -> Sample ${sampleId}: GT missing/empty/invalid ('${gtString}'), storing './.'`
+            );
           }
         }
-
-        // *** DEBUG POINT 2: Genotype Map Content ***
+      } else {
+        // If parsedGenotypes is null/undefined (e.g., due to error or no samples in record)
+        // Fill with missing for all expected samples
         debugDetailed(
-          `vcfReader: Final genotypes Map for Key='${key}': ${JSON.stringify(Array.from(genotypes.entries()))}`
+          `No parsed genotype object available for ${key}. Storing './.' for all samples.`
         );
+        for (const sampleId of samples) {
+          genotypes.set(sampleId, './.');
+        }
+      }
+    } else {
+      // If no GENOTYPES function or no samples defined in header, store missing
+      debugDetailed(
+        `No GENOTYPES function or no samples found for ${key}. ` + `Using './.' for all samples.`
+      );
+      for (const sampleId of samples) {
+        genotypes.set(sampleId, './.');
+      }
+    }
+
+    // *** DEBUG POINT 2: Genotype Map Content ***
+    debugDetailed(
+      `vcfReader: Final genotypes Map for Key='${key}': ${JSON.stringify(Array.from(genotypes.entries()))}`
+    );
+
+    // *** Storing in vcfRecordMap FIX ***
+    // Store original record info with genotypes using the NEW key
+    vcfRecordMap.set(key, {
+      // Use the new hyphenated key format
+      chrom,
+      pos,
+      ref,
+      alt, // Store the specific ALT allele this entry corresponds to
+      genotypes, // Store the populated or default genotypes map
+      ...(sampleFields && { sampleFields }), // GQ/DP/AD/PS per sample (quality filters, phasing)
+      originalRecord: record, // Keep original record if needed elsewhere
+    });
+    // *** DEBUG POINT 3: Storing in vcfRecordMap ***
+    debugDetailed(`vcfReader: Stored record in vcfRecordMap for Key='${key}'`);
+  }
+}
+
+/**
+ * Reads a VCF file incrementally and yields its variants in chunks.
+ * Only the current chunk's records are held in memory, so files of any size can be
+ * annotated with flat memory use. Multi-allelic records are never split across chunks.
+ * With options.splitAtChromosomes, a full chunk keeps growing until the chromosome changes,
+ * so every gene lies within a single chunk. With options.regions, only records overlapping
+ * the regions are read (seeking via the tabix index when available).
+ *
+ * @async
+ * @generator
+ * @param {string} filePath - Path to the VCF file (.vcf, .vcf.gz or .vcf.bgz)
+ * @param {Object} [options={}] - Reader options
+ * @param {number} [options.chunkSize=1000] - Maximum number of VCF records per chunk (the
+ *   minimum with options.splitAtChromosomes, except for each chromosome's last chunk)
+ * @param {boolean} [options.splitAtChromosomes=false] - Only end chunks where the chromosome
+ *   changes (for analyses that pair variants within a gene, e.g. compound heterozygosity)
+ * @param {Array<Object>} [options.regions] - Regions to restrict reading to, as returned by
+ *   parseRegion or featureParser.parseBedFile ({ chrom, start, end }, 0-based half-open)
+ * @yields {Object} Chunk object (at least one, possibly empty) containing:
+ *   - variantsToProcess {Array<string>}: Variant strings ("CHROM-POS-REF-ALT") in this chunk
+ *   - vcfRecordMap {Map}: Record data with genotypes for the variants in this chunk
+ *   - headerText {string}: The complete original VCF header text
+ *   - headerLines {Array<string>}: Array of header lines
+ *   - samples {Array<string>}: Array of sample IDs found in the VCF
+ * @throws {Error} If the file is missing, has no header, or cannot be read
+ */
+async function* readVcfInChunks(filePath, options = {}) {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  debug(`Reading VCF file in chunks of ${chunkSize} records: ${filePath}`);
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`VCF file not found: ${filePath}`);
+  }
+
+  const headerLines = [];
+  let header = null;
+  let variantsToProcess = [];
+  let vcfRecordMap = new Map();
+  let recordCount = 0;
+  let currentChrom = null;
+  let totalVariants = 0;
+  let chunksYielded = 0;
+
+  const buildChunk = () => ({
+    variantsToProcess,
+    vcfRecordMap,
+    headerText: header.headerText,
+    headerLines: header.headerLines,
+    samples: header.samples,
+  });
+
+  for await (const line of _readVcfLines(filePath, options.regions)) {
+    if (line.startsWith('#')) {
+      if (header) {
+        debug(`Warning: Ignoring header line after data lines: ${line.substring(0, 100)}`);
+      } else {
+        headerLines.push(line);
+      }
+      continue;
+    }
+    if (line.trim() === '') continue;
+
+    if (!header) {
+      header = _parseHeader(headerLines);
+    }
+
+    const chrom = line.substring(0, line.indexOf('\t'));
+    if (recordCount >= chunkSize && (!options.splitAtChromosomes || chrom !== currentChrom)) {
+      totalVariants += variantsToProcess.length;
+      debug(`Yielding chunk with ${variantsToProcess.length} variants`);
+      yield buildChunk();
+      chunksYielded++;
+      variantsToProcess = [];
+      vcfRecordMap = new Map();
+      recordCount = 0;
+    }
+
+    _addRecordVariants(line, header.parser, header.samples, variantsToProcess, vcfRecordMap);
+    recordCount++;
+    currentChrom = chrom;
+  }
+
+  // Header-only files still need a parsed header for the final (possibly empty) chunk
+  if (!header) {
+    header = _parseHeader(headerLines);
+  }
+  totalVariants += variantsToProcess.length;
+  debug(`Processed ${totalVariants} variants from VCF file`);
+  // Always yield at least one chunk so callers receive the header of files without records
+  if (variantsToProcess.length > 0 || chunksYielded === 0) {
+    yield buildChunk();
+  }
+}
 
-        // *** Storing in vcfRecordMap FIX ***
-        // Store original record info with genotypes using the NEW key
-        vcfRecordMap.set(key, {
-          // Use the new hyphenated key format
-          chrom,
-          pos,
-          ref,
-          alt, // Store the specific ALT allele this entry corresponds to
-          genotypes, // Store the populated or default genotypes map
-          originalRecord: record, // Keep original record if needed elsewhere
-        });
-        // *** DEBUG POINT 3: Storing in vcfRecordMap ***
-        debugDetailed(`vcfReader: Stored record in vcfRecordMap for Key='${key}'`);
+/**
+ * Reads only the header of a VCF file, stopping at the first data line.
+ *
+ * @async
+ * @param {string} filePath - Path to the VCF file (.vcf, .vcf.gz or .vcf.bgz)
+ * @returns {Promise<Object>} Object with headerText, headerLines and samples
+ * @throws {Error} If the file is missing or has no header
+ */
+async function readVcfHeader(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`VCF file not found: ${filePath}`);
+  }
+
+  const rl = _createLineReader(filePath);
+  const headerLines = [];
+  try {
+    for await (const line of rl) {
+      if (!line.startsWith('#')) {
+        if (line.trim() === '') continue;
+        break;
       }
+      headerLines.push(line);
     }
+  } finally {
+    rl.close();
+  }
 
-    debug(`Processed ${variantsToProcess.length} variants from VCF file`);
+  const { headerText, samples } = _parseHeader(headerLines);
+  return { headerText, headerLines, samples };
+}
+
+/**
+ * Reads variants from a VCF file and extracts them for processing.
+ * Handles multi-allelic sites by splitting them into separate variants.
+ * Extracts genotype information for each sample.
+ * Preserves the original VCF header and records for later use in VCF output.
+ * Use readVcfInChunks for files that are too large to hold in memory at once.
+ *
+ * @async
+ * @param {string} filePath - Path to the VCF file to read (.vcf, .vcf.gz or .vcf.bgz)
+ * @param {Object} [options={}] - Reader options
+ * @param {Array<Object>} [options.regions] - Only read records overlapping these regions
+ *   (see readVcfInChunks)
+ * @returns {Promise<Object>} Object containing:
+ *   - variantsToProcess {Array<string>}: Array of variant strings in the format "CHROM-POS-REF-ALT"
+ *   - vcfRecordMap {Map}: Map of variant keys ("CHROM-POS-REF-ALT") to original VCF record data with genotypes
+ *   - headerText {string}: The complete original VCF header text
+ *   - headerLines {Array<string>}: Array of header lines
+ *   - samples {Array<string>}: Array of sample IDs found in the VCF
+ * @throws {Error} If there's an issue reading or parsing the VCF file
+ */
+async function readVariantsFromVcf(filePath, options = {}) {
+  debug(`Reading VCF file: ${filePath}`);
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`VCF file not found: ${filePath}`);
+  }
+
+  const variantsToProcess = [];
+  const vcfRecordMap = new Map();
+  let header = null;
+
+  try {
+    for await (const chunk of readVcfInChunks(filePath, {
+      chunkSize: Infinity,
+      regions: options.regions,
+    })) {
+      header = chunk;
+      // The only chunk holds the whole file; spreading it into push() overflows the call stack
+      for (const variant of chunk.variantsToProcess) {
+        variantsToProcess.push(variant);
+      }
+      for (const [key, entry] of chunk.vcfRecordMap) {
+        vcfRecordMap.set(key, entry);
+      }
+    }
     // *** DEBUG POINT 4: Final Map Size ***
     debugDetailed(`vcfReader: Final vcfRecordMap size: ${vcfRecordMap.size}`);
 
     return {
       variantsToProcess,
       vcfRecordMap,
-      headerText,
-      headerLines,
-      samples,
+      headerText: header.headerText,
+      headerLines: header.headerLines,
+      samples: header.samples,
     };
   } catch (error) {
     // Provide more detailed error message for debugging
@@ -297,4 +819,7 @@ async function readVariantsFromVcf(filePath) {
 
 module.exports = {
   readVariantsFromVcf,
+  readVcfInChunks,
+  readVcfHeader,
+  parseRegion,
 };
@@ -15,8 +15,9 @@
 const debug = require('debug')('variant-linker:main');
 const debugDetailed = require('debug')('variant-linker:detailed');
 const debugAll = require('debug')('variant-linker:all');
-const { fetchApi } = require('./apiHelper');
-const apiConfig = require('../config/apiConfig.json');
+const { getDefaultAnnotationSource } = require('./annotationSource');
+const { resolveApiProfile } = require('./apiProfiles');
+const { resolveRequestSettings } = require('./utils/requestOptions');
 
 /**
  * Retrieves VEP (Variant Effect Predictor) annotations for a given HGVS notation.
@@ -24,19 +25,31 @@ const apiConfig = require('../config/apiConfig.json');
  * @param {string} hgvs - The HGVS notation of the variant to be annotated.
  * @param {string} transcript - The transcript ID to be used in the annotation request.
  * @param {Object} [options={}] - Optional query parameters for the VEP API request.
- * @param {boolean} [cacheEnabled=false] - If true, cache the API response.
+ * @param {Object} [request={}] - Request settings. The positional (cacheEnabled, proxyConfig)
+ * arguments of earlier releases are still accepted in its place.
+ * @param {boolean} [request.cache=false] - If true, cache the API response.
+ * @param {Object} [request.proxyConfig=null] - Optional proxy configuration object.
+ * @param {Object} [request.annotationSource=null] - Annotation source to query (defaults to
+ * Ensembl REST).
+ * @param {Object} [legacyProxyConfig] - proxyConfig of the deprecated positional form.
  * @returns {Promise<Object>} A promise that resolves to the annotation data from the VEP API.
  * @throws {Error} If the request to the VEP API fails.
  */
-async function vepHgvsAnnotation(hgvs, transcript, options = {}, cacheEnabled = false) {
+async function vepHgvsAnnotation(hgvs, transcript, options = {}, request = {}, legacyProxyConfig) {
+  const { cache, proxyConfig, annotationSource } = resolveRequestSettings(
+    request,
+    legacyProxyConfig
+  );
   try {
+    const source = annotationSource || getDefaultAnnotationSource();
     // Build the endpoint path using the external configuration.
-    const endpoint = `${apiConfig.ensembl.endpoints.vepHgvs}/${hgvs}`;
+    const profile = source.apiProfile || resolveApiProfile();
+    const endpoint = `${profile.endpoints.vepHgvs}/${hgvs}`;
     debug(`Requesting VEP Annotation for HGVS: ${hgvs} with transcript: ${transcript}`);
     debugDetailed(`Using endpoint: ${endpoint}`);
     debugDetailed(`Query options: ${JSON.stringify(options)}`);
 
-    const data = await fetchApi(endpoint, options, cacheEnabled);
+    const data = await source.annotateHgvs(hgvs, options, { cache, proxyConfig });
     return data;
   } catch (error) {
     debugAll(`Error in vepHgvsAnnotation: ${error.message}`);
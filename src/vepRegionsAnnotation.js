@@ -16,91 +16,119 @@
 const debug = require('debug')('variant-linker:main');
 const debugDetailed = require('debug')('variant-linker:detailed');
 const debugAll = require('debug')('variant-linker:all');
-const { fetchApi } = require('./apiHelper');
-const apiConfig = require('../config/apiConfig.json');
+const { getDefaultAnnotationSource } = require('./annotationSource');
+const { resolveApiProfile } = require('./apiProfiles');
+const { fetchWithVariantCache } = require('./cache/variantCache');
+const { mapWithConcurrency, resolveMaxConcurrentRequests } = require('./utils/concurrency');
+const { resolveRequestSettings } = require('./utils/requestOptions');
 
 /**
  * Retrieves VEP annotations for given variant(s) using the POST endpoint.
+ * With caching enabled on the REST source, each variant is cached individually (keyed by the
+ * normalised variant, the VEP options and the assembly) and only uncached variants are sent.
  * If the number of variants exceeds the configured chunk size, the function will split the request
- * into multiple smaller requests and aggregate the results.
+ * into multiple smaller requests, send up to `maxConcurrentRequests` of them at once and
+ * aggregate the results in input order.
  *
  * @param {Array<string>} variants - An array of variant strings in the required POST format.
  * @param {Object} [options={}] - Optional query parameters for the VEP API request.
- * @param {boolean} [cacheEnabled=false] - If true, cache the API response.
- * @param {Object} [proxyConfig=null] - Optional proxy configuration object.
- * @returns {Promise<Object>} A promise that resolves to the annotation data.
+ * @param {Object} [request={}] - Request settings. The positional (cacheEnabled, proxyConfig)
+ * arguments of earlier releases are still accepted in its place.
+ * @param {boolean} [request.cache=false] - If true, cache the API response.
+ * @param {Object} [request.proxyConfig=null] - Optional proxy configuration object.
+ * @param {Object} [request.annotationSource=null] - Annotation source to query (defaults to
+ * Ensembl REST).
+ * @param {number} [request.maxConcurrentRequests=null] - Maximum chunks in flight at once
+ * (defaults to requests.maxConcurrentRequests in apiConfig.json).
+ * @param {Object} [legacyProxyConfig] - proxyConfig of the deprecated positional form.
+ * @returns {Promise<Object>} A promise that resolves to the annotation data. Match the records
+ * to the variants on the input they echo: a variant VEP cannot annotate has no record.
  * @throws {Error} If the request to the VEP API fails.
  */
-async function vepRegionsAnnotation(
-  variants,
-  options = {},
-  cacheEnabled = false,
-  proxyConfig = null
-) {
+async function vepRegionsAnnotation(variants, options = {}, request = {}, legacyProxyConfig) {
+  const { cache, proxyConfig, annotationSource, maxConcurrentRequests } = resolveRequestSettings(
+    request,
+    legacyProxyConfig
+  );
   try {
-    // For the POST endpoint we simply use the base endpoint defined in our config.
-    const endpoint = apiConfig.ensembl.endpoints.vepRegions; // e.g. "/vep/homo_sapiens/region"
-    debug(`Requesting VEP Annotation for ${variants.length} variants`);
+    const source = annotationSource || getDefaultAnnotationSource();
+    // Endpoint, base URL and chunk size come from the source's API profile
+    const profile = source.apiProfile || resolveApiProfile();
+    const endpoint = profile.endpoints.vepRegions; // e.g. "/vep/homo_sapiens/region"
+    debug(`Requesting VEP Annotation for ${variants.length} variants from source '${source.name}'`);
     debugDetailed(`Using endpoint: ${endpoint}`);
     debugDetailed(`Query options: ${JSON.stringify(options)}`);
 
-    // Get the configured chunk size with a default fallback of 200
-    const chunkSize = apiConfig.ensembl.vepPostChunkSize || 200;
-
-    // Check if we need to chunk the request
-    if (variants.length <= chunkSize) {
-      // If the number of variants is less than or equal to the chunk size,
-      // proceed with a single request
-      const requestBody = { variants };
-      debugDetailed(`Request body: ${JSON.stringify(requestBody)}`);
-
-      const data = await fetchApi(
+    if (cache && source.name === 'rest') {
+      return await fetchWithVariantCache(variants, {
         endpoint,
+        baseUrl: profile.baseUrl,
         options,
-        cacheEnabled,
-        'POST',
-        requestBody,
-        proxyConfig
-      );
-      return data;
-    } else {
-      // If the number of variants exceeds the chunk size, we need to chunk the requests
-      debug(`Chunking ${variants.length} variants into batches of ${chunkSize}`);
-      const allResults = [];
-
-      // Process variants in chunks
-      for (let i = 0; i < variants.length; i += chunkSize) {
-        const chunk = variants.slice(i, i + chunkSize);
-        const requestBody = { variants: chunk };
-
-        debugDetailed(
-          `Processing chunk ${Math.floor(i / chunkSize) + 1} with ${chunk.length} variants`
-        );
-        debugDetailed(`Chunk request body: ${JSON.stringify(requestBody)}`);
-
-        const chunkResults = await fetchApi(
-          endpoint,
-          options,
-          cacheEnabled,
-          'POST',
-          requestBody,
-          proxyConfig
-        );
-        allResults.push(...chunkResults);
-
-        // Add a small delay between chunks to be polite to the API
-        if (i + chunkSize < variants.length) {
-          await new Promise((resolve) => setTimeout(resolve, 100));
-        }
-      }
-
-      debug(`Completed processing all ${variants.length} variants in chunks`);
-      return allResults;
+        fetchUncached: (uncached) =>
+          annotateInChunks(uncached, options, { proxyConfig }, source, maxConcurrentRequests),
+        inputOf: (record) => record.input,
+        withInput: (record, input) => ({ ...record, input }),
+      });
     }
+    return await annotateInChunks(
+      variants,
+      options,
+      { cache, proxyConfig },
+      source,
+      maxConcurrentRequests
+    );
   } catch (error) {
     debugAll(`Error in vepRegionsAnnotation: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * Sends variants to the annotation source in chunks of vepPostChunkSize.
+ *
+ * @param {Array<string>} variants - Variants in VEP POST region format.
+ * @param {Object} options - VEP query parameters.
+ * @param {Object} request - Request settings passed to the source ({ cache, proxyConfig }); with
+ * cache set, the source caches whole responses.
+ * @param {Object} source - Annotation source to query.
+ * @param {number} maxConcurrentRequests - Maximum chunks in flight at once.
+ * @returns {Promise<Array<Object>>} Annotation records in input order.
+ * @private
+ */
+async function annotateInChunks(variants, options, request, source, maxConcurrentRequests) {
+  const chunkSize = (source.apiProfile || resolveApiProfile()).vepPostChunkSize;
+
+  // Check if we need to chunk the request
+  if (variants.length <= chunkSize) {
+    // If the number of variants is less than or equal to the chunk size,
+    // proceed with a single request
+    const requestBody = { variants };
+    debugDetailed(`Request body: ${JSON.stringify(requestBody)}`);
+
+    return source.annotateRegions(variants, options, request);
+  }
+
+  // If the number of variants exceeds the chunk size, we need to chunk the requests
+  const chunks = [];
+  for (let i = 0; i < variants.length; i += chunkSize) {
+    chunks.push(variants.slice(i, i + chunkSize));
+  }
+  const concurrency = resolveMaxConcurrentRequests(maxConcurrentRequests);
+  debug(
+    `Chunking ${variants.length} variants into ${chunks.length} batches of ${chunkSize} ` +
+      `(max ${concurrency} concurrent requests)`
+  );
+
+  // Request pacing is handled by the shared rate limiter in fetchApi
+  const chunkResults = await mapWithConcurrency(chunks, concurrency, (chunk, index) => {
+    debugDetailed(`Processing chunk ${index + 1} with ${chunk.length} variants`);
+    debugDetailed(`Chunk request body: ${JSON.stringify({ variants: chunk })}`);
+    return source.annotateRegions(chunk, options, request);
+  });
+  const allResults = chunkResults.flat();
+
+  debug(`Completed processing all ${variants.length} variants in chunks`);
+  return allResults;
+}
+
 module.exports = vepRegionsAnnotation;
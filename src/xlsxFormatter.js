@@ -0,0 +1,105 @@
+// src/xlsxFormatter.js
+'use strict';
+
+/**
+ * @fileoverview Formats annotation results as an Excel workbook (XLSX) with one sheet per
+ * result facet: variants, transcript consequences, inheritance (when calculated) and run
+ * metadata. Rows come from the same column configurations as CSV/TSV output.
+ * @module xlsxFormatter
+ */
+
+const debug = require('debug')('variant-linker:xlsx-formatter');
+const {
+  expandFamilyAnnotations,
+  extractField,
+  flattenAnnotationData,
+  getInheritanceColumnConfig,
+  hasFamilyInheritance,
+} = require('./dataExtractor');
+const { formatProvenanceFields } = require('./provenance');
+const { createXlsxWorkbook } = require('./utils/xlsxWriter');
+const { getVersionDetails } = require('./version');
+
+/**
+ * Builds one row per annotation (per family-variant pair for per-family inheritance results)
+ * from annotation-level columns.
+ * @param {Array<Object>} annotationData - Annotations
+ * @param {Array<Object>} columns - Column configurations (isConsequenceLevel false)
+ * @returns {Array<Array<*>>} Rows
+ * @private
+ */
+function _annotationRows(annotationData, columns) {
+  return annotationData
+    .flatMap(expandFamilyAnnotations)
+    .map((annotation) => columns.map((column) => extractField(annotation, column)));
+}
+
+/**
+ * Builds the key/value rows of the run metadata sheet.
+ * @param {Object} meta - Result meta information
+ * @returns {Array<Array<*>>} [field, value] rows
+ * @private
+ */
+function _metadataRows(meta) {
+  const rows = [['variant-linker version', getVersionDetails().version]];
+  ['startTime', 'endTime', 'durationMs', 'batchSize', 'annotationSource'].forEach((key) => {
+    if (meta[key] !== undefined) rows.push([key, meta[key]]);
+  });
+  formatProvenanceFields(meta.provenance).forEach((field) => rows.push(field));
+  (meta.stepsPerformed || []).forEach((step, i) => rows.push([`step ${i + 1}`, step]));
+  (meta.failedVariants || []).forEach((failed) =>
+    rows.push([`failed input (${failed.stage})`, `${failed.input}: ${failed.message}`])
+  );
+  return rows;
+}
+
+/**
+ * Formats annotation results as an XLSX workbook.
+ * Sheets: "Variants" (annotation-level columns, one row per variant), "Consequences" (all
+ * columns, flattened by transcript consequence like CSV/TSV), "Inheritance" (only if
+ * meta.inheritanceCalculated) and "Run metadata" (version, timing, provenance and steps).
+ * With per-family inheritance results (cohorts), variant rows are repeated for every family.
+ * @param {Object} results - Filtered results with annotationData and meta
+ * @param {Array<Object>} columnConfig - Column configuration (see getDefaultColumnConfig)
+ * @returns {Buffer} The XLSX file
+ */
+function formatResultsToXlsx(results, columnConfig) {
+  const annotationData = Array.isArray(results.annotationData) ? results.annotationData : [];
+  const meta = results.meta || {};
+
+  const variantColumns = columnConfig.filter((column) => !column.isConsequenceLevel);
+  const headers = columnConfig.map((column) => column.header);
+  const sheets = [
+    {
+      name: 'Variants',
+      headers: variantColumns.map((column) => column.header),
+      rows: _annotationRows(annotationData, variantColumns),
+    },
+    {
+      name: 'Consequences',
+      headers,
+      rows: flattenAnnotationData(annotationData, columnConfig).map((row) =>
+        headers.map((header) => row[header])
+      ),
+    },
+  ];
+
+  if (meta.inheritanceCalculated) {
+    const inheritanceColumns = getInheritanceColumnConfig(hasFamilyInheritance(annotationData));
+    sheets.push({
+      name: 'Inheritance',
+      headers: inheritanceColumns.map((column) => column.header),
+      rows: _annotationRows(
+        annotationData.filter((annotation) => annotation.deducedInheritancePattern),
+        inheritanceColumns
+      ),
+    });
+  }
+
+  sheets.push({ name: 'Run metadata', headers: ['Field', 'Value'], rows: _metadataRows(meta) });
+
+  debug(`Writing XLSX workbook with sheets: ${sheets.map((sheet) => sheet.name).join(', ')}`);
+  return createXlsxWorkbook(sheets);
+}
+
+module.exports = { formatResultsToXlsx };
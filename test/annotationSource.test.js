@@ -0,0 +1,204 @@
+// test/annotationSource.test.js
+
+const chai = require('chai');
+const expect = chai.expect;
+const sinon = require('sinon');
+const path = require('path');
+const {
+  createAnnotationSource,
+  resolveAnnotationSource,
+  getDefaultAnnotationSource,
+  RestAnnotationSource,
+  VepJsonAnnotationSource,
+} = require('../src/annotationSource');
+const vepRegionsAnnotation = require('../src/vepRegionsAnnotation');
+const { analyzeVariant } = require('../src/variantLinkerCore');
+
+const fixturePath = path.join(__dirname, 'fixtures', 'vep_json', 'precomputed_vep.json');
+
+describe('annotationSource', () => {
+  let sandbox;
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox();
+  });
+
+  afterEach(() => {
+    sandbox.restore();
+  });
+
+  describe('resolveAnnotationSource()', () => {
+    it('should default to the REST source', () => {
+      const source = resolveAnnotationSource({});
+      expect(source).to.be.instanceOf(RestAnnotationSource);
+      expect(source.name).to.equal('rest');
+      expect(getDefaultAnnotationSource()).to.equal(source);
+    });
+
+    it('should return a provided source instance unchanged', () => {
+      const custom = { name: 'custom', annotateRegions: async () => [] };
+      expect(resolveAnnotationSource({ annotationSource: custom })).to.equal(custom);
+    });
+
+    it('should reuse vep-json sources for the same path', () => {
+      const params = { annotationSource: 'vep-json', vepJsonPath: fixturePath };
+      const first = resolveAnnotationSource(params);
+      const second = resolveAnnotationSource(params);
+      expect(first).to.be.instanceOf(VepJsonAnnotationSource);
+      expect(second).to.equal(first);
+    });
+
+    it('should throw for an unknown source type', () => {
+      expect(() => createAnnotationSource('bogus')).to.throw(/Unknown annotation source: bogus/);
+    });
+
+    it('should require a path for the vep-json source', () => {
+      expect(() => createAnnotationSource('vep-json', {})).to.throw(/requires a path/);
+    });
+  });
+
+  describe('VepJsonAnnotationSource', () => {
+    let source;
+
+    beforeEach(() => {
+      source = new VepJsonAnnotationSource({ path: fixturePath });
+    });
+
+    it('should return records in input order with the requested input string', async () => {
+      const variants = ['7 117559600 . ATCT A . . .', '1 65568 . A C . . .'];
+      const results = await source.annotateRegions(variants);
+
+      expect(results).to.have.lengthOf(2);
+      expect(results[0].input).to.equal(variants[0]);
+      expect(results[0].most_severe_consequence).to.equal('inframe_deletion');
+      expect(results[1].input).to.equal(variants[1]);
+      expect(results[1].transcript_consequences[0].gene_symbol).to.equal('OR4F5');
+    });
+
+    it('should match chr-prefixed and multi-allelic records', async () => {
+      const results = await source.annotateRegions(['2 200 . C G . . .', 'chr2 200 . C T . . .']);
+      expect(results).to.have.lengthOf(2);
+      expect(results[0].allele_string).to.equal('C/T/G');
+      expect(results[1].allele_string).to.equal('C/T/G');
+    });
+
+    it('should omit variants without a precomputed record', async () => {
+      const results = await source.annotateRegions(['3 300 . G A . . .', '1 65568 . A C . . .']);
+
+      expect(results).to.have.lengthOf(1);
+      expect(results[0].input).to.equal('1 65568 . A C . . .');
+    });
+
+    it('should look up HGVS records by their input string', async () => {
+      const results = await source.annotateHgvs('ENST00000366667:c.803C>T');
+      expect(results).to.have.lengthOf(1);
+      expect(results[0].transcript_consequences[0].gene_symbol).to.equal('AGT');
+      expect(await source.annotateHgvs('ENST00000366667:c.1A>G')).to.deep.equal([]);
+    });
+
+    it('should reject Variant Recoder requests', async () => {
+      try {
+        await source.recodeVariants(['rs123']);
+        expect.fail('Expected recodeVariants to reject');
+      } catch (error) {
+        expect(error.message).to.include('Variant Recoder is not available');
+      }
+    });
+
+    it('should fail clearly when the path does not exist', async () => {
+      const missing = new VepJsonAnnotationSource({ path: '/nonexistent/vep.json' });
+      try {
+        await missing.annotateRegions(['1 65568 . A C . . .']);
+        expect.fail('Expected annotateRegions to reject');
+      } catch (error) {
+        expect(error.message).to.include('VEP JSON path not found');
+      }
+    });
+  });
+
+  describe('integration with the annotation pipeline', () => {
+    it('should route vepRegionsAnnotation through the provided source', async () => {
+      const fakeSource = {
+        name: 'fake',
+        annotateRegions: sandbox.stub().resolves([{ input: '1 100 . A G . . .' }]),
+      };
+      const result = await vepRegionsAnnotation(
+        ['1 100 . A G . . .'],
+        { hgvs: '1' },
+        { annotationSource: fakeSource }
+      );
+
+      expect(result).to.deep.equal([{ input: '1 100 . A G . . .' }]);
+      expect(fakeSource.annotateRegions.calledOnce).to.be.true;
+      expect(fakeSource.annotateRegions.firstCall.args[0]).to.deep.equal(['1 100 . A G . . .']);
+    });
+
+    it('should annotate VCF-style variants offline with analyzeVariant', async () => {
+      const result = await analyzeVariant({
+        variants: ['1-65568-A-C', '7-117559600-ATCT-A'],
+        recoderOptions: {},
+        vepOptions: {},
+        cache: false,
+        output: 'JSON',
+        annotationSource: 'vep-json',
+        vepJsonPath: fixturePath,
+      });
+
+      expect(result.meta.annotationSource).to.equal('vep-json');
+      expect(result.annotationData).to.have.lengthOf(2);
+      expect(result.annotationData[0].variantKey).to.equal('1-65568-A-C');
+      expect(result.annotationData[1].variantKey).to.equal('7-117559600-ATCT-A');
+      expect(result.annotationData[1].most_severe_consequence).to.equal('inframe_deletion');
+    });
+
+    it('should report a variant missing from the precomputed VEP JSON as failed', async () => {
+      const result = await analyzeVariant({
+        variants: ['1-65568-A-C', '1-999-A-G', '7-117559600-ATCT-A'],
+        recoderOptions: {},
+        vepOptions: {},
+        cache: false,
+        output: 'JSON',
+        annotationSource: 'vep-json',
+        vepJsonPath: fixturePath,
+      });
+
+      expect(result.annotationData.map((annotation) => annotation.variantKey)).to.deep.equal([
+        '1-65568-A-C',
+        '7-117559600-ATCT-A',
+      ]);
+      expect(result.annotationData[0].transcript_consequences[0].gene_symbol).to.equal('OR4F5');
+      expect(result.annotationData[1].most_severe_consequence).to.equal('inframe_deletion');
+      expect(result.meta.failedVariants).to.deep.equal([
+        {
+          input: '1-999-A-G',
+          stage: 'annotation',
+          message: 'No VEP annotation returned for "1-999-A-G"',
+        },
+      ]);
+    });
+
+    it('should keep VCF records aligned with their annotations after a missing record', async () => {
+      const result = await analyzeVariant({
+        variants: ['1-999-A-G', '1-65568-A-C', '7-117559600-ATCT-A'],
+        vcfInput: true,
+        recoderOptions: {},
+        vepOptions: {},
+        cache: false,
+        output: 'JSON',
+        annotationSource: 'vep-json',
+        vepJsonPath: fixturePath,
+      });
+
+      const geneOf = (annotation) => annotation.transcript_consequences?.[0]?.gene_symbol;
+      expect(result.annotationData.map((annotation) => annotation.variantKey)).to.deep.equal([
+        '1-65568-A-C',
+        '7-117559600-ATCT-A',
+      ]);
+      expect(geneOf(result.annotationData[0])).to.equal('OR4F5');
+      expect(result.annotationData[1].allele_string).to.equal('TCT/-');
+      expect(
+        result.meta.failedVariants.map(({ input, stage }) => ({ input, stage }))
+      ).to.deep.equal([{ input: '1-999-A-G', stage: 'annotation' }]);
+    });
+  });
+});
@@ -2,8 +2,13 @@
 
 const chai = require('chai');
 const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const nock = require('nock');
+const proxyquire = require('proxyquire');
 const apiHelper = require('../src/apiHelper');
+const { resolveApiProfile } = require('../src/apiProfiles');
 const apiConfig = require('../config/apiConfig.json');
 
 describe('apiHelper', () => {
@@ -128,6 +133,40 @@ describe('apiHelper', () => {
     expect(nock.pendingMocks()).to.be.empty;
   });
 
+  it('should serve repeat requests from the persistent cache after memory is cleared', async () => {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'variant-linker-apihelper-'));
+    const cacheModule = proxyquire('../src/cache', {
+      '../config/apiConfig.json': {
+        ...apiConfig,
+        cache: { memory: { maxSize: 10 }, persistent: { enabled: true, location: cacheDir } },
+      },
+    });
+    const isolatedApiHelper = proxyquire('../src/apiHelper', { './cache': cacheModule });
+
+    try {
+      nock(apiBaseUrl).get(testEndpoint).reply(200, mockResponse);
+      await isolatedApiHelper.fetchApi(testEndpoint, {}, true);
+
+      // Simulate a new process: the memory tier is empty, the disk tier is not
+      cacheModule.getCacheManager().memoryCache.clear();
+      const stats = cacheModule.getCacheManager().getHitStats();
+      const result = await isolatedApiHelper.fetchApi(testEndpoint, {}, true);
+
+      expect(result).to.deep.equal(mockResponse);
+      expect(cacheModule.getCacheHitStats(stats)).to.include({
+        memoryHits: 0,
+        persistentHits: 1,
+        misses: 0,
+        hitRate: 1,
+      });
+      // The L2 hit was promoted to memory
+      await isolatedApiHelper.fetchApi(testEndpoint, {}, true);
+      expect(cacheModule.getCacheHitStats(stats).memoryHits).to.equal(1);
+    } finally {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+  });
+
   it('should handle POST requests correctly', async () => {
     const requestBody = { test: 'data' };
     nock(apiBaseUrl).post(testEndpoint, requestBody).reply(200, mockResponse);
@@ -153,6 +192,70 @@ describe('apiHelper', () => {
     expect(result).to.deep.equal(mockResponse);
   });
 
+  it('should accept the request settings as an object', async () => {
+    const requestBody = { test: 'data' };
+    nock(apiBaseUrl).post(testEndpoint, requestBody).reply(200, mockResponse);
+
+    const result = await apiHelper.fetchApi(
+      testEndpoint,
+      {},
+      { method: 'POST', body: requestBody }
+    );
+
+    expect(result).to.deep.equal(mockResponse);
+  });
+
+  describe('API profiles', () => {
+    const profile = resolveApiProfile({
+      name: 'mirror',
+      baseUrl: 'https://vep.mirror.example.org/',
+      retry: { maxRetries: 0 },
+      headers: { 'X-Api-Key': 'secret' },
+    });
+
+    it('should send requests to the profile base URL with its headers', async () => {
+      const scope = nock('https://vep.mirror.example.org')
+        .matchHeader('X-Api-Key', 'secret')
+        .get(testEndpoint)
+        .reply(200, mockResponse);
+
+      const result = await apiHelper.fetchApi(testEndpoint, {}, { apiProfile: profile });
+      expect(result).to.deep.equal(mockResponse);
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('should follow the retry policy of the profile', async () => {
+      nock('https://vep.mirror.example.org').get(testEndpoint).reply(503, {});
+      const retry = nock('https://vep.mirror.example.org').get(testEndpoint).reply(200, {});
+
+      let error;
+      try {
+        await apiHelper.fetchApi(testEndpoint, {}, { apiProfile: profile });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.response.status).to.equal(503);
+      expect(retry.isDone()).to.be.false;
+    });
+
+    it('should not read the base URL from the environment for explicit profiles', async () => {
+      const originalBaseUrl = process.env.ENSEMBL_BASE_URL;
+      process.env.ENSEMBL_BASE_URL = 'https://elsewhere.example.org';
+      try {
+        nock('https://vep.mirror.example.org').get(testEndpoint).reply(200, mockResponse);
+        const result = await apiHelper.fetchApi(testEndpoint, {}, { apiProfile: profile });
+        expect(result).to.deep.equal(mockResponse);
+        expect(apiHelper.getApiBaseUrl()).to.equal('https://elsewhere.example.org');
+      } finally {
+        if (originalBaseUrl === undefined) {
+          delete process.env.ENSEMBL_BASE_URL;
+        } else {
+          process.env.ENSEMBL_BASE_URL = originalBaseUrl;
+        }
+      }
+    });
+  });
+
   describe('parseProxyConfig', () => {
     it('should parse basic proxy URL', () => {
       const proxyConfig = apiHelper.parseProxyConfig('http://proxy.company.com:8080');
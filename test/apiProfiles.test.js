@@ -0,0 +1,104 @@
+// test/apiProfiles.test.js
+
+'use strict';
+
+const { expect } = require('chai');
+const { DEFAULT_PROFILE_NAME, listApiProfiles, resolveApiProfile } = require('../src/apiProfiles');
+const apiConfig = require('../config/apiConfig.json');
+
+describe('apiProfiles', () => {
+  let originalBaseUrl;
+
+  beforeEach(() => {
+    originalBaseUrl = process.env.ENSEMBL_BASE_URL;
+    delete process.env.ENSEMBL_BASE_URL;
+  });
+
+  afterEach(() => {
+    if (originalBaseUrl === undefined) {
+      delete process.env.ENSEMBL_BASE_URL;
+    } else {
+      process.env.ENSEMBL_BASE_URL = originalBaseUrl;
+    }
+  });
+
+  describe('listApiProfiles()', () => {
+    it('should list the default, configured and additional profiles', () => {
+      const names = Object.keys(listApiProfiles({ mirror: { baseUrl: 'https://mirror.org' } }));
+      expect(names).to.include.members([DEFAULT_PROFILE_NAME, 'ensembl-grch37', 'mirror']);
+    });
+  });
+
+  describe('resolveApiProfile()', () => {
+    it('should resolve the default profile from the ensembl section of apiConfig.json', () => {
+      const profile = resolveApiProfile();
+      expect(profile.name).to.equal(DEFAULT_PROFILE_NAME);
+      expect(profile.baseUrl).to.equal(apiConfig.ensembl.baseUrl);
+      expect(profile.legacyBaseUrl).to.equal(apiConfig.ensembl.legacyBaseUrl);
+      expect(profile.endpoints).to.deep.equal(apiConfig.ensembl.endpoints);
+      expect(profile.vepPostChunkSize).to.equal(apiConfig.ensembl.vepPostChunkSize);
+      expect(profile.retry.maxRetries).to.equal(apiConfig.requests.retry.maxRetries);
+      expect(profile.headers).to.deep.equal({});
+    });
+
+    it('should merge profile settings over the defaults', () => {
+      const profile = resolveApiProfile('mirror', {
+        profiles: {
+          mirror: {
+            baseUrl: 'https://vep.mirror.example.org/',
+            endpoints: { vepRegions: '/vep/human/region' },
+            vepPostChunkSize: 50,
+            retry: { maxRetries: 1 },
+            headers: { 'X-Api-Key': 'secret' },
+          },
+        },
+      });
+      expect(profile.baseUrl).to.equal('https://vep.mirror.example.org');
+      expect(profile.endpoints.vepRegions).to.equal('/vep/human/region');
+      expect(profile.endpoints.variantRecoderBase).to.equal(
+        apiConfig.ensembl.endpoints.variantRecoderBase
+      );
+      expect(profile.vepPostChunkSize).to.equal(50);
+      expect(profile.retry).to.include({
+        maxRetries: 1,
+        baseDelayMs: apiConfig.requests.retry.baseDelayMs,
+      });
+      expect(profile.headers).to.deep.equal({ 'X-Api-Key': 'secret' });
+    });
+
+    it('should use the legacy base URL for hg19', () => {
+      expect(resolveApiProfile(null, { assembly: 'hg19' }).baseUrl).to.equal(
+        apiConfig.ensembl.legacyBaseUrl
+      );
+      expect(resolveApiProfile(null, { assembly: 'hg19tohg38' }).baseUrl).to.equal(
+        apiConfig.ensembl.baseUrl
+      );
+    });
+
+    it('should apply ENSEMBL_BASE_URL to the default profile only', () => {
+      process.env.ENSEMBL_BASE_URL = 'https://local.example.org';
+      expect(resolveApiProfile().baseUrl).to.equal('https://local.example.org');
+      expect(resolveApiProfile(null, { assembly: 'hg19' }).baseUrl).to.equal(
+        'https://local.example.org'
+      );
+      expect(resolveApiProfile('ensembl-grch37').baseUrl).to.equal(
+        'https://grch37.rest.ensembl.org'
+      );
+    });
+
+    it('should accept an already resolved profile', () => {
+      const profile = resolveApiProfile('ensembl-grch37');
+      expect(resolveApiProfile(profile)).to.deep.equal(profile);
+    });
+
+    it('should reject unknown profiles and invalid settings', () => {
+      expect(() => resolveApiProfile('nope')).to.throw('Unknown API profile "nope"');
+      expect(() => resolveApiProfile({ baseUrl: 'ftp://example.org' })).to.throw(
+        'baseUrl must be an http(s) URL'
+      );
+      expect(() => resolveApiProfile({ recoderPostChunkSize: 0 })).to.throw(
+        'recoderPostChunkSize must be a positive integer'
+      );
+    });
+  });
+});
@@ -9,6 +9,7 @@ const {
   constructRegionString,
   constructLiftedVariant,
 } = require('../src/assemblyConverter');
+const { resolveApiProfile } = require('../src/apiProfiles');
 
 describe('assemblyConverter', () => {
   let sandbox;
@@ -161,6 +162,24 @@ describe('assemblyConverter', () => {
       await liftOverCoordinates(customRegion, false);
       expect(scope.isDone()).to.be.true;
     });
+
+    it('should use the GRCh37 server of the given API profile without touching the environment', async () => {
+      const originalBaseUrl = process.env.ENSEMBL_BASE_URL;
+      const profile = resolveApiProfile({
+        name: 'mirror',
+        baseUrl: 'https://rest.mirror.example.org',
+        legacyBaseUrl: 'https://grch37.mirror.example.org',
+      });
+      const scope = nock('https://grch37.mirror.example.org')
+        .get(`/map/human/GRCh37/${testRegion}/GRCh38`)
+        .reply(200, { mappings: [] });
+
+      const pending = liftOverCoordinates(testRegion, { apiProfile: profile });
+      expect(process.env.ENSEMBL_BASE_URL).to.equal(originalBaseUrl);
+      await pending;
+      expect(scope.isDone()).to.be.true;
+      expect(process.env.ENSEMBL_BASE_URL).to.equal(originalBaseUrl);
+    });
   });
 
   describe('parseVcfVariant', () => {
@@ -292,6 +292,21 @@ describe('CacheManager', () => {
       expect(stats.memory.size).to.equal(1);
       expect(stats.persistent.enabled).to.be.false;
     });
+
+    it('should count memory hits, persistent hits and misses', async () => {
+      await cacheManager.set('key1', 'data1');
+      await cacheManager.get('key1');
+      cacheManager.memoryCache.clear();
+      await cacheManager.get('key1');
+      await cacheManager.get('missing');
+
+      expect(cacheManager.getHitStats()).to.deep.equal({
+        memoryHits: 1,
+        persistentHits: 1,
+        misses: 1,
+      });
+      expect((await cacheManager.getStats()).hits).to.deep.equal(cacheManager.getHitStats());
+    });
   });
 
   describe('Configuration', () => {
@@ -0,0 +1,166 @@
+// test/cacheArchive.test.js
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const PersistentCache = require('../src/cache/PersistentCache');
+const {
+  ARCHIVE_FORMAT_VERSION,
+  exportCache,
+  findOptionMismatches,
+  importCache,
+  summarizeEntries,
+} = require('../src/cache/cacheArchive');
+const { CACHE_KEY_VERSION, buildVariantCacheKey } = require('../src/cache/variantCache');
+
+describe('cache/cacheArchive', () => {
+  const baseUrl = 'https://rest.ensembl.org';
+  const endpoint = '/vep/homo_sapiens/region';
+  const vepOptions = { CADD: '1', hgvs: '1' };
+  const currentRequests = [{ baseUrl, endpoint, options: vepOptions }];
+  const keyFor = (variant, options = vepOptions) =>
+    buildVariantCacheKey(endpoint, baseUrl, options, variant);
+
+  let tempDir;
+  let source;
+  let target;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'variant-linker-archive-'));
+    source = new PersistentCache({ location: path.join(tempDir, 'source') });
+    target = new PersistentCache({ location: path.join(tempDir, 'target') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('summarizeEntries()', () => {
+    it('should count entries per option set', () => {
+      const summary = summarizeEntries([
+        { key: keyFor('1-100-A-G') },
+        { key: keyFor('1-200-C-T') },
+        { key: keyFor('1-100-A-G', { pick: '1' }) },
+        { key: 'https://rest.ensembl.org/info/ping' },
+      ]);
+      expect(summary.entryCount).to.equal(4);
+      expect(summary.otherEntries).to.equal(1);
+      expect(summary.optionSets).to.deep.equal([
+        { baseUrl, endpoint, options: vepOptions, keyVersion: CACHE_KEY_VERSION, count: 2 },
+        { baseUrl, endpoint, options: { pick: '1' }, keyVersion: CACHE_KEY_VERSION, count: 1 },
+      ]);
+    });
+  });
+
+  describe('findOptionMismatches()', () => {
+    it('should accept option sets matching a current request', () => {
+      const { optionSets } = summarizeEntries([{ key: keyFor('1-100-A-G') }]);
+      expect(findOptionMismatches(optionSets, currentRequests)).to.deep.equal([]);
+    });
+
+    it('should report other options, base URLs and key versions', () => {
+      const { optionSets } = summarizeEntries([
+        { key: keyFor('1-100-A-G', { CADD: '1' }) },
+        { key: buildVariantCacheKey(endpoint, 'https://grch37.rest.ensembl.org', vepOptions, 'x') },
+        { key: 'variant:https://rest.ensembl.org/vep:[]:1-100-A-G' },
+      ]);
+      const warnings = findOptionMismatches(optionSets, currentRequests);
+      expect(warnings).to.have.lengthOf(3);
+      expect(warnings[0]).to.include('{"CADD":"1"}').and.include('{"CADD":"1","hgvs":"1"}');
+      expect(warnings[1]).to.include('grch37');
+      expect(warnings[2]).to.include('cache key version none');
+    });
+  });
+
+  describe('exportCache() and importCache()', () => {
+    it('should round-trip entries with their timestamps through a gzip export', async () => {
+      await source.set(keyFor('1-100-A-G'), [{ input: '1 100 . A G . . .' }], 60000);
+      const [original] = [...source.entries()];
+      const file = path.join(tempDir, 'cache.jsonl.gz');
+
+      const header = await exportCache(source, file);
+      expect(header).to.include({
+        type: 'variant-linker-cache',
+        formatVersion: ARCHIVE_FORMAT_VERSION,
+        keyVersion: CACHE_KEY_VERSION,
+        entryCount: 1,
+      });
+      const lines = zlib.gunzipSync(fs.readFileSync(file)).toString().trim().split('\n');
+      expect(lines).to.have.lengthOf(2);
+
+      const result = await importCache(target, file, { currentRequests });
+      expect(result).to.include({ imported: 1, skippedExpired: 0, skippedExisting: 0 });
+      expect(result.warnings).to.deep.equal([]);
+      expect(await target.getEntry(original.key)).to.deep.equal(original);
+    });
+
+    it('should skip expired entries unless a TTL is given', async () => {
+      const file = path.join(tempDir, 'cache.jsonl');
+      const header = { type: 'variant-linker-cache', formatVersion: 1, keyVersion: 1 };
+      const entry = { key: keyFor('1-100-A-G'), data: [], createdAt: 1, expiresAt: 2 };
+      fs.writeFileSync(file, `${JSON.stringify(header)}\n${JSON.stringify(entry)}\n`);
+
+      expect(await importCache(target, file)).to.include({ imported: 0, skippedExpired: 1 });
+      expect(await importCache(target, file, { ttl: 60000 })).to.include({ imported: 1 });
+      expect((await target.getEntry(entry.key)).expiresAt).to.be.greaterThan(Date.now());
+    });
+
+    it('should keep existing entries that expire later', async () => {
+      await source.set(keyFor('1-100-A-G'), ['old'], 60000);
+      await target.set(keyFor('1-100-A-G'), ['newer'], 120000);
+      const file = path.join(tempDir, 'cache.jsonl');
+      await exportCache(source, file);
+
+      expect(await importCache(target, file)).to.include({ imported: 0, skippedExisting: 1 });
+      expect(await target.get(keyFor('1-100-A-G'))).to.deep.equal(['newer']);
+    });
+
+    it('should warn about, or in strict mode reject, entries for other options', async () => {
+      await source.set(keyFor('1-100-A-G', { CADD: '1' }), ['data'], 60000);
+      const file = path.join(tempDir, 'cache.jsonl');
+      await exportCache(source, file);
+
+      const result = await importCache(target, file, { currentRequests });
+      expect(result.imported).to.equal(1);
+      expect(result.warnings).to.have.lengthOf(1);
+
+      const strictTarget = new PersistentCache({ location: path.join(tempDir, 'strict') });
+      let error;
+      try {
+        await importCache(strictTarget, file, { currentRequests, strict: true });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.include('does not match the current options');
+      expect([...strictTarget.entries()]).to.have.lengthOf(0);
+    });
+
+    it('should reject files that are not compatible exports', async () => {
+      const file = path.join(tempDir, 'cache.jsonl');
+      const rejects = async (content, message) => {
+        fs.writeFileSync(file, content);
+        let error;
+        try {
+          await importCache(target, file);
+        } catch (e) {
+          error = e;
+        }
+        expect(error, content).to.be.an('error');
+        expect(error.message).to.include(message);
+      };
+
+      await rejects('{"foo":1}\n', 'is not a variant-linker cache export');
+      await rejects('', 'is not a variant-linker cache export');
+      await rejects(
+        '{"type":"variant-linker-cache","formatVersion":99,"keyVersion":1}\n',
+        'Unsupported cache export format version 99'
+      );
+      await rejects(
+        '{"type":"variant-linker-cache","formatVersion":1,"keyVersion":0}\n',
+        'cache key version 0'
+      );
+    });
+  });
+});
@@ -0,0 +1,113 @@
+// test/cacheCli.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runCacheCommand, currentRequests, requestOptionsFor } = require('../src/cacheCli');
+const { configureCache, setCacheAsync } = require('../src/cache');
+const { buildVariantCacheKey } = require('../src/cache/variantCache');
+const { getApiBaseUrl } = require('../src/apiHelper');
+const { DEFAULT_VEP_OPTIONS } = require('../src/utils/requestOptions');
+const apiConfig = require('../config/apiConfig.json');
+
+describe('cacheCli', () => {
+  const vepEndpoint = apiConfig.ensembl.endpoints.vepRegions;
+  let tempDir;
+  let cacheDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'variant-linker-cache-cli-'));
+    cacheDir = path.join(tempDir, 'cache');
+    sinon.stub(console, 'log');
+    sinon.stub(console, 'warn');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    configureCache();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('currentRequests()', () => {
+    it('should describe the requests made with the CLI defaults', () => {
+      const requests = currentRequests(requestOptionsFor({ pickOutput: true }));
+      expect(requests[0]).to.deep.equal({
+        baseUrl: getApiBaseUrl(),
+        endpoint: vepEndpoint,
+        options: { ...DEFAULT_VEP_OPTIONS, pick: '1' },
+      });
+      expect(requests[1].endpoint).to.equal('/variant_recoder/homo_sapiens');
+      expect(requests[1].options).to.deep.equal({ vcf_string: '1' });
+    });
+  });
+
+  describe('runCacheCommand()', () => {
+    it('should report stats, export, import and prune a cache directory', async () => {
+      configureCache({ persistent: { enabled: true, location: cacheDir } });
+      const key = buildVariantCacheKey(
+        vepEndpoint,
+        getApiBaseUrl(),
+        DEFAULT_VEP_OPTIONS,
+        '1-1-A-G'
+      );
+      await setCacheAsync(key, [{ input: '1 1 . A G . . .' }]);
+
+      const stats = await runCacheCommand(['stats', '--cache-dir', cacheDir]);
+      expect(stats).to.include({ command: 'stats', validEntries: 1, entryCount: 1 });
+      expect(stats.warnings).to.deep.equal([]);
+      expect(JSON.parse(console.log.lastCall.args[0]).validEntries).to.equal(1);
+
+      const file = path.join(tempDir, 'cache.jsonl.gz');
+      await runCacheCommand(['export', file, '--cache-dir', cacheDir]);
+
+      const offlineDir = path.join(tempDir, 'offline');
+      const imported = await runCacheCommand(['import', file, '--cache-dir', offlineDir]);
+      expect(imported).to.include({ imported: 1 });
+
+      const pruned = await runCacheCommand(['prune', '--cache-dir', offlineDir]);
+      expect(pruned.removed).to.equal(0);
+      const cleared = await runCacheCommand(['clear', '--cache-dir', offlineDir]);
+      expect(cleared.removed).to.equal(1);
+    });
+
+    it('should warn when imported entries were cached with other VEP options', async () => {
+      configureCache({ persistent: { enabled: true, location: cacheDir } });
+      const key = buildVariantCacheKey(
+        vepEndpoint,
+        getApiBaseUrl(),
+        DEFAULT_VEP_OPTIONS,
+        '1-1-A-G'
+      );
+      await setCacheAsync(key, [{ input: '1 1 . A G . . .' }]);
+      const file = path.join(tempDir, 'cache.jsonl');
+      await runCacheCommand(['export', file, '--cache-dir', cacheDir]);
+
+      const args = ['import', file, '--cache-dir', path.join(tempDir, 'other'), '--pick-output'];
+      const result = await runCacheCommand(args);
+      expect(result.warnings).to.have.lengthOf(1);
+      expect(console.warn.calledOnce).to.be.true;
+
+      let error;
+      try {
+        await runCacheCommand([...args, '--strict']);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.include('does not match the current options');
+    });
+
+    it('should reject unknown commands and warm without a variants file', async () => {
+      for (const args of [['compact'], ['warm', '--cache-dir', cacheDir]]) {
+        let error;
+        try {
+          await runCacheCommand(args);
+        } catch (e) {
+          error = e;
+        }
+        expect(error, args.join(' ')).to.be.an('error');
+      }
+    });
+  });
+});
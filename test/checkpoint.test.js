@@ -0,0 +1,132 @@
+// test/checkpoint.test.js
+
+const chai = require('chai');
+const expect = chai.expect;
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CheckpointManager, runCheckpointedChunks } = require('../src/checkpoint');
+const { analyzeVariant } = require('../src/variantLinkerCore');
+const apiConfig = require('../config/apiConfig.json');
+
+describe('checkpoint', () => {
+  let tempDir;
+  const variants = ['1-100-A-G', '1-200-C-T', '1-300-G-A', '1-400-T-C', '1-500-A-T'];
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'variant-linker-checkpoint-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const createManager = (options = {}) =>
+    new CheckpointManager({ directory: tempDir, variants, chunkSize: 2, options });
+
+  describe('CheckpointManager', () => {
+    it('should persist chunks and a manifest and restore them in a new instance', () => {
+      const first = createManager();
+      first.saveChunk(0, variants.slice(0, 2), { annotationData: [{ variantKey: '1-100-A-G' }] });
+
+      const manifest = JSON.parse(fs.readFileSync(first.manifestPath, 'utf8'));
+      expect(manifest.totalChunks).to.equal(3);
+      expect(manifest.completedChunks).to.have.all.keys('0');
+
+      const second = createManager();
+      expect(second.getCompletedChunk(0, variants.slice(0, 2))).to.deep.equal({
+        annotationData: [{ variantKey: '1-100-A-G' }],
+        failedVariants: [],
+      });
+      expect(second.getCompletedChunk(1, variants.slice(2, 4))).to.be.null;
+      expect(second.getSummary()).to.include({ completedChunks: 1, resumedChunks: 1 });
+    });
+
+    it('should start a separate run when the options change', () => {
+      const first = createManager({ vepOptions: { CADD: '1' } });
+      first.saveChunk(0, variants.slice(0, 2), { annotationData: [] });
+
+      const second = createManager({ vepOptions: { CADD: '0' } });
+      expect(second.runDir).to.not.equal(first.runDir);
+      expect(second.getCompletedChunk(0, variants.slice(0, 2))).to.be.null;
+    });
+
+    it('should not restore a chunk whose variants differ', () => {
+      const manager = createManager();
+      manager.saveChunk(0, variants.slice(0, 2), { annotationData: [] });
+      expect(manager.getCompletedChunk(0, ['1-999-A-G', '1-200-C-T'])).to.be.null;
+    });
+  });
+
+  describe('runCheckpointedChunks()', () => {
+    it('should skip completed chunks and keep results in input order', async () => {
+      const annotate = sinon.stub().callsFake(async (chunk) => ({
+        annotationData: chunk.map((v) => ({ v })),
+        failedVariants: [],
+      }));
+      const first = createManager();
+      first.saveChunk(1, variants.slice(2, 4), {
+        annotationData: [{ v: 'restored-1' }],
+        failedVariants: [{ input: '1-400-T-C', stage: 'parse', message: 'bad' }],
+      });
+
+      const results = await runCheckpointedChunks(variants, createManager(), annotate);
+
+      expect(annotate.callCount).to.equal(2);
+      expect(results.annotationData.map((r) => r.v)).to.deep.equal([
+        '1-100-A-G',
+        '1-200-C-T',
+        'restored-1',
+        '1-500-A-T',
+      ]);
+      expect(results.failedVariants).to.deep.equal([
+        { input: '1-400-T-C', stage: 'parse', message: 'bad' },
+      ]);
+    });
+  });
+
+  describe('analyzeVariant with checkpointDir', () => {
+    it('should resume a failed run without re-annotating completed chunks', async () => {
+      const chunkSize = apiConfig.ensembl.vepPostChunkSize || 200;
+      const manyVariants = Array.from({ length: chunkSize * 2 + 5 }, (_, i) => `1-${i + 1}-A-G`);
+      let failSecondChunk = true;
+      const source = {
+        name: 'fake',
+        annotateRegions: sinon.stub().callsFake(async (chunk) => {
+          if (failSecondChunk && chunk[0] === `1 ${chunkSize + 1} . A G . . .`) {
+            throw new Error('Simulated network failure');
+          }
+          return chunk.map((input) => ({ input, most_severe_consequence: 'missense_variant' }));
+        }),
+      };
+      const params = () => ({
+        variants: manyVariants,
+        recoderOptions: {},
+        vepOptions: {},
+        cache: false,
+        output: 'JSON',
+        annotationSource: source,
+        checkpointDir: tempDir,
+      });
+
+      try {
+        await analyzeVariant(params());
+        expect.fail('Expected the first run to fail');
+      } catch (error) {
+        expect(error.message).to.include('Simulated network failure');
+      }
+      expect(source.annotateRegions.callCount).to.equal(2);
+
+      failSecondChunk = false;
+      source.annotateRegions.resetHistory();
+      const result = await analyzeVariant(params());
+
+      // Only the failed and the remaining chunk are annotated again
+      expect(source.annotateRegions.callCount).to.equal(2);
+      expect(result.annotationData).to.have.lengthOf(manyVariants.length);
+      expect(result.annotationData.map((a) => a.variantKey)).to.deep.equal(manyVariants);
+      expect(result.meta.checkpoint).to.include({ totalChunks: 3, resumedChunks: 1 });
+    });
+  });
+});
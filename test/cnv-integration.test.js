@@ -6,8 +6,10 @@
 const { expect } = require('chai');
 const sinon = require('sinon');
 const nock = require('nock');
+const path = require('path');
 const { analyzeVariant } = require('../src/variantLinkerCore');
 const { getDefaultColumnConfig } = require('../src/dataExtractor');
+const { readVariantsFromVcf } = require('../src/vcfReader');
 
 describe('CNV Integration Tests', () => {
   let sandbox;
@@ -46,6 +48,13 @@ describe('CNV Integration Tests', () => {
       expect(detectInputFormat('22:10000-20000:cnv')).to.equal('CNV');
     });
 
+    it('should detect CNVs on the mitochondrion and non-primary contigs', () => {
+      expect(detectInputFormat('MT:3001-3100:DEL')).to.equal('CNV');
+      expect(detectInputFormat('chrM:3001-3100:DEL')).to.equal('CNV');
+      expect(detectInputFormat('GL000220.1:1000-5000:DUP')).to.equal('CNV');
+      expect(detectInputFormat('chrUn_KI270742v1:1000-5000:CNV')).to.equal('CNV');
+    });
+
     it('should not detect invalid CNV formats', () => {
       expect(detectInputFormat('7:117559600-117559609:INVALID')).to.equal('HGVS');
       expect(detectInputFormat('7-117559600-117559609-DEL')).to.equal('HGVS');
@@ -165,6 +174,7 @@ describe('CNV Integration Tests', () => {
       const mockRecoderResponse = [
         {
           rs6025: {
+            input: 'rs6025',
             vcf_string: ['5-169557518-G-A'],
           },
         },
@@ -174,6 +184,7 @@ describe('CNV Integration Tests', () => {
       const mockVepResponse = [
         // Response for SNV (5-169557518-G-A formatted as VEP)
         {
+          input: '5 169557518 . G A . . .',
           seq_region_name: '5',
           start: 169557518,
           end: 169557518,
@@ -190,6 +201,7 @@ describe('CNV Integration Tests', () => {
         },
         // Response for CNV
         {
+          input: '1 1000 5000 deletion 1',
           seq_region_name: '1',
           start: 1000,
           end: 5000,
@@ -401,4 +413,73 @@ describe('CNV Integration Tests', () => {
       expect(result.annotationData[0].input).to.equal('7 117559600 117559609 CNV 1');
     });
   });
+
+  describe('Structural variants from VCF input', () => {
+    const svDir = path.join(__dirname, 'fixtures', 'sv');
+
+    const analyzeSvVcf = async (output) => {
+      const vcfPath = path.join(svDir, 'structural_variants.vcf');
+      const vcfData = await readVariantsFromVcf(vcfPath);
+      return analyzeVariant({
+        variants: vcfData.variantsToProcess,
+        vcfInput: vcfPath,
+        vcfRecordMap: vcfData.vcfRecordMap,
+        vcfHeaderLines: vcfData.headerLines,
+        samples: vcfData.samples,
+        output,
+        vepOptions: {},
+        recoderOptions: {},
+        cache: false,
+        annotationSource: 'vep-json',
+        vepJsonPath: path.join(svDir, 'structural_variants_vep.json'),
+      });
+    };
+
+    it('should annotate symbolic alleles with the CNV region format', async () => {
+      const result = await analyzeSvVcf('JSON');
+
+      const byKey = new Map(result.annotationData.map((a) => [a.variantKey, a]));
+      expect(byKey.get('1:1001-2000:DEL')).to.include({
+        inputFormat: 'CNV',
+        input: '1 1001 2000 deletion 1',
+        most_severe_consequence: 'transcript_ablation',
+      });
+      expect(byKey.get('2:5001-5500:DUP').input).to.equal('2 5001 5500 duplication 1');
+      expect(byKey.get('MT:3001-3100:DEL').input).to.equal('MT 3001 3100 deletion 1');
+      expect(byKey.get('1-65568-A-C').inputFormat).to.equal('VCF');
+      expect(result.annotationData.map((a) => a.variantKey)).to.deep.equal([
+        '1:1001-2000:DEL',
+        '1-65568-A-C',
+        '2:5001-5500:DUP',
+        'MT:3001-3100:DEL',
+      ]);
+    });
+
+    it('should report breakends as failed instead of annotating them as 1-bp CNVs', async () => {
+      const result = await analyzeSvVcf('JSON');
+
+      expect(result.meta.failedVariants).to.have.lengthOf(1);
+      expect(result.meta.failedVariants[0]).to.include({
+        input: '2:9000-9000:BND',
+        stage: 'parse',
+      });
+      expect(result.meta.failedVariants[0].message).to.include('Breakend');
+    });
+
+    it('should keep symbolic ALT alleles and add VL_CSQ in VCF output', async () => {
+      const output = await analyzeSvVcf('VCF');
+      const dataLines = output.split('\n').filter((line) => line && !line.startsWith('#'));
+
+      const delFields = dataLines[0].split('\t');
+      expect(delFields.slice(0, 5)).to.deep.equal(['1', '1000', 'sv1', 'N', '<DEL>']);
+      expect(delFields[7]).to.include('SVTYPE=DEL;END=2000');
+      expect(delFields[7]).to.match(/VL_CSQ=[^|]*\|transcript_ablation\|HIGH\|WASH7P/);
+
+      const dupFields = dataLines[2].split('\t');
+      expect(dupFields[4]).to.equal('<DUP:TANDEM>');
+      expect(dupFields[7]).to.include('transcript_amplification');
+
+      expect(dataLines[3].split('\t')[4]).to.equal('G]17:198982]');
+    });
+  });
 });
@@ -0,0 +1,99 @@
+// test/concurrency.test.js
+
+const chai = require('chai');
+const expect = chai.expect;
+const sinon = require('sinon');
+const { mapWithConcurrency, resolveMaxConcurrentRequests } = require('../src/utils/concurrency');
+const vepRegionsAnnotation = require('../src/vepRegionsAnnotation');
+const apiConfig = require('../config/apiConfig.json');
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('utils/concurrency', () => {
+  describe('resolveMaxConcurrentRequests()', () => {
+    it('should prefer an explicitly requested limit', () => {
+      expect(resolveMaxConcurrentRequests(4)).to.equal(4);
+    });
+
+    it('should fall back to apiConfig.json', () => {
+      expect(resolveMaxConcurrentRequests()).to.equal(apiConfig.requests.maxConcurrentRequests);
+    });
+
+    it('should fall back to 1 for invalid values', () => {
+      expect(resolveMaxConcurrentRequests(0)).to.equal(1);
+      expect(resolveMaxConcurrentRequests(2.5)).to.equal(1);
+      expect(resolveMaxConcurrentRequests('abc')).to.equal(1);
+    });
+  });
+
+  describe('mapWithConcurrency()', () => {
+    it('should keep results in input order when calls finish out of order', async () => {
+      const results = await mapWithConcurrency([30, 5, 15], 3, async (ms, index) => {
+        await delay(ms);
+        return `${index}:${ms}`;
+      });
+      expect(results).to.deep.equal(['0:30', '1:5', '2:15']);
+    });
+
+    it('should never exceed the concurrency limit', async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      await mapWithConcurrency([1, 2, 3, 4, 5, 6], 2, async () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await delay(5);
+        inFlight--;
+      });
+      expect(maxInFlight).to.equal(2);
+    });
+
+    it('should reject with the first error and stop starting new calls', async () => {
+      const started = [];
+      try {
+        await mapWithConcurrency([0, 1, 2, 3], 1, async (item) => {
+          started.push(item);
+          if (item === 1) throw new Error('chunk failed');
+          return item;
+        });
+        expect.fail('Expected mapWithConcurrency to reject');
+      } catch (error) {
+        expect(error.message).to.equal('chunk failed');
+      }
+      expect(started).to.deep.equal([0, 1]);
+    });
+
+    it('should resolve to an empty array for no items', async () => {
+      expect(await mapWithConcurrency([], 4, async () => 1)).to.deep.equal([]);
+    });
+  });
+
+  describe('concurrent chunk dispatch in vepRegionsAnnotation', () => {
+    it('should merge concurrently annotated chunks in input order', async () => {
+      const chunkSize = apiConfig.ensembl.vepPostChunkSize || 200;
+      const variants = Array.from(
+        { length: chunkSize * 2 + 1 },
+        (_, i) => `1 ${i + 1} . A G . . .`
+      );
+      const fakeSource = {
+        name: 'fake',
+        // The first chunk is the slowest so results arrive out of order
+        annotateRegions: sinon.stub().callsFake(async (chunk) => {
+          await delay(chunk[0] === variants[0] ? 20 : 1);
+          return chunk.map((input) => ({ input }));
+        }),
+      };
+
+      const results = await vepRegionsAnnotation(
+        variants,
+        {},
+        {
+          annotationSource: fakeSource,
+          maxConcurrentRequests: 3,
+        }
+      );
+
+      expect(fakeSource.annotateRegions.callCount).to.equal(3);
+      expect(results.map((r) => r.input)).to.deep.equal(variants);
+    });
+  });
+});
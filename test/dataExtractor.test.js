@@ -7,6 +7,7 @@
 const { expect } = require('chai');
 const {
   extractField,
+  expandFamilyAnnotations,
   flattenAnnotationData,
   formatToTabular,
   formatVcfCsqString,
@@ -175,6 +176,37 @@ describe('dataExtractor', () => {
     });
   });
 
+  describe('expandFamilyAnnotations', () => {
+    it('should return one annotation per family with its own inheritance result', () => {
+      const annotation = {
+        input: '6-6000100-A-G',
+        deducedInheritancePattern: {
+          families: {
+            FAM1: { familyId: 'FAM1', indexSampleId: 'P1', prioritizedPattern: 'de_novo' },
+            FAM2: { familyId: 'FAM2', indexSampleId: 'P2', prioritizedPattern: 'reference' },
+          },
+        },
+      };
+
+      const expanded = expandFamilyAnnotations(annotation);
+
+      expect(expanded).to.have.lengthOf(2);
+      expect(expanded[0].input).to.equal('6-6000100-A-G');
+      expect(expanded[0].deducedInheritancePattern.familyId).to.equal('FAM1');
+      expect(expanded[1].deducedInheritancePattern.prioritizedPattern).to.equal('reference');
+    });
+
+    it('should keep annotations without per-family results unchanged', () => {
+      const annotation = {
+        input: 'rs1',
+        deducedInheritancePattern: { prioritizedPattern: 'de_novo' },
+      };
+      expect(expandFamilyAnnotations(annotation)).to.deep.equal([annotation]);
+      const noFamilies = { input: 'rs2', deducedInheritancePattern: { families: {} } };
+      expect(expandFamilyAnnotations(noFamilies)).to.deep.equal([noFamilies]);
+    });
+  });
+
   describe('formatToTabular', () => {
     const testRows = [
       { Col1: 'value1', Col2: 'value2', Col3: 'value3' },
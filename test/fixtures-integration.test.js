@@ -8,6 +8,7 @@ const fs = require('fs');
 const path = require('path');
 const { expect } = require('chai');
 const { analyzeVariant } = require('../src/variantLinkerCore');
+const { useHttpSession } = require('./helpers');
 
 // Set timeout for all tests in this suite - defined in mocharc.json
 describe('Fixture-based output format integration tests', function () {
@@ -15,6 +16,9 @@ describe('Fixture-based output format integration tests', function () {
   // eslint-disable-next-line no-invalid-this
   this.timeout(process.env.CI ? 240000 : 60000);
 
+  // Replays test/fixtures/http-sessions/fixtures-integration when recorded (offline run)
+  useHttpSession('fixtures-integration');
+
   // Helper function to retry API calls that might fail temporarily
   async function retryApiCall(apiCall, maxRetries = 2, retryDelay = 2000) {
     let lastError;
@@ -26,6 +30,10 @@ describe('Fixture-based output format integration tests', function () {
       } catch (error) {
         // Store the error in case all retries fail
         lastError = error;
+        if (error.code === 'HTTP_REPLAY_MISS') {
+          // A request missing from a recorded session will not appear on retry
+          throw error;
+        }
 
         // Log the retry attempt
         console.log(`API call failed (attempt ${attempt + 1}/${maxRetries + 1}): ${error.message}`);
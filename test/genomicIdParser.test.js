@@ -0,0 +1,94 @@
+// test/genomicIdParser.test.js
+
+const { expect } = require('chai');
+const { detectGenomicIdFormat, normalizeGenomicId } = require('../src/genomicIdParser');
+
+describe('genomicIdParser', () => {
+  describe('detectGenomicIdFormat()', () => {
+    it('should detect SPDI on RefSeq accessions', () => {
+      expect(detectGenomicIdFormat('NC_000017.11:43057062:C:T')).to.equal('SPDI');
+      expect(detectGenomicIdFormat('NC_000001.11:100:AG:')).to.equal('SPDI');
+      expect(detectGenomicIdFormat('NM_007294.4:100:1:T')).to.equal('SPDI');
+    });
+
+    it('should detect gnomAD-style IDs with mixed separators', () => {
+      expect(detectGenomicIdFormat('17:43057062:C:T')).to.equal('GNOMAD');
+      expect(detectGenomicIdFormat('chr17:43057062-C-T')).to.equal('GNOMAD');
+      expect(detectGenomicIdFormat('17_43057062_C_T')).to.equal('GNOMAD');
+      expect(detectGenomicIdFormat('X:100:A:G')).to.equal('GNOMAD');
+      expect(detectGenomicIdFormat('MT-100-A-G')).to.equal('GNOMAD');
+    });
+
+    it('should detect ClinVar-style genomic substitutions', () => {
+      expect(detectGenomicIdFormat('chr17:g.43057062C>T')).to.equal('CLINVAR');
+      expect(detectGenomicIdFormat('17:g.43057062C>T')).to.equal('CLINVAR');
+    });
+
+    it('should return null for other notations', () => {
+      expect(detectGenomicIdFormat('rs6025')).to.be.null;
+      expect(detectGenomicIdFormat('ENST00000366667:c.803C>T')).to.be.null;
+      expect(detectGenomicIdFormat('NC_000017.11:g.43057062C>T')).to.be.null;
+      expect(detectGenomicIdFormat('17:g.43057062_43057063del')).to.be.null;
+      expect(detectGenomicIdFormat('')).to.be.null;
+    });
+  });
+
+  describe('normalizeGenomicId()', () => {
+    it('should convert 0-based SPDI positions to VCF keys', () => {
+      expect(normalizeGenomicId('NC_000017.11:43057062:C:T', 'SPDI')).to.equal('17-43057063-C-T');
+      expect(normalizeGenomicId('NC_000023.11:99:ag:a', 'SPDI')).to.equal('X-100-AG-A');
+      expect(normalizeGenomicId('NC_012920.1:72:T:C', 'SPDI')).to.equal('MT-73-T-C');
+    });
+
+    it('should return null for SPDI that needs the reference sequence or recoder', () => {
+      expect(normalizeGenomicId('NC_000017.11:43057062:C:', 'SPDI')).to.be.null;
+      expect(normalizeGenomicId('NC_000017.11:43057062::T', 'SPDI')).to.be.null;
+      expect(normalizeGenomicId('NC_000017.11:43057062:1:T', 'SPDI')).to.be.null;
+      expect(normalizeGenomicId('NM_007294.4:100:C:T', 'SPDI')).to.be.null;
+    });
+
+    it('should accept SPDI accession versions of the target assembly', () => {
+      const grch37 = { assembly: 'GRCh37' };
+      const grch38 = { assembly: 'GRCh38' };
+      expect(normalizeGenomicId('NC_000017.10:41245465:G:A', 'SPDI', grch37)).to.equal(
+        '17-41245466-G-A'
+      );
+      expect(normalizeGenomicId('NC_000005.9:100:C:T', 'SPDI', grch37)).to.equal('5-101-C-T');
+      expect(normalizeGenomicId('NC_000005.10:100:C:T', 'SPDI', grch38)).to.equal('5-101-C-T');
+      expect(normalizeGenomicId('NC_012920.1:72:T:C', 'SPDI', grch37)).to.equal('MT-73-T-C');
+      expect(normalizeGenomicId('NC_000017:43057062:C:T', 'SPDI', grch37)).to.equal(
+        '17-43057063-C-T'
+      );
+    });
+
+    it('should reject SPDI accession versions of the other assembly', () => {
+      expect(() =>
+        normalizeGenomicId('NC_000017.10:41245465:G:A', 'SPDI', { assembly: 'GRCh38' })
+      ).to.throw('NC_000017.10 is a GRCh37 accession, but variants are annotated on GRCh38');
+      expect(() =>
+        normalizeGenomicId('NC_000001.11:100:C:T', 'SPDI', { assembly: 'GRCh37' })
+      ).to.throw('NC_000001.11 is a GRCh38 accession');
+    });
+
+    it('should leave SPDI on accession versions of neither assembly to Variant Recoder', () => {
+      expect(normalizeGenomicId('NC_000017.9:100:C:T', 'SPDI', { assembly: 'GRCh38' })).to.be.null;
+    });
+
+    it('should write the mitochondrial chromosome as MT', () => {
+      expect(normalizeGenomicId('chrM:73:T:C', 'GNOMAD')).to.equal('MT-73-T-C');
+      expect(normalizeGenomicId('M-73-T-C', 'GNOMAD')).to.equal('MT-73-T-C');
+      expect(normalizeGenomicId('chrM:g.73T>C', 'CLINVAR')).to.equal('MT-73-T-C');
+    });
+
+    it('should normalise gnomAD- and ClinVar-style IDs', () => {
+      expect(normalizeGenomicId('chr17:43057062:c:t', 'GNOMAD')).to.equal('17-43057062-C-T');
+      expect(normalizeGenomicId('17_43057062_CA_C', 'GNOMAD')).to.equal('17-43057062-CA-C');
+      expect(normalizeGenomicId('chr17:g.43057062C>T', 'CLINVAR')).to.equal('17-43057062-C-T');
+    });
+
+    it('should return null when the variant does not match the format', () => {
+      expect(normalizeGenomicId('rs6025', 'GNOMAD')).to.be.null;
+      expect(normalizeGenomicId('17:43057062:C:T', 'UNKNOWN')).to.be.null;
+    });
+  });
+});
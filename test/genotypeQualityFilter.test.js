@@ -0,0 +1,87 @@
+// test/genotypeQualityFilter.test.js
+'use strict';
+
+const { expect } = require('chai');
+
+const {
+  hasGenotypeQualityThresholds,
+  getGenotypeQualityFailures,
+  applyGenotypeQualityFilters,
+} = require('../src/inheritance/genotypeQualityFilter');
+
+describe('Genotype Quality Filter', () => {
+  const thresholds = { minGq: 20, minDp: 10, minAb: 0.2 };
+
+  describe('hasGenotypeQualityThresholds', () => {
+    it('should detect whether any threshold is set', () => {
+      expect(hasGenotypeQualityThresholds(thresholds)).to.be.true;
+      expect(hasGenotypeQualityThresholds({ minAb: 0.25 })).to.be.true;
+      expect(hasGenotypeQualityThresholds({ minGq: undefined })).to.be.false;
+      expect(hasGenotypeQualityThresholds(undefined)).to.be.false;
+    });
+  });
+
+  describe('getGenotypeQualityFailures', () => {
+    it('should report GQ and DP below the thresholds', () => {
+      expect(getGenotypeQualityFailures('0/0', { GQ: 8, DP: 4 }, thresholds)).to.deep.equal([
+        'GQ 8 < 20',
+        'DP 4 < 10',
+      ]);
+      expect(getGenotypeQualityFailures('0/0', { GQ: 99, DP: 30 }, thresholds)).to.be.empty;
+    });
+
+    it('should use the sum of AD as depth without DP', () => {
+      expect(getGenotypeQualityFailures('0/0', { AD: [3, 1] }, thresholds)).to.deep.equal([
+        'DP 4 < 10',
+      ]);
+    });
+
+    it('should check the allele balance of heterozygous calls only', () => {
+      expect(getGenotypeQualityFailures('0/1', { AD: [37, 3] }, thresholds)).to.deep.equal([
+        'AB 0.075 outside 0.2-0.8',
+      ]);
+      expect(getGenotypeQualityFailures('0|1', { AD: [3, 37] }, thresholds)).to.have.lengthOf(1);
+      expect(getGenotypeQualityFailures('0/1', { AD: [15, 15] }, thresholds)).to.be.empty;
+      expect(getGenotypeQualityFailures('1/1', { AD: [0, 30] }, thresholds)).to.be.empty;
+      // The balance of 0/2 is taken from the depth of the second ALT allele
+      expect(getGenotypeQualityFailures('0/2', { AD: [14, 1, 15] }, thresholds)).to.be.empty;
+    });
+
+    it('should never fail missing calls or calls without the fields', () => {
+      expect(getGenotypeQualityFailures('./.', { GQ: 0, DP: 0 }, thresholds)).to.be.empty;
+      expect(getGenotypeQualityFailures('0/1', {}, thresholds)).to.be.empty;
+      expect(getGenotypeQualityFailures('0/1', undefined, thresholds)).to.be.empty;
+    });
+  });
+
+  describe('applyGenotypeQualityFilters', () => {
+    const genotypes = new Map([
+      ['PROBAND', '0/1'],
+      ['FATHER', '0/0'],
+      ['MOTHER', '0/0'],
+    ]);
+    const sampleFields = new Map([
+      ['PROBAND', { GQ: 99, DP: 30, AD: [15, 15] }],
+      ['FATHER', { GQ: 8, DP: 4, AD: [4, 0] }],
+      ['MOTHER', { GQ: 99, DP: 35, AD: [35, 0] }],
+    ]);
+
+    it('should mask failing calls as missing and list the reasons', () => {
+      const result = applyGenotypeQualityFilters(genotypes, sampleFields, thresholds);
+
+      expect(result.genotypes.get('FATHER')).to.equal('./.');
+      expect(result.genotypes.get('PROBAND')).to.equal('0/1');
+      expect(result.filtered).to.deep.equal({ FATHER: ['GQ 8 < 20', 'DP 4 < 10'] });
+      expect(genotypes.get('FATHER')).to.equal('0/0'); // input is not modified
+    });
+
+    it('should return the genotypes unchanged without thresholds or quality fields', () => {
+      expect(applyGenotypeQualityFilters(genotypes, sampleFields, {}).genotypes).to.equal(
+        genotypes
+      );
+      expect(applyGenotypeQualityFilters(genotypes, undefined, thresholds).filtered).to.deep.equal(
+        {}
+      );
+    });
+  });
+});
@@ -7,6 +7,8 @@ const expect = chai.expect;
 const nock = require('nock');
 const apiConfig = require('../config/apiConfig.json');
 const fs = require('fs');
+const path = require('path');
+const { configureHttpRecorder } = require('../src/httpRecorder');
 
 /**
  * Standard mock responses for common API endpoints
@@ -491,6 +493,28 @@ function transformBaselineToVepJson(consequences, variantKey) {
   return Array.from(annotationMap.values());
 }
 
+/**
+ * Runs the API requests of the enclosing describe block against a recorded HTTP session in
+ * test/fixtures/http-sessions/<name>, if one exists. With RECORD_HTTP_SESSIONS=1 the session
+ * is (re-)recorded from the live API instead. Call inside a describe block.
+ * @param {string} name - Session name
+ * @returns {string|null} 'record', 'replay' or null (live API)
+ */
+function useHttpSession(name) {
+  const directory = path.join(__dirname, 'fixtures', 'http-sessions', name);
+  let mode = null;
+  if (process.env.RECORD_HTTP_SESSIONS) {
+    mode = 'record';
+  } else if (fs.existsSync(path.join(directory, 'session.json'))) {
+    mode = 'replay';
+  }
+  if (mode) {
+    before(() => configureHttpRecorder({ mode, directory }));
+    after(() => configureHttpRecorder());
+  }
+  return mode;
+}
+
 module.exports = {
   expect,
   mockResponses,
@@ -500,6 +524,7 @@ module.exports = {
   parseVepWebOutput,
   transformBaselineToVepJson,
   findVepDataForVariant,
+  useHttpSession,
   // Export variant format constants for direct use in tests
   vcfVariant,
   hgvsVariant,
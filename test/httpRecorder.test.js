@@ -0,0 +1,154 @@
+// test/httpRecorder.test.js
+
+'use strict';
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nock = require('nock');
+const { HttpRecorder, configureHttpRecorder, getHttpRecorder } = require('../src/httpRecorder');
+const { fetchApi, getApiBaseUrl } = require('../src/apiHelper');
+const { resolveApiProfile } = require('../src/apiProfiles');
+const { analyzeVariant } = require('../src/variantLinkerCore');
+
+describe('httpRecorder', () => {
+  const apiBaseUrl = getApiBaseUrl();
+  const endpoint = '/vep/homo_sapiens/region';
+  const body = { variants: ['1 65568 . A C . . .'] };
+  let sessionDir;
+
+  beforeEach(() => {
+    sessionDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'variant-linker-http-')), 's');
+  });
+
+  afterEach(() => {
+    configureHttpRecorder();
+    nock.cleanAll();
+    nock.enableNetConnect();
+    fs.rmSync(path.dirname(sessionDir), { recursive: true, force: true });
+  });
+
+  describe('HttpRecorder', () => {
+    it('should reject unknown modes and replay directories without a session', () => {
+      expect(() => new HttpRecorder({ mode: 'proxy', directory: sessionDir })).to.throw(
+        'Unknown HTTP recorder mode'
+      );
+      expect(() => new HttpRecorder({ mode: 'replay', directory: sessionDir })).to.throw(
+        'No recorded HTTP session found'
+      );
+    });
+
+    it('should key requests by method, URL and body hash', () => {
+      const recorder = new HttpRecorder({ mode: 'record', directory: sessionDir });
+      const post = recorder.describeRequest('post', 'https://x.org/a', body);
+      expect(post.method).to.equal('POST');
+      expect(post.bodyHash).to.match(/^[0-9a-f]{64}$/);
+      expect(
+        recorder.describeRequest('POST', 'https://x.org/a', { variants: [] }).file
+      ).to.not.equal(post.file);
+      expect(recorder.describeRequest('GET', 'https://x.org/a', null).bodyHash).to.be.null;
+    });
+  });
+
+  describe('fetchApi with an HTTP session', () => {
+    it('should record responses and replay them without network access', async () => {
+      const response = [{ input: body.variants[0], most_severe_consequence: 'missense_variant' }];
+      nock(apiBaseUrl).post(endpoint, body).reply(200, response);
+      nock(apiBaseUrl)
+        .get('/info/data')
+        .reply(200, { releases: [113] });
+
+      configureHttpRecorder({ mode: 'record', directory: sessionDir });
+      await fetchApi(endpoint, {}, false, 'POST', body);
+      await fetchApi('/info/data');
+      expect(getHttpRecorder().getStats()).to.include({ mode: 'record', recorded: 2 });
+
+      const session = JSON.parse(fs.readFileSync(path.join(sessionDir, 'session.json'), 'utf8'));
+      expect(session.formatVersion).to.equal(HttpRecorder.SESSION_FORMAT_VERSION);
+      const entries = fs
+        .readdirSync(sessionDir)
+        .filter((file) => file !== 'session.json')
+        .map((file) => JSON.parse(fs.readFileSync(path.join(sessionDir, file), 'utf8')));
+      expect(entries.map((entry) => entry.method).sort()).to.deep.equal(['GET', 'POST']);
+      expect(entries.find((entry) => entry.method === 'POST')).to.include({
+        url: `${apiBaseUrl}${endpoint}`,
+        status: 200,
+      });
+
+      nock.cleanAll();
+      nock.disableNetConnect();
+      configureHttpRecorder({ mode: 'replay', directory: sessionDir });
+      expect(await fetchApi(endpoint, {}, true, 'POST', body)).to.deep.equal(response);
+      expect(await fetchApi('/info/data')).to.deep.equal({ releases: [113] });
+      expect(getHttpRecorder().getStats().replayed).to.equal(2);
+    });
+
+    it('should replay recorded error responses as errors', async () => {
+      const profile = resolveApiProfile({ retry: { maxRetries: 0 } });
+      nock(apiBaseUrl).get('/vep/homo_sapiens/hgvs/bad').reply(400, { error: 'Invalid HGVS' });
+      configureHttpRecorder({ mode: 'record', directory: sessionDir });
+      let recordedError;
+      try {
+        await fetchApi('/vep/homo_sapiens/hgvs/bad', {}, { apiProfile: profile });
+      } catch (e) {
+        recordedError = e;
+      }
+      expect(recordedError.response.status).to.equal(400);
+
+      configureHttpRecorder({ mode: 'replay', directory: sessionDir });
+      let replayedError;
+      try {
+        await fetchApi('/vep/homo_sapiens/hgvs/bad', {}, { apiProfile: profile });
+      } catch (e) {
+        replayedError = e;
+      }
+      expect(replayedError.message).to.equal(recordedError.message);
+      expect(replayedError.response).to.deep.include({
+        status: 400,
+        data: { error: 'Invalid HGVS' },
+      });
+    });
+
+    it('should reproduce an analysis from a recorded session', async () => {
+      const response = [
+        {
+          input: '1 65568 . A C . . .',
+          seq_region_name: '1',
+          start: 65568,
+          end: 65568,
+          allele_string: 'A/C',
+          most_severe_consequence: 'missense_variant',
+          transcript_consequences: [{ transcript_id: 'ENST1', impact: 'MODERATE' }],
+        },
+      ];
+      nock(apiBaseUrl).post(endpoint).reply(200, response);
+      const params = () => ({ variants: ['1-65568-A-C'], vepOptions: {}, output: 'JSON' });
+
+      configureHttpRecorder({ mode: 'record', directory: sessionDir });
+      const recorded = await analyzeVariant({ ...params(), cache: true });
+      expect(recorded.meta.stepsPerformed).to.include(`Recording API responses to ${sessionDir}`);
+
+      nock.cleanAll();
+      nock.disableNetConnect();
+      configureHttpRecorder({ mode: 'replay', directory: sessionDir });
+      const replayed = await analyzeVariant(params());
+      expect(replayed.annotationData).to.deep.equal(recorded.annotationData);
+    });
+
+    it('should fail loudly on a request missing from the session', async () => {
+      configureHttpRecorder({ mode: 'record', directory: sessionDir });
+      configureHttpRecorder({ mode: 'replay', directory: sessionDir });
+      nock.disableNetConnect();
+
+      let error;
+      try {
+        await fetchApi(endpoint, {}, false, 'POST', body);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).to.equal('HTTP_REPLAY_MISS');
+      expect(error.message).to.include(`No recorded response for POST ${apiBaseUrl}${endpoint}`);
+    });
+  });
+});
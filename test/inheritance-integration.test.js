@@ -8,6 +8,8 @@ const sinon = require('sinon');
 
 // --- Functions/Modules under test ---
 const { analyzeVariant } = require('../src/variantLinkerCore');
+const { filterAndFormatResults } = require('../src/variantLinkerProcessor');
+const { extractField, getInheritanceColumnConfig } = require('../src/dataExtractor');
 const { readPedigree } = require('../src/pedReader');
 const { readVariantsFromVcf } = require('../src/vcfReader'); // <-- Import vcfReader
 const apiConfig = require('../config/apiConfig.json');
@@ -88,7 +90,7 @@ describe('Inheritance Analysis Integration Tests', function () {
   });
 
   // --- Helper Function ---
-  async function runInheritanceTest(vcfFileName, pedFileName, expectedPatterns) {
+  async function runInheritanceTest(vcfFileName, pedFileName, expectedPatterns, extraParams = {}) {
     const vcfPath = path.join(fixtureBasePath, vcfFileName);
     const pedPath = path.join(fixtureBasePath, pedFileName);
 
@@ -115,6 +117,7 @@ describe('Inheritance Analysis Integration Tests', function () {
       cache: false, // Disable cache for tests
       vepOptions: {}, // Mocked, so options don't matter much
       recoderOptions: {}, // Not used for VCF input
+      ...extraParams,
     };
 
     // 4. Call analyzeVariant
@@ -175,6 +178,7 @@ describe('Inheritance Analysis Integration Tests', function () {
       Object.keys(expectedPatterns).length,
       `Did not find expected patterns for all variants in ${vcfFileName}`
     );
+    return result;
   }
 
   // --- Test Cases ---
@@ -189,6 +193,72 @@ describe('Inheritance Analysis Integration Tests', function () {
     await runInheritanceTest('trio_denovo.vcf', 'trio_denovo.ped', expected);
   });
 
+  it('should treat low-quality genotypes as missing with genotype quality thresholds', async () => {
+    const expected = {
+      '1-1000000-A-G': 'autosomal_dominant', // low GQ/DP paternal 0/0 no longer confirms de novo
+      '2-2000000-C-T': 'de_novo',
+      '3-3000000-G-A': 'unknown_no_affected_with_genotype', // skewed proband allele balance
+    };
+    const result = await runInheritanceTest(
+      'trio_denovo_low_quality.vcf',
+      'trio_denovo_low_quality.ped',
+      expected,
+      { genotypeQuality: { minGq: 20, minDp: 10, minAb: 0.2 } }
+    );
+
+    const byKey = new Map(result.annotationData.map((a) => [a.variantKey, a]));
+    const lowDepth = byKey.get('1-1000000-A-G').deducedInheritancePattern;
+    expect(lowDepth.possiblePatterns).to.not.include('de_novo');
+    expect(lowDepth.segregationStatus).to.not.have.property('de_novo');
+    expect(lowDepth.filteredGenotypes).to.deep.equal({ FATHER: ['GQ 8 < 20', 'DP 4 < 10'] });
+    expect(byKey.get('2-2000000-C-T').deducedInheritancePattern).to.not.have.property(
+      'filteredGenotypes'
+    );
+    expect(result.meta.stepsPerformed).to.include(
+      'Treated 2 low-quality genotype(s) in 2 variant(s) as missing for inheritance analysis.'
+    );
+  });
+
+  it('should keep low-quality genotypes without genotype quality thresholds', async () => {
+    const expected = {
+      '1-1000000-A-G': 'de_novo',
+      '2-2000000-C-T': 'de_novo',
+      '3-3000000-G-A': 'de_novo',
+    };
+    await runInheritanceTest(
+      'trio_denovo_low_quality.vcf',
+      'trio_denovo_low_quality.ped',
+      expected
+    );
+  });
+
+  it('should detect parental and post-zygotic mosaicism with mosaicism thresholds', async () => {
+    const expected = {
+      '1-1000000-A-G': 'parental_mosaic_suspected', // father 0/0 with 3/41 alternate reads
+      '2-2000000-C-T': 'de_novo_mosaic_candidate', // proband with 7/52 alternate reads
+      '3-3000000-G-A': 'de_novo', // a single alternate read in the father
+    };
+    const result = await runInheritanceTest(
+      'trio_denovo_mosaic.vcf',
+      'trio_denovo_mosaic.ped',
+      expected,
+      { mosaicism: { maxProbandVaf: 0.3, minParentalVaf: 0.05 } }
+    );
+
+    expect(result.meta.stepsPerformed).to.include(
+      'Checked de novo calls for mosaicism using allele depths: 2 variant(s) with suspected mosaicism.'
+    );
+  });
+
+  it('should keep de novo calls without mosaicism thresholds', async () => {
+    const expected = {
+      '1-1000000-A-G': 'de_novo',
+      '2-2000000-C-T': 'de_novo',
+      '3-3000000-G-A': 'de_novo',
+    };
+    await runInheritanceTest('trio_denovo_mosaic.vcf', 'trio_denovo_mosaic.ped', expected);
+  });
+
   it('should correctly identify autosomal recessive homozygous variants', async () => {
     // *** FIX: Use hyphenated keys ***
     const expected = {
@@ -340,6 +410,179 @@ describe('Inheritance Analysis Integration Tests', function () {
     );
   });
 
+  it('should confirm compound heterozygous variants phased in trans without parents', async () => {
+    const expected = {
+      '5-5000100-A-G': 'compound_heterozygous',
+      '5-5000200-C-T': 'compound_heterozygous',
+      '5-5000300-G-A': 'compound_heterozygous',
+    };
+    const result = await runInheritanceTest(
+      'comphet_phased_trans.vcf',
+      'comphet_missing_parents.ped',
+      expected
+    );
+
+    const byKey = new Map(result.annotationData.map((a) => [a.variantKey, a]));
+    const details = byKey.get('5-5000100-A-G').deducedInheritancePattern.compHetDetails;
+    expect(details).to.include({ isCandidate: true, phaseSet: 5000100, confirmedByPhase: true });
+    expect(details.transPartnerKeys).to.deep.equal(['5-5000200-C-T']);
+    expect(details.excludedCisPartnerKeys).to.be.empty;
+    // Phase set of its own, so not phased relative to the other variants
+    const otherBlock = byKey.get('5-5000300-G-A').deducedInheritancePattern.compHetDetails;
+    expect(otherBlock.phaseSet).to.equal(5000300);
+    expect(otherBlock.transPartnerKeys).to.be.empty;
+  });
+
+  it('should exclude compound heterozygosity for variants phased in cis', async () => {
+    const expected = {
+      '5-5000100-A-G': 'autosomal_dominant',
+      '5-5000200-C-T': 'autosomal_dominant',
+    };
+    const result = await runInheritanceTest(
+      'comphet_phased_cis.vcf',
+      'comphet_missing_parents.ped',
+      expected
+    );
+
+    for (const annotation of result.annotationData) {
+      const pattern = annotation.deducedInheritancePattern;
+      expect(pattern.prioritizedPattern).to.not.include('compound_heterozygous');
+      expect(pattern.possiblePatterns.join(',')).to.not.include('compound_heterozygous');
+      expect(pattern.compHetDetails).to.include({
+        isCandidate: false,
+        isPossible: false,
+        excludedReason: 'compound_heterozygous_excluded_cis',
+        phaseSet: 5000100,
+      });
+      expect(pattern.compHetDetails.partnerVariantKeys).to.be.empty;
+      expect(pattern.compHetDetails.excludedCisPartnerKeys).to.have.lengthOf(1);
+    }
+  });
+
+  it('should flag a parental compound het call whose variants are phased in cis', async () => {
+    const expected = {
+      '5-5000100-A-G': 'compound_heterozygous',
+      '5-5000200-C-T': 'compound_heterozygous',
+    };
+    const result = await runInheritanceTest(
+      'comphet_phase_conflict.vcf',
+      'trio_comphet.ped',
+      expected
+    );
+
+    const byKey = new Map(result.annotationData.map((a) => [a.variantKey, a]));
+    const details = byKey.get('5-5000100-A-G').deducedInheritancePattern.compHetDetails;
+    expect(details).to.include({ isCandidate: true, phaseConflict: true, confirmedByPhase: false });
+    expect(details.excludedCisPartnerKeys).to.deep.equal(['5-5000200-C-T']);
+    expect(details.partnerVariantKeys).to.deep.equal(['5-5000200-C-T']);
+  });
+
+  it('should add co-segregation likelihoods for an extended family', async () => {
+    const result = await runInheritanceTest('extended_ad_family.vcf', 'extended_ad_family.ped', {
+      '7-7000100-A-G': 'autosomal_dominant',
+    });
+
+    const segregation = result.annotationData[0].deducedInheritancePattern.segregationStatus;
+    // Father and aunt (affected carriers), uncle and sib (unaffected non-carriers)
+    expect(segregation.autosomal_dominant).to.deep.equal({
+      status: 'segregates',
+      model: 'AD',
+      likelihoodRatio: 14.2,
+      lod: 1.152,
+      informativeIndividuals: 4,
+    });
+
+    const column = getInheritanceColumnConfig().find((c) => c.header === 'SegregationStatus');
+    expect(extractField(result.annotationData[0], column)).to.equal(
+      'autosomal_dominant:segregates(LOD=1.152)'
+    );
+  });
+
+  it('should use the configured penetrance and phenocopy rate', async () => {
+    const result = await runInheritanceTest(
+      'extended_ad_family.vcf',
+      'extended_ad_family.ped',
+      { '7-7000100-A-G': 'autosomal_dominant' },
+      { segregationModel: { penetrance: 1, phenocopyRate: 0 } }
+    );
+    const segregation = result.annotationData[0].deducedInheritancePattern.segregationStatus;
+    expect(segregation.autosomal_dominant).to.include({ likelihoodRatio: 16, lod: 1.204 });
+  });
+
+  // --- Multi-Family Cohort Tests ---
+
+  describe('Multi-family cohorts', () => {
+    async function runCohortAnalysis() {
+      const vcfPath = path.join(fixtureBasePath, 'cohort_two_families.vcf');
+      const vcfData = await readVariantsFromVcf(vcfPath);
+      const pedigreeData = await readPedigree(
+        path.join(fixtureBasePath, 'cohort_two_families.ped')
+      );
+      return analyzeVariant({
+        vcfInput: vcfPath,
+        variants: vcfData.variantsToProcess,
+        vcfRecordMap: vcfData.vcfRecordMap,
+        vcfHeaderLines: vcfData.headerLines,
+        pedigreeData,
+        calculateInheritance: true,
+        output: 'JSON',
+        cache: false,
+        vepOptions: {},
+        recoderOptions: {},
+      });
+    }
+
+    it('should analyze inheritance per family with its own index sample', async () => {
+      const result = await runCohortAnalysis();
+      const byKey = new Map(result.annotationData.map((a) => [a.variantKey, a]));
+
+      const first = byKey.get('6-6000100-A-G').deducedInheritancePattern.families;
+      expect(Object.keys(first)).to.have.members(['FAM1', 'FAM2']);
+      expect(first.FAM1).to.include({
+        familyId: 'FAM1',
+        indexSampleId: 'PROBAND1',
+        prioritizedPattern: 'de_novo',
+      });
+      expect(first.FAM2).to.include({ indexSampleId: 'PROBAND2', prioritizedPattern: 'reference' });
+
+      const second = byKey.get('6-6000200-C-T').deducedInheritancePattern.families;
+      expect(second.FAM1.prioritizedPattern).to.equal('reference');
+      expect(second.FAM2.prioritizedPattern).to.equal('autosomal_recessive');
+      expect(result.meta.stepsPerformed).to.include(
+        'Analyzed inheritance separately for 2 families.'
+      );
+    });
+
+    it('should emit one tabular row per family-variant pair with a FamilyID column', async () => {
+      const result = await runCohortAnalysis();
+      const lines = filterAndFormatResults(result, null, 'TSV').split('\n');
+      const header = lines[0].split('\t');
+      const familyIdx = header.indexOf('FamilyID');
+      const patternIdx = header.indexOf('DeducedInheritancePattern');
+      expect(familyIdx).to.be.greaterThan(-1);
+
+      const rows = lines.slice(1).map((line) => line.split('\t'));
+      expect(rows).to.have.lengthOf(4);
+      const deNovoRow = rows.find((row) => row[patternIdx] === 'de_novo');
+      expect(deNovoRow[familyIdx]).to.equal('FAM1');
+      const recessiveRow = rows.find((row) => row[patternIdx] === 'autosomal_recessive');
+      expect(recessiveRow[familyIdx]).to.equal('FAM2');
+    });
+
+    it('should write per-family inheritance INFO fields to VCF output', async () => {
+      const result = await runCohortAnalysis();
+      const vcf = filterAndFormatResults(result, null, 'VCF');
+      expect(vcf).to.include('##INFO=<ID=VL_FAM_INH,');
+      expect(vcf).to.include('##INFO=<ID=VL_FAM_COMPHET,');
+
+      const dataLines = vcf.split('\n').filter((line) => line && !line.startsWith('#'));
+      const info = new Map(dataLines.map((line) => [line.split('\t')[1], line.split('\t')[7]]));
+      expect(info.get('6000100')).to.include('VL_FAM_INH=FAM1|de_novo');
+      expect(info.get('6000200')).to.include('VL_FAM_INH=FAM2|autosomal_recessive');
+      expect(info.get('6000100')).to.not.include('VL_DED_INH=');
+    });
+  });
+
   // --- X-Linked Tests ---
 
   it('should correctly identify X-Linked Recessive (Male Proband)', async () => {
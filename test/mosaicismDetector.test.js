@@ -0,0 +1,111 @@
+// test/mosaicismDetector.test.js
+'use strict';
+
+const { expect } = require('chai');
+
+const {
+  hasMosaicismThresholds,
+  getAltReadFraction,
+  classifyDeNovo,
+} = require('../src/inheritance/mosaicismDetector');
+const { deduceInheritancePatterns } = require('../src/inheritance/patternDeducer');
+
+describe('Mosaicism Detector', () => {
+  const thresholds = { maxProbandVaf: 0.3, minParentalVaf: 0.05 };
+  const genotypes = new Map([
+    ['PROBAND', '0/1'],
+    ['MOTHER', '0/0'],
+    ['FATHER', '0/0'],
+  ]);
+
+  describe('hasMosaicismThresholds', () => {
+    it('should detect whether a VAF threshold is set', () => {
+      expect(hasMosaicismThresholds(thresholds)).to.be.true;
+      expect(hasMosaicismThresholds({ minParentalVaf: 0.05 })).to.be.true;
+      expect(hasMosaicismThresholds({ minAltReads: 3 })).to.be.false;
+      expect(hasMosaicismThresholds(undefined)).to.be.false;
+    });
+  });
+
+  describe('getAltReadFraction', () => {
+    it('should count all alternate reads of a reference call', () => {
+      expect(getAltReadFraction('0/0', [38, 2, 1])).to.deep.equal({
+        altReads: 3,
+        depth: 41,
+        fraction: 3 / 41,
+      });
+    });
+
+    it('should count the reads of the called alternate allele of a heterozygous call', () => {
+      expect(getAltReadFraction('0|2', [30, 5, 10]).fraction).to.equal(0.25);
+    });
+
+    it('should return null without depths or for other calls', () => {
+      expect(getAltReadFraction('0/1', undefined)).to.be.null;
+      expect(getAltReadFraction('1/1', [0, 30])).to.be.null;
+      expect(getAltReadFraction('./.', [10, 2])).to.be.null;
+      expect(getAltReadFraction('0/0', [0, 0])).to.be.null;
+    });
+  });
+
+  describe('classifyDeNovo', () => {
+    const classify = (depths, mosaicThresholds = thresholds) =>
+      classifyDeNovo(genotypes, 'PROBAND', ['MOTHER', 'FATHER'], {
+        alleleDepths: new Map(Object.entries(depths)),
+        thresholds: mosaicThresholds,
+      });
+
+    it('should suspect a parental mosaic for alternate reads in a parent called 0/0', () => {
+      expect(classify({ PROBAND: [20, 18], MOTHER: [40, 0], FATHER: [38, 3] })).to.equal(
+        'parental_mosaic_suspected'
+      );
+    });
+
+    it('should report a mosaic candidate for a low alternate read fraction in the index', () => {
+      expect(classify({ PROBAND: [45, 7], MOTHER: [40, 0], FATHER: [30, 0] })).to.equal(
+        'de_novo_mosaic_candidate'
+      );
+    });
+
+    it('should keep de novo calls without enough alternate reads', () => {
+      expect(classify({ PROBAND: [20, 20], MOTHER: [40, 0], FATHER: [35, 1] })).to.equal('de_novo');
+      expect(
+        classify(
+          { PROBAND: [45, 7], MOTHER: [40, 0], FATHER: [38, 3] },
+          { ...thresholds, minAltReads: 8 }
+        )
+      ).to.equal('de_novo');
+    });
+
+    it('should only apply the thresholds that are set', () => {
+      const depths = { PROBAND: [45, 7], MOTHER: [40, 0], FATHER: [38, 3] };
+      expect(classify(depths, { maxProbandVaf: 0.3 })).to.equal('de_novo_mosaic_candidate');
+      expect(classify(depths, {})).to.equal('de_novo');
+      expect(classifyDeNovo(genotypes, 'PROBAND', ['MOTHER', 'FATHER'])).to.equal('de_novo');
+    });
+  });
+
+  describe('deduceInheritancePatterns in trio mode', () => {
+    it('should replace de novo with the mosaic patterns', () => {
+      const sampleMap = { index: 'PROBAND', mother: 'MOTHER', father: 'FATHER' };
+      const deduce = (depths) =>
+        deduceInheritancePatterns(
+          genotypes,
+          null,
+          sampleMap,
+          { chrom: '1' },
+          { alleleDepths: new Map(Object.entries(depths)), thresholds }
+        );
+
+      expect(deduce({ PROBAND: [20, 18], MOTHER: [40, 0], FATHER: [38, 3] })).to.deep.equal([
+        'parental_mosaic_suspected',
+      ]);
+      expect(deduce({ PROBAND: [45, 7], MOTHER: [40, 0], FATHER: [30, 0] })).to.deep.equal([
+        'de_novo_mosaic_candidate',
+      ]);
+      expect(deduceInheritancePatterns(genotypes, null, sampleMap, { chrom: '1' })).to.deep.equal([
+        'de_novo',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+// test/normalization.test.js
+
+const path = require('path');
+const { expect } = require('chai');
+const { IndexedFasta, normalizeVariantKey } = require('../src/normalization');
+
+// Contig "1": C at 99, AAAAAA at 100-105, G at 106; G at 139, CACACACA at 140-147, T at 148
+const fastaPath = path.join(__dirname, 'fixtures', 'normalization', 'reference.fa');
+
+describe('normalization', () => {
+  let fasta;
+
+  beforeEach(() => {
+    fasta = new IndexedFasta(fastaPath);
+  });
+
+  afterEach(() => {
+    fasta.close();
+  });
+
+  describe('IndexedFasta', () => {
+    it('should read ranges across line breaks', () => {
+      expect(fasta.getSequence('1', 99, 106)).to.equal('CAAAAAAG');
+      expect(fasta.getSequence('1', 58, 63)).to.have.lengthOf(6);
+      expect(fasta.getSequence('1', 58, 63)).to.equal(
+        fasta.getSequence('1', 58, 60) + fasta.getSequence('1', 61, 63)
+      );
+      expect(fasta.getSequence('2', 1, 8)).to.equal('ACGTACGT');
+    });
+
+    it('should resolve chromosome names with or without the chr prefix', () => {
+      expect(fasta.getSequence('chr1', 99, 99)).to.equal('C');
+      expect(fasta.getLength('chr2')).to.equal(60);
+      expect(fasta.getLength('3')).to.be.null;
+    });
+
+    it('should reject unknown chromosomes and out-of-range positions', () => {
+      expect(() => fasta.getSequence('3', 1, 1)).to.throw(/not found in FASTA/);
+      expect(() => fasta.getSequence('1', 175, 181)).to.throw(/outside the reference/);
+    });
+
+    it('should require a .fai index', () => {
+      expect(() => new IndexedFasta(path.join(__dirname, 'fixtures', 'rs6025.csv'))).to.throw(
+        /FASTA index not found/
+      );
+    });
+  });
+
+  describe('normalizeVariantKey()', () => {
+    it('should left-align deletions and insertions in a homopolymer', () => {
+      expect(normalizeVariantKey('1-104-AA-A', fasta)).to.equal('1-99-CA-C');
+      expect(normalizeVariantKey('1-100-AA-A', fasta)).to.equal('1-99-CA-C');
+      expect(normalizeVariantKey('1-105-A-AA', fasta)).to.equal('1-99-C-CA');
+    });
+
+    it('should left-align indels in a dinucleotide repeat', () => {
+      expect(normalizeVariantKey('1-144-CAC-C', fasta)).to.equal('1-139-GCA-G');
+      expect(normalizeVariantKey('1-146-C-CAC', fasta)).to.equal('1-139-G-GCA');
+    });
+
+    it('should trim shared prefixes and suffixes', () => {
+      expect(normalizeVariantKey('1-99-CAA-CA', fasta)).to.equal('1-99-CA-C');
+      expect(normalizeVariantKey('1-98-CC-CG', fasta)).to.equal('1-99-C-G');
+    });
+
+    it('should leave normalised variants unchanged and keep the chr prefix', () => {
+      expect(normalizeVariantKey('1-99-C-T', fasta)).to.equal('1-99-C-T');
+      expect(normalizeVariantKey('chr1-104-AA-A', fasta)).to.equal('chr1-99-CA-C');
+    });
+
+    it('should reject REF alleles that do not match the reference', () => {
+      expect(() => normalizeVariantKey('1-99-G-T', fasta)).to.throw(
+        /REF allele G of 1-99-G-T does not match the reference \(C\)/
+      );
+    });
+
+    it('should reject keys that are not CHROM-POS-REF-ALT', () => {
+      expect(() => normalizeVariantKey('1:100-200:DEL', fasta)).to.throw(
+        /expected CHROM-POS-REF-ALT/
+      );
+    });
+  });
+});
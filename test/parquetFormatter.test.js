@@ -0,0 +1,252 @@
+// test/parquetFormatter.test.js
+
+'use strict';
+
+const { expect } = require('chai');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { ParquetWriter } = require('../src/utils/parquetWriter');
+const { formatResultsToParquet, closeParquetOutput } = require('../src/parquetFormatter');
+const { filterAndFormatResults } = require('../src/variantLinkerProcessor');
+const { getDefaultColumnConfig } = require('../src/dataExtractor');
+
+// The writer compresses pages with GZIP; hyparquet itself only decodes SNAPPY
+const compressors = { GZIP: (input) => zlib.gunzipSync(input) };
+
+/**
+ * Reads a parquet file with hyparquet, an independent implementation of the format.
+ * @param {Buffer} file - Parquet file
+ * @returns {Promise<{metadata: Object, rows: Array<Object>}>} File metadata and the rows as
+ *   objects keyed by column name
+ */
+async function readParquet(file) {
+  // hyparquet is an ES module; import() loads it from CommonJS on every supported Node version
+  // eslint-disable-next-line node/no-unsupported-features/es-syntax
+  const { parquetMetadata, parquetReadObjects } = await import('hyparquet');
+  const arrayBuffer = file.buffer.slice(file.byteOffset, file.byteOffset + file.length);
+  return {
+    metadata: parquetMetadata(arrayBuffer),
+    rows: await parquetReadObjects({ file: arrayBuffer, compressors }),
+  };
+}
+
+describe('parquetFormatter', () => {
+  describe('ParquetWriter', () => {
+    it('should write a file with a typed schema, row groups and key/value metadata', async () => {
+      const writer = new ParquetWriter(
+        [
+          { name: 'gene', type: 'string' },
+          { name: 'score', type: 'double' },
+          { name: 'flag', type: 'boolean' },
+          { name: 'terms', type: 'list' },
+        ],
+        { keyValueMetadata: [['VL_ENSEMBL_RELEASE', '113']], createdBy: 'test' }
+      );
+      const { metadata, rows } = await readParquet(
+        Buffer.concat([
+          writer.writeRowGroup([
+            ['SEPT1', 1.5, true, ['a', 'b']],
+            [null, null, null, null],
+          ]),
+          writer.writeRowGroup([['TP53', -2, false, []]]),
+          writer.close(),
+        ])
+      );
+
+      expect(metadata.version).to.equal(1);
+      expect(Number(metadata.num_rows)).to.equal(3);
+      expect(metadata.created_by).to.equal('test');
+      expect(metadata.key_value_metadata).to.deep.equal([
+        { key: 'VL_ENSEMBL_RELEASE', value: '113' },
+      ]);
+      // root, gene, score, flag, terms (LIST) > list (repeated) > element
+      const [, gene, score, flag, terms, list] = metadata.schema;
+      expect(metadata.schema.map((element) => element.name)).to.deep.equal([
+        'schema',
+        'gene',
+        'score',
+        'flag',
+        'terms',
+        'list',
+        'element',
+      ]);
+      expect(gene).to.include({
+        type: 'BYTE_ARRAY',
+        repetition_type: 'OPTIONAL',
+        converted_type: 'UTF8',
+      });
+      expect(score.type).to.equal('DOUBLE');
+      expect(flag.type).to.equal('BOOLEAN');
+      expect(terms.converted_type).to.equal('LIST');
+      expect(list.repetition_type).to.equal('REPEATED');
+
+      expect(metadata.row_groups.map((group) => Number(group.num_rows))).to.deep.equal([2, 1]);
+      const codecs = metadata.row_groups.flatMap((group) =>
+        group.columns.map((column) => column.meta_data.codec)
+      );
+      expect(codecs).to.have.lengthOf(8);
+      expect(new Set(codecs)).to.deep.equal(new Set(['GZIP']));
+
+      expect(rows[0]).to.deep.equal({ gene: 'SEPT1', score: 1.5, flag: true, terms: ['a', 'b'] });
+      expect(rows[1]).to.include({ gene: null, score: null, flag: null });
+      expect(rows[1].terms).to.not.exist;
+      expect(rows[2]).to.deep.equal({ gene: 'TP53', score: -2, flag: false, terms: [] });
+    });
+
+    it('should write a valid empty file', async () => {
+      const { metadata, rows } = await readParquet(
+        new ParquetWriter([{ name: 'gene', type: 'string' }]).close()
+      );
+      expect(Number(metadata.num_rows)).to.equal(0);
+      expect(metadata.row_groups).to.deep.equal([]);
+      expect(rows).to.deep.equal([]);
+    });
+
+    it('should reject unsupported column types', () => {
+      expect(() => new ParquetWriter([{ name: 'x', type: 'date' }])).to.throw(
+        'Unsupported parquet column type'
+      );
+    });
+  });
+
+  describe('formatResultsToParquet()', () => {
+    const annotation = {
+      originalInput: '2-1000-A-G',
+      seq_region_name: '2',
+      start: 1000,
+      end: 1000,
+      cadd_phred: '27.4',
+      transcript_consequences: [
+        { gene_symbol: 'SEPT1', consequence_terms: ['missense_variant', 'splice_region_variant'] },
+        { gene_symbol: 'SEPT1', consequence_terms: ['intron_variant'] },
+      ],
+    };
+
+    it('should write flattened rows with numeric and list columns', async () => {
+      const { metadata, rows } = await readParquet(
+        formatResultsToParquet(
+          { annotationData: [annotation], meta: { provenance: { ensemblRelease: 113 } } },
+          getDefaultColumnConfig()
+        )
+      );
+      const schema = Object.fromEntries(metadata.schema.map((element) => [element.name, element]));
+
+      expect(schema.CADD.type).to.equal('DOUBLE');
+      expect(schema.ConsequenceTerms.converted_type).to.equal('LIST');
+      expect(schema.GeneSymbol.converted_type).to.equal('UTF8');
+      expect(metadata.key_value_metadata).to.deep.include({
+        key: 'VL_ENSEMBL_RELEASE',
+        value: '113',
+      });
+      // One row per transcript consequence
+      expect(rows).to.have.lengthOf(2);
+      expect(rows[0]).to.include({ OriginalInput: '2-1000-A-G', GeneSymbol: 'SEPT1', CADD: 27.4 });
+      expect(rows[0].ConsequenceTerms).to.deep.equal(['missense_variant', 'splice_region_variant']);
+      expect(rows[1].ConsequenceTerms).to.deep.equal(['intron_variant']);
+    });
+
+    it('should write one row group per chunk in streaming mode', async () => {
+      const params = { isStreaming: true };
+      const chunk = (input) =>
+        filterAndFormatResults(
+          {
+            annotationData: [{ ...annotation, originalInput: input }],
+            meta: { stepsPerformed: [] },
+          },
+          null,
+          'PARQUET',
+          params
+        );
+      const first = chunk('v1');
+      const second = chunk('v2');
+      const { metadata, rows } = await readParquet(
+        Buffer.concat([first.data, second.data, closeParquetOutput(params.parquetOutput)])
+      );
+
+      expect(first.data.toString('ascii', 0, 4)).to.equal('PAR1');
+      expect(second.data.toString('ascii', 0, 4)).to.not.equal('PAR1');
+      expect(metadata.row_groups).to.have.lengthOf(2);
+      expect(rows.map((row) => row.OriginalInput)).to.deep.equal(['v1', 'v1', 'v2', 'v2']);
+    });
+  });
+});
+
+describe('CLI --output PARQUET', function () {
+  // eslint-disable-next-line no-invalid-this
+  this.timeout(30000);
+
+  const binPath = path.resolve(__dirname, '../src/main.js');
+  const vepJsonPath = path.join(__dirname, 'fixtures', 'vep_json', 'precomputed_vep.json');
+  const offlineArgs = ['--annotation-source', 'vep-json', '--vep-json-path', vepJsonPath];
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'variant-linker-parquet-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Runs the CLI with the given arguments.
+   * @param {Array<string>} args - CLI arguments
+   * @returns {Promise<{code: number, stderr: string}>} Process result
+   */
+  function runCli(args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn('node', [binPath, ...args], { stdio: ['ignore', 'pipe', 'pipe'] });
+      let stderr = '';
+      child.stdout.resume();
+      child.stderr.on('data', (data) => (stderr += data.toString()));
+      child.on('error', reject);
+      child.on('close', (code) => resolve({ code, stderr }));
+    });
+  }
+
+  it('should write one row group per chunk with --stream-vcf', async () => {
+    const vcfPath = path.join(tempDir, 'input.vcf');
+    const savePath = path.join(tempDir, 'out.parquet');
+    fs.writeFileSync(
+      vcfPath,
+      [
+        '##fileformat=VCFv4.2',
+        '#CHROM\tPOS\tID\tREF\tALT\tQUAL\tFILTER\tINFO',
+        '1\t65568\t.\tA\tC\t.\tPASS\t.',
+        '7\t117559600\t.\tATCT\tA\t.\tPASS\t.',
+        '',
+      ].join('\n')
+    );
+
+    const { code, stderr } = await runCli([
+      '--vcf-input',
+      vcfPath,
+      '--stream-vcf',
+      '--chunk-size',
+      '1',
+      '--output',
+      'PARQUET',
+      '--save',
+      savePath,
+      ...offlineArgs,
+    ]);
+
+    expect(code, stderr).to.equal(0);
+    const { metadata, rows } = await readParquet(fs.readFileSync(savePath));
+    expect(metadata.row_groups).to.have.lengthOf(2);
+    expect(rows.map((row) => row.OriginalInput)).to.deep.equal([
+      '1-65568-A-C',
+      '7-117559600-ATCT-A',
+    ]);
+  });
+
+  it('should require --save without streaming', async () => {
+    const { code, stderr } = await runCli(['--variant', '1-65568-A-C', '--output', 'PARQUET']);
+
+    expect(code).to.not.equal(0);
+    expect(stderr).to.include('PARQUET output requires --save or --output-file');
+  });
+});
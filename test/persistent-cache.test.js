@@ -225,6 +225,38 @@ describe('PersistentCache', () => {
     });
   });
 
+  describe('Entries, prune and import', () => {
+    it('should iterate over unexpired entries with their metadata', async () => {
+      await cache.set('valid-key', 'data', 10000);
+      await cache.set('expired-key', 'data', 1);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      const entries = [...cache.entries()];
+      expect(entries.map((entry) => entry.key)).to.deep.equal(['valid-key']);
+      expect(entries[0]).to.include.keys('data', 'createdAt', 'expiresAt');
+    });
+
+    it('should prune expired and corrupted entries and report the count', async () => {
+      // setEntry() does not trigger the background cleanup that set() schedules
+      await cache.setEntry({ key: 'valid-key', data: 'data', expiresAt: Date.now() + 10000 });
+      await cache.setEntry({ key: 'expired-key', data: 'data', expiresAt: Date.now() - 1 });
+      fs.writeFileSync(path.join(tempDir, 'corrupted.json'), 'not json');
+
+      expect(await cache.prune()).to.equal(2);
+      expect(await cache.get('valid-key')).to.equal('data');
+      expect(fs.readdirSync(tempDir)).to.have.lengthOf(1);
+    });
+
+    it('should store complete entries keeping their timestamps', async () => {
+      const entry = { key: 'imported', data: [1], createdAt: 1000, expiresAt: Date.now() + 5000 };
+      await cache.setEntry(entry);
+
+      expect(await cache.get('imported')).to.deep.equal([1]);
+      expect(await cache.getEntry('imported')).to.deep.equal(entry);
+      expect(await cache.getEntry('missing')).to.be.null;
+    });
+  });
+
   describe('Configuration', () => {
     it('should parse size strings correctly', () => {
       expect(cache._parseSizeString('100B')).to.equal(100);
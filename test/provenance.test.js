@@ -0,0 +1,162 @@
+// test/provenance.test.js
+
+'use strict';
+
+const { expect } = require('chai');
+const nock = require('nock');
+const {
+  getAnnotationProvenance,
+  assertEnsemblRelease,
+  formatProvenanceFields,
+} = require('../src/provenance');
+const { RestAnnotationSource } = require('../src/annotationSource');
+const { analyzeVariant } = require('../src/variantLinkerCore');
+const { resolveApiProfile } = require('../src/apiProfiles');
+
+describe('provenance', () => {
+  const baseUrl = 'https://rest.mirror.example.org';
+  const apiProfile = resolveApiProfile({
+    name: 'mirror',
+    baseUrl,
+    retry: { maxRetries: 0 },
+  });
+
+  /**
+   * Mocks the info endpoints of the mirror.
+   * @param {number} release - Ensembl release to report
+   * @returns {nock.Scope} The scope
+   */
+  function mockInfoEndpoints(release) {
+    return nock(baseUrl)
+      .get('/info/software')
+      .reply(200, { release })
+      .get('/info/data')
+      .reply(200, { releases: [release] })
+      .get('/info/rest')
+      .reply(200, { release: '15.8' })
+      .get('/info/assembly/homo_sapiens')
+      .reply(200, { assembly_name: 'GRCh38.p14' });
+  }
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  describe('RestAnnotationSource.getProvenance()', () => {
+    it('should query the info endpoints once per process', async () => {
+      const scope = mockInfoEndpoints(113);
+      const source = new RestAnnotationSource({ apiProfile });
+
+      const provenance = await getAnnotationProvenance(source);
+      expect(provenance).to.include({
+        annotationSource: 'rest',
+        apiProfile: 'mirror',
+        baseUrl,
+        ensemblRelease: 113,
+        restApiVersion: '15.8',
+        assembly: 'GRCh38.p14',
+      });
+      expect(provenance.dataReleases).to.deep.equal([113]);
+      expect(scope.isDone()).to.be.true;
+
+      // No interceptors left: a second query would fail
+      expect(await getAnnotationProvenance(source)).to.deep.equal(provenance);
+    });
+
+    it('should report a failed query instead of throwing', async () => {
+      nock(baseUrl)
+        .get(/\/info\/.*/)
+        .times(4)
+        .reply(500, {});
+      const source = new RestAnnotationSource({ apiProfile });
+
+      const provenance = await getAnnotationProvenance(source);
+      expect(provenance.annotationSource).to.equal('rest');
+      expect(provenance.error).to.be.a('string');
+    });
+  });
+
+  describe('assertEnsemblRelease()', () => {
+    it('should accept the required release and reject others', () => {
+      const provenance = { annotationSource: 'rest', baseUrl, ensemblRelease: 113 };
+      expect(() => assertEnsemblRelease(provenance, 113)).to.not.throw();
+      expect(() => assertEnsemblRelease(provenance, '113')).to.not.throw();
+      expect(() => assertEnsemblRelease(provenance, 112)).to.throw(
+        `Ensembl release mismatch: ${baseUrl} reports release 113, but release 112 is required`
+      );
+    });
+
+    it('should reject sources that do not report a release', () => {
+      expect(() =>
+        assertEnsemblRelease({ annotationSource: 'vep-json', path: 'vep.json' }, 113)
+      ).to.throw("the 'vep-json' annotation source does not report a release");
+      expect(() =>
+        assertEnsemblRelease({ annotationSource: 'rest', error: 'timeout' }, 113)
+      ).to.throw('the server could not be queried (timeout)');
+    });
+  });
+
+  describe('formatProvenanceFields()', () => {
+    it('should list the known fields in order', () => {
+      const fields = formatProvenanceFields({
+        annotationSource: 'rest',
+        baseUrl,
+        ensemblRelease: 113,
+        dataReleases: [113, 112],
+        assembly: 'GRCh38.p14',
+      });
+      expect(fields).to.deep.equal([
+        ['VL_ANNOTATION_SOURCE', 'rest'],
+        ['VL_API_URL', baseUrl],
+        ['VL_ENSEMBL_RELEASE', '113'],
+        ['VL_VEP_CACHE_VERSION', '113,112'],
+        ['VL_ASSEMBLY', 'GRCh38.p14'],
+      ]);
+      expect(formatProvenanceFields(null)).to.deep.equal([]);
+    });
+  });
+
+  describe('analyzeVariant()', () => {
+    const vepResponse = [
+      {
+        input: '1 65568 . A C . . .',
+        seq_region_name: '1',
+        start: 65568,
+        end: 65568,
+        allele_string: 'A/C',
+        most_severe_consequence: 'missense_variant',
+      },
+    ];
+    const params = (extra) => ({
+      variants: ['1-65568-A-C'],
+      vepOptions: {},
+      output: 'JSON',
+      apiProfile: { ...apiProfile, name: 'pinned' },
+      ...extra,
+    });
+
+    it('should report provenance in meta when requested', async () => {
+      mockInfoEndpoints(113);
+      nock(baseUrl).post('/vep/homo_sapiens/region').reply(200, vepResponse);
+
+      const result = await analyzeVariant(params({ provenance: true }));
+      expect(result.meta.provenance).to.include({ ensemblRelease: 113, baseUrl });
+    });
+
+    it('should abort before annotating if the release differs from the required one', async () => {
+      // Another profile gets its own source instance, which has not queried provenance yet
+      const apiProfileFor114 = { ...apiProfile, name: 'pinned-114' };
+      mockInfoEndpoints(114);
+      const vep = nock(baseUrl).post('/vep/homo_sapiens/region').reply(200, vepResponse);
+
+      let error;
+      try {
+        await analyzeVariant(params({ apiProfile: apiProfileFor114, requireEnsemblRelease: 113 }));
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.include('reports release 114, but release 113 is required');
+      expect(vep.isDone()).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,42 @@
+// test/rateLimiter.test.js
+
+const chai = require('chai');
+const expect = chai.expect;
+const { RateLimiter, getSharedRateLimiter } = require('../src/utils/rateLimiter');
+
+describe('utils/rateLimiter', () => {
+  it('should space consecutive requests by the minimum interval', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 50 }); // 20ms apart
+    const start = Date.now();
+    await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+    expect(Date.now() - start).to.be.at.least(35);
+  });
+
+  it('should not wait when rate limiting is disabled', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 0 });
+    const start = Date.now();
+    await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+    expect(Date.now() - start).to.be.below(20);
+  });
+
+  it('should hold back all callers while paused', async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 0 });
+    limiter.pause(50);
+    const start = Date.now();
+    await limiter.acquire();
+    expect(Date.now() - start).to.be.at.least(45);
+  });
+
+  it('should not shorten an existing pause', () => {
+    const limiter = new RateLimiter();
+    limiter.pause(1000);
+    const pausedUntil = limiter.pausedUntil;
+    limiter.pause(10);
+    expect(limiter.pausedUntil).to.equal(pausedUntil);
+  });
+
+  it('should share a single limiter across callers', () => {
+    expect(getSharedRateLimiter()).to.equal(getSharedRateLimiter());
+    expect(getSharedRateLimiter()).to.be.instanceOf(RateLimiter);
+  });
+});
@@ -0,0 +1,85 @@
+// test/rejects-file-integration.test.js
+/**
+ * Integration tests for per-variant error isolation and the --rejects-file sidecar.
+ * Annotations come from precomputed VEP JSON, so no external API calls are made.
+ */
+
+const { expect } = require('chai');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const binPath = path.resolve(__dirname, '../src/main.js');
+const vepJsonPath = path.join(__dirname, 'fixtures', 'vep_json', 'precomputed_vep.json');
+
+/**
+ * Runs the CLI with the given arguments and collects its output.
+ * @param {Array<string>} args - CLI arguments
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} Process result
+ */
+function runCli(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('node', [binPath, ...args], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (data) => (stdout += data.toString()));
+    child.stderr.on('data', (data) => (stderr += data.toString()));
+    child.on('error', reject);
+    child.on('close', (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+describe('Failed variants and --rejects-file', function () {
+  this.timeout(30000);
+
+  let tempDir;
+  const offlineArgs = ['--annotation-source', 'vep-json', '--vep-json-path', vepJsonPath];
+  const variants = '1-65568-A-C,7:200-100:DEL,7-117559600-ATCT-A,1-100-A';
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'variant-linker-rejects-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should annotate valid variants and write failed inputs to the rejects file', async () => {
+    const rejectsPath = path.join(tempDir, 'rejects.tsv');
+    const { code, stdout, stderr } = await runCli([
+      '--variants',
+      variants,
+      '--output',
+      'TSV',
+      '--rejects-file',
+      rejectsPath,
+      ...offlineArgs,
+    ]);
+
+    expect(code).to.equal(0);
+    expect(stdout).to.include('OR4F5');
+    expect(stdout).to.include('CFTR');
+    expect(stderr).to.include(`2 variant(s) could not be processed; see ${rejectsPath}`);
+
+    const lines = fs.readFileSync(rejectsPath, 'utf8').trim().split('\n');
+    expect(lines[0]).to.equal('input\tstage\tmessage');
+    expect(lines.slice(1).map((line) => line.split('\t').slice(0, 2))).to.deep.equal([
+      ['1-100-A', 'parse'],
+      ['7:200-100:DEL', 'parse'],
+    ]);
+  });
+
+  it('should list failed inputs in meta.failedVariants for JSON output', async () => {
+    const { code, stdout } = await runCli(['--variants', variants, ...offlineArgs]);
+
+    expect(code).to.equal(0);
+    const result = JSON.parse(stdout);
+    expect(result.annotationData).to.have.lengthOf(2);
+    expect(result.meta.failedVariants.map((f) => f.input)).to.deep.equal([
+      '1-100-A',
+      '7:200-100:DEL',
+    ]);
+    expect(result.meta.failedVariants[1].message).to.include('start is after end');
+  });
+});
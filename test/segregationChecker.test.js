@@ -0,0 +1,260 @@
+// test/segregationChecker.test.js
+'use strict';
+
+const { expect } = require('chai');
+const {
+  checkSegregation,
+  calculateSegregationLikelihood,
+} = require('../src/inheritance/segregationChecker');
+const { prioritizePattern } = require('../src/inheritance/patternPrioritizer');
+
+/**
+ * Builds pedigree data from [sampleId, fatherId, motherId, sex, affectedStatus] rows.
+ * @param {Array<Array>} rows - Pedigree rows
+ * @returns {Map<string, Object>} Pedigree data as returned by readPedigree
+ */
+function buildPedigree(rows) {
+  return new Map(
+    rows.map(([sampleId, fatherId, motherId, sex, affectedStatus]) => [
+      sampleId,
+      { familyId: 'FAM1', sampleId, fatherId, motherId, sex, affectedStatus },
+    ])
+  );
+}
+
+describe('segregationChecker', () => {
+  // Three generations: affected grandfather -> affected father -> affected proband
+  const adPedigree = buildPedigree([
+    ['PROBAND', 'FATHER', 'MOTHER', 1, 2],
+    ['SIB', 'FATHER', 'MOTHER', 2, 1],
+    ['FATHER', 'GRANDFATHER', 'GRANDMOTHER', 1, 2],
+    ['MOTHER', '0', '0', 2, 1],
+    ['AUNT', 'GRANDFATHER', 'GRANDMOTHER', 2, 2],
+    ['GRANDFATHER', '0', '0', 1, 2],
+    ['GRANDMOTHER', '0', '0', 2, 1],
+  ]);
+  const adGenotypes = new Map([
+    ['PROBAND', '0/1'],
+    ['SIB', '0/0'],
+    ['FATHER', '0/1'],
+    ['MOTHER', '0/0'],
+    ['AUNT', '0/1'],
+    ['GRANDFATHER', '0/1'],
+    ['GRANDMOTHER', '0/0'],
+  ]);
+  const fullPenetrance = { penetrance: 1, phenocopyRate: 0 };
+
+  describe('checkSegregation', () => {
+    it('should report segregation when all affected individuals carry the variant', () => {
+      expect(checkSegregation('autosomal_dominant', adGenotypes, adPedigree)).to.equal(
+        'segregates'
+      );
+    });
+
+    it('should report no segregation when an affected individual is reference', () => {
+      const genotypes = new Map(adGenotypes).set('AUNT', '0/0');
+      expect(checkSegregation('autosomal_dominant', genotypes, adPedigree)).to.equal(
+        'does_not_segregate'
+      );
+    });
+  });
+
+  describe('calculateSegregationLikelihood', () => {
+    it('should double the likelihood ratio per informative meiosis for a penetrant AD model', () => {
+      const result = calculateSegregationLikelihood(
+        'autosomal_dominant',
+        adGenotypes,
+        adPedigree,
+        fullPenetrance,
+        'PROBAND'
+      );
+      // FATHER, AUNT and SIB; the proband is left out
+      expect(result).to.deep.equal({
+        model: 'AD',
+        likelihoodRatio: 8,
+        lod: 0.903,
+        informativeIndividuals: 3,
+      });
+    });
+
+    it('should count the index sample when none is given', () => {
+      const result = calculateSegregationLikelihood(
+        'autosomal_dominant',
+        adGenotypes,
+        adPedigree,
+        fullPenetrance
+      );
+      expect(result.likelihoodRatio).to.equal(16);
+    });
+
+    it('should weaken the evidence with incomplete penetrance and phenocopies', () => {
+      const result = calculateSegregationLikelihood(
+        'autosomal_dominant',
+        adGenotypes,
+        adPedigree,
+        { penetrance: 0.8, phenocopyRate: 0.05 },
+        'PROBAND'
+      );
+      expect(result.likelihoodRatio).to.be.above(1).and.below(8);
+    });
+
+    it('should use the default model for missing rates', () => {
+      const result = calculateSegregationLikelihood(
+        'autosomal_dominant',
+        adGenotypes,
+        adPedigree,
+        undefined,
+        'PROBAND'
+      );
+      // 0.95 / 0.48 for FATHER and AUNT, 0.99 / 0.52 for SIB
+      expect(result.likelihoodRatio).to.be.closeTo(7.458, 0.001);
+    });
+
+    it('should exclude the model for an unaffected carrier under full penetrance', () => {
+      const genotypes = new Map(adGenotypes).set('SIB', '0/1');
+      const result = calculateSegregationLikelihood(
+        'autosomal_dominant',
+        genotypes,
+        adPedigree,
+        fullPenetrance,
+        'PROBAND'
+      );
+      expect(result.likelihoodRatio).to.equal(0);
+      expect(result.lod).to.be.null;
+    });
+
+    it('should use the recessive sib ratios of 4 (affected) and 4/3 (unaffected)', () => {
+      const pedigree = buildPedigree([
+        ['PROBAND', 'FATHER', 'MOTHER', 1, 2],
+        ['AFFECTED_SIB', 'FATHER', 'MOTHER', 2, 2],
+        ['UNAFFECTED_SIB', 'FATHER', 'MOTHER', 2, 1],
+        ['FATHER', '0', '0', 1, 1],
+        ['MOTHER', '0', '0', 2, 1],
+      ]);
+      const genotypes = new Map([
+        ['PROBAND', '1/1'],
+        ['AFFECTED_SIB', '1/1'],
+        ['UNAFFECTED_SIB', '0/1'],
+        ['FATHER', '0/1'],
+        ['MOTHER', '0/1'],
+      ]);
+      const result = calculateSegregationLikelihood(
+        'autosomal_recessive',
+        genotypes,
+        pedigree,
+        fullPenetrance,
+        'PROBAND'
+      );
+      expect(result.model).to.equal('AR');
+      expect(result.likelihoodRatio).to.equal(5.333);
+      expect(result.informativeIndividuals).to.equal(2);
+    });
+
+    it('should follow X-linked transmission from carrier mothers to sons', () => {
+      const pedigree = buildPedigree([
+        ['PROBAND', 'FATHER', 'MOTHER', 1, 2],
+        ['BROTHER', 'FATHER', 'MOTHER', 1, 2],
+        ['UNAFFECTED_BROTHER', 'FATHER', 'MOTHER', 1, 1],
+        ['SISTER', 'FATHER', 'MOTHER', 2, 1],
+        ['FATHER', '0', '0', 1, 1],
+        ['MOTHER', '0', '0', 2, 1],
+      ]);
+      const genotypes = new Map([
+        ['PROBAND', '1'],
+        ['BROTHER', '1/1'],
+        ['UNAFFECTED_BROTHER', '0'],
+        ['SISTER', '0/1'],
+        ['FATHER', '0'],
+        ['MOTHER', '0/1'],
+      ]);
+      const result = calculateSegregationLikelihood(
+        'x_linked_recessive',
+        genotypes,
+        pedigree,
+        fullPenetrance,
+        'PROBAND'
+      );
+      // Brothers: 2 each; the carrier sister is unaffected under both hypotheses
+      expect(result).to.include({ model: 'XLR', likelihoodRatio: 4, informativeIndividuals: 2 });
+    });
+
+    it('should infer an ungenotyped obligate-carrier parent from its children', () => {
+      const genotypes = new Map(adGenotypes).set('FATHER', './.');
+      const result = calculateSegregationLikelihood(
+        'autosomal_dominant',
+        genotypes,
+        adPedigree,
+        fullPenetrance,
+        'PROBAND'
+      );
+      // The carrier proband of a reference mother makes FATHER a carrier: AUNT and SIB count
+      expect(result).to.include({ likelihoodRatio: 4, informativeIndividuals: 2 });
+    });
+
+    it('should average over which of two ungenotyped parents carries the variant', () => {
+      const genotypes = new Map(adGenotypes);
+      genotypes.delete('GRANDFATHER');
+      genotypes.delete('GRANDMOTHER');
+      const result = calculateSegregationLikelihood(
+        'autosomal_dominant',
+        genotypes,
+        adPedigree,
+        fullPenetrance,
+        'PROBAND'
+      );
+      // Either grandparent transmits to FATHER and AUNT with probability 1/2
+      expect(result).to.include({ likelihoodRatio: 8, informativeIndividuals: 3 });
+    });
+
+    it('should not count non-Mendelian genotypes', () => {
+      const genotypes = new Map(adGenotypes).set('AUNT', '0/0').set('GRANDFATHER', '0/0');
+      const result = calculateSegregationLikelihood(
+        'autosomal_dominant',
+        genotypes,
+        adPedigree,
+        fullPenetrance,
+        'PROBAND'
+      );
+      // FATHER is de novo; AUNT is an uninformative affected non-carrier of reference parents
+      expect(result.likelihoodRatio).to.equal(2);
+      expect(result.informativeIndividuals).to.equal(1);
+    });
+
+    it('should return null for patterns without a likelihood model', () => {
+      expect(calculateSegregationLikelihood('de_novo', adGenotypes, adPedigree)).to.be.null;
+      expect(calculateSegregationLikelihood('autosomal_dominant', adGenotypes, null)).to.be.null;
+    });
+  });
+
+  describe('prioritizePattern with segregation likelihoods', () => {
+    it('should treat patterns excluded by their LOD score as not segregating', () => {
+      const segregation = new Map([
+        ['autosomal_recessive', { status: 'segregates', likelihoodRatio: 0.004, lod: -2.398 }],
+        ['autosomal_dominant', { status: 'segregates', likelihoodRatio: 8, lod: 0.903 }],
+      ]);
+      expect(
+        prioritizePattern(['autosomal_recessive', 'autosomal_dominant'], segregation)
+      ).to.equal('autosomal_dominant');
+    });
+
+    it('should keep the priority order for patterns that are not excluded', () => {
+      const segregation = new Map([
+        ['autosomal_recessive', { status: 'segregates', likelihoodRatio: 0.5, lod: -0.301 }],
+        ['autosomal_dominant', { status: 'segregates', likelihoodRatio: 8, lod: 0.903 }],
+      ]);
+      expect(
+        prioritizePattern(['autosomal_recessive', 'autosomal_dominant'], segregation)
+      ).to.equal('autosomal_recessive');
+    });
+
+    it('should accept category strings', () => {
+      const segregation = new Map([
+        ['autosomal_recessive', 'does_not_segregate'],
+        ['autosomal_dominant', 'segregates'],
+      ]);
+      expect(
+        prioritizePattern(['autosomal_recessive', 'autosomal_dominant'], segregation)
+      ).to.equal('autosomal_dominant');
+    });
+  });
+});
@@ -0,0 +1,190 @@
+// test/sqlite-cache.test.js
+'use strict';
+
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFile } = require('child_process');
+const CacheManager = require('../src/cache/CacheManager');
+
+describe('SqliteCache', function () {
+  let SqliteCache;
+  let cache;
+  let tempDir;
+
+  before(function () {
+    try {
+      require('better-sqlite3');
+    } catch (error) {
+      // better-sqlite3 is an optional dependency
+      // eslint-disable-next-line no-invalid-this
+      this.skip();
+    }
+    SqliteCache = require('../src/cache/SqliteCache');
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'variant-linker-sqlite-test-'));
+    cache = new SqliteCache({ location: tempDir, ttl: 1000, maxSize: '1MB' });
+  });
+
+  afterEach(() => {
+    if (cache) cache.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Basic operations', () => {
+    it('should store, retrieve, check and delete data in a single database file', async () => {
+      const data = { value: 'test-data', nested: [1, { a: true }] };
+      await cache.set('key', data);
+
+      expect(await cache.get('key')).to.deep.equal(data);
+      expect(await cache.has('key')).to.be.true;
+      expect(fs.readdirSync(tempDir)).to.include('cache.sqlite');
+
+      expect(await cache.delete('key')).to.be.true;
+      expect(await cache.delete('key')).to.be.false;
+      expect(await cache.get('key')).to.be.null;
+    });
+
+    it('should overwrite entries and clear all entries', async () => {
+      await cache.set('key', 'first');
+      await cache.set('key', 'second');
+      await cache.set('other', 'data');
+      expect(await cache.get('key')).to.equal('second');
+
+      await cache.clear();
+      expect(await cache.get('key')).to.be.null;
+      expect((await cache.getStats()).totalEntries).to.equal(0);
+    });
+  });
+
+  describe('TTL and pruning', () => {
+    it('should not return expired entries', async () => {
+      await cache.set('short', 'data', 1);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      expect(await cache.get('short')).to.be.null;
+      expect(await cache.getEntry('short')).to.be.null;
+    });
+
+    it('should iterate over and prune by expiry', async () => {
+      await cache.setEntry({ key: 'valid', data: 1, expiresAt: Date.now() + 10000 });
+      await cache.setEntry({ key: 'expired', data: 2, createdAt: 5, expiresAt: Date.now() - 1 });
+
+      expect([...cache.entries()].map((entry) => entry.key)).to.deep.equal(['valid']);
+      expect(await cache.getEntry('expired')).to.include({ createdAt: 5, data: 2 });
+      expect((await cache.getStats()).expiredEntries).to.equal(1);
+
+      expect(await cache.prune()).to.equal(1);
+      expect(await cache.getStats()).to.include({ validEntries: 1, expiredEntries: 0 });
+    });
+  });
+
+  describe('Size accounting', () => {
+    it('should track the total size through inserts, updates and deletes', async () => {
+      await cache.set('a', 'x'.repeat(100));
+      const afterInsert = (await cache.getStats()).totalSize;
+      expect(afterInsert).to.be.greaterThan(100);
+
+      await cache.set('a', 'x'.repeat(200));
+      expect((await cache.getStats()).totalSize).to.equal(afterInsert + 100);
+
+      await cache.delete('a');
+      expect((await cache.getStats()).totalSize).to.equal(0);
+    });
+
+    it('should evict the oldest entries when the maximum size is exceeded', async () => {
+      cache.close();
+      cache = new SqliteCache({ location: tempDir, maxSize: '2KB' });
+      for (let i = 0; i < 10; i++) {
+        await cache.setEntry({
+          key: `key${i}`,
+          data: 'x'.repeat(500),
+          createdAt: 1000 + i,
+          expiresAt: Date.now() + 60000,
+        });
+      }
+
+      const stats = await cache.getStats();
+      expect(stats.totalSize).to.be.at.most(2048);
+      expect(await cache.get('key9')).to.equal('x'.repeat(500));
+      expect(await cache.get('key0')).to.be.null;
+    });
+  });
+
+  describe('Shared use', () => {
+    it('should see entries written through another connection to the same directory', async () => {
+      const other = new SqliteCache({ location: tempDir });
+      try {
+        await other.set('shared', { from: 'other process' });
+        expect(await cache.get('shared')).to.deep.equal({ from: 'other process' });
+      } finally {
+        other.close();
+      }
+    });
+
+    it('should keep all entries written by concurrent processes', async () => {
+      const script = `
+        const SqliteCache = require(${JSON.stringify(require.resolve('../src/cache/SqliteCache'))});
+        const cache = new SqliteCache({ location: process.argv[1] });
+        (async () => {
+          for (let i = 0; i < 100; i++) await cache.set(process.argv[2] + i, i);
+          cache.close();
+        })();
+      `;
+      const run = (prefix) =>
+        new Promise((resolve, reject) => {
+          execFile(process.execPath, ['-e', script, tempDir, prefix], (error) =>
+            error ? reject(error) : resolve()
+          );
+        });
+      await Promise.all([run('a'), run('b')]);
+
+      expect((await cache.getStats()).validEntries).to.equal(200);
+    });
+  });
+
+  describe('Migration', () => {
+    it('should import an export of a file store', async () => {
+      const PersistentCache = require('../src/cache/PersistentCache');
+      const { exportCache, importCache } = require('../src/cache/cacheArchive');
+      const fileStore = new PersistentCache({ location: path.join(tempDir, 'files') });
+      await fileStore.set('key', { value: 1 }, 60000);
+      const file = path.join(tempDir, 'export.jsonl');
+
+      await exportCache(fileStore, file);
+      expect(await importCache(cache, file)).to.include({ imported: 1 });
+      expect(await cache.getEntry('key')).to.deep.equal(await fileStore.getEntry('key'));
+    });
+  });
+
+  describe('CacheManager integration', () => {
+    it('should use the SQLite store when configured', async () => {
+      const manager = new CacheManager({
+        persistent: { enabled: true, location: tempDir, store: 'sqlite' },
+      });
+      try {
+        await manager.set('key', 'data');
+        manager.memoryCache.clear();
+        expect(await manager.get('key')).to.equal('data');
+        expect((await manager.getStats()).persistent.store).to.equal('sqlite');
+      } finally {
+        manager.close();
+      }
+    });
+
+    it('should disable the persistent tier for an unknown store', () => {
+      const originalWarn = console.warn;
+      console.warn = () => {};
+      try {
+        const manager = new CacheManager({
+          persistent: { enabled: true, location: tempDir, store: 'redis' },
+        });
+        expect(manager.persistentCache).to.be.null;
+      } finally {
+        console.warn = originalWarn;
+      }
+    });
+  });
+});
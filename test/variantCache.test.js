@@ -0,0 +1,252 @@
+// test/variantCache.test.js
+
+const { expect } = require('chai');
+const nock = require('nock');
+const vepRegionsAnnotation = require('../src/vepRegionsAnnotation');
+const variantRecoderPost = require('../src/variantRecoderPost');
+const { analyzeVariant } = require('../src/variantLinkerCore');
+const { clearCacheAsync } = require('../src/cache');
+const { getApiBaseUrl } = require('../src/apiHelper');
+const {
+  CACHE_KEY_VERSION,
+  buildVariantCacheKey,
+  normalizeVariantForCache,
+  parseVariantCacheKey,
+} = require('../src/cache/variantCache');
+const apiConfig = require('../config/apiConfig.json');
+
+describe('cache/variantCache', () => {
+  const apiBaseUrl = getApiBaseUrl();
+  const vepRecord = (input) => ({ input, most_severe_consequence: 'missense_variant' });
+
+  beforeEach(async () => {
+    await clearCacheAsync();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  describe('normalizeVariantForCache()', () => {
+    it('should reduce VEP region lines and dash keys to CHROM-POS-REF-ALT', () => {
+      expect(normalizeVariantForCache('chr1  100 . a G . . .')).to.equal('1-100-A-G');
+      expect(normalizeVariantForCache('1 100 . A G . . .')).to.equal('1-100-A-G');
+      expect(normalizeVariantForCache('chr1-100-a-g')).to.equal('1-100-A-G');
+    });
+
+    it('should keep other inputs apart from whitespace', () => {
+      expect(normalizeVariantForCache(' ENST00000366667:c.803C>T ')).to.equal(
+        'ENST00000366667:c.803C>T'
+      );
+      expect(normalizeVariantForCache('7 117559600 117559609 deletion 1 .')).to.equal(
+        '7 117559600 117559609 deletion 1 .'
+      );
+    });
+  });
+
+  describe('buildVariantCacheKey()', () => {
+    const endpoint = '/vep/homo_sapiens/region';
+
+    it('should not depend on the order of the options', () => {
+      expect(
+        buildVariantCacheKey(endpoint, apiBaseUrl, { hgvs: '1', CADD: '1' }, '1-100-A-G')
+      ).to.equal(buildVariantCacheKey(endpoint, apiBaseUrl, { CADD: '1', hgvs: '1' }, '1-100-A-G'));
+    });
+
+    it('should differ by options, assembly and variant', () => {
+      const key = buildVariantCacheKey(endpoint, apiBaseUrl, { hgvs: '1' }, '1-100-A-G');
+      expect(key).to.not.equal(buildVariantCacheKey(endpoint, apiBaseUrl, {}, '1-100-A-G'));
+      expect(key).to.not.equal(
+        buildVariantCacheKey(endpoint, apiConfig.ensembl.legacyBaseUrl, { hgvs: '1' }, '1-100-A-G')
+      );
+      expect(key).to.not.equal(
+        buildVariantCacheKey(endpoint, apiBaseUrl, { hgvs: '1' }, '1-100-A-T')
+      );
+    });
+  });
+
+  describe('parseVariantCacheKey()', () => {
+    it('should split a key into its parts', () => {
+      const options = { fields: 'a|b', hgvs: '1' };
+      const key = buildVariantCacheKey(
+        '/vep/homo_sapiens/region',
+        apiBaseUrl,
+        options,
+        'chr1-100-A-G'
+      );
+      expect(parseVariantCacheKey(key)).to.deep.equal({
+        version: CACHE_KEY_VERSION,
+        baseUrl: apiBaseUrl,
+        endpoint: '/vep/homo_sapiens/region',
+        options,
+        variant: '1-100-A-G',
+      });
+    });
+
+    it('should flag keys without version and ignore other keys', () => {
+      expect(parseVariantCacheKey('variant:https://x/vep:[]:1-100-A-G').version).to.be.null;
+      expect(parseVariantCacheKey('https://rest.ensembl.org/info/ping')).to.be.null;
+    });
+  });
+
+  describe('vepRegionsAnnotation() with caching', () => {
+    it('should only request variants that are not cached', async () => {
+      const requests = [];
+      nock(apiBaseUrl)
+        .post(apiConfig.ensembl.endpoints.vepRegions)
+        .query(true)
+        .times(2)
+        .reply(200, (uri, body) => {
+          requests.push(body.variants);
+          return body.variants.map(vepRecord);
+        });
+
+      const first = ['1 100 . A G . . .', '1 200 . C T . . .'];
+      await vepRegionsAnnotation(first, { hgvs: '1' }, true);
+      const result = await vepRegionsAnnotation(
+        ['1 100 . A G . . .', '1 150 . G A . . .', '1 200 . C T . . .'],
+        { hgvs: '1' },
+        true
+      );
+
+      expect(requests).to.deep.equal([first, ['1 150 . G A . . .']]);
+      expect(result.map((record) => record.input)).to.deep.equal([
+        '1 100 . A G . . .',
+        '1 150 . G A . . .',
+        '1 200 . C T . . .',
+      ]);
+    });
+
+    it('should serve equivalent inputs from the same entry with the current input', async () => {
+      nock(apiBaseUrl)
+        .post(apiConfig.ensembl.endpoints.vepRegions)
+        .query(true)
+        .reply(200, (uri, body) => body.variants.map(vepRecord));
+
+      await vepRegionsAnnotation(['1 100 . A G . . .'], {}, true);
+      const result = await vepRegionsAnnotation(['chr1 100 . A G . . .'], {}, true);
+
+      expect(result).to.deep.equal([vepRecord('chr1 100 . A G . . .')]);
+      expect(nock.isDone()).to.be.true;
+    });
+
+    it('should request again when the VEP options change', async () => {
+      const scope = nock(apiBaseUrl)
+        .post(apiConfig.ensembl.endpoints.vepRegions)
+        .query(true)
+        .times(2)
+        .reply(200, (uri, body) => body.variants.map(vepRecord));
+
+      await vepRegionsAnnotation(['1 100 . A G . . .'], { hgvs: '1' }, true);
+      await vepRegionsAnnotation(['1 100 . A G . . .'], { hgvs: '1', CADD: '1' }, true);
+
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('should not cache variants the API returned no record for', async () => {
+      const scope = nock(apiBaseUrl)
+        .post(apiConfig.ensembl.endpoints.vepRegions)
+        .query(true)
+        .times(2)
+        .reply(200, []);
+
+      expect(await vepRegionsAnnotation(['1 100 . A G . . .'], {}, true)).to.deep.equal([]);
+      expect(await vepRegionsAnnotation(['1 100 . A G . . .'], {}, true)).to.deep.equal([]);
+      expect(scope.isDone()).to.be.true;
+    });
+  });
+
+  describe('matching cached and fresh records to inputs', () => {
+    it('should return records in variant order and drop records that match no input', async () => {
+      nock(apiBaseUrl)
+        .post(apiConfig.ensembl.endpoints.vepRegions)
+        .query(true)
+        .times(2)
+        .reply(200, (uri, body) =>
+          body.variants
+            .filter((variant) => !variant.startsWith('1 150 '))
+            .flatMap((variant) =>
+              variant.startsWith('1 200 ')
+                ? [vepRecord(variant), vepRecord(variant)]
+                : vepRecord(variant)
+            )
+            .concat(vepRecord('X 1 . A G . . .'))
+        );
+
+      const variants = ['1 100 . A G . . .', '1 150 . G A . . .', '1 200 . C T . . .'];
+      const first = await vepRegionsAnnotation(variants, {}, true);
+      // Only the variant without a record is requested again
+      const second = await vepRegionsAnnotation(variants, {}, true);
+
+      const expected = ['1 100 . A G . . .', '1 200 . C T . . .', '1 200 . C T . . .'];
+      expect(first.map((record) => record.input)).to.deep.equal(expected);
+      expect(second.map((record) => record.input)).to.deep.equal(expected);
+      expect(nock.isDone()).to.be.true;
+    });
+
+    it('should keep annotations on their variants when a cached batch misses one', async () => {
+      nock(apiBaseUrl)
+        .post(apiConfig.ensembl.endpoints.vepRegions)
+        .query(true)
+        .reply(200, (uri, body) =>
+          body.variants
+            .filter((variant) => !variant.startsWith('1 150 '))
+            .map((variant) => ({ ...vepRecord(variant), start: Number(variant.split(' ')[1]) }))
+        );
+
+      const result = await analyzeVariant({
+        variants: ['1-100-A-G', '1-150-G-A', '1-200-C-T'],
+        recoderOptions: {},
+        vepOptions: {},
+        cache: true,
+        output: 'JSON',
+      });
+
+      expect(
+        result.annotationData.map(({ variantKey, start }) => ({ variantKey, start }))
+      ).to.deep.equal([
+        { variantKey: '1-100-A-G', start: 100 },
+        { variantKey: '1-200-C-T', start: 200 },
+      ]);
+      expect(
+        result.meta.failedVariants.map(({ input, stage }) => ({ input, stage }))
+      ).to.deep.equal([{ input: '1-150-G-A', stage: 'annotation' }]);
+    });
+  });
+
+  describe('variantRecoderPost() with caching', () => {
+    it('should cache Variant Recoder records per input', async () => {
+      const requests = [];
+      nock(apiBaseUrl)
+        .post(`${apiConfig.ensembl.endpoints.variantRecoderBase}/homo_sapiens`)
+        .query(true)
+        .times(2)
+        .reply(200, (uri, body) => {
+          requests.push(body.ids);
+          return body.ids.map((id) => ({ T: { input: id, vcf_string: [`1-100-C-T`] } }));
+        });
+
+      await variantRecoderPost(['rs1', 'rs2'], {}, true);
+      const result = await variantRecoderPost(['rs2', 'rs3', 'rs1'], {}, true);
+
+      expect(requests).to.deep.equal([['rs1', 'rs2'], ['rs3']]);
+      expect(result.map((record) => record.T.input)).to.deep.equal(['rs2', 'rs3', 'rs1']);
+    });
+
+    it('should echo the current input in cached Variant Recoder records', async () => {
+      nock(apiBaseUrl)
+        .post(`${apiConfig.ensembl.endpoints.variantRecoderBase}/homo_sapiens`)
+        .query(true)
+        .reply(200, (uri, body) =>
+          body.ids.map((id) => ({ T: { input: id, vcf_string: [`1-100-C-T`] } }))
+        );
+
+      await variantRecoderPost(['ENST00000366667:c.803C>T'], {}, true);
+      const result = await variantRecoderPost([' ENST00000366667:c.803C>T'], {}, true);
+
+      expect(result).to.deep.equal([
+        { T: { input: ' ENST00000366667:c.803C>T', vcf_string: ['1-100-C-T'] } },
+      ]);
+    });
+  });
+});
@@ -1,6 +1,7 @@
 // test/variantLinkerCore.test.js
 // Comprehensive tests for the variant-linker core functionality
 
+const path = require('path');
 const sinon = require('sinon');
 const { expect, mockResponses } = require('./helpers');
 const {
@@ -56,6 +57,15 @@ describe('variantLinkerCore.js', () => {
       expect(detectInputFormat('7:start-end:DEL')).to.equal('HGVS');
     });
 
+    it('should identify SPDI, gnomAD-style and ClinVar-style genomic IDs', () => {
+      expect(detectInputFormat('NC_000017.11:43057062:C:T')).to.equal('SPDI');
+      expect(detectInputFormat('chr17:43057062-C-T')).to.equal('GNOMAD');
+      expect(detectInputFormat('17_43057062_C_T')).to.equal('GNOMAD');
+      expect(detectInputFormat('chr17:g.43057062C>T')).to.equal('CLINVAR');
+      // Plain dash-separated IDs remain VCF
+      expect(detectInputFormat('chr17-43057062-C-T')).to.equal('VCF');
+    });
+
     it('should throw error on empty input', () => {
       expect(() => detectInputFormat()).to.throw('No variant provided');
       expect(() => detectInputFormat('')).to.throw('No variant provided');
@@ -413,6 +423,348 @@ describe('variantLinkerCore.js', () => {
     });
   });
 
+  describe('analyzeVariant() - Per-variant Error Isolation', () => {
+    // Offline annotation source: VEP echoes its inputs, the recoder only knows one variant
+    const createSource = () => ({
+      name: 'fake',
+      annotateRegions: sinon
+        .stub()
+        .callsFake(async (inputs) =>
+          inputs.map((input) => ({ input, most_severe_consequence: 'missense_variant' }))
+        ),
+      recodeVariants: sinon
+        .stub()
+        .callsFake(async (inputs) =>
+          inputs.map((input) =>
+            input === realHgvsVariant
+              ? { A: { input, vcf_string: [correctVcfKeyForRealHgvs] } }
+              : { input, warnings: [`No mapping found for ${input}`] }
+          )
+        ),
+    });
+
+    it('should annotate valid variants and report failed inputs in meta.failedVariants', async () => {
+      const result = await analyzeVariant({
+        variants: [vcfVariant, '7:200-100:DEL', '1-100-A', realHgvsVariant, 'rs0000'],
+        recoderOptions: {},
+        vepOptions: {},
+        cache: false,
+        output: 'JSON',
+        annotationSource: createSource(),
+      });
+
+      expect(result.annotationData.map((a) => a.variantKey)).to.deep.equal([
+        vcfVariant,
+        correctVcfKeyForRealHgvs,
+      ]);
+      expect(
+        result.meta.failedVariants.map(({ input, stage }) => ({ input, stage }))
+      ).to.deep.equal([
+        { input: '1-100-A', stage: 'parse' },
+        { input: '7:200-100:DEL', stage: 'parse' },
+        { input: 'rs0000', stage: 'recoder' },
+      ]);
+      expect(result.meta.failedVariants[2].message).to.include('No mapping found for rs0000');
+      expect(result.meta.stepsPerformed).to.include(
+        '3 variant(s) could not be processed (see meta.failedVariants)'
+      );
+    });
+
+    it('should pass failed inputs to onComplete for CSV/TSV/VCF output', async () => {
+      const onComplete = sinon.spy();
+      const result = await analyzeVariant({
+        variants: [vcfVariant, 'rs0000'],
+        recoderOptions: {},
+        vepOptions: {},
+        cache: false,
+        output: 'TSV',
+        annotationSource: createSource(),
+        onComplete,
+      });
+
+      expect(result).to.be.a('string');
+      expect(onComplete.calledOnce).to.be.true;
+      const { failedVariants } = onComplete.firstCall.args[0];
+      expect(failedVariants).to.have.lengthOf(1);
+      expect(failedVariants[0]).to.include({ input: 'rs0000', stage: 'recoder' });
+    });
+
+    it('should leave the caller params unchanged', async () => {
+      const params = {
+        variants: [vcfVariant, 'rs0000'],
+        recoderOptions: {},
+        vepOptions: {},
+        cache: true,
+        output: 'JSON',
+        annotationSource: createSource(),
+      };
+      const before = { ...params };
+      await analyzeVariant(params);
+
+      expect(params).to.deep.equal(before);
+    });
+
+    it('should report an empty failedVariants list when everything succeeds', async () => {
+      const result = await analyzeVariant({
+        variants: [vcfVariant, '1-65570-G-A'],
+        recoderOptions: {},
+        vepOptions: {},
+        cache: false,
+        output: 'JSON',
+        annotationSource: createSource(),
+      });
+      expect(result.meta.failedVariants).to.deep.equal([]);
+    });
+  });
+
+  describe('analyzeVariant() - Genomic ID Input Formats', () => {
+    const createSource = () => ({
+      name: 'fake',
+      annotateRegions: sinon
+        .stub()
+        .callsFake(async (inputs) =>
+          inputs.map((input) => ({ input, most_severe_consequence: 'missense_variant' }))
+        ),
+      recodeVariants: sinon
+        .stub()
+        .callsFake(async (inputs) =>
+          inputs.map((input) => ({ A: { input, vcf_string: ['17-43057062-CA-C'] } }))
+        ),
+      recodeVariant: sinon.stub().rejects(new Error('Variant Recoder should not be called')),
+    });
+
+    it('should send normalisable IDs to VEP directly and record their format', async () => {
+      const source = createSource();
+      const result = await analyzeVariant({
+        variants: ['NC_000017.11:43057062:C:T', '17_43057070_G_A', 'chr17:g.43057080A>G'],
+        recoderOptions: {},
+        vepOptions: {},
+        cache: false,
+        output: 'JSON',
+        annotationSource: source,
+      });
+
+      expect(source.recodeVariants.called).to.be.false;
+      expect(source.annotateRegions.firstCall.args[0]).to.deep.equal([
+        '17 43057063 . C T . . .',
+        '17 43057070 . G A . . .',
+        '17 43057080 . A G . . .',
+      ]);
+      expect(
+        result.annotationData.map(({ originalInput, inputFormat, variantKey }) => ({
+          originalInput,
+          inputFormat,
+          variantKey,
+        }))
+      ).to.deep.equal([
+        {
+          originalInput: 'NC_000017.11:43057062:C:T',
+          inputFormat: 'SPDI',
+          variantKey: '17-43057063-C-T',
+        },
+        { originalInput: '17_43057070_G_A', inputFormat: 'GNOMAD', variantKey: '17-43057070-G-A' },
+        {
+          originalInput: 'chr17:g.43057080A>G',
+          inputFormat: 'CLINVAR',
+          variantKey: '17-43057080-A-G',
+        },
+      ]);
+    });
+
+    it('should fall back to Variant Recoder for SPDI deletions without an anchor base', async () => {
+      const source = createSource();
+      const result = await analyzeVariant({
+        variants: ['NC_000017.11:43057062:A:', '17:43057090:C:T'],
+        recoderOptions: {},
+        vepOptions: {},
+        cache: false,
+        output: 'JSON',
+        annotationSource: source,
+      });
+
+      expect(source.recodeVariants.firstCall.args[0]).to.deep.equal(['NC_000017.11:43057062:A:']);
+      const spdi = result.annotationData.find(
+        (a) => a.originalInput === 'NC_000017.11:43057062:A:'
+      );
+      expect(spdi).to.include({ inputFormat: 'SPDI', variantKey: '17-43057062-CA-C' });
+    });
+
+    it('should reject SPDI on an accession of the other assembly as a parse failure', async () => {
+      const source = createSource();
+      const result = await analyzeVariant({
+        variants: ['NC_000017.10:41245465:G:A', '17_43057070_G_A'],
+        recoderOptions: {},
+        vepOptions: {},
+        cache: false,
+        output: 'JSON',
+        annotationSource: source,
+      });
+
+      expect(source.annotateRegions.firstCall.args[0]).to.deep.equal(['17 43057070 . G A . . .']);
+      expect(result.annotationData.map((a) => a.originalInput)).to.deep.equal(['17_43057070_G_A']);
+      expect(result.meta.failedVariants).to.deep.equal([
+        {
+          input: 'NC_000017.10:41245465:G:A',
+          stage: 'parse',
+          message: 'NC_000017.10 is a GRCh37 accession, but variants are annotated on GRCh38',
+        },
+      ]);
+    });
+
+    it('should annotate a single genomic ID without Variant Recoder', async () => {
+      const source = createSource();
+      const result = await analyzeVariant({
+        variant: 'chr17:43057062-C-T',
+        recoderOptions: {},
+        vepOptions: {},
+        cache: false,
+        output: 'JSON',
+        annotationSource: source,
+      });
+
+      expect(source.recodeVariant.called).to.be.false;
+      expect(result.annotationData[0]).to.include({
+        inputFormat: 'GNOMAD',
+        variantKey: '17-43057062-C-T',
+        input: '17 43057062 . C T . . .',
+      });
+    });
+  });
+
+  describe('analyzeVariant() - Normalization', () => {
+    const fastaPath = path.join(__dirname, 'fixtures', 'normalization', 'reference.fa');
+    const createSource = () => ({
+      name: 'fake',
+      annotateRegions: sinon
+        .stub()
+        .callsFake(async (inputs) =>
+          inputs.map((input) => ({ input, most_severe_consequence: 'frameshift_variant' }))
+        ),
+      recodeVariants: sinon.stub().rejects(new Error('Variant Recoder should not be called')),
+      recodeVariant: sinon.stub().rejects(new Error('Variant Recoder should not be called')),
+    });
+
+    it('should annotate left-aligned keys and record the original keys', async () => {
+      const source = createSource();
+      const params = {
+        variants: ['1-104-AA-A', '1_100_A_AA', '1-99-G-T'],
+        recoderOptions: {},
+        vepOptions: {},
+        cache: false,
+        output: 'JSON',
+        annotationSource: source,
+        normalizeFasta: fastaPath,
+      };
+      const result = await analyzeVariant(params);
+
+      expect(source.annotateRegions.firstCall.args[0]).to.deep.equal([
+        '1 99 . CA C . . .',
+        '1 99 . C CA . . .',
+      ]);
+      expect(
+        result.annotationData.map(({ variantKey, originalVariantKey, normalizedVariantKey }) => ({
+          variantKey,
+          originalVariantKey,
+          normalizedVariantKey,
+        }))
+      ).to.deep.equal([
+        {
+          variantKey: '1-99-CA-C',
+          originalVariantKey: '1-104-AA-A',
+          normalizedVariantKey: '1-99-CA-C',
+        },
+        {
+          variantKey: '1-99-C-CA',
+          originalVariantKey: '1-100-A-AA',
+          normalizedVariantKey: '1-99-C-CA',
+        },
+      ]);
+      expect(result.meta.failedVariants).to.have.lengthOf(1);
+      expect(result.meta.failedVariants[0]).to.include({ input: '1-99-G-T', stage: 'normalize' });
+      expect(result.meta.normalization).to.deep.equal({ fasta: fastaPath, changedVariants: 2 });
+    });
+
+    it('should keep the record key as variantKey for VCF input', async () => {
+      const source = createSource();
+      const result = await analyzeVariant({
+        variants: ['1-104-AA-A', '1-99-C-T'],
+        vcfInput: true,
+        recoderOptions: {},
+        vepOptions: {},
+        cache: false,
+        output: 'JSON',
+        annotationSource: source,
+        normalizeFasta: fastaPath,
+      });
+
+      expect(source.annotateRegions.firstCall.args[0]).to.deep.equal([
+        '1 99 . CA C . . .',
+        '1 99 . C T . . .',
+      ]);
+      expect(result.annotationData[0]).to.include({
+        variantKey: '1-104-AA-A',
+        originalVariantKey: '1-104-AA-A',
+        normalizedVariantKey: '1-99-CA-C',
+      });
+      expect(result.meta.normalization.changedVariants).to.equal(1);
+    });
+
+    it('should not add normalisation fields when disabled', async () => {
+      const result = await analyzeVariant({
+        variant: '1-104-AA-A',
+        recoderOptions: {},
+        vepOptions: {},
+        cache: false,
+        output: 'JSON',
+        annotationSource: createSource(),
+      });
+
+      expect(result.annotationData[0].variantKey).to.equal('1-104-AA-A');
+      expect(result.annotationData[0]).to.not.have.property('normalizedVariantKey');
+      expect(result.meta).to.not.have.property('normalization');
+    });
+  });
+
+  describe('analyzeVariant() - Cache statistics', () => {
+    it('should report cache lookups in meta when caching is enabled', async () => {
+      const result = await analyzeVariant({
+        variant: '1-100-A-G',
+        recoderOptions: {},
+        vepOptions: {},
+        cache: true,
+        output: 'JSON',
+        annotationSource: {
+          name: 'fake',
+          annotateRegions: sinon.stub().resolves([{ input: '1 100 . A G . . .' }]),
+        },
+      });
+
+      expect(result.meta.cache).to.include({
+        memoryHits: 0,
+        persistentHits: 0,
+        misses: 0,
+        lookups: 0,
+        hitRate: null,
+      });
+    });
+
+    it('should not report cache statistics when caching is disabled', async () => {
+      const result = await analyzeVariant({
+        variant: '1-100-A-G',
+        recoderOptions: {},
+        vepOptions: {},
+        cache: false,
+        output: 'JSON',
+        annotationSource: {
+          name: 'fake',
+          annotateRegions: sinon.stub().resolves([{ input: '1 100 . A G . . .' }]),
+        },
+      });
+
+      expect(result.meta).to.not.have.property('cache');
+    });
+  });
+
   // Simple unit test for filter-related functionality
   describe('Filter Parameter Detection', () => {
     // Ultra-simple test that doesn't rely on actual filter implementation
@@ -147,6 +147,22 @@ describe('variantLinkerProcessor', () => {
       expect(dataFields[geneSymbolIndex]).to.equal('');
     });
 
+    it('should write provenance as comment lines above the CSV/TSV header', () => {
+      const results = {
+        ...testResults,
+        meta: { stepsPerformed: [], provenance: { annotationSource: 'rest', ensemblRelease: 113 } },
+      };
+      const lines = filterAndFormatResults(results, null, 'TSV').split('\n');
+      expect(lines.slice(0, 2)).to.deep.equal([
+        '# VL_ANNOTATION_SOURCE=rest',
+        '# VL_ENSEMBL_RELEASE=113',
+      ]);
+      expect(lines[2].split('\t')).to.include('OriginalInput');
+
+      const streamed = filterAndFormatResults(results, null, 'CSV', { isStreaming: true });
+      expect(streamed.header.startsWith('# VL_ANNOTATION_SOURCE=rest\n')).to.be.true;
+    });
+
     it('should throw error for unsupported format', () => {
       expect(() => filterAndFormatResults(testResults, null, 'UNKNOWN')).to.throw(
         /Unsupported format/
@@ -0,0 +1,117 @@
+// test/variantStream.test.js
+
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { analyzeVariantsStream } = require('../src/variantStream');
+const variantLinker = require('../src/index');
+
+describe('variantStream.js', () => {
+  const createSource = () => ({
+    name: 'fake',
+    annotateRegions: sinon
+      .stub()
+      .callsFake(async (inputs) =>
+        inputs.map((input) => ({ input, most_severe_consequence: 'missense_variant' }))
+      ),
+    recodeVariants: sinon.stub().rejects(new Error('Variant Recoder should not be called')),
+    recodeVariant: sinon.stub().rejects(new Error('Variant Recoder should not be called')),
+  });
+
+  const baseParams = (annotationSource) => ({
+    recoderOptions: {},
+    vepOptions: {},
+    cache: false,
+    annotationSource,
+  });
+
+  const collect = async (iterable) => {
+    const records = [];
+    for await (const record of iterable) {
+      records.push(record);
+    }
+    return records;
+  };
+
+  it('should be exported from the package entry point', () => {
+    expect(variantLinker.analyzeVariantsStream).to.equal(analyzeVariantsStream);
+  });
+
+  it('should yield annotation records chunk by chunk in input order', async () => {
+    const source = createSource();
+    const records = await collect(
+      analyzeVariantsStream(['1-100-A-G', '# comment', '', '1-200-C-T', '1-300-G-A'], {
+        ...baseParams(source),
+        chunkSize: 2,
+      })
+    );
+
+    expect(records.map((record) => record.variantKey)).to.deep.equal([
+      '1-100-A-G',
+      '1-200-C-T',
+      '1-300-G-A',
+    ]);
+    expect(source.annotateRegions.callCount).to.equal(2);
+    expect(source.annotateRegions.firstCall.args[0]).to.have.lengthOf(2);
+  });
+
+  it('should only read the source as far as the consumer has asked for', async () => {
+    let pulled = 0;
+    async function* lines() {
+      for (let pos = 1; pos <= 10; pos++) {
+        pulled++;
+        yield `1-${pos * 100}-A-G`;
+      }
+    }
+
+    const stream = analyzeVariantsStream(lines(), { ...baseParams(createSource()), chunkSize: 3 });
+    const first = await stream.next();
+    expect(first.value.variantKey).to.equal('1-100-A-G');
+    expect(pulled).to.equal(3);
+
+    await stream.next();
+    await stream.next();
+    expect(pulled).to.equal(3);
+
+    await stream.next();
+    expect(pulled).to.equal(6);
+    await stream.return();
+  });
+
+  it('should collect failed inputs without aborting the stream', async () => {
+    const onComplete = sinon.spy();
+    const params = { ...baseParams(createSource()), chunkSize: 2, onComplete };
+    const records = await collect(
+      analyzeVariantsStream(['1-100-A-G', '1-200-C-T', '1-300-A-XYZ'], params)
+    );
+
+    expect(records).to.have.lengthOf(2);
+    expect(onComplete.calledOnce).to.be.true;
+    const { failedVariants } = onComplete.firstCall.args[0];
+    expect(failedVariants).to.have.lengthOf(1);
+    expect(failedVariants[0]).to.include({ input: '1-300-A-XYZ', stage: 'parse' });
+    expect(params).to.not.have.property('failedVariants');
+  });
+
+  it('should apply scoring to the yielded records', async () => {
+    const scoringConfig = {
+      variables: {},
+      formulas: { annotationLevel: [{ constant_score: '1 + 1' }], transcriptLevel: [] },
+    };
+    const records = await collect(
+      analyzeVariantsStream(['1-100-A-G'], { ...baseParams(createSource()), scoringConfig })
+    );
+
+    expect(records[0].constant_score).to.equal(2);
+  });
+
+  it('should reject sources that are not iterable', async () => {
+    let error;
+    try {
+      await analyzeVariantsStream(42, {}).next();
+    } catch (err) {
+      error = err;
+    }
+    expect(error).to.be.an('error');
+    expect(error.message).to.match(/iterable/);
+  });
+});
@@ -0,0 +1,281 @@
+// test/vcf-streaming-integration.test.js
+/**
+ * Integration tests for chunked VCF processing (--stream-vcf) and VCF region queries.
+ * Annotations come from precomputed VEP JSON, so no external API calls are made.
+ */
+
+const { expect } = require('chai');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const binPath = path.resolve(__dirname, '../src/main.js');
+const vepJsonPath = path.join(__dirname, 'fixtures', 'vep_json', 'precomputed_vep.json');
+
+const VCF_CONTENT = [
+  '##fileformat=VCFv4.2',
+  '#CHROM\tPOS\tID\tREF\tALT\tQUAL\tFILTER\tINFO\tFORMAT\tSAMPLE1',
+  '1\t65568\t.\tA\tC\t.\tPASS\t.\tGT\t0/1',
+  '7\t117559600\t.\tATCT\tA\t.\tPASS\t.\tGT\t1/1',
+  '',
+].join('\n');
+
+/**
+ * Runs the CLI with the given arguments and collects its output.
+ * @param {Array<string>} args - CLI arguments
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} Process result
+ */
+function runCli(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('node', [binPath, ...args], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (data) => (stdout += data.toString()));
+    child.stderr.on('data', (data) => (stderr += data.toString()));
+    child.on('error', reject);
+    child.on('close', (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+describe('Chunked VCF processing (--stream-vcf)', function () {
+  this.timeout(30000);
+
+  let tempDir;
+  let vcfGzPath;
+  const offlineArgs = ['--annotation-source', 'vep-json', '--vep-json-path', vepJsonPath];
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'variant-linker-stream-vcf-'));
+    vcfGzPath = path.join(tempDir, 'input.vcf.gz');
+    fs.writeFileSync(vcfGzPath, zlib.gzipSync(VCF_CONTENT));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should write a single VCF header followed by records from every chunk', async () => {
+    const { code, stdout } = await runCli([
+      '--vcf-input',
+      vcfGzPath,
+      '--stream-vcf',
+      '--chunk-size',
+      '1',
+      '--output',
+      'VCF',
+      ...offlineArgs,
+    ]);
+
+    expect(code).to.equal(0);
+    const lines = stdout.trim().split('\n');
+    expect(lines.filter((line) => line.startsWith('#CHROM'))).to.have.lengthOf(1);
+    const dataLines = lines.filter((line) => !line.startsWith('#'));
+    expect(dataLines).to.have.lengthOf(2);
+    expect(dataLines[0]).to.match(/^1\t65568\t.*VL_CSQ=C\|missense_variant/);
+    expect(dataLines[1]).to.match(/^7\t117559600\t.*VL_CSQ=A\|inframe_deletion/);
+  });
+
+  it('should match non-chunked TSV output when saving to a file', async () => {
+    const savePath = path.join(tempDir, 'out.tsv');
+    const chunked = await runCli([
+      '--vcf-input',
+      vcfGzPath,
+      '--stream-vcf',
+      '--chunk-size',
+      '1',
+      '--output',
+      'TSV',
+      '--save',
+      savePath,
+      ...offlineArgs,
+    ]);
+    const full = await runCli(['--vcf-input', vcfGzPath, '--output', 'TSV', ...offlineArgs]);
+
+    expect(chunked.code).to.equal(0);
+    expect(full.code).to.equal(0);
+    expect(fs.readFileSync(savePath, 'utf8').trim()).to.equal(full.stdout.trim());
+  });
+
+  it('should write JSON output as one NDJSON line per chunk', async () => {
+    const { code, stdout } = await runCli([
+      '--vcf-input',
+      vcfGzPath,
+      '--stream-vcf',
+      '--chunk-size',
+      '1',
+      '--output',
+      'JSON',
+      ...offlineArgs,
+    ]);
+
+    expect(code).to.equal(0);
+    const chunks = stdout
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    expect(chunks.map((chunk) => chunk.meta.chunk)).to.deep.equal([
+      { index: 0, variantCount: 1 },
+      { index: 1, variantCount: 1 },
+    ]);
+    expect(chunks[0].annotationData[0].variantKey).to.equal('1-65568-A-C');
+    expect(chunks[1].annotationData[0].variantKey).to.equal('7-117559600-ATCT-A');
+  });
+
+  it('should keep each chromosome in one chunk when calculating inheritance', async () => {
+    // A second chr1 record, so a compound heterozygous pair could span a --chunk-size cut
+    const records = VCF_CONTENT.split('\n');
+    records.splice(3, 0, '1\t65570\t.\tG\tT\t.\tPASS\t.\tGT\t0/1');
+    const vcfPath = path.join(tempDir, 'two-chr1.vcf');
+    fs.writeFileSync(vcfPath, records.join('\n'));
+
+    const { code, stdout } = await runCli([
+      '--vcf-input',
+      vcfPath,
+      '--stream-vcf',
+      '--chunk-size',
+      '1',
+      '--output',
+      'JSON',
+      '--calculate-inheritance',
+      ...offlineArgs,
+    ]);
+
+    expect(code).to.equal(0);
+    const chunks = stdout
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    expect(chunks.map((chunk) => chunk.meta.chunk)).to.deep.equal([
+      { index: 0, variantCount: 2 },
+      { index: 1, variantCount: 1 },
+    ]);
+  });
+
+  it('should record provenance by default unless --no-provenance is given', async () => {
+    const run = (output, ...extra) =>
+      runCli([
+        '--vcf-input',
+        vcfGzPath,
+        '--stream-vcf',
+        '--output',
+        output,
+        ...offlineArgs,
+        ...extra,
+      ]);
+
+    const vcf = await run('VCF');
+    expect(vcf.stdout).to.include('##VL_ANNOTATION_SOURCE=vep-json\n');
+    const tsv = await run('TSV');
+    expect(tsv.stdout.startsWith('# VL_ANNOTATION_SOURCE=vep-json\n')).to.be.true;
+    const json = await run('JSON');
+    expect(JSON.parse(json.stdout.trim()).meta.provenance).to.deep.equal({
+      annotationSource: 'vep-json',
+      path: vepJsonPath,
+    });
+
+    const withoutProvenance = await run('TSV', '--no-provenance');
+    expect(withoutProvenance.stdout).to.not.include('VL_ANNOTATION_SOURCE');
+  });
+
+  it('should require --vcf-input', async () => {
+    const { code, stderr } = await runCli(['--variant', '1-65568-A-C', '--stream-vcf']);
+
+    expect(code).to.not.equal(0);
+    expect(stderr).to.include('--stream-vcf requires --vcf-input');
+  });
+});
+
+describe('VCF region queries (--region / --regions-bed)', function () {
+  this.timeout(30000);
+
+  let tempDir;
+  let vcfPath;
+  const offlineArgs = ['--annotation-source', 'vep-json', '--vep-json-path', vepJsonPath];
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'variant-linker-regions-'));
+    vcfPath = path.join(tempDir, 'input.vcf');
+    fs.writeFileSync(vcfPath, VCF_CONTENT);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should only annotate records inside --region', async () => {
+    const { code, stdout } = await runCli([
+      '--vcf-input',
+      vcfPath,
+      '--region',
+      'chr7:117559000-117560000',
+      '--output',
+      'TSV',
+      ...offlineArgs,
+    ]);
+
+    expect(code).to.equal(0);
+    const rows = stdout
+      .trim()
+      .split('\n')
+      .filter((line) => !line.startsWith('# '))
+      .slice(1);
+    expect(rows).to.have.lengthOf(1);
+    expect(rows[0]).to.match(/^7-117559600-ATCT-A\t/);
+  });
+
+  it('should accept a --regions-bed with hundreds of thousands of intervals', async () => {
+    const bedPath = path.join(tempDir, 'exome.bed');
+    const intervals = Array.from({ length: 200000 }, (_, i) => `2\t${i * 100}\t${i * 100 + 50}`);
+    intervals.push('7\t117559000\t117560000');
+    fs.writeFileSync(bedPath, intervals.join('\n') + '\n');
+
+    const { code, stdout } = await runCli([
+      '--vcf-input',
+      vcfPath,
+      '--regions-bed',
+      bedPath,
+      '--output',
+      'TSV',
+      ...offlineArgs,
+    ]);
+
+    expect(code).to.equal(0);
+    const rows = stdout
+      .trim()
+      .split('\n')
+      .filter((line) => !line.startsWith('# '))
+      .slice(1);
+    expect(rows).to.have.lengthOf(1);
+    expect(rows[0]).to.match(/^7-117559600-ATCT-A\t/);
+  });
+
+  it('should combine --regions-bed with chunked processing', async () => {
+    const bedPath = path.join(tempDir, 'panel.bed');
+    fs.writeFileSync(bedPath, 'chr1\t65000\t66000\tOR4F5\n');
+
+    const { code, stdout } = await runCli([
+      '--vcf-input',
+      vcfPath,
+      '--regions-bed',
+      bedPath,
+      '--stream-vcf',
+      '--output',
+      'VCF',
+      ...offlineArgs,
+    ]);
+
+    expect(code).to.equal(0);
+    const dataLines = stdout.split('\n').filter((line) => line && !line.startsWith('#'));
+    expect(dataLines).to.have.lengthOf(1);
+    expect(dataLines[0]).to.match(/^1\t65568\t/);
+  });
+
+  it('should reject malformed regions', async () => {
+    const { code, stderr } = await runCli(['--vcf-input', vcfPath, '--region', 'chr1:abc']);
+
+    expect(code).to.not.equal(0);
+    expect(stderr).to.include('Invalid --region');
+  });
+});
@@ -74,6 +74,29 @@ describe('vcfFormatter', () => {
     // --- Test Scenarios ---
 
     describe('Basic Non-VCF Input Tests', () => {
+      it('should write provenance as ##VL_ header lines, replacing earlier ones', () => {
+        const provenance = {
+          annotationSource: 'rest',
+          ensemblRelease: 113,
+          assembly: 'GRCh38.p14',
+        };
+        const output = formatAnnotationsToVcf(
+          [],
+          undefined,
+          ['##fileformat=VCFv4.2', '##VL_ENSEMBL_RELEASE=110', '#CHROM\tPOS\tID\tREF\tALT'],
+          mockVlCsqFormatFields,
+          { provenance }
+        );
+        const lines = output.trim().split('\n');
+
+        expect(lines.filter((line) => line.startsWith('##VL_'))).to.deep.equal([
+          '##VL_ANNOTATION_SOURCE=rest',
+          '##VL_ENSEMBL_RELEASE=113',
+          '##VL_ASSEMBLY=GRCh38.p14',
+        ]);
+        expect(lines[lines.length - 1]).to.match(/^#CHROM/);
+      });
+
       it('should generate valid VCF output with default headers for non-VCF input', () => {
         const mockAnnotationData = [
           {
@@ -179,6 +202,46 @@ describe('vcfFormatter', () => {
       });
     });
 
+    describe('Separate Header Tests', () => {
+      const annotation = {
+        vcfString: '1-100-A-T',
+        seq_region_name: '1',
+        start: 100,
+        end: 100,
+        allele_string: 'A/T',
+        most_severe_consequence: 'missense_variant',
+        transcript_consequences: [
+          { consequence_terms: ['missense_variant'], impact: 'MODERATE', gene_symbol: 'GENE1' },
+        ],
+      };
+
+      it('should return header and data lines separately when requested', () => {
+        const output = formatAnnotationsToVcf(
+          [annotation],
+          undefined,
+          undefined,
+          mockVlCsqFormatFields,
+          { separateHeader: true }
+        );
+
+        expect(output).to.have.all.keys('header', 'data');
+        const headerLines = output.header.split('\n');
+        expect(headerLines[0]).to.equal('##fileformat=VCFv4.2');
+        expect(headerLines[headerLines.length - 1]).to.match(/^#CHROM/);
+        expect(output.data.split('\n')).to.have.lengthOf(1);
+        expect(output.data).to.match(/^1\t100\t/);
+      });
+
+      it('should return an empty data string when there are no annotations', () => {
+        const output = formatAnnotationsToVcf([], undefined, undefined, mockVlCsqFormatFields, {
+          separateHeader: true,
+        });
+
+        expect(output.header).to.include('#CHROM');
+        expect(output.data).to.equal('');
+      });
+    });
+
     describe('VL_CSQ Tag Handling Tests', () => {
       it('should omit VL_CSQ tag when no consequences', () => {
         const mockAnnotationData = [
@@ -4,18 +4,29 @@ const chai = require('chai');
 const expect = chai.expect;
 const sinon = require('sinon');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { readVariantsFromVcf } = require('../src/vcfReader');
+const zlib = require('zlib');
+const {
+  readVariantsFromVcf,
+  readVcfInChunks,
+  readVcfHeader,
+  parseRegion,
+} = require('../src/vcfReader');
 
 describe('VCF Reader', () => {
   let sandbox;
-  const testVcfPath = path.join(__dirname, 'fixtures', 'test.vcf');
+  let tempDir;
+  let testVcfPath;
+  let mockVcfContent;
 
   beforeEach(() => {
     sandbox = sinon.createSandbox();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'variant-linker-vcf-test-'));
+    testVcfPath = path.join(tempDir, 'test.vcf');
 
     // Create a mock VCF file content with header and data
-    const mockVcfContent = `##fileformat=VCFv4.2
+    mockVcfContent = `##fileformat=VCFv4.2
 ##reference=GRCh38
 ##contig=<ID=1,length=248956422>
 ##contig=<ID=2,length=242193529>
@@ -27,13 +38,12 @@ describe('VCF Reader', () => {
 2\t23456\t.\tT\tC,G\t.\tPASS\tDP=60;AF=0.3,0.1\tGT\t0/1
 `;
 
-    // Mock the fs module to return our test VCF content
-    sandbox.stub(fs, 'existsSync').returns(true);
-    sandbox.stub(fs, 'readFileSync').withArgs(testVcfPath, 'utf8').returns(mockVcfContent);
+    fs.writeFileSync(testVcfPath, mockVcfContent);
   });
 
   afterEach(() => {
     sandbox.restore();
+    fs.rmSync(tempDir, { recursive: true, force: true });
   });
 
   it('should parse variants from a VCF file', async () => {
@@ -91,12 +101,7 @@ describe('VCF Reader', () => {
 1\t12345\t.\tA\tG\t.\tPASS\tDP=50;AF=0.5
 `;
 
-    // Replace the readFileSync stub to return our new content
-    fs.readFileSync.restore();
-    sandbox
-      .stub(fs, 'readFileSync')
-      .withArgs(testVcfPath, 'utf8')
-      .returns(mockVcfContentWithoutFileformat);
+    fs.writeFileSync(testVcfPath, mockVcfContentWithoutFileformat);
 
     const result = await readVariantsFromVcf(testVcfPath);
 
@@ -109,9 +114,48 @@ describe('VCF Reader', () => {
     expect(result.headerLines[0]).to.equal('##reference=GRCh38');
   });
 
+  it('should keep the GQ, DP and AD of every sample', async () => {
+    const vcfPath = path.join(__dirname, 'fixtures', 'inheritance', 'trio_denovo_low_quality.vcf');
+    const result = await readVariantsFromVcf(vcfPath);
+
+    const record = result.vcfRecordMap.get('1-1000000-A-G');
+    expect(record.sampleFields.get('FATHER')).to.deep.equal({ GQ: 8, DP: 4, AD: [4, 0] });
+    expect(record.genotypes.get('FATHER')).to.equal('0/0');
+  });
+
+  it('should keep the phase set of phased genotypes', async () => {
+    const vcfPath = path.join(__dirname, 'fixtures', 'inheritance', 'comphet_phased_trans.vcf');
+    const result = await readVariantsFromVcf(vcfPath);
+
+    const record = result.vcfRecordMap.get('5-5000200-C-T');
+    expect(record.genotypes.get('PROBAND')).to.equal('1|0');
+    expect(record.sampleFields.get('PROBAND')).to.deep.equal({ PS: 5000100 });
+  });
+
+  it('should leave out missing quality values and records without them', async () => {
+    fs.writeFileSync(
+      testVcfPath,
+      [
+        '##fileformat=VCFv4.2',
+        '##FORMAT=<ID=GT,Number=1,Type=String,Description="Genotype">',
+        '##FORMAT=<ID=AD,Number=R,Type=Integer,Description="Allelic depths">',
+        '##FORMAT=<ID=DP,Number=1,Type=Integer,Description="Read depth">',
+        '#CHROM\tPOS\tID\tREF\tALT\tQUAL\tFILTER\tINFO\tFORMAT\tA\tB',
+        '1\t10\t.\tA\tC,G\t.\tPASS\t.\tGT:AD:DP\t0/1:.:.\t0/2:3,.,4:7',
+        '1\t20\t.\tA\tC\t.\tPASS\t.\tGT\t0/1\t0/0',
+        '',
+      ].join('\n')
+    );
+    const result = await readVariantsFromVcf(testVcfPath);
+
+    const sampleFields = result.vcfRecordMap.get('1-10-A-G').sampleFields;
+    expect(sampleFields.get('A')).to.deep.equal({});
+    expect(sampleFields.get('B')).to.deep.equal({ DP: 7 }); // AD with a missing depth is dropped
+    expect(result.vcfRecordMap.get('1-20-A-C')).to.not.have.property('sampleFields');
+  });
+
   it('should throw an error if the VCF file does not exist', async () => {
-    // Restore the existsSync stub and make it return false
-    fs.existsSync.restore();
+    // Stub existsSync to simulate a missing file
     sandbox.stub(fs, 'existsSync').returns(false);
 
     try {
@@ -122,4 +166,241 @@ describe('VCF Reader', () => {
       expect(error.message).to.include('VCF file not found');
     }
   });
+
+  it('should read gzip-compressed VCF files', async () => {
+    const gzPath = path.join(tempDir, 'test.vcf.gz');
+    fs.writeFileSync(gzPath, zlib.gzipSync(mockVcfContent));
+
+    const result = await readVariantsFromVcf(gzPath);
+
+    expect(result.variantsToProcess).to.deep.equal(['1-12345-A-G', '2-23456-T-C', '2-23456-T-G']);
+    expect(result.samples).to.deep.equal(['SAMPLE1']);
+  });
+
+  it('should read bgzip-style files made of concatenated gzip members', async () => {
+    // bgzip compresses blocks independently; emulate this with one gzip member per line
+    const members = mockVcfContent
+      .trim()
+      .split('\n')
+      .map((line) => zlib.gzipSync(line + '\n'));
+    const gzPath = path.join(tempDir, 'test.vcf.gz');
+    fs.writeFileSync(gzPath, Buffer.concat(members));
+
+    const result = await readVariantsFromVcf(gzPath);
+
+    expect(result.variantsToProcess).to.have.lengthOf(3);
+  });
+
+  it('should read VCF files with more variants than fit in one call', async function () {
+    // eslint-disable-next-line no-invalid-this
+    this.timeout(60000);
+    const recordCount = 150000;
+    const lines = ['##fileformat=VCFv4.2', '#CHROM\tPOS\tID\tREF\tALT\tQUAL\tFILTER\tINFO'];
+    for (let i = 1; i <= recordCount; i++) {
+      lines.push(`1\t${i}\t.\tA\tG\t.\tPASS\t.`);
+    }
+    fs.writeFileSync(testVcfPath, lines.join('\n') + '\n');
+
+    const result = await readVariantsFromVcf(testVcfPath);
+
+    expect(result.variantsToProcess).to.have.lengthOf(recordCount);
+    expect(result.variantsToProcess[recordCount - 1]).to.equal(`1-${recordCount}-A-G`);
+  });
+
+  describe('readVcfInChunks()', () => {
+    it('should yield records in chunks without splitting multi-allelic records', async () => {
+      const chunks = [];
+      for await (const chunk of readVcfInChunks(testVcfPath, { chunkSize: 1 })) {
+        chunks.push(chunk);
+      }
+
+      expect(chunks).to.have.lengthOf(2);
+      expect(chunks[0].variantsToProcess).to.deep.equal(['1-12345-A-G']);
+      expect(Array.from(chunks[0].vcfRecordMap.keys())).to.deep.equal(['1-12345-A-G']);
+      expect(chunks[1].variantsToProcess).to.deep.equal(['2-23456-T-C', '2-23456-T-G']);
+      expect(chunks[1].vcfRecordMap.size).to.equal(2);
+      // Every chunk carries the header so it can be formatted on its own
+      expect(chunks[1].headerLines).to.have.lengthOf(8);
+      expect(chunks[1].samples).to.deep.equal(['SAMPLE1']);
+    });
+
+    it('should only end chunks at chromosome changes with splitAtChromosomes', async () => {
+      const content = [
+        '##fileformat=VCFv4.2',
+        '#CHROM\tPOS\tID\tREF\tALT\tQUAL\tFILTER\tINFO',
+        '1\t100\t.\tA\tG\t.\tPASS\t.',
+        '1\t200\t.\tC\tT\t.\tPASS\t.',
+        '1\t300\t.\tG\tA\t.\tPASS\t.',
+        '2\t100\t.\tT\tC\t.\tPASS\t.',
+        '',
+      ].join('\n');
+      fs.writeFileSync(testVcfPath, content);
+
+      const chunks = [];
+      const options = { chunkSize: 2, splitAtChromosomes: true };
+      for await (const chunk of readVcfInChunks(testVcfPath, options)) {
+        chunks.push(chunk.variantsToProcess);
+      }
+
+      expect(chunks).to.deep.equal([['1-100-A-G', '1-200-C-T', '1-300-G-A'], ['2-100-T-C']]);
+    });
+
+    it('should yield a single empty chunk for a header-only file', async () => {
+      const headerOnly = mockVcfContent
+        .split('\n')
+        .filter((line) => line.startsWith('#'))
+        .join('\n');
+      fs.writeFileSync(testVcfPath, headerOnly + '\n');
+
+      const chunks = [];
+      for await (const chunk of readVcfInChunks(testVcfPath)) {
+        chunks.push(chunk);
+      }
+
+      expect(chunks).to.have.lengthOf(1);
+      expect(chunks[0].variantsToProcess).to.deep.equal([]);
+      expect(chunks[0].headerLines).to.have.lengthOf(8);
+    });
+
+    it('should reject files without a header', async () => {
+      fs.writeFileSync(testVcfPath, '1\t100\t.\tA\tG\t.\tPASS\t.\n');
+      try {
+        for await (const chunk of readVcfInChunks(testVcfPath)) {
+          expect(chunk).to.not.exist;
+        }
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('No header lines found');
+      }
+    });
+  });
+
+  describe('readVcfHeader()', () => {
+    it('should return the header and samples without reading records', async () => {
+      const header = await readVcfHeader(testVcfPath);
+
+      expect(header.headerLines).to.have.lengthOf(8);
+      expect(header.headerText.split('\n')[0]).to.equal('##fileformat=VCFv4.2');
+      expect(header.samples).to.deep.equal(['SAMPLE1']);
+    });
+  });
+
+  describe('parseRegion()', () => {
+    it('should convert 1-based inclusive regions to BED-style coordinates', () => {
+      expect(parseRegion('chr1:1,000-2,000')).to.include({ chrom: '1', start: 999, end: 2000 });
+      expect(parseRegion('X:500')).to.include({ chrom: 'X', start: 499, end: 500 });
+      expect(parseRegion('chr2')).to.include({ chrom: '2', start: 0, end: Infinity });
+    });
+
+    it('should reject malformed regions', () => {
+      expect(() => parseRegion('chr1:abc')).to.throw(/Invalid region/);
+      expect(() => parseRegion('chr1:2000-1000')).to.throw(/Invalid region/);
+      expect(() => parseRegion('chr1:0-10')).to.throw(/Invalid region/);
+    });
+  });
+
+  describe('structural variants', () => {
+    const svVcfPath = path.join(__dirname, 'fixtures', 'sv', 'structural_variants.vcf');
+
+    it('should key symbolic and breakend alleles in CNV format', async () => {
+      const result = await readVariantsFromVcf(svVcfPath);
+
+      expect(result.variantsToProcess).to.deep.equal([
+        '1:1001-2000:DEL', // END from INFO, padding base skipped
+        '1-65568-A-C',
+        '2:5001-5500:DUP', // <DUP:TANDEM> without END uses SVLEN
+        '2:9000-9000:BND',
+        'MT:3001-3100:DEL',
+      ]);
+      const entry = result.vcfRecordMap.get('1:1001-2000:DEL');
+      expect(entry.alt).to.equal('<DEL>');
+      expect(entry.genotypes.get('SAMPLE1')).to.equal('0/1');
+    });
+
+    it('should type copy-number alleles, fall back to INFO/SVTYPE and skip gVCF blocks', async () => {
+      fs.writeFileSync(
+        testVcfPath,
+        [
+          '##fileformat=VCFv4.2',
+          '#CHROM\tPOS\tID\tREF\tALT\tQUAL\tFILTER\tINFO',
+          '3\t100\t.\tN\t<CN0>,<CN3>\t.\tPASS\tSVTYPE=CNV;END=900',
+          '3\t1000\t.\tN\t<INV>\t.\tPASS\tEND=1500',
+          '3\t1800\t.\tN\t<CPX>\t.\tPASS\tSVTYPE=DUP;END=1900',
+          '3\t2000\t.\tA\t<NON_REF>\t.\tPASS\tEND=2100',
+          '',
+        ].join('\n')
+      );
+      const result = await readVariantsFromVcf(testVcfPath);
+
+      expect(result.variantsToProcess).to.deep.equal([
+        '3:101-900:DEL',
+        '3:101-900:DUP',
+        '3:1001-1500:INV',
+        '3:1801-1900:DUP', // type from INFO/SVTYPE
+      ]);
+    });
+
+    it('should include structural variants whose span overlaps a region', async () => {
+      const result = await readVariantsFromVcf(svVcfPath, {
+        regions: [parseRegion('1:1500-1600')],
+      });
+
+      expect(result.variantsToProcess).to.deep.equal(['1:1001-2000:DEL']);
+    });
+  });
+
+  describe('region queries', () => {
+    const tabixDir = path.join(__dirname, 'fixtures', 'tabix');
+    const regions = ['1:1000-2000', 'chr1:5001', 'chr2'].map(parseRegion);
+    const expectedVariants = [
+      'chr1-1500-C-T',
+      'chr1-5000-GATC-G', // deletion overlapping position 5001
+      'chr2-300-T-C',
+      'chr2-300-T-A',
+    ];
+
+    it('should seek to regions in a tabix-indexed bgzipped VCF', async () => {
+      const result = await readVariantsFromVcf(path.join(tabixDir, 'regions.vcf.gz'), { regions });
+
+      expect(result.variantsToProcess).to.deep.equal(expectedVariants);
+      expect(result.samples).to.deep.equal(['SAMPLE1']);
+      expect(result.headerLines[result.headerLines.length - 1]).to.match(/^#CHROM/);
+    });
+
+    it('should fall back to scanning a plain VCF', async () => {
+      const result = await readVariantsFromVcf(path.join(tabixDir, 'regions.vcf'), { regions });
+
+      expect(result.variantsToProcess).to.deep.equal(expectedVariants);
+    });
+
+    it('should return each record once when it overlaps several regions', async () => {
+      const overlapping = ['chr1:4990-5001', 'chr1:5003-5010'].map(parseRegion);
+      const result = await readVariantsFromVcf(path.join(tabixDir, 'regions.vcf.gz'), {
+        regions: overlapping,
+      });
+
+      expect(result.variantsToProcess).to.deep.equal(['chr1-5000-GATC-G']);
+    });
+
+    it('should chunk region query results', async () => {
+      const chunks = [];
+      for await (const chunk of readVcfInChunks(path.join(tabixDir, 'regions.vcf.gz'), {
+        chunkSize: 2,
+        regions,
+      })) {
+        chunks.push(chunk.variantsToProcess);
+      }
+
+      expect(chunks).to.deep.equal([expectedVariants.slice(0, 2), expectedVariants.slice(2)]);
+    });
+
+    it('should read no records for regions on other chromosomes', async () => {
+      const result = await readVariantsFromVcf(path.join(tabixDir, 'regions.vcf.gz'), {
+        regions: [parseRegion('chr3:1-1000')],
+      });
+
+      expect(result.variantsToProcess).to.deep.equal([]);
+      expect(result.samples).to.deep.equal(['SAMPLE1']);
+    });
+  });
 });
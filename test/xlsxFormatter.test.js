@@ -0,0 +1,237 @@
+// test/xlsxFormatter.test.js
+
+'use strict';
+
+const { expect } = require('chai');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { formatResultsToXlsx } = require('../src/xlsxFormatter');
+const { createXlsxWorkbook } = require('../src/utils/xlsxWriter');
+const { filterAndFormatResults } = require('../src/variantLinkerProcessor');
+const { getDefaultColumnConfig } = require('../src/dataExtractor');
+
+/**
+ * Reads the entries of a ZIP archive written by zipWriter (sizes in the local headers).
+ * @param {Buffer} buffer - Archive
+ * @returns {Object<string, string>} Entry contents by name
+ */
+function readZip(buffer) {
+  const entries = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const crc = buffer.readUInt32LE(offset + 14);
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + extraLength;
+    const data = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize));
+    if (zlib.crc32) expect(zlib.crc32(data), name).to.equal(crc);
+    entries[name] = data.toString('utf8');
+    offset = start + compressedSize;
+  }
+  expect(buffer.readUInt32LE(buffer.length - 22)).to.equal(0x06054b50);
+  return entries;
+}
+
+describe('xlsxFormatter', () => {
+  const annotation = {
+    originalInput: '2-1000-A-G',
+    input: '2 1000 . A G . . .',
+    seq_region_name: '2',
+    start: 1000,
+    end: 1000,
+    allele_string: 'A/G',
+    most_severe_consequence: 'missense_variant',
+    cadd_phred: 27.4,
+    transcript_consequences: [
+      {
+        gene_symbol: 'SEPT1',
+        transcript_id: 'ENST0001',
+        impact: 'MODERATE',
+        hgvsc: 'ENST0001.1:c.12A>G',
+        consequence_terms: ['missense_variant'],
+      },
+      { gene_symbol: 'SEPT1', transcript_id: 'ENST0002', impact: 'MODIFIER' },
+    ],
+    deducedInheritancePattern: {
+      prioritizedPattern: 'compound_heterozygous',
+      possiblePatterns: ['compound_heterozygous', 'autosomal_recessive'],
+      segregationStatus: { compound_heterozygous: 'segregates' },
+      compHetDetails: {
+        isCandidate: true,
+        isPossible: false,
+        geneSymbol: 'SEPT1',
+        partnerVariantKeys: ['2-2000-C-T'],
+      },
+    },
+  };
+  const meta = {
+    stepsPerformed: ['Processing single variant'],
+    startTime: '2025-01-01T00:00:00.000Z',
+    durationMs: 12,
+    inheritanceCalculated: true,
+    provenance: { annotationSource: 'rest', ensemblRelease: 113 },
+  };
+
+  describe('createXlsxWorkbook()', () => {
+    it('should write typed cells, a frozen bold header and an auto-filter', () => {
+      const entries = readZip(
+        createXlsxWorkbook([
+          {
+            name: 'Data/1',
+            headers: ['Gene', 'Score', 'Flag'],
+            rows: [
+              ['SEPT1', 1.5, true],
+              ['MARCH1 & <x>', null, false],
+            ],
+          },
+        ])
+      );
+
+      expect(Object.keys(entries)).to.include.members([
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'xl/workbook.xml',
+        'xl/styles.xml',
+        'xl/worksheets/sheet1.xml',
+      ]);
+      expect(entries['xl/workbook.xml']).to.include('<sheet name="Data 1"');
+      const sheet = entries['xl/worksheets/sheet1.xml'];
+      expect(sheet).to.include('<pane ySplit="1" topLeftCell="A2"');
+      expect(sheet).to.include('<autoFilter ref="A1:C3"/>');
+      expect(sheet).to.include('<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Gene');
+      expect(sheet).to.include(
+        '<c r="A2" t="inlineStr"><is><t xml:space="preserve">SEPT1</t></is></c>'
+      );
+      expect(sheet).to.include('<c r="B2"><v>1.5</v></c>');
+      expect(sheet).to.include('<c r="C2" t="b"><v>1</v></c>');
+      expect(sheet).to.include('MARCH1 &amp; &lt;x&gt;');
+      expect(sheet).to.not.include('r="B3"');
+    });
+
+    it('should produce identical files for identical content', () => {
+      const sheets = [{ name: 'A', headers: ['x'], rows: [[1]] }];
+      expect(createXlsxWorkbook(sheets).equals(createXlsxWorkbook(sheets))).to.be.true;
+    });
+  });
+
+  describe('formatResultsToXlsx()', () => {
+    it('should write variants, consequences, inheritance and metadata sheets', () => {
+      const columnConfig = getDefaultColumnConfig({ includeInheritance: true });
+      const entries = readZip(
+        formatResultsToXlsx({ annotationData: [annotation], meta }, columnConfig)
+      );
+
+      expect(entries['xl/workbook.xml']).to.match(
+        /name="Variants".*name="Consequences".*name="Inheritance".*name="Run metadata"/
+      );
+      const variants = entries['xl/worksheets/sheet1.xml'];
+      expect(variants).to.include('<autoFilter ref="A1:');
+      expect(variants).to.match(/<c r="[A-Z]+2"><v>27.4<\/v><\/c>/); // CADD as a number
+      expect(variants).to.not.include('ENST0001');
+
+      const consequences = entries['xl/worksheets/sheet2.xml'];
+      expect(consequences.match(/<row /g)).to.have.lengthOf(3);
+      expect(consequences).to.include('ENST0001.1:c.12A&gt;G');
+
+      const inheritance = entries['xl/worksheets/sheet3.xml'];
+      expect(inheritance).to.include('compound_heterozygous:segregates');
+      expect(inheritance).to.include('2-2000-C-T');
+      expect(inheritance).to.match(/t="b"><v>1<\/v>/); // CompHetCandidate
+
+      const metadata = entries['xl/worksheets/sheet4.xml'];
+      expect(metadata).to.include('VL_ENSEMBL_RELEASE');
+      expect(metadata).to.include('Processing single variant');
+    });
+
+    it('should leave out the inheritance sheet when inheritance was not calculated', () => {
+      const entries = readZip(
+        formatResultsToXlsx(
+          { annotationData: [annotation], meta: { stepsPerformed: [] } },
+          getDefaultColumnConfig()
+        )
+      );
+      expect(entries['xl/workbook.xml']).to.not.include('Inheritance');
+      expect(entries).to.have.property('xl/worksheets/sheet3.xml');
+      expect(entries).to.not.have.property('xl/worksheets/sheet4.xml');
+    });
+  });
+
+  describe('filterAndFormatResults() with XLSX', () => {
+    it('should return a workbook buffer and refuse streaming', () => {
+      const results = () => ({ annotationData: [annotation], meta: { stepsPerformed: [] } });
+      const workbook = filterAndFormatResults(results(), null, 'XLSX');
+
+      expect(Buffer.isBuffer(workbook)).to.be.true;
+      expect(workbook.toString('utf8', 0, 2)).to.equal('PK');
+      expect(() => filterAndFormatResults(results(), null, 'XLSX', { isStreaming: true })).to.throw(
+        'XLSX output cannot be streamed'
+      );
+    });
+  });
+});
+
+describe('CLI --output XLSX', function () {
+  // eslint-disable-next-line no-invalid-this
+  this.timeout(30000);
+
+  const binPath = path.resolve(__dirname, '../src/main.js');
+  const vepJsonPath = path.join(__dirname, 'fixtures', 'vep_json', 'precomputed_vep.json');
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'variant-linker-xlsx-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Runs the CLI with the given arguments.
+   * @param {Array<string>} args - CLI arguments
+   * @returns {Promise<{code: number, stderr: string}>} Process result
+   */
+  function runCli(args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn('node', [binPath, ...args], { stdio: ['ignore', 'pipe', 'pipe'] });
+      let stderr = '';
+      child.stdout.resume();
+      child.stderr.on('data', (data) => (stderr += data.toString()));
+      child.on('error', reject);
+      child.on('close', (code) => resolve({ code, stderr }));
+    });
+  }
+
+  it('should save a workbook', async () => {
+    const savePath = path.join(tempDir, 'out.xlsx');
+    const { code, stderr } = await runCli([
+      '--variant',
+      '1-65568-A-C',
+      '--output',
+      'XLSX',
+      '--save',
+      savePath,
+      '--annotation-source',
+      'vep-json',
+      '--vep-json-path',
+      vepJsonPath,
+    ]);
+
+    expect(code, stderr).to.equal(0);
+    const entries = readZip(fs.readFileSync(savePath));
+    expect(entries['xl/workbook.xml']).to.include('name="Variants"');
+    expect(entries['xl/worksheets/sheet1.xml']).to.include('1-65568-A-C');
+  });
+
+  it('should require --save', async () => {
+    const { code, stderr } = await runCli(['--variant', '1-65568-A-C', '--output', 'XLSX']);
+
+    expect(code).to.not.equal(0);
+    expect(stderr).to.include('XLSX output requires --save or --output-file');
+  });
+});
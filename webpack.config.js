@@ -19,6 +19,10 @@ module.exports = {
     libraryExport: 'default'
   },
   resolve: {
+    alias: {
+      // The SQLite cache store is Node-only (native optional dependency)
+      'better-sqlite3': false
+    },
     fallback: {
       // For browser builds, redirect Node's "fs" module to an empty module.
       fs: require.resolve('./src/empty.js'),